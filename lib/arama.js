@@ -0,0 +1,79 @@
+// ─── Birleşik arama sorgusu (saf) ─────────────────────────────────────
+// Sunucudaki /api/search (server-fixed-3-3.js) ve testler (test/arama.test.js) ortak kullanır.
+// Parametreler yalnızca seçilen parçalarda kullanıldıkça bağlanır ve sırayla numaralanır:
+// sorguda hiç geçmeyen bir $n için Postgres "could not determine data type of parameter" hatası verir.
+const SEARCH_TYPES = ['posts', 'users', 'products', 'hashtags'];
+const SEARCH_HL_OPTS = 'StartSel=\uE000, StopSel=\uE001, MaxWords=25, MinWords=10, MaxFragments=2, FragmentDelimiter=" … "';
+
+// JS tarafı katlama tr_fold ile aynı sonucu verir (tr-TR locale: İ→i, I→ı)
+function buildSearchTsQuery(q) {
+    const tokens = q.toLocaleLowerCase('tr-TR').split(/[^\p{L}\p{N}]+/u).filter(Boolean).slice(0, 8);
+    return tokens.length ? tokens.map(t => `${t}:*`).join(' & ') : null;
+}
+
+// { userId, q, types, limit, offset, tsConfig, trgm } → { sql, params } ya da q'da aranacak kelime yoksa null
+function buildUnifiedSearchQuery({ userId, q, types, limit, offset, tsConfig = 'simple', trgm = false }) {
+    const tsq = buildSearchTsQuery(q.replace(/^#/, ''));
+    if (!tsq) return null;
+    const folded = q.replace(/^#/, '').toLocaleLowerCase('tr-TR');
+    const prefix = folded.replace(/[\\%_]/g, ch => '\\' + ch) + '%';
+    const C = tsConfig;
+
+    const params = [];
+    const bound = new Map();
+    const arg = (name, value) => {
+        if (!bound.has(name)) { params.push(value); bound.set(name, `$${params.length}`); }
+        return bound.get(name);
+    };
+    const me = () => arg('userId', userId);
+    const TQ = () => `to_tsquery('${C}', ${arg('tsq', tsq)})`;
+    const perType = () => arg('perType', offset + limit);
+    const sim = expr => trgm ? `similarity(${expr}, ${arg('folded', folded)})` : '0';
+    const fuzzy = expr => trgm ? `OR ${expr} % ${arg('folded', folded)}` : '';
+    const notBlocked = col => `${col} NOT IN (SELECT "blockedId" FROM blocks WHERE "blockerId" = ${me()}
+                                              UNION SELECT "blockerId" FROM blocks WHERE "blockedId" = ${me()})`;
+
+    const parts = {
+        posts: () => `
+            SELECT 'post' AS type, p.id, p."createdAt", p.content AS body, NULL::text AS title,
+                   ts_rank_cd(p."searchVector", ${TQ()}, 32) * (1 + LN(1 + COALESCE(p."likeCount", 0)) * 0.1) AS score
+            FROM posts p
+            WHERE p."isActive" = TRUE AND p."searchVector" @@ ${TQ()} AND ${notBlocked('p."userId"')}
+            ORDER BY score DESC LIMIT ${perType()}`,
+        users: () => `
+            SELECT 'user' AS type, u.id, u."createdAt", u.bio AS body, u.name AS title,
+                   GREATEST(ts_rank_cd(u."searchVector", ${TQ()}, 32), ${sim('tr_fold(u.username)')}, ${sim('tr_fold(u.name)')})
+                     + CASE WHEN tr_fold(u.username) = ${arg('folded', folded)} THEN 1 ELSE 0 END
+                     + CASE WHEN u."isVerified" THEN 0.05 ELSE 0 END AS score
+            FROM users u
+            WHERE u."isActive" = TRUE AND u.id <> ${me()}
+              AND (u."searchVector" @@ ${TQ()} ${fuzzy('tr_fold(u.username)')} ${fuzzy('tr_fold(u.name)')})
+              AND ${notBlocked('u.id')}
+            ORDER BY score DESC LIMIT ${perType()}`,
+        products: () => `
+            SELECT 'product' AS type, p.id, p."createdAt", p.description AS body, p.name AS title,
+                   GREATEST(ts_rank_cd(p."searchVector", ${TQ()}, 32), ${sim('tr_fold(p.name)')}) AS score
+            FROM products p
+            WHERE p."isActive" = TRUE AND (p."searchVector" @@ ${TQ()} ${fuzzy('tr_fold(p.name)')})
+            ORDER BY score DESC LIMIT ${perType()}`,
+        hashtags: () => `
+            SELECT 'hashtag' AS type, h.id, h."createdAt", NULL::text AS body, '#' || h.tag AS title,
+                   GREATEST(CASE WHEN h.tag LIKE ${arg('prefix', prefix)} THEN 0.6 ELSE 0 END, ${sim('h.tag')})
+                     + LN(1 + COALESCE(h."postCount", 0)) * 0.02 AS score
+            FROM hashtags h
+            WHERE h.tag LIKE ${arg('prefix', prefix)} ${fuzzy('h.tag')}
+            ORDER BY score DESC LIMIT ${perType()}`,
+    };
+
+    const union = types.map(t => `(${parts[t]()})`).join(' UNION ALL ');
+    const hl = arg('hl', SEARCH_HL_OPTS);
+    const sql = `SELECT r.type, r.id, r.score,
+                CASE WHEN r.body IS NOT NULL AND r.body <> '' THEN ts_headline('${C}', r.body, ${TQ()}, ${hl}) END AS snippet,
+                CASE WHEN r.title IS NOT NULL THEN ts_headline('${C}', r.title, ${TQ()}, ${hl} || ', HighlightAll=true') END AS "titleHighlight"
+         FROM (${union}) r
+         ORDER BY r.score DESC, r."createdAt" DESC
+         LIMIT ${arg('limit', limit + 1)} OFFSET ${arg('offset', offset)}`;
+    return { sql, params };
+}
+
+module.exports = { SEARCH_TYPES, SEARCH_HL_OPTS, buildSearchTsQuery, buildUnifiedSearchQuery };
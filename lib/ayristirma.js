@@ -0,0 +1,38 @@
+// ─── Ortak ayrıştırma yardımcıları (saf) ─────────────────────────────
+// Sunucu ve lib/ altındaki modüller ortak kullanır.
+
+// Ürün adlarını karşılaştırma anahtarına çevir ("Buğday" / "bugday" / "BUĞDAY " → "bugday")
+function normalizeCropKey(name) {
+    const map = { 'ç':'c','ğ':'g','ı':'i','ö':'o','ş':'s','ü':'u','â':'a','î':'i','û':'u' };
+    return String(name || '').trim().toLocaleLowerCase('tr-TR').replace(/[çğıöşüâîû]/g, ch => map[ch]).replace(/\s+/g, ' ');
+}
+
+// normalizeCropKey'in SQL karşılığı (sorguda gruplama/eşleştirme için); expr güvenilir bir kolon ifadesi olmalı
+function cropKeySql(expr) {
+    return `btrim(regexp_replace(lower(translate(COALESCE(${expr}, ''), 'İIÇĞÖŞÜÂÎÛçğıöşüâîû', 'iicgosuaiucgiosuaiu')), '\\s+', ' ', 'g'))`;
+}
+
+// Export tarihleri Date.toString() biçiminde çıkar; Excel'den gelen GG.AA.YYYY ve seri numaraları da kabul edilir
+function parseFarmbookDate(v) {
+    if (v === null || v === undefined || String(v).trim() === '') return null;
+    const pad = n => String(n).padStart(2, '0');
+    const fmt = d => `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+    if (v instanceof Date) return isNaN(v) ? undefined : fmt(v);
+    if (typeof v === 'number') { // Excel seri tarih
+        const d = new Date(Math.round((v - 25569) * 86400000));
+        return isNaN(d) ? undefined : d.toISOString().split('T')[0];
+    }
+    const str = String(v).trim();
+    let m = str.match(/^(\d{4})-(\d{2})-(\d{2})/);
+    if (m) return `${m[1]}-${m[2]}-${m[3]}`;
+    m = str.match(/^(\d{1,2})[./](\d{1,2})[./](\d{4})$/);
+    if (m) return `${m[3]}-${pad(m[2])}-${pad(m[1])}`;
+    // "Tue Oct 01 2024 00:00:00 GMT+0300" — saat dilimine çevirmeden gün bilgisini al
+    m = str.match(/^[A-Za-z]{3} ([A-Za-z]{3}) (\d{2}) (\d{4})/);
+    const mi = m ? ['Jan','Feb','Mar','Apr','May','Jun','Jul','Aug','Sep','Oct','Nov','Dec'].indexOf(m[1]) : -1;
+    if (mi >= 0) return `${m[3]}-${pad(mi + 1)}-${m[2]}`;
+    const d = new Date(str);
+    return isNaN(d) ? undefined : fmt(d);
+}
+
+module.exports = { normalizeCropKey, cropKeySql, parseFarmbookDate };
@@ -0,0 +1,128 @@
+// ─── Fiyat kaynağı adaptörleri (saf) ─────────────────────────────────
+// Sunucu (server-fixed-3-3.js) ve testler (test/fiyat-kaynaklari.test.js) ortak kullanır.
+// Kayıtlı örnek yanıtlar test/fixtures/fiyat altında — PRICE_FIXTURE_DIR olarak da verilebilir.
+const { normalizeCropKey, parseFarmbookDate } = require('./ayristirma');
+
+// Kaynaktaki serbest ürün adını katalog ürününe eşle — en uzun alias önce ("sivri biber" > "biber")
+function matchUrunByName(name, katalog) {
+    const key = normalizeCropKey(name);
+    if (!key) return null;
+    let best = null;
+    for (const u of katalog) {
+        for (const a of (u.aliases?.length ? u.aliases : [u.ad])) {
+            const alias = normalizeCropKey(a);
+            if (alias && key.includes(alias) && (!best || alias.length > best.len)) best = { urun: u, len: alias.length };
+        }
+    }
+    return best ? best.urun : null;
+}
+
+// "1.234,50" / "12,5" / "12.5" / 12.5 → sayı
+function parsePriceNumber(v) {
+    if (typeof v === 'number') return Number.isFinite(v) && v > 0 ? v : null;
+    let str = String(v ?? '').replace(/[₺\s]|TL/gi, '');
+    if (str.includes(',')) str = str.replace(/\./g, '').replace(',', '.');
+    const n = parseFloat(str);
+    return Number.isFinite(n) && n > 0 ? n : null;
+}
+
+// ─── Fiyat kaynağı adaptörleri ─────────────────────────────────
+// Her adaptör: { name, label, format: 'json'|'text', url(ctx), timeoutMs, cityOnly?, parse(body, ctx) }
+// parse saf fonksiyondur ve normalize satırlar döner:
+//   { productId, market, city, min, max, avg, unit, date }
+// city/market boş string = ulusal fiyat. ctx = { katalog, date: 'YYYY-MM-DD' }.
+// PRICE_FIXTURE_DIR tanımlıysa ağ yerine <dir>/<name>.json|html okunur — adaptörler çevrimdışı denenebilir.
+const PRICE_SOURCE_ADAPTERS = [
+    {
+        // Ticaret Bakanlığı HBYS — il/hal bazında günlük bülten
+        name: 'hal',
+        label: 'Ticaret Bakanlığı Hal Bülteni',
+        format: 'json',
+        timeoutMs: 8000,
+        url: () => 'https://hbys.gtb.gov.tr/api/hal-fiyat/son',
+        parse(data, { katalog, date }) {
+            const items = Array.isArray(data) ? data : (data?.data || []);
+            const out = [];
+            for (const item of items) {
+                const urun = matchUrunByName(item.urunAdi || item.ad, katalog);
+                const avg = parsePriceNumber(item.ortalama ?? item.fiyat);
+                if (!urun || !avg) continue;
+                out.push({
+                    productId: urun.id,
+                    market: String(item.halAdi || '').trim(),
+                    city: normalizeCropKey(item.il || item.sehir),
+                    min: parsePriceNumber(item.enDusuk ?? item.min) || avg,
+                    max: parsePriceNumber(item.enYuksek ?? item.max) || avg,
+                    avg,
+                    unit: normalizeCropKey(item.birim) || urun.birim,
+                    date: parseFarmbookDate(item.tarih) || date
+                });
+            }
+            return out;
+        }
+    },
+    {
+        // İzmir Büyükşehir açık veri — sebze/meyve hali günlük fiyat listesi
+        name: 'izmir-hal',
+        label: 'İzmir Sebze Meyve Hali',
+        cityOnly: true, // tek il — ulusal satır türetilmez
+        format: 'json',
+        timeoutMs: 8000,
+        url: ({ date }) => `https://openapi.izmir.bel.tr/api/ibb/halfiyatlari/sebzemeyve/${date}`,
+        parse(data, { katalog, date }) {
+            const out = [];
+            for (const item of (data?.HalFiyatListesi || [])) {
+                const urun = matchUrunByName(item.MalAdi, katalog);
+                const avg = parsePriceNumber(item.OrtalamaUcret);
+                if (!urun || !avg) continue;
+                const unit = normalizeCropKey(item.Birim) || urun.birim;
+                if (unit !== urun.birim) continue; // adet/bağ fiyatı kg ürüne karışmasın
+                out.push({
+                    productId: urun.id, market: 'İzmir Sebze Meyve Hali', city: 'izmir',
+                    min: parsePriceNumber(item.AsgariUcret) || avg,
+                    max: parsePriceNumber(item.AzamiUcret) || avg,
+                    avg, unit,
+                    date: parseFarmbookDate(data.BultenTarihi) || date
+                });
+            }
+            return out;
+        }
+    },
+    {
+        // TMO hububat alım fiyatları (ulusal)
+        name: 'tmo',
+        label: 'TMO Hububat Fiyatları',
+        format: 'text',
+        timeoutMs: 8000,
+        url: () => 'https://www.tmo.gov.tr/Sayfa/HububatFiyatlari',
+        parse(html, { date }) {
+            const desenler = {
+                bugday: /Bu[ğg]day[^0-9]*(\d+[,.]\d+)/i,
+                misir:  /M[ıi]s[ıi]r[^0-9]*(\d+[,.]\d+)/i,
+                arpa:   /Arpa[^0-9]*(\d+[,.]\d+)/i
+            };
+            const out = [];
+            for (const [productId, re] of Object.entries(desenler)) {
+                const m = html.match(re);
+                const avg = m && parsePriceNumber(m[1]);
+                if (avg) out.push({ productId, market: '', city: '', min: avg, max: avg, avg, unit: 'kg', date });
+            }
+            return out;
+        }
+    },
+    {
+        // Fiskobirlik fındık fiyat bildirimi (ulusal)
+        name: 'fiskobirlik',
+        label: 'Fiskobirlik',
+        format: 'text',
+        timeoutMs: 6000,
+        url: () => 'https://www.fiskobirlik.org.tr/tr/bilgi/fiyat-bildirimleri',
+        parse(html, { date }) {
+            const m = html.match(/(\d{2,3})[,.](\d{2})\s*(?:TL|₺)/);
+            const avg = m && parsePriceNumber(`${m[1]}.${m[2]}`);
+            return avg ? [{ productId: 'findik', market: '', city: '', min: avg, max: avg, avg, unit: 'kg', date }] : [];
+        }
+    }
+];
+
+module.exports = { PRICE_SOURCE_ADAPTERS, matchUrunByName, parsePriceNumber };
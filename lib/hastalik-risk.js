@@ -0,0 +1,164 @@
+// ─── 🦠 HASTALIK RİSK MOTORU (saf kurallar) ────────────────────────────
+// Sunucu (server-fixed-3-3.js) ve testler (test/hastalik-risk.test.js) ortak kullanır.
+// Girdi biçimi: hourly = [{ time: 'YYYY-MM-DDTHH:MM' (yerel), temp (°C), rh (%), precip (mm) }]
+
+const RISK_SEVIYE = { yok: 0, dusuk: 1, orta: 2, yuksek: 3 };
+const RISK_SEVIYE_ETIKET = { dusuk: 'düşük', orta: 'orta', yuksek: 'yüksek' };
+
+// Mills tablosu (revize): ıslaklık süresince ortalama sıcaklık → enfeksiyon için gereken ıslak saat
+const MILLS_TABLOSU = [
+    { min: 6,  max: 8,  hafif: 25, orta: 33, siddetli: 50 },
+    { min: 8,  max: 10, hafif: 18, orta: 24, siddetli: 36 },
+    { min: 10, max: 12, hafif: 14, orta: 19, siddetli: 29 },
+    { min: 12, max: 14, hafif: 12, orta: 16, siddetli: 24 },
+    { min: 14, max: 16, hafif: 10, orta: 13, siddetli: 21 },
+    { min: 16, max: 24, hafif: 9,  orta: 12, siddetli: 18 },
+    { min: 24, max: 26, hafif: 11, orta: 14, siddetli: 21 },
+    { min: 26, max: 29, hafif: 13, orta: 17, siddetli: 26 },
+];
+
+// Saatlik veriyi yerel günlere böl (sadece 24 saati tam olan günler)
+function groupHourlyByDay(hourly) {
+    const days = new Map();
+    for (const h of hourly) {
+        const d = h.time.slice(0, 10);
+        if (!days.has(d)) days.set(d, []);
+        days.get(d).push(h);
+    }
+    return [...days.entries()].filter(([, hs]) => hs.length === 24).map(([date, hs]) => ({
+        date,
+        hours: hs,
+        minTemp: Math.min(...hs.map(h => h.temp)),
+        meanTemp: hs.reduce((a, h) => a + h.temp, 0) / hs.length,
+        rain: hs.reduce((a, h) => a + (h.precip || 0), 0),
+    }));
+}
+
+const HASTALIK_RISK_MODELLERI = {
+    // 10-10-10 kuralı: ≥10°C ortalama sıcaklık ve 48 saat içinde ≥10 mm yağış
+    // (sürgün ≥10 cm koşulu kuraldaki "aylar" penceresiyle yaklaşıklanır)
+    onOnOn(hourly, p) {
+        const days = groupHourlyByDay(hourly);
+        let best = null;
+        for (let i = 0; i < days.length; i++) {
+            const win = days.slice(i, i + 2);
+            const rain = win.reduce((a, d) => a + d.rain, 0);
+            const meanTemp = win.reduce((a, d) => a + d.meanTemp, 0) / win.length;
+            if (meanTemp < p.minSicaklik) continue;
+            const seviye = rain >= p.minYagisMm ? 'yuksek' : rain >= p.minYagisMm / 2 ? 'orta' : null;
+            if (seviye && (!best || RISK_SEVIYE[seviye] > RISK_SEVIYE[best.seviye])) {
+                best = { seviye, baslangic: win[0].date,
+                         aciklama: `${win[0].date}: ${rain.toFixed(1)} mm yağış, ortalama ${meanTemp.toFixed(1)}°C` };
+            }
+        }
+        return best;
+    },
+
+    // Mills periyodu: kesintisiz ıslaklık (yağış ya da yüksek nem) süresi ve ortalama sıcaklığa göre enfeksiyon
+    mills(hourly, p) {
+        const seviyeOf = { hafif: 'dusuk', orta: 'orta', siddetli: 'yuksek' };
+        let best = null, run = [];
+        const close = () => {
+            if (!run.length) return;
+            const mean = run.reduce((a, h) => a + h.temp, 0) / run.length;
+            const row = p.tablo.find(r => mean >= r.min && mean < r.max);
+            const derece = row && ['siddetli', 'orta', 'hafif'].find(k => run.length >= row[k]);
+            if (derece && (!best || RISK_SEVIYE[seviyeOf[derece]] > RISK_SEVIYE[best.seviye])) {
+                best = { seviye: seviyeOf[derece], baslangic: run[0].time,
+                         aciklama: `${run[0].time} itibarıyla ${run.length} saat ıslaklık, ortalama ${mean.toFixed(1)}°C (${derece} enfeksiyon)` };
+            }
+            run = [];
+        };
+        for (const h of hourly) {
+            if ((h.precip || 0) >= p.islakYagisMm || h.rh >= p.islakNem) run.push(h);
+            else close();
+        }
+        close();
+        return best;
+    },
+
+    // Smith periyodu: art arda iki günde min. ≥10°C ve günde ≥11 saat nem ≥%90
+    // Tek gün ya da 10 saatlik "kıl payı" günler orta risk sayılır
+    smith(hourly, p) {
+        const days = groupHourlyByDay(hourly).map(d => ({
+            ...d,
+            nemliSaat: d.hours.filter(h => h.rh >= p.nem).length,
+        }));
+        const tam = d => d.minTemp >= p.minSicaklik && d.nemliSaat >= p.nemliSaat;
+        const yakin = d => d.minTemp >= p.minSicaklik && d.nemliSaat >= p.nemliSaat - 1;
+        let best = null;
+        for (let i = 0; i < days.length; i++) {
+            const a = days[i], b = days[i + 1];
+            let seviye = null;
+            if (b && tam(a) && tam(b)) seviye = 'yuksek';
+            else if ((b && yakin(a) && yakin(b)) || tam(a)) seviye = 'orta';
+            if (seviye && (!best || RISK_SEVIYE[seviye] > RISK_SEVIYE[best.seviye])) {
+                best = { seviye, baslangic: a.date,
+                         aciklama: `${a.date}: min ${a.minTemp.toFixed(1)}°C, ${a.nemliSaat} saat nem ≥%${p.nem}` +
+                                   (b ? `; ertesi gün min ${b.minTemp.toFixed(1)}°C, ${b.nemliSaat} saat` : '') };
+            }
+        }
+        return best;
+    },
+};
+
+const HASTALIK_RISK_KURALLARI = [
+    {
+        id: 'bag-mildiyosu-10-10-10', etkenId: 'bag-mildiyosu', ad: 'Bağ mildiyösü', urunler: ['uzum'],
+        model: 'onOnOn', aylar: [4, 5, 6, 7, 8],
+        params: { minSicaklik: 10, minYagisMm: 10 },
+        oneriler: {
+            yuksek: 'Birincil enfeksiyon koşulları oluşuyor. Yağıştan önce koruyucu (bakırlı/mankozeb) ilaçlama yapın.',
+            orta: 'Koşullar sınırda. Bağı gözleyin, yağış artarsa koruyucu ilaçlamaya hazır olun.',
+        },
+    },
+    {
+        id: 'karaleke-mills', etkenId: 'karaleke', ad: 'Elma karalekesi', urunler: ['elma'],
+        model: 'mills', aylar: [3, 4, 5, 6],
+        params: { islakNem: 90, islakYagisMm: 0.1, tablo: MILLS_TABLOSU },
+        oneriler: {
+            yuksek: 'Şiddetli enfeksiyon periyodu bekleniyor. Islaklık başlamadan koruyucu, ardından 72 saat içinde sistemik ilaçlama yapın.',
+            orta: 'Orta şiddette enfeksiyon periyodu. Son ilaçlamanın koruma süresini kontrol edin.',
+            dusuk: 'Hafif enfeksiyon periyodu olabilir. Bahçeyi gözlemleyin.',
+        },
+    },
+    {
+        id: 'patates-mildiyosu-smith', etkenId: 'patates-mildiyosu', ad: 'Mildiyö (geç yanıklık)', urunler: ['patates', 'domates'],
+        model: 'smith', aylar: [5, 6, 7, 8, 9],
+        params: { minSicaklik: 10, nem: 90, nemliSaat: 11 },
+        oneriler: {
+            yuksek: 'Smith periyodu tamamlanıyor. 24-48 saat içinde koruyucu fungisit uygulayın, hastalıklı bitkileri ayıklayın.',
+            orta: 'Smith periyoduna yakın koşullar. Tarlayı kontrol edin, ilaçlama aralığını kısaltmayı düşünün.',
+        },
+    },
+];
+
+// Saf değerlendirme — aynı girdi her zaman aynı sonucu verir (ay, verinin ilk saatinden alınır)
+function evaluateDiseaseRisks(hourly, crops, { month } = {}) {
+    if (!Array.isArray(hourly) || !hourly.length) return [];
+    const ay = month || parseInt(hourly[0].time.slice(5, 7));
+    const cropSet = new Set(crops);
+    const results = [];
+    for (const kural of HASTALIK_RISK_KURALLARI) {
+        const urun = kural.urunler.find(u => cropSet.has(u));
+        if (!urun || (kural.aylar && !kural.aylar.includes(ay))) continue;
+        const r = HASTALIK_RISK_MODELLERI[kural.model](hourly, kural.params);
+        if (!r || !RISK_SEVIYE[r.seviye]) continue;
+        results.push({
+            kuralId: kural.id, etkenId: kural.etkenId, ad: kural.ad, urun, model: kural.model,
+            seviye: r.seviye, baslangic: r.baslangic, aciklama: r.aciklama,
+            oneri: kural.oneriler[r.seviye] || null,
+        });
+    }
+    return results.sort((a, b) => RISK_SEVIYE[b.seviye] - RISK_SEVIYE[a.seviye]);
+}
+
+module.exports = {
+    RISK_SEVIYE,
+    RISK_SEVIYE_ETIKET,
+    MILLS_TABLOSU,
+    HASTALIK_RISK_MODELLERI,
+    HASTALIK_RISK_KURALLARI,
+    groupHourlyByDay,
+    evaluateDiseaseRisks,
+};
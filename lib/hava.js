@@ -0,0 +1,124 @@
+// ─── Hava servisi — saf parçalar ve fixture sağlayıcısı ─────────────────
+// Sunucudaki WeatherService (server-fixed-3-3.js) ve testler (test/hava-fixture.test.js) ortak kullanır.
+// Örnek WEATHER_FIXTURE_FILE: test/fixtures/hava/weather-fixture.json
+const fssync = require('fs');
+
+const WMO_KODLARI = {
+    0:['☀️','Açık'],1:['🌤️','Az Bulutlu'],2:['⛅','Parçalı Bulutlu'],3:['☁️','Kapalı'],
+    45:['🌫️','Sisli'],48:['🌫️','Yoğun Sis'],51:['🌦️','Hafif Çiseleme'],53:['🌦️','Çiseleme'],
+    55:['🌧️','Yoğun Çiseleme'],61:['🌧️','Hafif Yağmur'],63:['🌧️','Yağmurlu'],
+    65:['🌧️','Şiddetli Yağmur'],71:['❄️','Hafif Kar'],73:['❄️','Karlı'],75:['❄️','Yoğun Kar'],
+    80:['🌦️','Sağanak'],81:['🌧️','Kuvvetli Sağanak'],95:['⛈️','Fırtına'],99:['⛈️','Şiddetli Fırtına']
+};
+const wmoIcon = (code) => WMO_KODLARI[code] || ['🌡️','Bilinmiyor'];
+
+// Unix saniye → İstanbul yerel 'YYYY-MM-DDTHH:MM'
+function istanbulLocalTime(unixSec) {
+    return new Date(unixSec * 1000).toLocaleString('sv-SE', { timeZone: 'Europe/Istanbul' }).slice(0, 16).replace(' ', 'T');
+}
+
+// Saatlik seriden günlük özet (fixture ve dosya fixture'larında daily verilmemişse)
+function dailyFromHourly(hourly) {
+    const days = new Map();
+    for (const h of hourly) {
+        const d = h.time.slice(0, 10);
+        if (!days.has(d)) days.set(d, []);
+        days.get(d).push(h);
+    }
+    return [...days.entries()].map(([date, hs]) => {
+        const precipitation = +hs.reduce((a, h) => a + (h.precip || 0), 0).toFixed(1);
+        const weathercode = precipitation >= 10 ? 63 : precipitation >= 1 ? 61 : precipitation > 0 ? 51 : 1;
+        const [icon, description] = wmoIcon(weathercode);
+        return {
+            date, precipitation, weathercode, icon, description,
+            high: Math.max(...hs.map(h => h.temp)),
+            low: Math.min(...hs.map(h => h.temp)),
+            windMax: Math.max(...hs.map(h => h.windSpeed || 0)),
+        };
+    });
+}
+
+// ── Fixture — çevrimdışı geliştirme/test ─────────────────────────────────────
+const fixtureWeatherProvider = {
+    name: 'fixture',
+    supports: { hourly: true, past: true, archive: true },
+    _data: undefined,
+    load() {
+        if (this._data === undefined) {
+            const file = process.env.WEATHER_FIXTURE_FILE;
+            this._data = file ? JSON.parse(fssync.readFileSync(file, 'utf8')) : null;
+        }
+        return this._data;
+    },
+    // Deterministik saatlik veri: mevsimsel + günlük sıcaklık eğrisi, her 6. gün sabah yağışı
+    synthHour(lat, date, hour) {
+        const doy = Math.floor((new Date(date + 'T00:00:00Z') - Date.UTC(+date.slice(0, 4), 0, 0)) / 86400000);
+        const mevsim = 13 + 11 * Math.sin(2 * Math.PI * (doy - 105) / 365) - 0.6 * (lat - 39);
+        const gunluk = Math.sin(2 * Math.PI * (hour - 9) / 24);
+        const yagisli = doy % 6 === 0 && hour >= 2 && hour <= 7;
+        return {
+            time: `${date}T${String(hour).padStart(2, '0')}:00`,
+            temp: +(mevsim + 6 * gunluk).toFixed(1),
+            rh: yagisli ? 96 : Math.round(68 - 22 * gunluk),
+            precip: yagisli ? 1.5 : 0,
+            windSpeed: +(9 + 5 * Math.sin(2 * Math.PI * hour / 24)).toFixed(1),
+        };
+    },
+    synthHourly(lat, start, dayCount) {
+        const out = [];
+        for (let i = 0; i < dayCount; i++) {
+            const d = new Date(start + 'T00:00:00Z');
+            d.setUTCDate(d.getUTCDate() + i);
+            const date = d.toISOString().slice(0, 10);
+            for (let h = 0; h < 24; h++) out.push(this.synthHour(lat, date, h));
+        }
+        return out;
+    },
+    async forecast(lat, lon, { days, pastDays }) {
+        const file = this.load()?.forecast;
+        if (file) return { ...file, provider: this.name, daily: file.daily || dailyFromHourly(file.hourly || []) };
+        const now = istanbulLocalTime(Date.now() / 1000);
+        const start = new Date(now.slice(0, 10) + 'T00:00:00Z');
+        start.setUTCDate(start.getUTCDate() - pastDays);
+        const hourly = this.synthHourly(lat, start.toISOString().slice(0, 10), days + pastDays);
+        const h = hourly.find(x => x.time.slice(0, 13) === now.slice(0, 13)) || hourly[0];
+        const [icon, description] = wmoIcon(h.precip > 0 ? 61 : 1);
+        return {
+            provider: this.name, lat, lon,
+            current: { temp: h.temp, feelsLike: h.temp, humidity: h.rh, windSpeed: Math.round(h.windSpeed), visibility: 10,
+                       precipitation: h.precip, weathercode: h.precip > 0 ? 61 : 1, description, icon },
+            hourly,
+            daily: dailyFromHourly(hourly),
+        };
+    },
+    async archive(lat, lon, start, end) {
+        const file = this.load()?.archive;
+        if (file) return file.filter(r => r.date >= start && r.date <= end);
+        const dayCount = Math.round((new Date(end + 'T00:00:00Z') - new Date(start + 'T00:00:00Z')) / 86400000) + 1;
+        return dailyFromHourly(this.synthHourly(lat, start, Math.max(0, dayCount)))
+            .map(({ date, high, low, precipitation }) => ({ date, high, low, precipitation }));
+    },
+    async geocode(name) {
+        return this.load()?.geocode?.[name.trim().toLocaleLowerCase('tr-TR')] || { lat: 39.93, lon: 32.86 };
+    },
+    async reverseGeocode() {
+        return this.load()?.reverseGeocode || 'Fixture';
+    },
+    // /api/weather/current|forecast|air için OWM biçiminde en küçük yanıt
+    async raw(endpoint, { lat = 39.93, lon = 32.86, q }) {
+        const f = await this.forecast(+lat, +lon, { days: 5, pastDays: 0 });
+        const owmItem = h => ({
+            dt: Math.floor(new Date(h.time + ':00+03:00').getTime() / 1000),
+            main: { temp: h.temp, feels_like: h.temp, temp_min: h.temp, temp_max: h.temp, humidity: h.rh },
+            wind: { speed: +(h.windSpeed / 3.6).toFixed(1) },
+            weather: [{ id: h.precip > 0 ? 500 : 800, description: h.precip > 0 ? 'hafif yağmur' : 'açık' }],
+            ...(h.precip > 0 ? { rain: { '1h': h.precip, '3h': h.precip * 3 } } : {}),
+        });
+        if (endpoint === 'air_pollution') return { coord: { lat, lon }, list: [{ dt: Math.floor(Date.now() / 1000), main: { aqi: 1 }, components: {} }] };
+        if (endpoint === 'forecast') return { cod: '200', list: f.hourly.filter((_, i) => i % 3 === 0).slice(0, 40).map(owmItem), city: { name: q || 'Fixture' } };
+        const nowH = f.hourly.find(h => h.time.slice(0, 13) === istanbulLocalTime(Date.now() / 1000).slice(0, 13)) || f.hourly[0];
+        return { ...owmItem(nowH), name: q || 'Fixture', visibility: 10000, coord: { lat, lon } };
+    },
+};
+
+module.exports = { WMO_KODLARI, wmoIcon, istanbulLocalTime, dailyFromHourly, fixtureWeatherProvider };
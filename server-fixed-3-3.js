@@ -47,6 +47,7 @@ const sharp = require('sharp');
 const crypto = require('crypto');
 const { execFile } = require('child_process');
 const rateLimit = require('express-rate-limit');
+const { normalizeCropKey, cropKeySql, parseFarmbookDate } = require('./lib/ayristirma');
 
 // ════════════════════════════════════════════════════════════════════
 // 🔒 RATE LIMITER STORE — Redis (cluster-safe) veya in-memory fallback
@@ -2091,7 +2092,7 @@ const AppCache = {
     post     : new LRUCache(1000, 60_000),   // Post detayları: 1000 post × 60s (↑ 500→1000, 30→60)
     profile  : new LRUCache(500,  90_000),   // Profil: 500 kullanıcı × 90s (↑ 300→500, 60→90)
     trending : new LRUCache(10,   300_000),  // Trending: 5dk TTL
-    weather  : new LRUCache(50,   600_000),  // Hava: 10dk TTL
+    weather  : new LRUCache(200,  600_000),  // Hava (WeatherService): varsayılan 10dk, arşiv 24sa
     geocode  : new LRUCache(200,  86_400_000), // Şehir → koordinat: 24sa TTL
     suggest  : new LRUCache(200,  180_000),  // Önerilen kullanıcılar: 3dk (↑ 100→200, 2→3dk)
 };
@@ -2263,6 +2264,131 @@ async function initializeDatabase() {
         )
     `);
 
+    // İlan yapısı: konum, satış birimi, asgari sipariş ve hasat/teslim tarihi.
+    // 20 ton buğday ile 3 kg bal aynı tabloda — fiyat her zaman "saleUnit" başınadır.
+    await pool.query(`ALTER TABLE products ADD COLUMN IF NOT EXISTS lat DOUBLE PRECISION`);
+    await pool.query(`ALTER TABLE products ADD COLUMN IF NOT EXISTS lon DOUBLE PRECISION`);
+    await pool.query(`ALTER TABLE products ADD COLUMN IF NOT EXISTS city TEXT`);
+    await pool.query(`ALTER TABLE products ADD COLUMN IF NOT EXISTS district TEXT`);
+    await pool.query(`ALTER TABLE products ADD COLUMN IF NOT EXISTS "saleUnit" TEXT DEFAULT 'adet'`);
+    await pool.query(`ALTER TABLE products ADD COLUMN IF NOT EXISTS "minOrderQty" INTEGER DEFAULT 1`);
+    await pool.query(`ALTER TABLE products ADD COLUMN IF NOT EXISTS "harvestDate" DATE`);
+    await pool.query(`ALTER TABLE products ADD COLUMN IF NOT EXISTS "availableFrom" DATE`);
+
+    // Pazar yeri siparişleri — ödeme platform dışında (kapıda ödeme / havale), burada sadece durum makinesi.
+    // Ürün silinse de sipariş geçmişi kalsın diye ad/görsel/fiyat kopyalanır.
+    await pool.query(`
+        CREATE TABLE IF NOT EXISTS store_orders (
+            id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+            "productId" UUID REFERENCES products(id) ON DELETE SET NULL,
+            "buyerId" UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+            "sellerId" UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+            "productName" TEXT NOT NULL,
+            "productImage" TEXT,
+            "listPrice" DOUBLE PRECISION NOT NULL,
+            "offerPrice" DOUBLE PRECISION,
+            "unitPrice" DOUBLE PRECISION NOT NULL,
+            quantity INTEGER NOT NULL CHECK (quantity > 0),
+            "totalPrice" DOUBLE PRECISION NOT NULL,
+            status TEXT NOT NULL DEFAULT 'pending',
+            "deliveryMethod" TEXT NOT NULL DEFAULT 'shipping',
+            "paymentMethod" TEXT NOT NULL DEFAULT 'cash_on_delivery',
+            "shippingAddress" TEXT,
+            "trackingInfo" TEXT,
+            "buyerNote" TEXT,
+            "cancelReason" TEXT,
+            "stockReserved" BOOLEAN NOT NULL DEFAULT FALSE,
+            "confirmedAt" TIMESTAMPTZ,
+            "shippedAt" TIMESTAMPTZ,
+            "completedAt" TIMESTAMPTZ,
+            "cancelledAt" TIMESTAMPTZ,
+            "createdAt" TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+            "updatedAt" TIMESTAMPTZ NOT NULL DEFAULT NOW()
+        )
+    `);
+
+    // Sipariş olay geçmişi — teklif/karşı teklif zinciri ve durum değişiklikleri
+    await pool.query(`
+        CREATE TABLE IF NOT EXISTS store_order_events (
+            id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+            "orderId" UUID NOT NULL REFERENCES store_orders(id) ON DELETE CASCADE,
+            "actorId" UUID REFERENCES users(id) ON DELETE SET NULL,
+            action TEXT NOT NULL,
+            "fromStatus" TEXT,
+            "toStatus" TEXT NOT NULL,
+            price DOUBLE PRECISION,
+            note TEXT,
+            "createdAt" TIMESTAMPTZ NOT NULL DEFAULT NOW()
+        )
+    `);
+
+    // Satıcı değerlendirmeleri — her biri tamamlanmış tek bir siparişe bağlı (sipariş başına bir yorum)
+    await pool.query(`
+        CREATE TABLE IF NOT EXISTS store_reviews (
+            id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+            "orderId" UUID NOT NULL UNIQUE REFERENCES store_orders(id) ON DELETE CASCADE,
+            "productId" UUID REFERENCES products(id) ON DELETE SET NULL,
+            "sellerId" UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+            "buyerId" UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+            rating SMALLINT NOT NULL CHECK (rating BETWEEN 1 AND 5),
+            comment TEXT,
+            "sellerReply" TEXT,
+            "sellerReplyAt" TIMESTAMPTZ,
+            "isHidden" BOOLEAN NOT NULL DEFAULT FALSE,
+            "createdAt" TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+            "updatedAt" TIMESTAMPTZ NOT NULL DEFAULT NOW()
+        )
+    `);
+
+    // Kayıtlı pazar aramaları — yeni ilan bu kriterlere uyarsa kullanıcı bildirim alır
+    await pool.query(`
+        CREATE TABLE IF NOT EXISTS saved_searches (
+            id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+            "userId" UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+            name TEXT NOT NULL,
+            query TEXT,
+            category TEXT,
+            "minPrice" NUMERIC(12,2),
+            "maxPrice" NUMERIC(12,2),
+            city TEXT,
+            lat DOUBLE PRECISION,
+            lon DOUBLE PRECISION,
+            "radiusKm" DOUBLE PRECISION,
+            "isActive" BOOLEAN NOT NULL DEFAULT TRUE,
+            "matchCount" INTEGER NOT NULL DEFAULT 0,
+            "lastMatchAt" TIMESTAMPTZ,
+            "createdAt" TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+            "updatedAt" TIMESTAMPTZ NOT NULL DEFAULT NOW()
+        )
+    `);
+
+    // Eşleşmeler — "notifiedAt" NULL olanlar bir sonraki özet bildirimini bekler
+    await pool.query(`
+        CREATE TABLE IF NOT EXISTS saved_search_matches (
+            id BIGSERIAL PRIMARY KEY,
+            "searchId" UUID NOT NULL REFERENCES saved_searches(id) ON DELETE CASCADE,
+            "userId" UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+            "productId" UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+            "notifiedAt" TIMESTAMPTZ,
+            "createdAt" TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+            UNIQUE("searchId", "productId")
+        )
+    `);
+
+    // Kullanıcı başına son özet zamanı — flush bu satırı koşullu upsert ile "talep eder",
+    // böylece eşzamanlı iki flush aynı pencerede ikinci bir özet gönderemez
+    await pool.query(`
+        CREATE TABLE IF NOT EXISTS saved_search_digests (
+            "userId" UUID PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+            "lastSentAt" TIMESTAMPTZ NOT NULL
+        )
+    `);
+    await pool.query(`
+        INSERT INTO saved_search_digests ("userId", "lastSentAt")
+        SELECT "userId", MAX("notifiedAt") FROM saved_search_matches WHERE "notifiedAt" IS NOT NULL GROUP BY "userId"
+        ON CONFLICT ("userId") DO NOTHING
+    `);
+
 
     await pool.query(`
         CREATE TABLE IF NOT EXISTS farmbook_records (
@@ -2293,6 +2419,93 @@ async function initializeDatabase() {
     // farmbook_records index
     await pool.query(`CREATE INDEX IF NOT EXISTS idx_farmbook_userId ON farmbook_records("userId")`).catch(()=>{});
 
+    // 🚜 Farmbook tarlaları — serbest metin "fieldName" yerine kalıcı tarla kaydı
+    await pool.query(`
+        CREATE TABLE IF NOT EXISTS farmbook_fields (
+            id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+            "userId" UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+            name TEXT NOT NULL,
+            area DOUBLE PRECISION,
+            "areaUnit" TEXT DEFAULT 'dekar',
+            "soilType" TEXT,
+            geometry JSONB,
+            "cropHistory" JSONB NOT NULL DEFAULT '[]'::jsonb,
+            notes TEXT,
+            "isArchived" BOOLEAN NOT NULL DEFAULT FALSE,
+            "archivedAt" TIMESTAMPTZ,
+            "mergedInto" UUID REFERENCES farmbook_fields(id) ON DELETE SET NULL,
+            "createdAt" TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+            "updatedAt" TIMESTAMPTZ NOT NULL DEFAULT NOW()
+        )
+    `);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_farmbook_fields_user ON farmbook_fields("userId", "isArchived")`).catch(()=>{});
+    await pool.query(`ALTER TABLE farmbook_records ADD COLUMN IF NOT EXISTS "fieldId" UUID REFERENCES farmbook_fields(id) ON DELETE SET NULL`).catch(()=>{});
+    // Aynı kullanıcıda aynı isimli iki aktif tarla olamaz (büyük/küçük harf duyarsız).
+    // resolveFarmbookField bu indekse ON CONFLICT yapar; indeks yoksa başlatma durmalı, o yüzden hata yutulmaz.
+    // Önce mevcut tekrarlar en eski tarlaya birleştirilir (merge ucu gibi: kayıtlar taşınır, kopya arşivlenir).
+    if (!(await dbGet(`SELECT to_regclass('uq_farmbook_fields_name') IS NOT NULL AS ok`)).ok) {
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+            await client.query(`SELECT pg_advisory_xact_lock(hashtext('agrolink_farmbook_fields_uq'))`);
+            const { rows: dups } = await client.query(`
+                SELECT id, keep FROM (
+                    SELECT id, FIRST_VALUE(id) OVER w AS keep, ROW_NUMBER() OVER w AS rn
+                    FROM farmbook_fields WHERE "isArchived" = FALSE
+                    WINDOW w AS (PARTITION BY "userId", LOWER(name) ORDER BY "createdAt", id)
+                ) d WHERE rn > 1`);
+            for (const d of dups) {
+                await client.query(
+                    `UPDATE farmbook_records r SET "fieldId"=$1, "fieldName"=f.name, "updatedAt"=NOW()
+                     FROM farmbook_fields f WHERE f.id=$1 AND r."fieldId"=$2`, [d.keep, d.id]);
+                await client.query(
+                    `UPDATE farmbook_fields SET "isArchived"=TRUE, "archivedAt"=NOW(), "mergedInto"=$1, "updatedAt"=NOW() WHERE id=$2`,
+                    [d.keep, d.id]);
+            }
+            await client.query(`CREATE UNIQUE INDEX IF NOT EXISTS uq_farmbook_fields_name ON farmbook_fields("userId", LOWER(name)) WHERE "isArchived" = FALSE`);
+            await client.query('COMMIT');
+            if (dups.length) console.log(`✅ Farmbook: ${dups.length} tekrarlanan tarla birleştirildi`);
+        } catch (e) {
+            await client.query('ROLLBACK').catch(() => {});
+            throw e;
+        } finally {
+            client.release();
+        }
+    }
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_farmbook_fieldId ON farmbook_records("fieldId")`).catch(()=>{});
+
+    // 🧪 İlaç kataloğu + farmbook_records."pesticideId" / hasat_tarlalar."fieldId" (farmbook_fields'e bağlı)
+    await initializePesticideCatalog();
+
+    // Migration: eski serbest metin tarla adlarını tarla kayıtlarına dönüştür.
+    // " Tarla 1 " ve "tarla 1" aynı tarla sayılır; alan bilgisi en son kayıttan alınır.
+    try {
+        const created = await pool.query(`
+            INSERT INTO farmbook_fields ("userId", name, area, "areaUnit", "createdAt", "updatedAt")
+            SELECT DISTINCT ON (r."userId", LOWER(TRIM(r."fieldName")))
+                   r."userId", TRIM(r."fieldName"), r."fieldSize", COALESCE(r."fieldSizeUnit", 'dekar'), NOW(), NOW()
+            FROM farmbook_records r
+            WHERE r."fieldId" IS NULL AND r."fieldName" IS NOT NULL AND TRIM(r."fieldName") != ''
+              AND NOT EXISTS (
+                  SELECT 1 FROM farmbook_fields f
+                  WHERE f."userId" = r."userId" AND LOWER(f.name) = LOWER(TRIM(r."fieldName")) AND f."isArchived" = FALSE
+              )
+            ORDER BY r."userId", LOWER(TRIM(r."fieldName")), r."recordDate" DESC
+        `);
+        const linked = await pool.query(`
+            UPDATE farmbook_records r SET "fieldId" = f.id
+            FROM farmbook_fields f
+            WHERE r."fieldId" IS NULL AND r."fieldName" IS NOT NULL
+              AND f."userId" = r."userId" AND f."isArchived" = FALSE
+              AND LOWER(f.name) = LOWER(TRIM(r."fieldName"))
+        `);
+        if (created.rowCount || linked.rowCount) {
+            console.log(`✅ Farmbook tarla migrasyonu: ${created.rowCount} tarla oluşturuldu, ${linked.rowCount} kayıt bağlandı`);
+        }
+    } catch (e) {
+        console.error('[farmbook fields migration]', e.message);
+    }
+
     await pool.query(`
         CREATE TABLE IF NOT EXISTS saves (
             id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
@@ -2466,6 +2679,8 @@ async function initializeDatabase() {
             "reviewedBy" TEXT
         )
     `);
+    // Mağaza yorumu şikayetleri aynı tabloya düşer
+    await pool.query(`ALTER TABLE reports ADD COLUMN IF NOT EXISTS "reviewId" UUID`);
 
     await pool.query(`
         CREATE TABLE IF NOT EXISTS login_history (
@@ -2887,6 +3102,15 @@ async function initializeDatabase() {
         [`idx_notifications_read`,     `CREATE INDEX IF NOT EXISTS idx_notifications_read ON notifications(read) WHERE read = FALSE`],
         [`idx_saves_userId`,           `CREATE INDEX IF NOT EXISTS idx_saves_userId ON saves("userId")`],
         [`idx_products_sellerId`,      `CREATE INDEX IF NOT EXISTS idx_products_sellerId ON products("sellerId")`],
+        [`idx_store_orders_buyer`,     `CREATE INDEX IF NOT EXISTS idx_store_orders_buyer ON store_orders("buyerId","createdAt" DESC)`],
+        [`idx_store_orders_seller`,    `CREATE INDEX IF NOT EXISTS idx_store_orders_seller ON store_orders("sellerId","createdAt" DESC)`],
+        [`idx_store_order_events`,     `CREATE INDEX IF NOT EXISTS idx_store_order_events ON store_order_events("orderId","createdAt")`],
+        [`idx_store_reviews_seller`,   `CREATE INDEX IF NOT EXISTS idx_store_reviews_seller ON store_reviews("sellerId","createdAt" DESC) WHERE "isHidden" = FALSE`],
+        [`idx_store_reviews_product`,  `CREATE INDEX IF NOT EXISTS idx_store_reviews_product ON store_reviews("productId") WHERE "isHidden" = FALSE`],
+        [`idx_saved_searches_user`,    `CREATE INDEX IF NOT EXISTS idx_saved_searches_user ON saved_searches("userId")`],
+        [`idx_saved_searches_active`,  `CREATE INDEX IF NOT EXISTS idx_saved_searches_active ON saved_searches(category) WHERE "isActive" = TRUE`],
+        [`idx_saved_search_pending`,   `CREATE INDEX IF NOT EXISTS idx_saved_search_pending ON saved_search_matches("userId","createdAt") WHERE "notifiedAt" IS NULL`],
+        [`idx_saved_search_notified`,  `CREATE INDEX IF NOT EXISTS idx_saved_search_notified ON saved_search_matches("userId","notifiedAt" DESC)`],
         [`idx_stories_userId`,         `CREATE INDEX IF NOT EXISTS idx_stories_userId ON stories("userId")`],
         [`idx_stories_expiresAt`,      `CREATE INDEX IF NOT EXISTS idx_stories_expiresAt ON stories("expiresAt")`],
         [`idx_users_username`,         `CREATE INDEX IF NOT EXISTS idx_users_username ON users(username)`],
@@ -2918,6 +3142,9 @@ async function initializeDatabase() {
         [`idx_notif_unread`,           `CREATE INDEX IF NOT EXISTS idx_notif_unread ON notifications("userId",read,"createdAt" DESC) WHERE read = FALSE`],
         // Product search: category + isActive
         [`idx_products_cat_active`,    `CREATE INDEX IF NOT EXISTS idx_products_cat_active ON products(category,"isActive","createdAt" DESC) WHERE "isActive" = TRUE`],
+        // Yakındaki ilanlar: enlem/boylam kutusu ön filtresi + il araması
+        [`idx_products_geo`,           `CREATE INDEX IF NOT EXISTS idx_products_geo ON products(lat, lon) WHERE "isActive" = TRUE AND lat IS NOT NULL`],
+        [`idx_products_city`,          `CREATE INDEX IF NOT EXISTS idx_products_city ON products(LOWER(city)) WHERE "isActive" = TRUE`],
     ];
 
     for (const [name, indexSql] of indexes) {
@@ -2955,6 +3182,15 @@ async function initializeDatabase() {
     `);
     await pool.query(`CREATE INDEX IF NOT EXISTS idx_blacklist_expires ON blacklisted_tokens("expiresAt")`).catch(()=>{});
 
+    // 🔎 Tam metin arama kolonları + trigger'lar (bkz. /api/search)
+    await initializeSearchIndexes().catch(e => console.warn('⚠️ Arama indeksleri kurulamadı:', e.message));
+
+    // 🌾 Feed snapshot tabloları + etkileşim sayacı trigger'ları (bkz. /api/feed)
+    await initializeFeedRanking().catch(e => console.warn('⚠️ Feed sıralama kurulamadı:', e.message));
+
+    // 🗓️ Taslak / zamanlanmış gönderiler (bkz. /api/posts/drafts)
+    await initializePostDrafts().catch(e => console.warn('⚠️ Taslak tablosu kurulamadı:', e.message));
+
     console.log('✅ Tüm tablolar ve indeksler oluşturuldu (UUID)');
 }
 
@@ -3385,6 +3621,30 @@ if (socketIo) {
             }
         });
 
+        // ── 🆘 ACİL YARDIM: talep odası — sahip + yardımcılar canlı konum/ETA paylaşır ──
+        socket.on('acil:join', async ({ talepId } = {}) => {
+            try {
+                if (!(await getAcilRol(talepId, userId))) {
+                    socket.emit('acil:error', { talepId, error: 'Bu talebin odasına erişiminiz yok' });
+                    return;
+                }
+                socket.join(`acil:${talepId}`);
+                socket.emit('acil:helpers', { talepId, helpers: await getAcilHelpers(talepId, true) });
+            } catch (e) { console.error('[acil:join]', e.message); }
+        });
+
+        socket.on('acil:leave', ({ talepId } = {}) => {
+            socket.leave(`acil:${talepId}`);
+        });
+
+        // { talepId, lat, lon, etaMinutes } — sadece aktif yardımcılar
+        socket.on('acil:konum', async (data = {}) => {
+            try {
+                const r = await updateAcilHelperKonum(data.talepId, userId, data);
+                if (r.error) socket.emit('acil:error', { talepId: data.talepId, error: r.error });
+            } catch (e) { console.error('[acil:konum]', e.message); }
+        });
+
         // ══════════════════════════════════════════════════════════════════
         // ── Bağlantı kesildi ─────────────────────────────────────────────
         // ═══════════════════════════════════════════════════
@@ -4211,60 +4471,30 @@ async function runMarketplaceDailyCampaign() {
 
 // Şehir/il adından koordinat bul (Nominatim forward geocode) — 24sa cache'li
 async function geocodeLocationName(locationName) {
-    const key = locationName.trim().toLowerCase();
-    const cached = AppCache.geocode.get(key);
-    if (cached) return cached;
-
-    try {
-        const url = `https://nominatim.openstreetmap.org/search?` +
-            `q=${encodeURIComponent(locationName)}&format=json&limit=1&countrycodes=tr&accept-language=tr`;
-        const res = await fetch(url, { headers: { 'User-Agent': 'AgroSosyal/1.0 (agrolink.app)' } });
-        if (!res.ok) return null;
-        const data = await res.json();
-        if (!data || data.length === 0) return null;
-
-        const result = { lat: parseFloat(data[0].lat), lon: parseFloat(data[0].lon) };
-        AppCache.geocode.set(key, result);
-        return result;
-    } catch (_) { return null; }
+    return WeatherService.geocode(locationName);
 }
 
-// Open-Meteo'dan güncel hava + 7 günlük tahmin al, alertleri buildWeatherAlerts ile üret
+// Güncel hava + 4 günlük tahmin al, alertleri buildWeatherAlerts ile üret
 async function getWeatherAlertsForLocation(lat, lon) {
     try {
-        const cacheKey = `${lat.toFixed(2)},${lon.toFixed(2)}`;
-        const cached = AppCache.weather.get(cacheKey);
-        if (cached) return cached;
-
-        const url = `https://api.open-meteo.com/v1/forecast?latitude=${lat}&longitude=${lon}` +
-            `&current=temperature_2m,precipitation,windspeed_10m` +
-            `&daily=temperature_2m_max,temperature_2m_min,precipitation_sum,windspeed_10m_max` +
-            `&timezone=Europe%2FIstanbul&forecast_days=4`;
-
-        const res = await fetch(url);
-        if (!res.ok) return null;
-        const m = await res.json();
-        const cur = m.current || {};
+        // /api/weather ile aynı cache girdisini paylaşmak için 7 gün istenir
+        const f = await WeatherService.getForecast(lat, lon, { days: 7 });
+        if (!f) return null;
         const DAY_NAMES = ['Paz', 'Pzt', 'Sal', 'Çar', 'Per', 'Cum', 'Cmt'];
-        const daily = (m.daily?.time || []).map((date, i) => {
-            const d = new Date(date);
-            return {
-                dayName: DAY_NAMES[d.getDay()],
-                high: m.daily.temperature_2m_max?.[i],
-                low: m.daily.temperature_2m_min?.[i],
-                precipitation: m.daily.precipitation_sum?.[i] || 0,
-                windMax: m.daily.windspeed_10m_max?.[i] || 0
-            };
-        });
+        const daily = f.daily.slice(0, 4).map(d => ({
+            dayName: DAY_NAMES[new Date(d.date).getDay()],
+            high: d.high,
+            low: d.low,
+            precipitation: d.precipitation || 0,
+            windMax: d.windMax || 0
+        }));
 
-        const temp = cur.temperature_2m ?? null;
-        const precip = cur.precipitation || 0;
-        const wind = cur.windspeed_10m || 0;
+        const temp = f.current.temp ?? null;
+        const precip = f.current.precipitation || 0;
+        const wind = f.current.windSpeed || 0;
 
         const alerts = buildWeatherAlerts(temp, precip, wind, daily);
-        const result = { alerts, temp, precip, wind, daily };
-        AppCache.weather.set(cacheKey, result);
-        return result;
+        return { alerts, temp, precip, wind, daily };
     } catch (_) { return null; }
 }
 
@@ -4360,6 +4590,9 @@ if (cron && process.env.SMART_NOTIF_ENABLED === 'true') {
     // 🌦️ 08:00 — Hava Durumu + Tarım Uyarısı (sadece konumu olan kullanıcılar, gerçek veri)
     cron.schedule('0 8 * * *', runWeatherAlertCampaign, { timezone: 'Europe/Istanbul' });
 
+    // 🦠 07:00 — Hastalık riski (farmerCrops + saatlik tahmin, kural motoru)
+    cron.schedule('0 7 * * *', runDiseaseRiskCampaign, { timezone: 'Europe/Istanbul' });
+
     console.log('✅ Akıllı Bildirim zamanlayıcıları başlatıldı (Europe/Istanbul)');
 }
 
@@ -4934,6 +5167,23 @@ function formatFileSize(bytes) {
 const MAX_CONCURRENT_VIDEOS = parseInt(process.env.MAX_CONCURRENT_VIDEOS || '8'); // ⚡ 3 → 8 paralel video
 let activeVideoJobs = 0;
 
+async function saveVideoInfo(postId, mp4Path) {
+    const vInfo = await getVideoInfo(mp4Path).catch(() => ({}));
+    const existing = await dbGet('SELECT id FROM video_info WHERE "postId" = $1', [postId]);
+    if (existing) {
+        await dbRun(
+            `UPDATE video_info SET duration=$1, width=$2, height=$3, "aspectRatio"=$4, bitrate=$5, codec=$6, "fileSize"=$7 WHERE "postId"=$8`,
+            [vInfo.duration||0, vInfo.width||0, vInfo.height||0, vInfo.aspectRatio||'', vInfo.bitrate||0, vInfo.codec||'', vInfo.fileSize||0, postId]
+        );
+    } else {
+        await dbRun(
+            `INSERT INTO video_info (id, "postId", duration, width, height, "aspectRatio", bitrate, codec, "fileSize", "createdAt")
+             VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,NOW())`,
+            [uuidv4(), postId, vInfo.duration||0, vInfo.width||0, vInfo.height||0, vInfo.aspectRatio||'', vInfo.bitrate||0, vInfo.codec||'', vInfo.fileSize||0]
+        );
+    }
+}
+
 async function processVideoAsync(postId, inputPath, videoId) {
     // Kaynak kontrolü - senkron modda sadece sayacı yönet
     if (activeVideoJobs >= MAX_CONCURRENT_VIDEOS) {
@@ -4995,20 +5245,7 @@ async function processVideoAsync(postId, inputPath, videoId) {
         const hlsOk = false; // HLS kapalı
 
         // 4. Video meta bilgisi
-        const vInfo = await getVideoInfo(mp4Out).catch(() => ({}));
-        const existing = await dbGet('SELECT id FROM video_info WHERE "postId" = $1', [postId]);
-        if (existing) {
-            await dbRun(
-                `UPDATE video_info SET duration=$1, width=$2, height=$3, "aspectRatio"=$4, bitrate=$5, codec=$6, "fileSize"=$7 WHERE "postId"=$8`,
-                [vInfo.duration||0, vInfo.width||0, vInfo.height||0, vInfo.aspectRatio||'', vInfo.bitrate||0, vInfo.codec||'', vInfo.fileSize||0, postId]
-            );
-        } else {
-            await dbRun(
-                `INSERT INTO video_info (id, "postId", duration, width, height, "aspectRatio", bitrate, codec, "fileSize", "createdAt")
-                 VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,NOW())`,
-                [uuidv4(), postId, vInfo.duration||0, vInfo.width||0, vInfo.height||0, vInfo.aspectRatio||'', vInfo.bitrate||0, vInfo.codec||'', vInfo.fileSize||0]
-            );
-        }
+        await saveVideoInfo(postId, mp4Out);
 
         // Temp dosyayı temizle
         await require('fs').promises.unlink(inputPath).catch(() => {});
@@ -6322,6 +6559,24 @@ async function createNotification(userId, type, message, data = {}) {
         } else if (type === 'tag_rejected' && data.actorName) {
             pushTitle = `${data.actorName} ❌`;
             pushBody  = 'Etiket isteğinizi reddetti';
+        } else if (type === 'price_alert') {
+            pushTitle = data.pushTitle || '💰 Fiyat Alarmı';
+            pushBody  = message;
+        } else if (type === 'store_order') {
+            pushTitle = data.productName ? `🛒 ${String(data.productName).substring(0, 60)}` : '🛒 Sipariş';
+            pushBody  = message;
+        } else if (type === 'disease_risk') {
+            pushTitle = data.pushTitle || '🦠 Hastalık Riski';
+            pushBody  = message;
+        } else if (type === 'acil_yardim') {
+            pushTitle = data.pushTitle || '🆘 ACİL YARDIM';
+            pushBody  = message;
+        } else if (type === 'scheduled_post') {
+            pushTitle = data.failed ? '⚠️ Zamanlanmış gönderi' : '🗓️ Gönderiniz yayında';
+            pushBody  = message;
+        } else if (type === 'saved_search') {
+            pushTitle = data.count > 1 ? `🔔 ${data.count} yeni ilan` : '🔔 Aradığınız ilan geldi';
+            pushBody  = message;
         }
 
         const urlMap = {
@@ -6333,6 +6588,12 @@ async function createNotification(userId, type, message, data = {}) {
             disease_alarm: '/feed',
             tag_request  : data.postId ? `/p/${data.postId}` : '/',
             tag_rejected  : data.postId ? `/p/${data.postId}` : '/',
+            price_alert  : '/fiyatlar',
+            store_order  : data.orderId ? `/store/orders/${data.orderId}` : '/store',
+            disease_risk : '/weather',
+            acil_yardim  : data.talepId ? `/acil/${data.talepId}` : '/',
+            saved_search : data.productId ? `/store/products/${data.productId}` : '/store',
+            scheduled_post: data.postId ? `/p/${data.postId}` : '/drafts',
         };
 
         // Web push (browser)
@@ -8197,277 +8458,320 @@ app.get('/api/upload/chunk/config', authenticateToken, (req, res) => {
 // =============================================================================
 
 // ─── 10. GÖNDERI OLUŞTUR ────────────────────────────────────────────
-app.post('/api/posts', authenticateToken, postCreateLimiter, checkRestriction('post'), upload.array('media', 10), async (req, res) => {
-    try {
-        const { content = '', isPoll, pollQuestion, pollOptions, latitude, longitude, locationName, allowComments = 'true', uploadedUrls: uploadedUrlsRaw, taggedUsers: taggedUsersRaw } = req.body;
-        const isAnketMode = isPoll === 'true' || isPoll === true;
-        const hasText = content && content.trim().length > 0;
-        const hasMedia = req.files && req.files.length > 0;
-        // Önceden /api/upload ile yüklenmiş URL'ler
-        let preUploadedItems = [];
-        if (uploadedUrlsRaw) {
-            try { preUploadedItems = JSON.parse(uploadedUrlsRaw); } catch(e) { preUploadedItems = []; }
+// Medya işleme (preparePostMedia), posts satırı (insertPostRow) ve paylaşım sonrası işler
+// (afterPostCreated) taslaktan yayınlanan gönderilerle ortaktır — bkz. 10b.
+
+// Yüklenen dosyaları doğrular/işler; dosya yoksa /api/upload ile önceden yüklenmiş URL'leri alır.
+// Doğrulama hatasında temp dosyalar silinir ve { error } döner.
+async function preparePostMedia(req, preUploadedItems = []) {
+    let media = null;
+    let mediaType = 'text';
+    let mediaWidth = null;
+    let mediaHeight = null;
+    let pendingVideo = null;
+    const allMediaItems = []; // { url, type, width, height }
+
+    if (req.files && req.files.length > 0) {
+        for (let fi = 0; fi < req.files.length; fi++) {
+            const file = req.files[fi];
+            const isVideo = file.mimetype.startsWith('video/');
+
+            // 🔒 Magic bytes + tip bazlı boyut doğrulama (mavi tik → 300MB, normal → 100MB)
+            const videoLimit = isVideo ? getVideoLimit(req.user?.isVerified) : null;
+            try { await verifyUploadedFile(file, isVideo ? 'postVideo' : 'postImage', videoLimit); }
+            catch (verifyErr) {
+                // Kalan temp dosyaları temizle
+                for (const f of req.files) await fs.unlink(f.path).catch(() => {});
+                return { error: verifyErr.message };
+            }
+
+            if (isVideo) {
+                const videoId  = `video_${uuidv4().replace(/-/g,"").slice(0,16)}`;
+                const tempPath = path.join(tempDir, `${videoId}_raw${path.extname(file.originalname).toLowerCase() || '.mp4'}`);
+                const rawServedPath = path.join(videosDir, `${videoId}_raw.mp4`);
+
+                await fs.copyFile(file.path, tempPath);
+                await fs.copyFile(file.path, rawServedPath);
+                await fs.unlink(file.path).catch(() => {});
+
+                const videoUrl = `/uploads/videos/${videoId}_raw.mp4`;
+                allMediaItems.push({ url: videoUrl, type: 'video', width: null, height: null });
+
+                if (fi === 0) {
+                    media     = videoUrl;
+                    mediaType = 'video';
+                    pendingVideo = { videoId, tempPath };
+                }
+            } else {
+                const filename = `img_${uuidv4().replace(/-/g,"").slice(0,16)}.webp`;
+                const outputPath = path.join(postsDir, filename);
+                let imgWidth = null, imgHeight = null;
+                try {
+                    // ✅ processImage: EXIF rotate fix + concurrency limiter
+                    const info = await processImage(file.path, outputPath, { width: 1920, height: 1920, fit: 'inside', quality: 78, effort: 4 });
+                    imgWidth = info.width || null;
+                    imgHeight = info.height || null;
+                } catch (e) {
+                    await fs.copyFile(file.path, outputPath);
+                }
+                await fs.unlink(file.path).catch(() => {});
+
+                const imgUrl = `/uploads/posts/${filename}`;
+                allMediaItems.push({ url: imgUrl, type: 'image', width: imgWidth, height: imgHeight });
+
+                if (fi === 0) {
+                    media     = imgUrl;
+                    mediaType = 'image';
+                    mediaWidth = imgWidth;
+                    mediaHeight = imgHeight;
+                }
+            }
         }
-        const hasPreUploaded = preUploadedItems.length > 0;
-        const hasPoll = isAnketMode && pollQuestion;
+    }
 
-        if (!hasText && !hasMedia && !hasPreUploaded && !hasPoll) {
-            return res.status(400).json({ error: 'Boş gönderi oluşturulamaz' });
+    // Bu istekte diskte oluşturulanlar (önceden yüklenmiş URL'ler hariç)
+    const ownedUrls = allMediaItems.map(item => item.url);
+
+    // Önceden /api/upload ile yüklenen dosyaları ekle (UI sıralı yükleme)
+    if (preUploadedItems.length > 0 && allMediaItems.length === 0) {
+        for (let i = 0; i < preUploadedItems.length; i++) {
+            const item = preUploadedItems[i];
+            allMediaItems.push({ url: item.url, type: item.type || 'image', width: null, height: null });
+            if (i === 0) {
+                media = item.url;
+                mediaType = item.type || 'image';
+            }
         }
+    }
 
-        const user = await dbGet('SELECT id, username, "userType" FROM users WHERE id = $1', [req.user.id]);
-        if (!user) return res.status(404).json({ error: 'Kullanıcı bulunamadı' });
+    return { items: allMediaItems, ownedUrls, media, mediaType, mediaWidth, mediaHeight, pendingVideo };
+}
 
-        let media = null;
-        let mediaType = 'text';
-        let mediaWidth = null;
-        let mediaHeight = null;
-        const allMediaItems = []; // { url, type, width, height }
-
-        if (hasMedia) {
-            for (let fi = 0; fi < req.files.length; fi++) {
-                const file = req.files[fi];
-                const isVideo = file.mimetype.startsWith('video/');
-
-                // 🔒 Magic bytes + tip bazlı boyut doğrulama (mavi tik → 300MB, normal → 100MB)
-                const videoLimit = isVideo ? getVideoLimit(req.user?.isVerified) : null;
-                try { await verifyUploadedFile(file, isVideo ? 'postVideo' : 'postImage', videoLimit); }
-                catch (verifyErr) {
-                    // Kalan temp dosyaları temizle
-                    for (const f of req.files) await fs.unlink(f.path).catch(() => {});
-                    return res.status(400).json({ error: verifyErr.message });
-                }
+function parsePreUploadedItems(raw) {
+    if (!raw) return [];
+    try {
+        const items = typeof raw === 'string' ? JSON.parse(raw) : raw;
+        return Array.isArray(items) ? items : [];
+    } catch (e) { return []; }
+}
 
-                if (isVideo) {
-                    const videoId  = `video_${uuidv4().replace(/-/g,"").slice(0,16)}`;
-                    const tempPath = path.join(tempDir, `${videoId}_raw${path.extname(file.originalname).toLowerCase() || '.mp4'}`);
-                    const rawServedPath = path.join(videosDir, `${videoId}_raw.mp4`);
+function parsePollOptions(pollOptions) {
+    if (!pollOptions) return null;
+    try {
+        const opts = typeof pollOptions === 'string' ? JSON.parse(pollOptions) : pollOptions;
+        return JSON.stringify(opts.map((o, i) => ({ id: i, text: o, votes: 0 })));
+    } catch (e) { return null; }
+}
 
-                    await fs.copyFile(file.path, tempPath);
-                    await fs.copyFile(file.path, rawServedPath);
-                    await fs.unlink(file.path).catch(() => {});
+function parseTaggedUsers(raw) {
+    let taggedUsers = [];
+    if (raw) {
+        try { taggedUsers = typeof raw === 'string' ? JSON.parse(raw) : raw; } catch (_) {}
+    }
+    return Array.isArray(taggedUsers) ? taggedUsers.slice(0, 20) : [];
+}
 
-                    const videoUrl = `/uploads/videos/${videoId}_raw.mp4`;
-                    allMediaItems.push({ url: videoUrl, type: 'video', width: null, height: null });
+// db: pool ya da transaction içindeki client (taslak yayınlama)
+async function insertPostRow(db, postId, user, f) {
+    // ⚡ RETURNING * ile ekstra SELECT turu önlendi (performans)
+    const insertResult = await db.query(
+        `INSERT INTO posts (id, "userId", username, content, media, "mediaType", "mediaUrls", "mediaWidth", "mediaHeight",
+         "thumbnailUrl", "isPoll", "pollQuestion", "pollOptions",
+         latitude, longitude, "locationName", "allowComments", "isActive", "createdAt", "updatedAt")
+         VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16,$17,TRUE,NOW(),NOW())
+         RETURNING *`,
+        [postId, user.id, user.username, f.content || '', f.media, f.mediaType, f.mediaUrls,
+         f.mediaWidth, f.mediaHeight, f.thumbnailUrl || null, f.isPoll, f.pollQuestion || null, f.pollOptions,
+         f.latitude, f.longitude, f.locationName || null, f.allowComments]
+    );
+    return insertResult.rows[0];
+}
 
-                    if (fi === 0) {
-                        media     = videoUrl;
-                        mediaType = 'video';
-                        req._pendingVideo = { videoId, tempPath };
-                    }
-                } else {
-                    const filename = `img_${uuidv4().replace(/-/g,"").slice(0,16)}.webp`;
-                    const outputPath = path.join(postsDir, filename);
-                    let imgWidth = null, imgHeight = null;
-                    try {
-                        // ✅ processImage: EXIF rotate fix + concurrency limiter
-                        const info = await processImage(file.path, outputPath, { width: 1920, height: 1920, fit: 'inside', quality: 78, effort: 4 });
-                        imgWidth = info.width || null;
-                        imgHeight = info.height || null;
-                    } catch (e) {
-                        await fs.copyFile(file.path, outputPath);
-                    }
-                    await fs.unlink(file.path).catch(() => {});
+// Paylaşım sonrası: post_media, mention/hashtag, video işleme, feed, takipçi ve etiket bildirimleri.
+// actor: { id, username, name, profilePic } — istek sahibi ya da taslağın sahibi
+async function afterPostCreated(postRow, actor, { mediaItems = [], pendingVideo = null, taggedUsers = [] } = {}) {
+    const postId  = postRow.id;
+    const content = postRow.content;
 
-                    const imgUrl = `/uploads/posts/${filename}`;
-                    allMediaItems.push({ url: imgUrl, type: 'image', width: imgWidth, height: imgHeight });
+    // post_media tablosuna da ekle (çoklu medya için)
+    for (let i = 0; i < mediaItems.length; i++) {
+        const m = mediaItems[i];
+        await dbRun(
+            `INSERT INTO post_media (id, "postId", url, "mediaType", width, height, "sortOrder", "createdAt")
+             VALUES ($1,$2,$3,$4,$5,$6,$7,NOW())
+             ON CONFLICT DO NOTHING`,
+            [uuidv4(), postId, m.url, m.type, m.width, m.height, i]
+        ).catch(() => {});
+    }
 
-                    if (fi === 0) {
-                        media     = imgUrl;
-                        mediaType = 'image';
-                        mediaWidth = imgWidth;
-                        mediaHeight = imgHeight;
+    // ⚡ @Mention bildirimleri — gönderi içindeki @kullanıcı etiketleri
+    if (content) {
+        const mentionMatches = content.match(/@([\w.]+)/g);
+        if (mentionMatches) {
+            const uniqueMentions = [...new Set(mentionMatches.map(m => m.slice(1).toLowerCase()))];
+            setImmediate(async () => {
+                for (const uname of uniqueMentions.slice(0, 10)) { // max 10 mention/gönderi
+                    if (uname === actor.username.toLowerCase()) continue; // kendini etiketleme
+                    const mentioned = await dbGet(
+                        'SELECT id FROM users WHERE LOWER(username) = $1 AND "isActive" = TRUE', [uname]
+                    ).catch(() => null);
+                    if (mentioned) {
+                        createNotification(mentioned.id, 'mention',
+                            `${actor.username} sizi bir gönderide etiketledi`, {
+                                postId,
+                                actorName      : actor.name || actor.username,
+                                actorUsername  : actor.username,
+                                actorProfilePic: actor.profilePic || '',
+                            });
                     }
                 }
-            }
-        }
-
-        // Önceden /api/upload ile yüklenen dosyaları ekle (UI sıralı yükleme)
-        if (hasPreUploaded && allMediaItems.length === 0) {
-            for (let i = 0; i < preUploadedItems.length; i++) {
-                const item = preUploadedItems[i];
-                allMediaItems.push({ url: item.url, type: item.type || 'image', width: null, height: null });
-                if (i === 0) {
-                    media = item.url;
-                    mediaType = item.type || 'image';
-                }
-            }
+            });
         }
+    }
 
-        // mediaUrls JSON: birden fazlaysa array, tekse de array (tek medya bile olsa)
-        const mediaUrlsJson = allMediaItems.length > 0 ? JSON.stringify(allMediaItems) : null;
-
-        const postId = uuidv4();
-        let parsedPollOptions = null;
-        if (hasPoll && pollOptions) {
-            try {
-                const opts = typeof pollOptions === 'string' ? JSON.parse(pollOptions) : pollOptions;
-                parsedPollOptions = JSON.stringify(opts.map((o, i) => ({ id: i, text: o, votes: 0 })));
-            } catch (e) { parsedPollOptions = null; }
+    // ⚡ Hashtag'leri PARALEL işle
+    if (content) {
+        const hashtagMatches = content.match(/#[\wığüşöçĞÜŞÖÇİ]+/g);
+        if (hashtagMatches) {
+            const uniqueTags = [...new Set(hashtagMatches.map(t => t.toLowerCase()))];
+            await Promise.all(uniqueTags.map(async (cleanTag) => {
+                try {
+                    const hId = uuidv4();
+                    const result = await pool.query(
+                        `INSERT INTO hashtags (id, tag, "postCount", "createdAt")
+                         VALUES ($1, $2, 1, NOW())
+                         ON CONFLICT (tag) DO UPDATE SET "postCount" = hashtags."postCount" + 1
+                         RETURNING id`,
+                        [hId, cleanTag]
+                    );
+                    const hashtagId = result.rows[0].id;
+                    await pool.query(
+                        `INSERT INTO post_hashtags (id, "postId", "hashtagId") VALUES ($1, $2, $3) ON CONFLICT DO NOTHING`,
+                        [uuidv4(), postId, hashtagId]
+                    );
+                } catch (e) { /* hashtag hatası postu engellemez */ }
+            }));
         }
+    }
 
-        // ⚡ RETURNING * ile ekstra SELECT turu önlendi (performans)
-        const insertResult = await pool.query(
-            `INSERT INTO posts (id, "userId", username, content, media, "mediaType", "mediaUrls", "mediaWidth", "mediaHeight",
-             "isPoll", "pollQuestion", "pollOptions",
-             latitude, longitude, "locationName", "allowComments", "isActive", "createdAt", "updatedAt")
-             VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16,TRUE,NOW(),NOW())
-             RETURNING *`,
-            [postId, req.user.id, user.username, content || '', media, mediaType, mediaUrlsJson,
-             mediaWidth, mediaHeight, isAnketMode, pollQuestion || null, parsedPollOptions,
-             latitude ? parseFloat(latitude) : null, longitude ? parseFloat(longitude) : null,
-             locationName || null, allowComments !== 'false']
+    // ⚡ Video varsa ARKA PLANDA işle
+    if (pendingVideo) {
+        const { videoId, tempPath } = pendingVideo;
+        console.log(`🎬 Arka planda video başlatılıyor: ${videoId}`);
+        processVideoAsync(postId, tempPath, videoId).catch(err =>
+            console.error(`❌ Arka plan video hatası (${videoId}):`, err.message)
         );
-        const postRow = insertResult.rows[0];
+    }
 
-        // post_media tablosuna da ekle (çoklu medya için)
-        if (allMediaItems.length > 0) {
-            for (let i = 0; i < allMediaItems.length; i++) {
-                const m = allMediaItems[i];
-                await dbRun(
-                    `INSERT INTO post_media (id, "postId", url, "mediaType", width, height, "sortOrder", "createdAt")
-                     VALUES ($1,$2,$3,$4,$5,$6,$7,NOW())
-                     ON CONFLICT DO NOTHING`,
-                    [uuidv4(), postId, m.url, m.type, m.width, m.height, i]
-                ).catch(() => {});
+    // ⚡ Kendi gönderisi feed'inde hemen görünsün — snapshot bir sonraki 1. sayfada yenilenir
+    invalidateFeedSnapshots(actor.id).catch(() => {});
+
+    // 🔔 Takipçilere "yeni gönderi" bildirimi gönder (arka planda, yanıtı bloke etmez)
+    setImmediate(async () => {
+        try {
+            const followers = await dbAll(
+                `SELECT "followerId" FROM follows WHERE "followingId" = $1`,
+                [actor.id]
+            );
+            if (followers && followers.length > 0) {
+                const postPreview = content ? content.substring(0, 120) : '';
+                for (const f of followers) {
+                    createNotification(f.followerId, 'new_post', `${actor.username} yeni bir gönderi paylaştı`, {
+                        postId,
+                        actorName      : actor.name || actor.username,
+                        actorUsername  : actor.username,
+                        actorProfilePic: actor.profilePic || '',
+                        postPreview,
+                    });
+                }
             }
+        } catch (e) {
+            console.error('[Takipçi bildirim hatası]', e.message);
         }
+    });
 
-        // ⚡ @Mention bildirimleri — gönderi içindeki @kullanıcı etiketleri
-        if (content) {
-            const mentionMatches = content.match(/@([\w.]+)/g);
-            if (mentionMatches) {
-                const uniqueMentions = [...new Set(mentionMatches.map(m => m.slice(1).toLowerCase()))];
-                setImmediate(async () => {
-                    for (const uname of uniqueMentions.slice(0, 10)) { // max 10 mention/gönderi
-                        if (uname === req.user.username.toLowerCase()) continue; // kendini etiketleme
-                        const mentioned = await dbGet(
-                            'SELECT id FROM users WHERE LOWER(username) = $1 AND "isActive" = TRUE', [uname]
-                        ).catch(() => null);
-                        if (mentioned) {
-                            createNotification(mentioned.id, 'mention',
-                                `${req.user.username} sizi bir gönderide etiketledi`, {
-                                    postId,
-                                    actorName      : req.user.name || req.user.username,
-                                    actorUsername  : req.user.username,
-                                    actorProfilePic: req.user.profilePic || '',
-                                });
-                        }
+    // ── 🏷️ ETİKETLENEN KULLANICILAR (tag_request bildirimleri) ──────────────
+    if (taggedUsers.length === 0) return;
+    setImmediate(async () => {
+        try {
+            const tagger = await dbGet('SELECT id, name, username, "profilePic" FROM users WHERE id=$1', [actor.id]).catch(() => null);
+            if (!tagger) return;
+
+            const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+            for (const targetId of taggedUsers.slice(0, 20)) {
+                if (targetId === actor.id) continue;
+                if (!uuidRegex.test(targetId)) continue;
+
+                const target = await dbGet('SELECT id FROM users WHERE id=$1 AND "isActive"=TRUE AND "isBanned"=FALSE', [targetId]).catch(() => null);
+                if (!target) continue;
+
+                // Etiket isteğini DB'ye kaydet (pending)
+                await dbRun(`
+                    INSERT INTO post_tag_requests (id, "postId", "taggerId", "taggedUserId", status, "createdAt")
+                    VALUES ($1, $2, $3, $4, 'pending', NOW())
+                    ON CONFLICT ("postId","taggedUserId") DO NOTHING
+                `, [uuidv4(), postId, actor.id, targetId]).catch(() => {});
+
+                // FCM + web push bildirimi gönder
+                createNotification(
+                    targetId,
+                    'tag_request',
+                    `${tagger.name || tagger.username} sizi bir gönderisinde etiketledi. Profilinizde görünsün mü?`,
+                    {
+                        postId,
+                        taggerId       : actor.id,
+                        actorName      : tagger.name || tagger.username,
+                        actorUsername  : tagger.username,
+                        actorProfilePic: tagger.profilePic || '',
+                        postPreview    : content ? content.substring(0, 100) : '',
                     }
-                });
+                ).catch(() => {});
             }
+        } catch (e) {
+            console.error('[TagRequest] Hata:', e.message);
         }
+    });
+}
 
-        // ⚡ Hashtag'leri PARALEL işle
-        if (content) {
-            const hashtagMatches = content.match(/#[\wığüşöçĞÜŞÖÇİ]+/g);
-            if (hashtagMatches) {
-                const uniqueTags = [...new Set(hashtagMatches.map(t => t.toLowerCase()))];
-                await Promise.all(uniqueTags.map(async (cleanTag) => {
-                    try {
-                        const hId = uuidv4();
-                        const result = await pool.query(
-                            `INSERT INTO hashtags (id, tag, "postCount", "createdAt")
-                             VALUES ($1, $2, 1, NOW())
-                             ON CONFLICT (tag) DO UPDATE SET "postCount" = hashtags."postCount" + 1
-                             RETURNING id`,
-                            [hId, cleanTag]
-                        );
-                        const hashtagId = result.rows[0].id;
-                        await pool.query(
-                            `INSERT INTO post_hashtags (id, "postId", "hashtagId") VALUES ($1, $2, $3) ON CONFLICT DO NOTHING`,
-                            [uuidv4(), postId, hashtagId]
-                        );
-                    } catch (e) { /* hashtag hatası postu engellemez */ }
-                }));
-            }
-        }
+app.post('/api/posts', authenticateToken, postCreateLimiter, checkRestriction('post'), upload.array('media', 10), async (req, res) => {
+    try {
+        const { content = '', isPoll, pollQuestion, pollOptions, latitude, longitude, locationName, allowComments = 'true', uploadedUrls: uploadedUrlsRaw, taggedUsers: taggedUsersRaw } = req.body;
+        const isAnketMode = isPoll === 'true' || isPoll === true;
+        const hasText = content && content.trim().length > 0;
+        const hasMedia = req.files && req.files.length > 0;
+        // Önceden /api/upload ile yüklenmiş URL'ler
+        const preUploadedItems = parsePreUploadedItems(uploadedUrlsRaw);
+        const hasPreUploaded = preUploadedItems.length > 0;
+        const hasPoll = isAnketMode && pollQuestion;
 
-        // ⚡ Video varsa ARKA PLANDA işle
-        if (req._pendingVideo) {
-            const { videoId, tempPath } = req._pendingVideo;
-            console.log(`🎬 Arka planda video başlatılıyor: ${videoId}`);
-            processVideoAsync(postId, tempPath, videoId).catch(err =>
-                console.error(`❌ Arka plan video hatası (${videoId}):`, err.message)
-            );
+        if (!hasText && !hasMedia && !hasPreUploaded && !hasPoll) {
+            return res.status(400).json({ error: 'Boş gönderi oluşturulamaz' });
         }
 
-        // ⚡ Bu kullanıcının feed cache'ini temizle
-        AppCache.feed.delPattern(req.user.id + ':'); // Feed cache temizle (yeni post)
+        const user = await dbGet('SELECT id, username, "userType" FROM users WHERE id = $1', [req.user.id]);
+        if (!user) return res.status(404).json({ error: 'Kullanıcı bulunamadı' });
 
-        // 🔔 Takipçilere "yeni gönderi" bildirimi gönder (arka planda, yanıtı bloke etmez)
-        setImmediate(async () => {
-            try {
-                const followers = await dbAll(
-                    `SELECT "followerId" FROM follows WHERE "followingId" = $1`,
-                    [req.user.id]
-                );
-                if (followers && followers.length > 0) {
-                    const postPreview = content ? content.substring(0, 120) : '';
-                    for (const f of followers) {
-                        createNotification(f.followerId, 'new_post', `${req.user.username} yeni bir gönderi paylaştı`, {
-                            postId,
-                            actorName      : req.user.name || req.user.username,
-                            actorUsername  : req.user.username,
-                            actorProfilePic: req.user.profilePic || '',
-                            postPreview,
-                        });
-                    }
-                }
-            } catch (e) {
-                console.error('[Takipçi bildirim hatası]', e.message);
-            }
-        });
+        const m = await preparePostMedia(req, preUploadedItems);
+        if (m.error) return res.status(400).json({ error: m.error });
 
-        res.status(201).json({ success: true, message: 'Gönderi paylaşıldı', post: formatPost(postRow) });
+        // mediaUrls JSON: birden fazlaysa array, tekse de array (tek medya bile olsa)
+        const mediaUrlsJson = m.items.length > 0 ? JSON.stringify(m.items) : null;
 
-        // ── 🏷️ ETİKETLENEN KULLANICILAR (tag_request bildirimleri) ──────────────
-        setImmediate(async () => {
-            try {
-                let taggedUsers = [];
-                if (taggedUsersRaw) {
-                    try { taggedUsers = typeof taggedUsersRaw === 'string' ? JSON.parse(taggedUsersRaw) : taggedUsersRaw; } catch (_) {}
-                }
-                if (!Array.isArray(taggedUsers) || taggedUsers.length === 0) return;
-
-                const actor = await dbGet('SELECT id, name, username, "profilePic" FROM users WHERE id=$1', [req.user.id]).catch(() => null);
-                if (!actor) return;
-
-                const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
-
-                for (const targetId of taggedUsers.slice(0, 20)) {
-                    if (targetId === req.user.id) continue;
-                    if (!uuidRegex.test(targetId)) continue;
-
-                    const target = await dbGet('SELECT id FROM users WHERE id=$1 AND "isActive"=TRUE AND "isBanned"=FALSE', [targetId]).catch(() => null);
-                    if (!target) continue;
-
-                    // Etiket isteğini DB'ye kaydet (pending)
-                    await dbRun(`
-                        INSERT INTO post_tag_requests (id, "postId", "taggerId", "taggedUserId", status, "createdAt")
-                        VALUES ($1, $2, $3, $4, 'pending', NOW())
-                        ON CONFLICT ("postId","taggedUserId") DO NOTHING
-                    `, [uuidv4(), postId, req.user.id, targetId]).catch(() => {});
-
-                    // FCM + web push bildirimi gönder
-                    createNotification(
-                        targetId,
-                        'tag_request',
-                        `${actor.name || actor.username} sizi bir gönderisinde etiketledi. Profilinizde görünsün mü?`,
-                        {
-                            postId,
-                            taggerId       : req.user.id,
-                            actorName      : actor.name || actor.username,
-                            actorUsername  : actor.username,
-                            actorProfilePic: actor.profilePic || '',
-                            postPreview    : content ? content.substring(0, 100) : '',
-                        }
-                    ).catch(() => {});
-                }
-            } catch (e) {
-                console.error('[TagRequest] Hata:', e.message);
-            }
+        const postId = uuidv4();
+        const postRow = await insertPostRow(pool, postId, user, {
+            content, media: m.media, mediaType: m.mediaType, mediaUrls: mediaUrlsJson,
+            mediaWidth: m.mediaWidth, mediaHeight: m.mediaHeight,
+            isPoll: isAnketMode, pollQuestion, pollOptions: hasPoll ? parsePollOptions(pollOptions) : null,
+            latitude: latitude ? parseFloat(latitude) : null, longitude: longitude ? parseFloat(longitude) : null,
+            locationName, allowComments: allowComments !== 'false',
         });
+
+        await afterPostCreated(postRow, req.user, {
+            mediaItems: m.items, pendingVideo: m.pendingVideo, taggedUsers: parseTaggedUsers(taggedUsersRaw),
+        });
+
+        res.status(201).json({ success: true, message: 'Gönderi paylaşıldı', post: formatPost(postRow) });
     } catch (error) {
         console.error('Post oluşturma hatası:', error);
         if (req.files) { for (const f of req.files) { await fs.unlink(f.path).catch(() => {}); } }
@@ -8475,136 +8779,1171 @@ app.post('/api/posts', authenticateToken, postCreateLimiter, checkRestriction('p
     }
 });
 
-// ─── 11. FEED ───────────────────────────────────────────────────────
-// ⚡ FEED ÖNBELLEK - kullanıcı başına 30 saniyelik cache (LRU)
-// ✅ TAKIP FEED: Sadece takip edilen kullanıcıların gönderileri + kendi gönderileri
-// AppCache.feed: 200 kullanıcı, 30s TTL, LRU eviction
+// ─── 10b. TASLAK & ZAMANLANMIŞ GÖNDERİLER: /api/posts/drafts ───────
+// Kooperatif/firma duyuruları önceden hazırlanır. Medya taslak kaydedilirken işlenir (resim → webp,
+// video → optimize mp4 arka planda; bitene kadar "mediaPending"). Yayınlanınca normal gönderi gibi
+// posts'a yazılır ve afterPostCreated çalışır.
+//   status: draft → scheduled → published  (yayınlama POST_SCHEDULE_MAX_ATTEMPTS kez başarısızsa failed)
+// Başarısız denemeden sonra "nextAttemptAt" artan aralıkla ileri alınır (5 dk, 20 dk, ...), geçici
+// hatalar (DB/disk) hemen üç tick içinde failed'a düşmesin.
+// Çift yayın koruması: publishDraft taslak satırını FOR UPDATE kilitler, posts INSERT ve status='published'
+// aynı transaction'da — kullanıcının "şimdi yayınla"sı ile zamanlayıcı çakışsa bile tek gönderi oluşur.
+// Zamanlayıcı (publishDueScheduledPosts) worker başlangıcında kurulur; her tick'te advisory try-lock
+// alan tek worker tarar.
+const POST_DRAFT_MAX_PER_USER      = 100;
+const POST_SCHEDULE_MIN_LEAD_SEC   = 60;
+const POST_SCHEDULE_MAX_DAYS       = 90;
+const POST_SCHEDULE_MAX_ATTEMPTS   = 3;
+const POST_SCHEDULE_RETRY_BASE_MIN = 5;  // n. başarısız denemeden sonra bekleme: 5 × 4^(n-1) dk
+const POST_SCHEDULER_TICK_MS       = 30 * 1000;
+const POST_DRAFT_MEDIA_WAIT_MIN    = 30; // video hâlâ işleniyorsa en fazla bu kadar ertele, sonra ham mp4 ile yayınla
+const POST_DRAFT_STATUSES          = ['draft', 'scheduled', 'published', 'failed'];
+
+async function initializePostDrafts() {
+    await pool.query(`
+        CREATE TABLE IF NOT EXISTS post_drafts (
+            id                UUID PRIMARY KEY,
+            "userId"          UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+            status            TEXT NOT NULL DEFAULT 'draft' CHECK (status IN ('draft','scheduled','published','failed')),
+            content           TEXT NOT NULL DEFAULT '',
+            media             TEXT,
+            "mediaType"       TEXT NOT NULL DEFAULT 'text',
+            "mediaUrls"       TEXT,
+            "mediaWidth"      INTEGER,
+            "mediaHeight"     INTEGER,
+            "thumbnailUrl"    TEXT,
+            "ownedFiles"      TEXT,
+            "mediaPending"    BOOLEAN NOT NULL DEFAULT FALSE,
+            "isPoll"          BOOLEAN NOT NULL DEFAULT FALSE,
+            "pollQuestion"    TEXT,
+            "pollOptions"     JSONB,
+            latitude          DOUBLE PRECISION,
+            longitude         DOUBLE PRECISION,
+            "locationName"    TEXT,
+            "allowComments"   BOOLEAN NOT NULL DEFAULT TRUE,
+            "taggedUsers"     JSONB,
+            "scheduledAt"     TIMESTAMPTZ,
+            "publishedPostId" UUID REFERENCES posts(id) ON DELETE SET NULL,
+            "publishedAt"     TIMESTAMPTZ,
+            attempts          INTEGER NOT NULL DEFAULT 0,
+            "lastError"       TEXT,
+            "createdAt"       TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+            "updatedAt"       TIMESTAMPTZ NOT NULL DEFAULT NOW()
+        );
+        CREATE INDEX IF NOT EXISTS idx_post_drafts_user ON post_drafts("userId", status, "updatedAt" DESC);
+        CREATE INDEX IF NOT EXISTS idx_post_drafts_due  ON post_drafts("scheduledAt") WHERE status = 'scheduled';
+        ALTER TABLE post_drafts ADD COLUMN IF NOT EXISTS "ownedFiles" TEXT;
+        ALTER TABLE post_drafts ADD COLUMN IF NOT EXISTS "nextAttemptAt" TIMESTAMPTZ;
+    `);
+}
 
-app.get('/api/feed', authenticateToken, async (req, res) => {
-    try {
-        const { limit, page, offset } = safePagination(req.query, 20, 50);
-        const lim = Math.min(Math.max(parseInt(limit)||20, 1), 100);
-        const off = Math.max(offset||0, 0);
-        const cacheKey = `${req.user.id}:${page}:${lim}`;
-
-        // ⚡ Cache hit
-        const cached = AppCache.feed.get(cacheKey);
-        if (cached) return res.json(cached);
-
-        // ══════════════════════════════════════════════════════════════
-        // 🌾 AGROLINK FEED ALGORİTMASI — Instagram mantığı
-        //
-        // Havuz:
-        //   A) Takip ettiklerinin gönderileri  (öncelik: yüksek)
-        //   B) Keşfet gönderileri              (beğeni/yorum/kaydetme ağırlıklı)
-        //   C) Kendi gönderileri               (her zaman dahil)
-        //
-        // Skor Formülü (0-100):
-        //   - Takip edilen kullanıcı    → +40 puan
-        //   - Doğrulanmış hesap         → +10 puan
-        //   - Çiftçi rozeti             → +5 puan
-        //   - Beğeni sayısı             → log10(likes+1) * 8  (max ~24)
-        //   - Yorum sayısı              → log10(comments+1)*6 (max ~18)
-        //   - Kaydetme sayısı           → log10(saves+1)*5    (max ~15)
-        //   - Taze içerik (<2 saat)     → +15 puan
-        //   - Güncel içerik (<24 saat)  → +8 puan
-        //   - Haftalık içerik (<7 gün)  → +3 puan
-        //   - Daha önce görüldüyse      → -30 puan
-        //   - Kullanıcı beğendiyse      → +12 puan (kişiselleştirme)
-        //   - Topluluk gönderisi        → +5 puan
-        //   + Random gürültü 0-5        → çeşitlilik için
-        // ══════════════════════════════════════════════════════════════
-
-        const feedPosts = await dbAll(
-            `SELECT
-                p.*,
-                u.name,
-                u."profilePic",
-                u."isVerified",
-                u."hasFarmerBadge",
-                u."userType",
-                u."farmerBadgeType",
-                u."farmerCertificate",
-                u.username AS "authorUsername",
-                EXISTS(SELECT 1 FROM likes   WHERE "postId"=p.id AND "userId"=$1) AS "isLiked",
-                EXISTS(SELECT 1 FROM saves   WHERE "postId"=p.id AND "userId"=$1) AS "isSaved",
-                EXISTS(SELECT 1 FROM follows WHERE "followerId"=$1 AND "followingId"=p."userId") AS "isFollowing",
-
-                -- Etkileşim sayıları
-                (SELECT COUNT(*) FROM likes    WHERE "postId"=p.id)                          AS like_count,
-                (SELECT COUNT(*) FROM comments WHERE "postId"=p.id AND "isActive"=TRUE)      AS comment_count,
-                (SELECT COUNT(*) FROM saves    WHERE "postId"=p.id)                          AS save_count,
-
-                -- Takip skoru (40)
-                CASE WHEN EXISTS(
-                    SELECT 1 FROM follows WHERE "followerId"=$1 AND "followingId"=p."userId"
-                ) THEN 40 ELSE 0 END
-
-                -- Doğrulama / rozet bonusu (15)
-                + CASE WHEN u."isVerified"=TRUE THEN 10 ELSE 0 END
-                + CASE WHEN u."hasFarmerBadge"=TRUE THEN 5 ELSE 0 END
-
-                -- Etkileşim skoru (log scale)
-                + LEAST( LOG(GREATEST((SELECT COUNT(*) FROM likes    WHERE "postId"=p.id)+1, 1)) * 8  , 24)
-                + LEAST( LOG(GREATEST((SELECT COUNT(*) FROM comments WHERE "postId"=p.id AND "isActive"=TRUE)+1,1)) * 6, 18)
-                + LEAST( LOG(GREATEST((SELECT COUNT(*) FROM saves    WHERE "postId"=p.id)+1, 1)) * 5  , 15)
-
-                -- Tazelik bonusu
-                + CASE
-                    WHEN p."createdAt" > NOW() - INTERVAL '2 hours'   THEN 15
-                    WHEN p."createdAt" > NOW() - INTERVAL '24 hours'  THEN 8
-                    WHEN p."createdAt" > NOW() - INTERVAL '7 days'    THEN 3
-                    ELSE 0
-                  END
-
-                -- Kişiselleştirme: kullanıcı bu kişiyi beğenmişse
-                + CASE WHEN EXISTS(
-                    SELECT 1 FROM likes l2
-                    JOIN posts p2 ON l2."postId"=p2.id
-                    WHERE l2."userId"=$1 AND p2."userId"=p."userId"
-                    LIMIT 1
-                ) THEN 12 ELSE 0 END
-
-                -- Topluluk gönderisi bonusu
-                + CASE WHEN EXISTS(SELECT 1 FROM community_posts cp WHERE cp."postId"=p.id) THEN 5 ELSE 0 END
-
-                -- Çeşitlilik için rastgele gürültü (0-5)
-                + (RANDOM() * 5)
-
-                AS feed_score
+// ISO tarih; saat dilimi yoksa Türkiye saati (UTC+3, yaz saati yok) kabul edilir.
+// Döner: { value: Date|null } ya da { error }
+function parseScheduledAt(raw) {
+    if (raw === undefined || raw === null || raw === '') return { value: null };
+    let str = String(raw).trim();
+    if (/^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?$/.test(str)) str = str.replace(' ', 'T') + '+03:00';
+    const d = new Date(str);
+    if (isNaN(d.getTime())) return { error: 'Geçersiz yayın zamanı' };
+    if (d.getTime() < Date.now() + POST_SCHEDULE_MIN_LEAD_SEC * 1000) {
+        return { error: 'Yayın zamanı en az 1 dakika sonrası olmalıdır' };
+    }
+    if (d.getTime() > Date.now() + POST_SCHEDULE_MAX_DAYS * 86400000) {
+        return { error: `Yayın zamanı en fazla ${POST_SCHEDULE_MAX_DAYS} gün sonrası olabilir` };
+    }
+    return { value: d };
+}
 
-             FROM posts p
-             JOIN users u ON p."userId" = u.id
-             WHERE p."isActive" = TRUE
-               -- Kendi gönderileri + takip + keşfet (engelsiz)
-               AND NOT EXISTS (SELECT 1 FROM blocks WHERE "blockerId"=$1 AND "blockedId"=p."userId")
-               AND NOT EXISTS (SELECT 1 FROM blocks WHERE "blockerId"=p."userId" AND "blockedId"=$1)
-               -- Çok eski keşfet gönderilerini sınırla (30 gün)
-               AND (
-                   p."userId" = $1
-                   OR EXISTS(SELECT 1 FROM follows WHERE "followerId"=$1 AND "followingId"=p."userId")
-                   OR p."createdAt" > NOW() - INTERVAL '30 days'
-               )
-             ORDER BY feed_score DESC, p."createdAt" DESC
-             LIMIT $2 OFFSET $3`,
-            [req.user.id, lim, off]
+function isDraftPublishable(d) {
+    return !!((d.content && d.content.trim().length > 0) || d.media || (d.isPoll && d.pollQuestion));
+}
+
+function formatDraft(d) {
+    let mediaUrls = [];
+    try { mediaUrls = d.mediaUrls ? JSON.parse(d.mediaUrls) : []; } catch (_) {}
+    return {
+        id: d.id, status: d.status, content: d.content,
+        media: d.media, mediaType: d.mediaType, mediaUrls, thumbnailUrl: d.thumbnailUrl, mediaPending: d.mediaPending,
+        isPoll: d.isPoll, pollQuestion: d.pollQuestion, pollOptions: d.pollOptions,
+        latitude: d.latitude, longitude: d.longitude, locationName: d.locationName,
+        allowComments: d.allowComments, taggedUsers: d.taggedUsers || [],
+        scheduledAt: d.scheduledAt, publishedPostId: d.publishedPostId, publishedAt: d.publishedAt,
+        attempts: d.attempts, lastError: d.lastError, createdAt: d.createdAt, updatedAt: d.updatedAt,
+    };
+}
+
+// Taslak videosu: posts yerine post_drafts güncellenir. Taslak bu sırada (bekleme süresi dolduğu için)
+// ham mp4 ile yayınlanmışsa yayınlanan gönderi de güncellenir.
+async function processDraftVideoAsync(draftId, inputPath, videoId) {
+    while (activeVideoJobs >= MAX_CONCURRENT_VIDEOS) {
+        await new Promise(r => setTimeout(r, 500));
+    }
+    activeVideoJobs++;
+    const rawUrl = `/uploads/videos/${videoId}_raw.mp4`;
+    try {
+        const mp4Out    = path.join(videosDir, `${videoId}.mp4`);
+        const thumbPath = path.join(thumbnailsDir, `${videoId}.jpg`);
+        await createVideoThumbnail(inputPath, thumbPath);
+        const thumbUrl = fssync.existsSync(thumbPath) ? `/uploads/thumbnails/${videoId}.jpg` : null;
+        await optimizeVideo(inputPath, mp4Out);
+        const mp4Url = `/uploads/videos/${videoId}.mp4`;
+
+        const setMedia = `media = CASE WHEN media = $2 THEN $1 ELSE media END,
+                          "thumbnailUrl" = COALESCE($3, "thumbnailUrl"),
+                          "mediaUrls" = CASE WHEN "mediaUrls" IS NOT NULL THEN REPLACE("mediaUrls", $2, $1) ELSE NULL END`;
+        // Taslağın medyası bu arada değiştiyse/silindiyse eşleşmez
+        const draft = await dbGet(
+            `UPDATE post_drafts SET ${setMedia}, "ownedFiles" = REPLACE("ownedFiles", $2, $1), "mediaPending" = FALSE, "updatedAt" = NOW()
+             WHERE id = $4 AND media = $2 RETURNING "publishedPostId"`,
+            [mp4Url, rawUrl, thumbUrl, draftId]
+        );
+        if (draft?.publishedPostId) {
+            await dbRun(`UPDATE posts SET ${setMedia}, "updatedAt" = NOW() WHERE id = $4`,
+                [mp4Url, rawUrl, thumbUrl, draft.publishedPostId]);
+            await saveVideoInfo(draft.publishedPostId, mp4Out).catch(() => {});
+        }
+        // Taslak silinmiş ya da medyası değişmişse yeni dosyalar da gereksiz
+        if (!draft) {
+            await fs.unlink(mp4Out).catch(() => {});
+            if (thumbUrl) await fs.unlink(thumbPath).catch(() => {});
+        }
+        await fs.unlink(path.join(videosDir, `${videoId}_raw.mp4`)).catch(() => {});
+        console.log(`🎬 [Taslak] Video hazır: ${videoId}`);
+    } catch (err) {
+        // Ham mp4 diskte kalır — taslak onunla yayınlanabilir
+        console.error(`❌ [Taslak] Video işleme hatası (${videoId}):`, err.message);
+        await dbRun(`UPDATE post_drafts SET "mediaPending" = FALSE, "updatedAt" = NOW() WHERE id = $1 AND media = $2`,
+            [draftId, rawUrl]).catch(() => {});
+    } finally {
+        activeVideoJobs--;
+        await fs.unlink(inputPath).catch(() => {});
+    }
+}
+
+// Taslağı gönderiye çevirir. Yayınlanacak durumda değilse (başkası yayınladı/iptal/silindi) null döner.
+// onlyDue: zamanlayıcı — yalnızca zamanı gelmiş 'scheduled' taslaklar
+async function publishDraft(draftId, { userId = null, onlyDue = false } = {}) {
+    const client = await pool.connect();
+    let draft, author, postRow;
+    try {
+        await client.query('BEGIN');
+        const { rows: [d] } = await client.query(
+            `SELECT * FROM post_drafts
+             WHERE id = $1 AND ($2::uuid IS NULL OR "userId" = $2)
+               AND ${onlyDue ? `status = 'scheduled' AND "scheduledAt" <= NOW()` : `status IN ('draft','scheduled','failed')`}
+             FOR UPDATE`,
+            [draftId, userId]
+        );
+        if (!d) { await client.query('ROLLBACK'); return null; }
+        // status'lu hatalar kullanıcıya gösterilebilir (geçersiz taslak / hesap durumu)
+        const reject = (msg) => Object.assign(new Error(msg), { status: 400 });
+        if (!isDraftPublishable(d)) throw reject('Boş gönderi oluşturulamaz');
+
+        const { rows: [u] } = await client.query(
+            `SELECT u.id, u.username, u.name, u."profilePic", u."isActive", u."isBanned",
+                    EXISTS (SELECT 1 FROM account_restrictions r
+                            WHERE r."userId" = u.id AND r."isRestricted" = TRUE AND r."restrictedUntil" > NOW()
+                              AND r."canPost" = FALSE) AS "postRestricted"
+             FROM users u WHERE u.id = $1`,
+            [d.userId]
+        );
+        if (!u || !u.isActive || u.isBanned) throw reject('Hesap aktif değil');
+        if (u.postRestricted) throw reject('Gönderi paylaşımı kısıtlandı');
+
+        postRow = await insertPostRow(client, uuidv4(), u, {
+            content: d.content, media: d.media, mediaType: d.mediaType, mediaUrls: d.mediaUrls,
+            mediaWidth: d.mediaWidth, mediaHeight: d.mediaHeight, thumbnailUrl: d.thumbnailUrl,
+            isPoll: d.isPoll, pollQuestion: d.pollQuestion, pollOptions: d.pollOptions ? JSON.stringify(d.pollOptions) : null,
+            latitude: d.latitude, longitude: d.longitude, locationName: d.locationName, allowComments: d.allowComments,
+        });
+        await client.query(
+            `UPDATE post_drafts SET status = 'published', "publishedPostId" = $2, "publishedAt" = NOW(),
+                    "lastError" = NULL, "updatedAt" = NOW()
+             WHERE id = $1`,
+            [d.id, postRow.id]
+        );
+        await client.query('COMMIT');
+        draft = d; author = u;
+    } catch (e) {
+        await client.query('ROLLBACK').catch(() => {});
+        throw e;
+    } finally {
+        client.release();
+    }
+
+    let mediaItems = [];
+    try { mediaItems = draft.mediaUrls ? JSON.parse(draft.mediaUrls) : []; } catch (_) {}
+    await afterPostCreated(postRow, author, { mediaItems, taggedUsers: Array.isArray(draft.taggedUsers) ? draft.taggedUsers : [] });
+    if (draft.mediaType === 'video' && !draft.mediaPending && /\/uploads\/videos\/[^/]+\.mp4$/.test(draft.media || '')) {
+        saveVideoInfo(postRow.id, path.join(videosDir, path.basename(draft.media))).catch(() => {});
+    }
+    return postRow;
+}
+
+async function publishDueScheduledPosts(limit = 20) {
+    const client = await pool.connect();
+    try {
+        const { rows: [{ locked }] } = await client.query(
+            `SELECT pg_try_advisory_lock(hashtext('agrolink_scheduled_posts')) AS locked`
+        );
+        if (!locked) return;
+        try {
+            const { rows } = await client.query(
+                `SELECT id, "userId" FROM post_drafts
+                 WHERE status = 'scheduled' AND "scheduledAt" <= NOW()
+                   AND ("nextAttemptAt" IS NULL OR "nextAttemptAt" <= NOW())
+                   AND ("mediaPending" = FALSE OR "scheduledAt" < NOW() - make_interval(mins => $2))
+                 ORDER BY "scheduledAt"
+                 LIMIT $1`,
+                [limit, POST_DRAFT_MEDIA_WAIT_MIN]
+            );
+            for (const r of rows) {
+                try {
+                    const post = await publishDraft(r.id, { onlyDue: true });
+                    if (post) {
+                        createNotification(r.userId, 'scheduled_post', 'Zamanlanmış gönderiniz yayınlandı',
+                            { postId: post.id, draftId: r.id }).catch(() => {});
+                    }
+                } catch (e) {
+                    console.warn('[ScheduledPost]', r.id, e.message);
+                    const failed = await dbGet(
+                        `UPDATE post_drafts
+                         SET attempts = attempts + 1, "lastError" = $2, "updatedAt" = NOW(),
+                             "nextAttemptAt" = NOW() + make_interval(mins => $4 * power(4, attempts)::int),
+                             status = CASE WHEN attempts + 1 >= $3 THEN 'failed' ELSE status END
+                         WHERE id = $1 AND status = 'scheduled'
+                         RETURNING status`,
+                        [r.id, String(e.message).substring(0, 500), POST_SCHEDULE_MAX_ATTEMPTS, POST_SCHEDULE_RETRY_BASE_MIN]
+                    ).catch(() => null);
+                    if (failed?.status === 'failed') {
+                        const reason = e.status ? e.message : 'Sunucu hatası';
+                        createNotification(r.userId, 'scheduled_post', `Zamanlanmış gönderiniz yayınlanamadı: ${reason}`,
+                            { draftId: r.id, failed: true }).catch(() => {});
+                    }
+                }
+            }
+        } finally {
+            await client.query(`SELECT pg_advisory_unlock(hashtext('agrolink_scheduled_posts'))`).catch(() => {});
+        }
+    } finally {
+        client.release();
+    }
+}
+
+// Worker başlangıcında (cluster bloğu) çağrılır — tabloların hazır olduğu garanti
+function startScheduledPostPublisher() {
+    setInterval(() => publishDueScheduledPosts().catch(e => console.error('[ScheduledPost]', e.message)), POST_SCHEDULER_TICK_MS);
+}
+
+// multipart gövdeden taslak alanları — yalnızca gönderilen alanlar döner (PUT kısmi güncelleme)
+function readDraftFields(body) {
+    const f = {};
+    if (body.content !== undefined)       f.content = String(body.content).substring(0, 5000);
+    if (body.isPoll !== undefined)        f.isPoll = body.isPoll === 'true' || body.isPoll === true;
+    if (body.pollQuestion !== undefined)  f.pollQuestion = body.pollQuestion ? String(body.pollQuestion).substring(0, 300) : null;
+    if (body.pollOptions !== undefined)   f.pollOptions = parsePollOptions(body.pollOptions);
+    if (body.latitude !== undefined)      f.latitude = body.latitude ? parseFloat(body.latitude) : null;
+    if (body.longitude !== undefined)     f.longitude = body.longitude ? parseFloat(body.longitude) : null;
+    if (body.locationName !== undefined)  f.locationName = body.locationName ? String(body.locationName).substring(0, 200) : null;
+    if (body.allowComments !== undefined) f.allowComments = body.allowComments !== 'false' && body.allowComments !== false;
+    if (body.taggedUsers !== undefined)   f.taggedUsers = JSON.stringify(parseTaggedUsers(body.taggedUsers));
+    return f;
+}
+
+function draftMediaFields(m) {
+    return {
+        media: m.media, mediaType: m.mediaType,
+        mediaUrls: m.items.length > 0 ? JSON.stringify(m.items) : null,
+        mediaWidth: m.mediaWidth, mediaHeight: m.mediaHeight, thumbnailUrl: null,
+        ownedFiles: m.ownedUrls?.length ? JSON.stringify(m.ownedUrls) : null,
+        mediaPending: !!m.pendingVideo,
+    };
+}
+
+// /uploads/... adresini (mutlak ya da göreli) uploadsDir altındaki dosya yoluna çevirir; dışına çıkan yol → null
+function resolveUploadPath(url) {
+    const rel = String(url || '').replace(/^https?:\/\/[^/]+/, '');
+    if (!rel.startsWith('/uploads/')) return null;
+    const abs = path.resolve(uploadsDir, rel.slice('/uploads/'.length));
+    return abs.startsWith(uploadsDir + path.sep) ? abs : null;
+}
+
+// uploadedUrls yalnızca uploadsDir içindeki dosyaları gösterebilir; adres normalize edilip saklanır
+function parseDraftUploadedItems(raw) {
+    const items = [];
+    for (const item of parsePreUploadedItems(raw)) {
+        const abs = resolveUploadPath(item?.url);
+        if (!abs) return { error: 'Geçersiz medya adresi' };
+        items.push({
+            url: '/uploads/' + path.relative(uploadsDir, abs).split(path.sep).join('/'),
+            type: item.type === 'video' ? 'video' : 'image',
+        });
+    }
+    return { items };
+}
+
+// Taslağın medyasında geçen adresler (media + mediaUrls[].url)
+function draftMediaUrls(row) {
+    let items = [];
+    try { items = row.mediaUrls ? JSON.parse(row.mediaUrls) : []; } catch (_) {}
+    return [row.media, ...(Array.isArray(items) ? items.map(i => i?.url) : [])].filter(Boolean);
+}
+
+// Taslağın diskte kendi oluşturduğu dosyalar: "ownedFiles" + video küçük resmi (thumbnailUrl'yi yalnızca
+// processDraftVideoAsync yazar). uploadedUrls ile gelen dosyalar taslağa ait değildir, silinmez.
+function draftOwnedFilePaths(row) {
+    let owned = [];
+    try { owned = row.ownedFiles ? JSON.parse(row.ownedFiles) : []; } catch (_) {}
+    return new Set([...owned, row.thumbnailUrl].map(resolveUploadPath).filter(Boolean));
+}
+
+function cleanupDraftFiles(row) {
+    setImmediate(async () => {
+        for (const filePath of draftOwnedFilePaths(row)) {
+            await fs.unlink(filePath).catch(() => {});
+        }
+    });
+}
+
+// POST /api/posts/drafts — multipart, POST /api/posts ile aynı alanlar + scheduledAt (opsiyonel)
+app.post('/api/posts/drafts', authenticateToken, postCreateLimiter, checkRestriction('post'), upload.array('media', 10), async (req, res) => {
+    const dropUploads = async () => { for (const f of req.files || []) await fs.unlink(f.path).catch(() => {}); };
+    try {
+        const sched = parseScheduledAt(req.body.scheduledAt);
+        if (sched.error) { await dropUploads(); return res.status(400).json({ error: sched.error }); }
+
+        const { cnt } = await dbGet(
+            `SELECT COUNT(*)::int AS cnt FROM post_drafts WHERE "userId" = $1 AND status <> 'published'`, [req.user.id]);
+        if (cnt >= POST_DRAFT_MAX_PER_USER) {
+            await dropUploads();
+            return res.status(400).json({ error: `En fazla ${POST_DRAFT_MAX_PER_USER} taslak/zamanlanmış gönderi tutulabilir` });
+        }
+
+        const preUploaded = parseDraftUploadedItems(req.body.uploadedUrls);
+        if (preUploaded.error) { await dropUploads(); return res.status(400).json({ error: preUploaded.error }); }
+
+        const fields = readDraftFields(req.body);
+        const m = await preparePostMedia(req, preUploaded.items);
+        if (m.error) return res.status(400).json({ error: m.error });
+        Object.assign(fields, draftMediaFields(m));
+
+        if (!isDraftPublishable(fields)) {
+            cleanupDraftFiles(fields);
+            return res.status(400).json({ error: 'Boş gönderi oluşturulamaz' });
+        }
+
+        const id = uuidv4();
+        const cols = Object.keys(fields);
+        const draft = await dbGet(
+            `INSERT INTO post_drafts (id, "userId", status, "scheduledAt", ${cols.map(c => `"${c}"`).join(', ')})
+             VALUES ($1, $2, $3, $4, ${cols.map((_, i) => `$${i + 5}`).join(', ')})
+             RETURNING *`,
+            [id, req.user.id, sched.value ? 'scheduled' : 'draft', sched.value, ...cols.map(c => fields[c])]
+        );
+
+        if (m.pendingVideo) {
+            processDraftVideoAsync(id, m.pendingVideo.tempPath, m.pendingVideo.videoId)
+                .catch(err => console.error('[Taslak video]', err.message));
+        }
+        res.status(201).json({ success: true, message: sched.value ? 'Gönderi zamanlandı' : 'Taslak kaydedildi', draft: formatDraft(draft) });
+    } catch (e) {
+        console.error('[PostDraft]', e.message);
+        await dropUploads();
+        res.status(500).json({ error: 'Sunucu hatası' });
+    }
+});
+
+// GET /api/posts/drafts?status=draft|scheduled|failed|published — varsayılan: yayınlanmamışlar
+async function listDrafts(req, res, status) {
+    try {
+        if (status && !POST_DRAFT_STATUSES.includes(status)) {
+            return res.status(400).json({ error: `status: ${POST_DRAFT_STATUSES.join(', ')}` });
+        }
+        const drafts = await dbAll(
+            `SELECT * FROM post_drafts
+             WHERE "userId" = $1 AND ${status ? 'status = $2' : `status <> 'published'`}
+             ORDER BY CASE WHEN status = 'scheduled' THEN "scheduledAt" END ASC NULLS LAST, "updatedAt" DESC
+             LIMIT 200`,
+            status ? [req.user.id, status] : [req.user.id]
+        );
+        res.json({ drafts: drafts.map(formatDraft), count: drafts.length });
+    } catch (e) {
+        console.error('[PostDraft]', e.message);
+        res.status(500).json({ error: 'Sunucu hatası' });
+    }
+}
+app.get('/api/posts/drafts', authenticateToken, (req, res) => listDrafts(req, res, req.query.status ? String(req.query.status) : null));
+app.get('/api/posts/scheduled', authenticateToken, (req, res) => listDrafts(req, res, 'scheduled'));
+
+app.get('/api/posts/drafts/:id', authenticateToken, async (req, res) => {
+    try {
+        if (!isValidUUID(req.params.id)) return res.status(400).json({ error: 'Geçersiz ID' });
+        const draft = await dbGet('SELECT * FROM post_drafts WHERE id = $1 AND "userId" = $2', [req.params.id, req.user.id]);
+        if (!draft) return res.status(404).json({ error: 'Taslak bulunamadı' });
+        res.json({ draft: formatDraft(draft) });
+    } catch (e) {
+        console.error('[PostDraft]', e.message);
+        res.status(500).json({ error: 'Sunucu hatası' });
+    }
+});
+
+// PUT /api/posts/drafts/:id — kısmi düzenleme. Yeni dosya/uploadedUrls gelirse medya değişir,
+// removeMedia=true medyayı kaldırır. scheduledAt: tarih → zamanla, '' → taslağa çevir.
+app.put('/api/posts/drafts/:id', authenticateToken, upload.array('media', 10), async (req, res) => {
+    const dropUploads = async () => { for (const f of req.files || []) await fs.unlink(f.path).catch(() => {}); };
+    try {
+        if (!isValidUUID(req.params.id)) { await dropUploads(); return res.status(400).json({ error: 'Geçersiz ID' }); }
+        const current = await dbGet(
+            `SELECT * FROM post_drafts WHERE id = $1 AND "userId" = $2`, [req.params.id, req.user.id]);
+        if (!current) { await dropUploads(); return res.status(404).json({ error: 'Taslak bulunamadı' }); }
+        if (current.status === 'published') { await dropUploads(); return res.status(409).json({ error: 'Taslak zaten yayınlandı' }); }
+
+        let sched = null;
+        if (req.body.scheduledAt !== undefined) {
+            sched = parseScheduledAt(req.body.scheduledAt);
+            if (sched.error) { await dropUploads(); return res.status(400).json({ error: sched.error }); }
+        }
+
+        const preUploaded = parseDraftUploadedItems(req.body.uploadedUrls);
+        if (preUploaded.error) { await dropUploads(); return res.status(400).json({ error: preUploaded.error }); }
+
+        const fields = readDraftFields(req.body);
+        let m = null;
+        if ((req.files && req.files.length > 0) || preUploaded.items.length > 0) {
+            m = await preparePostMedia(req, preUploaded.items);
+            if (m.error) return res.status(400).json({ error: m.error });
+            Object.assign(fields, draftMediaFields(m));
+            // Yeni medyada yeniden kullanılan eski dosyalar taslağa ait kalır
+            const reused = new Set(draftMediaUrls(fields));
+            let currentOwned = [];
+            try { currentOwned = current.ownedFiles ? JSON.parse(current.ownedFiles) : []; } catch (_) {}
+            const owned = [...m.ownedUrls, ...currentOwned.filter(u => reused.has(u))];
+            fields.ownedFiles = owned.length ? JSON.stringify(owned) : null;
+        } else if (req.body.removeMedia === 'true' || req.body.removeMedia === true) {
+            Object.assign(fields, draftMediaFields({ items: [], media: null, mediaType: 'text', mediaWidth: null, mediaHeight: null }));
+        }
+        if (sched) {
+            fields.scheduledAt = sched.value;
+            fields.status = sched.value ? 'scheduled' : 'draft';
+            fields.attempts = 0;
+            fields.lastError = null;
+            fields.nextAttemptAt = null;
+        }
+        if (Object.keys(fields).length === 0) return res.status(400).json({ error: 'Güncellenecek alan yok' });
+        if (!isDraftPublishable({ ...current, ...fields })) {
+            if (m) cleanupDraftFiles(draftMediaFields(m));
+            return res.status(400).json({ error: 'Boş gönderi oluşturulamaz' });
+        }
+
+        const cols = Object.keys(fields);
+        // Zamanlayıcı aynı anda yayınlamışsa satır eşleşmez → 409
+        const draft = await dbGet(
+            `UPDATE post_drafts SET ${cols.map((c, i) => `"${c}" = $${i + 3}`).join(', ')}, "updatedAt" = NOW()
+             WHERE id = $1 AND "userId" = $2 AND status <> 'published'
+             RETURNING *`,
+            [current.id, req.user.id, ...cols.map(c => fields[c])]
+        );
+        if (!draft) {
+            if (m) cleanupDraftFiles(draftMediaFields(m));
+            return res.status(409).json({ error: 'Taslak bu sırada yayınlandı' });
+        }
+        if (m || 'media' in fields) {
+            // Taslağın eski dosyalarından yeni medyada kullanılmayanları sil
+            const keep = new Set([...draftMediaUrls(draft), draft.thumbnailUrl].map(resolveUploadPath).filter(Boolean));
+            const old = [...draftOwnedFilePaths(current)].filter(f => !keep.has(f));
+            setImmediate(async () => { for (const f of old) await fs.unlink(f).catch(() => {}); });
+        }
+        if (m?.pendingVideo) {
+            processDraftVideoAsync(draft.id, m.pendingVideo.tempPath, m.pendingVideo.videoId)
+                .catch(err => console.error('[Taslak video]', err.message));
+        }
+        res.json({ success: true, message: 'Taslak güncellendi', draft: formatDraft(draft) });
+    } catch (e) {
+        console.error('[PostDraft]', e.message);
+        await dropUploads();
+        res.status(500).json({ error: 'Sunucu hatası' });
+    }
+});
+
+// POST /api/posts/drafts/:id/schedule { scheduledAt } — zamanla / yeniden zamanla (failed dahil)
+app.post('/api/posts/drafts/:id/schedule', authenticateToken, async (req, res) => {
+    try {
+        if (!isValidUUID(req.params.id)) return res.status(400).json({ error: 'Geçersiz ID' });
+        const sched = parseScheduledAt(req.body?.scheduledAt);
+        if (sched.error) return res.status(400).json({ error: sched.error });
+        if (!sched.value) return res.status(400).json({ error: 'scheduledAt zorunludur' });
+
+        const current = await dbGet('SELECT * FROM post_drafts WHERE id = $1 AND "userId" = $2', [req.params.id, req.user.id]);
+        if (!current) return res.status(404).json({ error: 'Taslak bulunamadı' });
+        if (!isDraftPublishable(current)) return res.status(400).json({ error: 'Boş gönderi zamanlanamaz' });
+
+        const draft = await dbGet(
+            `UPDATE post_drafts SET status = 'scheduled', "scheduledAt" = $3, attempts = 0, "lastError" = NULL, "nextAttemptAt" = NULL, "updatedAt" = NOW()
+             WHERE id = $1 AND "userId" = $2 AND status <> 'published'
+             RETURNING *`,
+            [req.params.id, req.user.id, sched.value]
+        );
+        if (!draft) return res.status(409).json({ error: 'Taslak zaten yayınlandı' });
+        res.json({ success: true, message: 'Gönderi zamanlandı', draft: formatDraft(draft) });
+    } catch (e) {
+        console.error('[PostDraft]', e.message);
+        res.status(500).json({ error: 'Sunucu hatası' });
+    }
+});
+
+// POST /api/posts/drafts/:id/cancel — zamanlamayı iptal et, taslak olarak kalır
+app.post('/api/posts/drafts/:id/cancel', authenticateToken, async (req, res) => {
+    try {
+        if (!isValidUUID(req.params.id)) return res.status(400).json({ error: 'Geçersiz ID' });
+        const draft = await dbGet(
+            `UPDATE post_drafts SET status = 'draft', "scheduledAt" = NULL, attempts = 0, "lastError" = NULL, "nextAttemptAt" = NULL, "updatedAt" = NOW()
+             WHERE id = $1 AND "userId" = $2 AND status IN ('scheduled', 'failed')
+             RETURNING *`,
+            [req.params.id, req.user.id]
+        );
+        if (!draft) {
+            const exists = await dbGet('SELECT status FROM post_drafts WHERE id = $1 AND "userId" = $2', [req.params.id, req.user.id]);
+            if (!exists) return res.status(404).json({ error: 'Taslak bulunamadı' });
+            return res.status(409).json({ error: exists.status === 'published' ? 'Gönderi zaten yayınlandı' : 'Gönderi zamanlanmamış' });
+        }
+        res.json({ success: true, message: 'Zamanlama iptal edildi', draft: formatDraft(draft) });
+    } catch (e) {
+        console.error('[PostDraft]', e.message);
+        res.status(500).json({ error: 'Sunucu hatası' });
+    }
+});
+
+// POST /api/posts/drafts/:id/publish — hemen yayınla
+app.post('/api/posts/drafts/:id/publish', authenticateToken, postCreateLimiter, checkRestriction('post'), async (req, res) => {
+    try {
+        if (!isValidUUID(req.params.id)) return res.status(400).json({ error: 'Geçersiz ID' });
+        const current = await dbGet('SELECT status, "mediaPending" FROM post_drafts WHERE id = $1 AND "userId" = $2', [req.params.id, req.user.id]);
+        if (!current) return res.status(404).json({ error: 'Taslak bulunamadı' });
+        if (current.mediaPending) return res.status(409).json({ error: 'Video hâlâ işleniyor, biraz sonra tekrar deneyin' });
+
+        let post;
+        try {
+            post = await publishDraft(req.params.id, { userId: req.user.id });
+        } catch (e) {
+            if (e.status) return res.status(e.status).json({ error: e.message });
+            throw e;
+        }
+        if (!post) return res.status(409).json({ error: 'Taslak zaten yayınlandı' });
+        res.status(201).json({ success: true, message: 'Gönderi paylaşıldı', post: formatPost(post) });
+    } catch (e) {
+        console.error('[PostDraft]', e.message);
+        res.status(500).json({ error: 'Sunucu hatası' });
+    }
+});
+
+// DELETE /api/posts/drafts/:id — yayınlanmamışsa medya dosyaları da silinir
+app.delete('/api/posts/drafts/:id', authenticateToken, async (req, res) => {
+    try {
+        if (!isValidUUID(req.params.id)) return res.status(400).json({ error: 'Geçersiz ID' });
+        const draft = await dbGet(
+            'DELETE FROM post_drafts WHERE id = $1 AND "userId" = $2 RETURNING *', [req.params.id, req.user.id]);
+        if (!draft) return res.status(404).json({ error: 'Taslak bulunamadı' });
+        if (draft.status !== 'published') cleanupDraftFiles(draft);
+        res.json({ success: true, message: 'Taslak silindi' });
+    } catch (e) {
+        console.error('[PostDraft]', e.message);
+        res.status(500).json({ error: 'Sunucu hatası' });
+    }
+});
+
+// ─── 11. FEED ───────────────────────────────────────────────────────
+// 🌾 Feed sıralaması istek anında hesaplanmaz. buildFeedSnapshot() kullanıcı başına en iyi
+// FEED_SNAPSHOT_SIZE adayı skoruyla feed_candidates'e yazar (sabit "rank" sırası); istemci
+// cursor ("<snapshotId>:<rank>") ile aynı anlık görüntüde ilerler → sayfalar arasında tekrar/boşluk olmaz.
+// Snapshot'lar DB'de olduğu için tüm worker'lar aynı sırayı görür (AppCache.feed cluster'da kullanılamıyordu).
+// Beğeni/yorum/kaydetme sayıları posts üzerindeki sayaçlardan okunur; sayaçları likes/comments/saves
+// trigger'ları aynı transaction içinde günceller (initializeFeedRanking).
+const FEED_SNAPSHOT_SIZE    = 500;
+const FEED_SNAPSHOT_TTL_SEC = 10 * 60;   // bundan eski snapshot 1. sayfada yeniden üretilir
+const FEED_CURSOR_TTL_SEC   = 2 * 60 * 60; // eski snapshot'lar bu süre boyunca cursor ile okunabilir
+
+async function initializeFeedRanking() {
+    const client = await pool.connect();
+    try {
+        await client.query(`SELECT pg_advisory_lock(hashtext('agrolink_feed_init'))`);
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS feed_snapshots (
+                id               BIGSERIAL PRIMARY KEY,
+                "userId"         UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                "candidateCount" INT NOT NULL DEFAULT 0,
+                "isStale"        BOOLEAN NOT NULL DEFAULT FALSE,
+                "createdAt"      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+                "lastReadAt"     TIMESTAMPTZ
+            );
+            CREATE INDEX IF NOT EXISTS idx_feed_snapshots_user ON feed_snapshots("userId", id DESC);
+            CREATE TABLE IF NOT EXISTS feed_candidates (
+                "snapshotId" BIGINT NOT NULL REFERENCES feed_snapshots(id) ON DELETE CASCADE,
+                rank         INT NOT NULL,
+                "postId"     UUID NOT NULL,
+                score        REAL NOT NULL,
+                PRIMARY KEY ("snapshotId", rank)
+            );
+            -- mutes eskiden ilk susturmada oluşturuluyordu; feed sorguları artık her zaman okuyor
+            CREATE TABLE IF NOT EXISTS mutes (
+                id UUID PRIMARY KEY, "userId" UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                "mutedId" UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                "createdAt" TIMESTAMPTZ DEFAULT NOW(),
+                UNIQUE("userId","mutedId")
+            );
+            CREATE TABLE IF NOT EXISTS post_similarity (
+                "postId"     UUID NOT NULL REFERENCES posts(id) ON DELETE CASCADE,
+                "similarId"  UUID NOT NULL REFERENCES posts(id) ON DELETE CASCADE,
+                score        REAL NOT NULL,
+                "coUsers"    INT NOT NULL,
+                "computedAt" TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+                PRIMARY KEY ("postId", "similarId")
+            );
+            CREATE INDEX IF NOT EXISTS idx_post_similarity_rank ON post_similarity("postId", score DESC);
+            CREATE TABLE IF NOT EXISTS feed_feedback (
+                "userId"    UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                kind        TEXT NOT NULL CHECK (kind IN ('not_interested','less_author','mute_hashtag','mute_keyword')),
+                target      TEXT NOT NULL,
+                "createdAt" TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+                PRIMARY KEY ("userId", kind, target)
+            );
+        `);
+
+        // Sayaç trigger'ları — beğeni/kaydetme: satır sayısı; yorum: aktif yorum sayısı
+        await client.query(`
+            CREATE OR REPLACE FUNCTION posts_counter_update() RETURNS trigger LANGUAGE plpgsql AS $$
+            BEGIN
+                IF TG_OP = 'INSERT' THEN
+                    EXECUTE format('UPDATE posts SET %1$I = COALESCE(%1$I, 0) + 1 WHERE id = $1', TG_ARGV[0]) USING NEW."postId";
+                ELSE
+                    EXECUTE format('UPDATE posts SET %1$I = GREATEST(COALESCE(%1$I, 0) - 1, 0) WHERE id = $1', TG_ARGV[0]) USING OLD."postId";
+                END IF;
+                RETURN NULL;
+            END $$;
+            CREATE OR REPLACE FUNCTION posts_comment_counter() RETURNS trigger LANGUAGE plpgsql AS $$
+            DECLARE delta INT := 0;
+            BEGIN
+                IF TG_OP = 'INSERT' THEN
+                    IF NEW."isActive" IS NOT FALSE THEN delta := 1; END IF;
+                ELSIF TG_OP = 'DELETE' THEN
+                    IF OLD."isActive" IS NOT FALSE THEN delta := -1; END IF;
+                ELSIF (OLD."isActive" IS NOT FALSE) <> (NEW."isActive" IS NOT FALSE) THEN
+                    delta := CASE WHEN NEW."isActive" IS NOT FALSE THEN 1 ELSE -1 END;
+                END IF;
+                IF delta <> 0 THEN
+                    UPDATE posts SET "commentCount" = GREATEST(COALESCE("commentCount", 0) + delta, 0)
+                    WHERE id = COALESCE(NEW."postId", OLD."postId");
+                END IF;
+                RETURN NULL;
+            END $$;
+        `);
+        const { rows: existing } = await client.query(
+            `SELECT 1 FROM pg_trigger WHERE tgname = 'trg_likes_post_counter'`);
+        await client.query(`
+            DROP TRIGGER IF EXISTS trg_likes_post_counter ON likes;
+            CREATE TRIGGER trg_likes_post_counter AFTER INSERT OR DELETE ON likes
+                FOR EACH ROW EXECUTE FUNCTION posts_counter_update('likeCount');
+            DROP TRIGGER IF EXISTS trg_saves_post_counter ON saves;
+            CREATE TRIGGER trg_saves_post_counter AFTER INSERT OR DELETE ON saves
+                FOR EACH ROW EXECUTE FUNCTION posts_counter_update('saveCount');
+            DROP TRIGGER IF EXISTS trg_comments_post_counter ON comments;
+            CREATE TRIGGER trg_comments_post_counter AFTER INSERT OR DELETE OR UPDATE OF "isActive" ON comments
+                FOR EACH ROW EXECUTE FUNCTION posts_comment_counter();
+        `);
+
+        // İlk kurulumda elle tutulmuş (kaymış olabilecek) sayaçları gerçek değerlere eşitle
+        if (!existing.length) {
+            const { rowCount } = await client.query(`
+                UPDATE posts p SET "likeCount" = s.likes, "commentCount" = s.comments, "saveCount" = s.saves
+                FROM (
+                    SELECT p2.id,
+                           (SELECT COUNT(*) FROM likes l WHERE l."postId" = p2.id)::int AS likes,
+                           (SELECT COUNT(*) FROM comments c WHERE c."postId" = p2.id AND c."isActive" IS NOT FALSE)::int AS comments,
+                           (SELECT COUNT(*) FROM saves s WHERE s."postId" = p2.id)::int AS saves
+                    FROM posts p2
+                ) s
+                WHERE s.id = p.id
+                  AND (p."likeCount" IS DISTINCT FROM s.likes OR p."commentCount" IS DISTINCT FROM s.comments
+                       OR p."saveCount" IS DISTINCT FROM s.saves)`);
+            if (rowCount) console.log(`📊 ${rowCount} gönderinin etkileşim sayaçları düzeltildi`);
+        }
+        console.log('✅ Feed sıralama tabloları ve sayaç trigger\'ları hazır');
+    } finally {
+        await client.query(`SELECT pg_advisory_unlock(hashtext('agrolink_feed_init'))`).catch(() => {});
+        client.release();
+    }
+}
+
+// Olumsuz geri bildirim (feed_feedback) — ranked/following/local feed, /api/explore ve /api/feed/explore uygular:
+//   not_interested : target = postId             → gönderi gizlenir
+//   less_author    : target = yazarın userId'si  → yazarın gönderileri FEED_LESS_AUTHOR_PENALTY puan düşer
+//                                                   (kronolojik modlarda skor yok, etkisizdir)
+//   mute_hashtag   : target = '#etiket' (hashtags.tag biçimi) → etiketi taşıyan gönderiler gizlenir
+//   mute_keyword   : target = küçük harfli kelime/ifade       → içeriğinde geçen gönderiler gizlenir
+//                    (iki taraf da tr_fold ile katlanır: "IRMAK" ↔ "ırmak", "İzmir" ↔ "izmir")
+// Susturulan hesaplar (mutes) da aynı filtreyle gizlenir. İki parça da $1 = kullanıcı, p = posts bekler.
+const FEED_FEEDBACK_KINDS = ['not_interested', 'less_author', 'mute_hashtag', 'mute_keyword'];
+const FEED_LESS_AUTHOR_PENALTY = 25;
+const FEED_FEEDBACK_MAX_PER_KIND = 500;
+
+const FEED_FEEDBACK_FILTER = `
+    AND NOT EXISTS (SELECT 1 FROM mutes mu WHERE mu."userId" = $1 AND mu."mutedId" = p."userId")
+    AND NOT EXISTS (SELECT 1 FROM feed_feedback ff
+                    WHERE ff."userId" = $1 AND ff.kind = 'not_interested' AND ff.target = p.id::text)
+    AND NOT EXISTS (SELECT 1 FROM post_hashtags ph
+                    JOIN hashtags h ON h.id = ph."hashtagId"
+                    JOIN feed_feedback ff ON ff."userId" = $1 AND ff.kind = 'mute_hashtag' AND ff.target = h.tag
+                    WHERE ph."postId" = p.id)
+    AND NOT EXISTS (SELECT 1 FROM feed_feedback ff
+                    WHERE ff."userId" = $1 AND ff.kind = 'mute_keyword'
+                      AND strpos(tr_fold(p.content), tr_fold(ff.target)) > 0)`;
+
+const FEED_LESS_AUTHOR_SCORE = `
+    CASE WHEN EXISTS (SELECT 1 FROM feed_feedback ff
+                      WHERE ff."userId" = $1 AND ff.kind = 'less_author' AND ff.target = p."userId"::text)
+         THEN ${FEED_LESS_AUTHOR_PENALTY} ELSE 0 END`;
+
+// ══════════════════════════════════════════════════════════════
+// 🌾 AGROLINK FEED ALGORİTMASI — Instagram mantığı
+//
+// Havuz:
+//   A) Takip ettiklerinin gönderileri  (öncelik: yüksek)
+//   B) Keşfet gönderileri              (son 30 gün)
+//   C) Kendi gönderileri               (her zaman dahil)
+//
+// Skor Formülü (0-100):
+//   - Takip edilen kullanıcı    → +40 puan
+//   - Doğrulanmış hesap         → +10 puan
+//   - Çiftçi rozeti             → +5 puan
+//   - Beğeni sayısı             → log10(likes+1) * 8  (max 24)
+//   - Yorum sayısı              → log10(comments+1)*6 (max 18)
+//   - Kaydetme sayısı           → log10(saves+1)*5    (max 15)
+//   - Taze içerik (<2 saat)     → +15 puan
+//   - Güncel içerik (<24 saat)  → +8 puan
+//   - Haftalık içerik (<7 gün)  → +3 puan
+//   - Kullanıcı yazarı beğendiyse → +12 puan (kişiselleştirme)
+//   - Topluluk gönderisi        → +5 puan
+//   - "Bu yazardan daha az"     → -FEED_LESS_AUTHOR_PENALTY puan
+//   + Gürültü 0-5               → çeşitlilik için; snapshot+post hash'i, yani snapshot içinde sabit
+// ══════════════════════════════════════════════════════════════
+const FEED_CANDIDATE_SQL = `
+    WITH liked_authors AS (
+        SELECT DISTINCT p2."userId" FROM likes l2 JOIN posts p2 ON p2.id = l2."postId" WHERE l2."userId" = $1
+    ),
+    scored AS (
+        SELECT p.id, p."createdAt",
+               CASE WHEN f."followingId" IS NOT NULL THEN 40 ELSE 0 END
+             + CASE WHEN u."isVerified" = TRUE THEN 10 ELSE 0 END
+             + CASE WHEN u."hasFarmerBadge" = TRUE THEN 5 ELSE 0 END
+             + LEAST(LOG(GREATEST(COALESCE(p."likeCount", 0), 0) + 1) * 8, 24)
+             + LEAST(LOG(GREATEST(COALESCE(p."commentCount", 0), 0) + 1) * 6, 18)
+             + LEAST(LOG(GREATEST(COALESCE(p."saveCount", 0), 0) + 1) * 5, 15)
+             + CASE
+                   WHEN p."createdAt" > NOW() - INTERVAL '2 hours'  THEN 15
+                   WHEN p."createdAt" > NOW() - INTERVAL '24 hours' THEN 8
+                   WHEN p."createdAt" > NOW() - INTERVAL '7 days'   THEN 3
+                   ELSE 0
+               END
+             + CASE WHEN la."userId" IS NOT NULL THEN 12 ELSE 0 END
+             + CASE WHEN EXISTS (SELECT 1 FROM community_posts cp WHERE cp."postId" = p.id) THEN 5 ELSE 0 END
+             - ${FEED_LESS_AUTHOR_SCORE}
+             + (ABS(hashtext($2::bigint::text || p.id::text)) % 500) / 100.0
+               AS score
+        FROM posts p
+        JOIN users u ON u.id = p."userId"
+        LEFT JOIN follows f ON f."followerId" = $1 AND f."followingId" = p."userId"
+        LEFT JOIN liked_authors la ON la."userId" = p."userId"
+        WHERE p."isActive" = TRUE
+          AND (p."userId" = $1 OR f."followingId" IS NOT NULL OR p."createdAt" > NOW() - INTERVAL '30 days')
+          AND NOT EXISTS (SELECT 1 FROM blocks b WHERE (b."blockerId" = $1 AND b."blockedId" = p."userId")
+                                                  OR (b."blockerId" = p."userId" AND b."blockedId" = $1))
+          ${FEED_FEEDBACK_FILTER}
+        ORDER BY score DESC, p."createdAt" DESC
+        LIMIT $3
+    )
+    INSERT INTO feed_candidates ("snapshotId", rank, "postId", score)
+    SELECT $2::bigint, ROW_NUMBER() OVER (ORDER BY score DESC, "createdAt" DESC, id), id, score FROM scored`;
+
+// Kullanıcının güncel snapshot'ını döndürür, yoksa/eskiyse üretir.
+// Kullanıcı başına advisory lock: aynı anda gelen istekler (farklı worker'lar dahil) tek snapshot üretir.
+async function buildFeedSnapshot(userId, { force = false } = {}) {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        await client.query(`SELECT pg_advisory_xact_lock(hashtext('feed_snapshot:' || $1))`, [userId]);
+        if (!force) {
+            const { rows: [fresh] } = await client.query(
+                `SELECT id FROM feed_snapshots
+                 WHERE "userId" = $1 AND "isStale" = FALSE AND "createdAt" > NOW() - make_interval(secs => $2)
+                 ORDER BY id DESC LIMIT 1`,
+                [userId, FEED_SNAPSHOT_TTL_SEC]);
+            if (fresh) { await client.query('COMMIT'); return fresh.id; }
+        }
+        const { rows: [snap] } = await client.query(
+            `INSERT INTO feed_snapshots ("userId") VALUES ($1) RETURNING id`, [userId]);
+        const { rowCount } = await client.query(FEED_CANDIDATE_SQL, [userId, snap.id, FEED_SNAPSHOT_SIZE]);
+        await client.query(`UPDATE feed_snapshots SET "candidateCount" = $2 WHERE id = $1`, [snap.id, rowCount]);
+        await client.query('COMMIT');
+        return snap.id;
+    } catch (e) {
+        await client.query('ROLLBACK').catch(() => {});
+        throw e;
+    } finally {
+        client.release();
+    }
+}
+
+// Arka plan: son 24 saatte feed okuyan kullanıcıların eskiyen snapshot'larını önceden üret,
+// cursor süresi dolan eski snapshot'ları sil (her kullanıcının en yenisi kalır)
+async function refreshFeedSnapshots(limit = 100) {
+    const client = await pool.connect();
+    try {
+        const { rows: [{ locked }] } = await client.query(
+            `SELECT pg_try_advisory_lock(hashtext('agrolink_feed_refresh')) AS locked`
         );
+        if (!locked) return;
+        try {
+            const { rows } = await client.query(
+                `SELECT s."userId" FROM feed_snapshots s
+                 GROUP BY s."userId"
+                 HAVING MAX(s."lastReadAt") > NOW() - INTERVAL '24 hours'
+                    AND (MAX(s."createdAt") < NOW() - make_interval(secs => $1)
+                         OR BOOL_AND(s."isStale") )
+                 LIMIT $2`,
+                [FEED_SNAPSHOT_TTL_SEC, limit]);
+            for (const r of rows) {
+                await buildFeedSnapshot(r.userId).catch(e => console.warn('[Feed snapshot]', r.userId, e.message));
+            }
+            await client.query(
+                `DELETE FROM feed_snapshots s
+                 WHERE s."createdAt" < NOW() - make_interval(secs => $1)
+                   AND (EXISTS (SELECT 1 FROM feed_snapshots n WHERE n."userId" = s."userId" AND n.id > s.id)
+                        OR s."createdAt" < NOW() - INTERVAL '7 days')`,
+                [FEED_CURSOR_TTL_SEC]);
+        } finally {
+            await client.query(`SELECT pg_advisory_unlock(hashtext('agrolink_feed_refresh'))`).catch(() => {});
+        }
+    } finally {
+        client.release();
+    }
+}
+setInterval(() => refreshFeedSnapshots().catch(e => console.error('[Feed snapshot]', e.message)), 2 * 60 * 1000);
+
+// Kullanıcının kendi feed'ini bir sonraki 1. sayfada yeniden üretilmeye zorla (yeni gönderi vb.)
+function invalidateFeedSnapshots(userId) {
+    return dbRun(`UPDATE feed_snapshots SET "isStale" = TRUE WHERE "userId" = $1 AND "isStale" = FALSE`, [userId]);
+}
+
+// Feed modları — algorithm: yanıttaki değer (ranked için eski istemcilerin beklediği 'mixed' korunur)
+//   ranked    : skorlu snapshot (yukarıda), cursor "<snapshotId>:<rank>"
+//   following : takip edilenler + üye olunan toplulukların gönderileri + kendi gönderileri, ters kronolojik
+//   local     : radiusKm (vars. 50) içindeki ya da aynı farmerCity'deki çiftçilerin gönderileri, ters kronolojik
+// Kronolojik modlarda cursor "<createdAt mikrosaniye>:<postId>" (keyset) — yeni gönderiler kaydırmaz.
+const FEED_MODES = { ranked: 'mixed', following: 'following', local: 'local' };
+const FEED_LOCAL_DEFAULT_KM = 50;
+const FEED_LOCAL_MAX_KM = 300;
+
+const FEED_POST_COLUMNS = `
+    p.*,
+    u.name,
+    u."profilePic",
+    u."isVerified",
+    u."hasFarmerBadge",
+    u."userType",
+    u."farmerBadgeType",
+    u."farmerCertificate",
+    u.username AS "authorUsername",
+    -- eski istemciler için: sayaçlar artık trigger ile tutulan kolonlardan gelir
+    p."likeCount"    AS like_count,
+    p."commentCount" AS comment_count,
+    p."saveCount"    AS save_count,
+    EXISTS(SELECT 1 FROM likes   WHERE "postId"=p.id AND "userId"=$1) AS "isLiked",
+    EXISTS(SELECT 1 FROM saves   WHERE "postId"=p.id AND "userId"=$1) AS "isSaved",
+    EXISTS(SELECT 1 FROM follows WHERE "followerId"=$1 AND "followingId"=p."userId") AS "isFollowing"`;
+
+const FEED_BLOCK_FILTER = `
+    AND NOT EXISTS (SELECT 1 FROM blocks WHERE "blockerId"=$1 AND "blockedId"=p."userId")
+    AND NOT EXISTS (SELECT 1 FROM blocks WHERE "blockerId"=p."userId" AND "blockedId"=$1)`;
+
+async function loadRankedFeedPage(userId, { lim, page, cursor }) {
+    let snapshot, afterRank;
+    if (cursor) {
+        const m = /^(\d{1,18}):(\d{1,6})$/.exec(cursor);
+        if (!m) return { status: 400, error: 'Geçersiz cursor' };
+        snapshot = await dbGet(`SELECT id, "candidateCount" FROM feed_snapshots WHERE id = $1 AND "userId" = $2`, [m[1], userId]);
+        if (!snapshot) return { status: 410, error: 'Akış yenilendi, baştan yükleyin', code: 'FEED_SNAPSHOT_EXPIRED' };
+        afterRank = parseInt(m[2]);
+    } else {
+        if (page > 1) {
+            snapshot = await dbGet(
+                `SELECT id, "candidateCount" FROM feed_snapshots WHERE "userId" = $1
+                 ORDER BY "lastReadAt" DESC NULLS LAST, id DESC LIMIT 1`, [userId]);
+        }
+        if (!snapshot) {
+            const id = await buildFeedSnapshot(userId);
+            snapshot = await dbGet(`SELECT id, "candidateCount" FROM feed_snapshots WHERE id = $1`, [id]);
+        }
+        afterRank = (page - 1) * lim;
+    }
+
+    const posts = await dbAll(
+        `SELECT ${FEED_POST_COLUMNS},
+                fc.score AS feed_score,
+                fc.rank  AS "feedRank"
+         FROM feed_candidates fc
+         JOIN posts p ON p.id = fc."postId"
+         JOIN users u ON p."userId" = u.id
+         WHERE fc."snapshotId" = $2 AND fc.rank > $3 AND fc.rank <= $3 + $4
+           AND p."isActive" = TRUE
+           -- snapshot'tan sonra eklenen engeller / susturmalar / geri bildirimler de uygulanır
+           ${FEED_BLOCK_FILTER}
+           ${FEED_FEEDBACK_FILTER}
+         ORDER BY fc.rank`,
+        [userId, snapshot.id, afterRank, lim]
+    );
+    dbRun(`UPDATE feed_snapshots SET "lastReadAt" = NOW() WHERE id = $1`, [snapshot.id]).catch(() => {});
+
+    const lastRank = afterRank + lim;
+    const hasMore = lastRank < snapshot.candidateCount;
+    return { posts, hasMore, nextCursor: hasMore ? `${snapshot.id}:${lastRank}` : null };
+}
 
-        console.log(`[Feed] kullanıcı=${req.user.id} page=${page} dönen=${feedPosts.length} takip+keşfet karışık`);
+// following / local — ters kronolojik, keyset sayfalama
+async function loadChronoFeedPage(userId, mode, { lim, page, cursor, radiusKm }) {
+    const params = [userId];
+    let where;
+    if (mode === 'following') {
+        where = `(p."userId" = $1
+                  OR p."userId" IN (SELECT "followingId" FROM follows WHERE "followerId" = $1)
+                  OR p.id IN (SELECT cp."postId" FROM community_posts cp
+                              JOIN community_members cm ON cm."communityId" = cp."communityId"
+                              WHERE cm."userId" = $1))`;
+    } else {
+        const me = await dbGet(`${DISEASE_RISK_USER_SQL} WHERE u.id = $1`, [userId]);
+        const meCity = await dbGet(`SELECT LOWER(TRIM("farmerCity")) AS city FROM users WHERE id = $1`, [userId]);
+        const city = meCity?.city || null;
+        if (me?.lat == null && !city) {
+            return { status: 400, error: 'Yerel akış için konum paylaşın ya da profilinize şehir ekleyin', code: 'LOCATION_REQUIRED' };
+        }
+        // Gönderinin kendi konumu, yoksa yazarın güncel konumu, o da yoksa yazarın şehir merkezi
+        params.push(me?.lat ?? null, me?.lon ?? null, radiusKm, city);
+        where = `p."userId" <> $1 AND (
+                    ($2::float8 IS NOT NULL AND 6371 * acos(LEAST(1, GREATEST(-1,
+                        cos(radians($2)) * cos(radians(loc.lat)) * cos(radians(loc.lon) - radians($3))
+                        + sin(radians($2)) * sin(radians(loc.lat))))) <= $4)
+                    OR ($5::text IS NOT NULL AND LOWER(TRIM(u."farmerCity")) = $5)
+                 )`;
+    }
+
+    let keyset = '';
+    let offset = 0;
+    if (cursor) {
+        const m = /^(\d{1,17}):([0-9a-f-]{36})$/i.exec(cursor);
+        if (!m) return { status: 400, error: 'Geçersiz cursor' };
+        params.push(m[1], m[2]);
+        keyset = `AND (p."createdAt", p.id) < (to_timestamp($${params.length - 1}::float8 / 1000000), $${params.length}::uuid)`;
+    } else {
+        offset = (page - 1) * lim;
+    }
+    params.push(lim + 1, offset);
+
+    const rows = await dbAll(
+        `SELECT ${FEED_POST_COLUMNS},
+                (EXTRACT(EPOCH FROM p."createdAt") * 1000000)::bigint AS "feedCursorTs"
+         FROM posts p
+         JOIN users u ON p."userId" = u.id
+         ${mode === 'local' ? `
+         LEFT JOIN sehir_koordinatlari k ON k.key = LOWER(TRIM(u."farmerCity"))
+         CROSS JOIN LATERAL (SELECT
+             COALESCE(p.latitude,  CASE WHEN u."lastLocationAt" > NOW() - INTERVAL '30 days' THEN u."lastLat" END, k.lat) AS lat,
+             COALESCE(p.longitude, CASE WHEN u."lastLocationAt" > NOW() - INTERVAL '30 days' THEN u."lastLon" END, k.lon) AS lon
+         ) loc` : ''}
+         WHERE p."isActive" = TRUE
+           AND ${where}
+           ${FEED_BLOCK_FILTER}
+           ${FEED_FEEDBACK_FILTER}
+           ${keyset}
+         ORDER BY p."createdAt" DESC, p.id DESC
+         LIMIT $${params.length - 1} OFFSET $${params.length}`,
+        params
+    );
+    const hasMore = rows.length > lim;
+    const posts = rows.slice(0, lim);
+    const last = posts[posts.length - 1];
+    return { posts, hasMore, nextCursor: hasMore && last ? `${last.feedCursorTs}:${last.id}` : null };
+}
 
-        const responseData = {
-            posts       : feedPosts.map(formatPost),
-            page        : parseInt(page),
-            algorithm   : 'mixed', // istemci bu flag ile feed tipini anlayabilir
+// GET /api/feed?mode=ranked|following|local&limit=&cursor=&radiusKm=
+// cursor verilmezse 1. sayfa. Eski istemcilerin ?page= parametresi de çalışır
+// (ranked: son okunan snapshot üzerinde rank aralığı; kronolojik modlarda OFFSET).
+app.get('/api/feed', authenticateToken, async (req, res) => {
+    try {
+        const mode = req.query.mode ? String(req.query.mode) : 'ranked';
+        if (!FEED_MODES[mode]) return res.status(400).json({ error: `mode: ${Object.keys(FEED_MODES).join(', ')}` });
+        const opts = {
+            lim: Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 50),
+            page: Math.max(parseInt(req.query.page) || 1, 1),
+            cursor: req.query.cursor ? String(req.query.cursor) : null,
+            radiusKm: Math.min(Math.max(parseFloat(req.query.radiusKm) || FEED_LOCAL_DEFAULT_KM, 1), FEED_LOCAL_MAX_KM),
         };
-        AppCache.feed.set(cacheKey, responseData);
-        res.json(responseData);
+
+        const result = mode === 'ranked'
+            ? await loadRankedFeedPage(req.user.id, opts)
+            : await loadChronoFeedPage(req.user.id, mode, opts);
+        if (result.error) return res.status(result.status).json({ error: result.error, code: result.code });
+
+        res.json({
+            posts       : result.posts.map(formatPost),
+            page        : opts.page,
+            nextCursor  : result.nextCursor,
+            hasMore     : result.hasMore,
+            mode,
+            algorithm   : FEED_MODES[mode], // istemci bu flag ile feed tipini anlayabilir
+            ...(mode === 'local' ? { radiusKm: opts.radiusKm } : {}),
+        });
     } catch (error) {
         console.error('[Feed] Hata:', error);
         res.status(500).json({ error: 'Sunucu hatası' });
     }
 });
 
+// ─── 11b. FEED GERİ BİLDİRİMİ: /api/feed/feedback ─────────────────
+// POST   { kind, postId | userId | hashtag | keyword | target } → kaydet
+// DELETE { kind, target } (body ya da query)                    → geri al; target yoksa o türün tümü
+// GET                                                            → ayarlar ekranı için liste
+function normalizeFeedFeedbackTarget(kind, raw) {
+    const v = String(raw ?? '').trim();
+    if (kind === 'not_interested' || kind === 'less_author') return isValidUUID(v) ? v.toLowerCase() : null;
+    if (kind === 'mute_hashtag') {
+        // Post oluştururken etiketler '#' ile ve toLowerCase() ile saklanıyor — aynı biçime getir
+        const tag = '#' + v.replace(/^#+/, '').toLowerCase();
+        return /^#[\wığüşöçĞÜŞÖÇİ\u0307]{1,50}$/.test(tag) ? tag : null; // İ → i̇ (U+0307)
+    }
+    if (kind === 'mute_keyword') {
+        const kw = v.toLocaleLowerCase('tr-TR').replace(/\s+/g, ' ');
+        return kw.length >= 2 && kw.length <= 60 ? kw : null;
+    }
+    return null;
+}
+
+app.post('/api/feed/feedback', authenticateToken, async (req, res) => {
+    try {
+        const b = req.body || {};
+        const kind = String(b.kind || '');
+        if (!FEED_FEEDBACK_KINDS.includes(kind)) {
+            return res.status(400).json({ error: `kind: ${FEED_FEEDBACK_KINDS.join(', ')}` });
+        }
+
+        let target;
+        if (kind === 'not_interested') {
+            target = normalizeFeedFeedbackTarget(kind, b.postId ?? b.target);
+            if (!target) return res.status(400).json({ error: 'Geçersiz gönderi ID' });
+            const post = await dbGet('SELECT "userId" FROM posts WHERE id = $1 AND "isActive" = TRUE', [target]);
+            if (!post) return res.status(404).json({ error: 'Gönderi bulunamadı' });
+            if (post.userId === req.user.id) return res.status(400).json({ error: 'Kendi gönderiniz için kullanılamaz' });
+        } else if (kind === 'less_author') {
+            // Gönderi menüsünden gelindiğinde yalnızca postId gönderilebilir
+            if (b.userId ?? b.target) {
+                target = normalizeFeedFeedbackTarget(kind, b.userId ?? b.target);
+            } else if (isValidUUID(String(b.postId || ''))) {
+                const post = await dbGet('SELECT "userId" FROM posts WHERE id = $1', [b.postId]);
+                target = post?.userId || null;
+            }
+            if (!target) return res.status(400).json({ error: 'Geçersiz kullanıcı' });
+            if (target === req.user.id) return res.status(400).json({ error: 'Kendiniz için kullanılamaz' });
+            const author = await dbGet('SELECT id FROM users WHERE id = $1', [target]);
+            if (!author) return res.status(404).json({ error: 'Kullanıcı bulunamadı' });
+        } else {
+            target = normalizeFeedFeedbackTarget(kind, kind === 'mute_hashtag' ? (b.hashtag ?? b.target) : (b.keyword ?? b.target));
+            if (!target) {
+                return res.status(400).json({ error: kind === 'mute_hashtag' ? 'Geçersiz etiket' : 'Kelime 2-60 karakter olmalıdır' });
+            }
+        }
+
+        const { cnt } = await dbGet(
+            `SELECT COUNT(*)::int AS cnt FROM feed_feedback WHERE "userId" = $1 AND kind = $2`, [req.user.id, kind]);
+        if (cnt >= FEED_FEEDBACK_MAX_PER_KIND) {
+            return res.status(400).json({ error: `Bu türde en fazla ${FEED_FEEDBACK_MAX_PER_KIND} kayıt tutulabilir` });
+        }
+
+        await dbRun(
+            `INSERT INTO feed_feedback ("userId", kind, target) VALUES ($1, $2, $3)
+             ON CONFLICT ("userId", kind, target) DO UPDATE SET "createdAt" = NOW()`,
+            [req.user.id, kind, target]
+        );
+        invalidateFeedSnapshots(req.user.id).catch(() => {});
+        res.json({ success: true, feedback: { kind, target } });
+    } catch (e) {
+        console.error('[FeedFeedback]', e.message);
+        res.status(500).json({ error: 'Sunucu hatası' });
+    }
+});
+
+app.delete('/api/feed/feedback', authenticateToken, async (req, res) => {
+    try {
+        const src = { ...req.query, ...(req.body || {}) };
+        const kind = String(src.kind || '');
+        if (!FEED_FEEDBACK_KINDS.includes(kind)) {
+            return res.status(400).json({ error: `kind: ${FEED_FEEDBACK_KINDS.join(', ')}` });
+        }
+        let result;
+        if (src.target != null && src.target !== '') {
+            const target = normalizeFeedFeedbackTarget(kind, src.target);
+            if (!target) return res.status(400).json({ error: 'Geçersiz hedef' });
+            result = await dbRun(`DELETE FROM feed_feedback WHERE "userId" = $1 AND kind = $2 AND target = $3`,
+                [req.user.id, kind, target]);
+        } else {
+            result = await dbRun(`DELETE FROM feed_feedback WHERE "userId" = $1 AND kind = $2`, [req.user.id, kind]);
+        }
+        if (result.changes) invalidateFeedSnapshots(req.user.id).catch(() => {});
+        res.json({ success: true, removed: result.changes });
+    } catch (e) {
+        console.error('[FeedFeedback]', e.message);
+        res.status(500).json({ error: 'Sunucu hatası' });
+    }
+});
+
+// Ayarlar → "Akış tercihleri": kayıtlı geri bildirimler + susturulan hesaplar
+// (susturma DELETE /api/users/:id/mute ile kaldırılır)
+app.get('/api/feed/feedback', authenticateToken, async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const [notInterested, lessAuthors, muted, mutedUsers] = await Promise.all([
+            dbAll(
+                `SELECT ff.target AS "postId", ff."createdAt", LEFT(p.content, 140) AS excerpt, p."mediaType",
+                        u.username AS "authorUsername", u.name AS "authorName"
+                 FROM feed_feedback ff
+                 LEFT JOIN posts p ON p.id::text = ff.target
+                 LEFT JOIN users u ON u.id = p."userId"
+                 WHERE ff."userId" = $1 AND ff.kind = 'not_interested'
+                 ORDER BY ff."createdAt" DESC`, [userId]),
+            dbAll(
+                `SELECT u.id, u.username, u.name, u."profilePic", ff."createdAt"
+                 FROM feed_feedback ff JOIN users u ON u.id::text = ff.target
+                 WHERE ff."userId" = $1 AND ff.kind = 'less_author'
+                 ORDER BY ff."createdAt" DESC`, [userId]),
+            dbAll(
+                `SELECT kind, target, "createdAt" FROM feed_feedback
+                 WHERE "userId" = $1 AND kind IN ('mute_hashtag', 'mute_keyword')
+                 ORDER BY "createdAt" DESC`, [userId]),
+            dbAll(
+                `SELECT u.id, u.username, u.name, u."profilePic", m."createdAt"
+                 FROM mutes m JOIN users u ON u.id = m."mutedId"
+                 WHERE m."userId" = $1 ORDER BY m."createdAt" DESC`, [userId]),
+        ]);
+        res.json({
+            notInterested,
+            lessAuthors,
+            mutedHashtags: muted.filter(r => r.kind === 'mute_hashtag').map(r => ({ tag: r.target, createdAt: r.createdAt })),
+            mutedKeywords: muted.filter(r => r.kind === 'mute_keyword').map(r => ({ keyword: r.target, createdAt: r.createdAt })),
+            mutedUsers,
+            lessAuthorPenalty: FEED_LESS_AUTHOR_PENALTY,
+        });
+    } catch (e) {
+        console.error('[FeedFeedback]', e.message);
+        res.status(500).json({ error: 'Sunucu hatası' });
+    }
+});
+
 // ─── 12. TEK POST ───────────────────────────────────────────────────
 // ÖNEMLİ: saved, liked, popular, new gibi statik yollar ÖNCE tanımlanmalı.
 app.get('/api/posts/:id', authenticateToken, async (req, res, next) => {
@@ -8634,6 +9973,31 @@ app.get('/api/posts/:id', authenticateToken, async (req, res, next) => {
     }
 });
 
+// Gönderi satırının diskteki medya dosyaları (media, thumbnailUrl, mediaUrls[].url)
+function postMediaFilePaths(row) {
+    const toDelete = new Set();
+    const uploadsRoot = path.join(__dirname, 'public', 'uploads') + path.sep;
+    const add = (url) => {
+        const rel = String(url || '').replace(/^https?:\/\/[^/]+/, '');
+        if (!rel.startsWith('/uploads/')) return;
+        // "../" ile uploads dışına çıkan adresler atlanır
+        const abs = path.resolve(__dirname, 'public', '.' + rel);
+        if (abs.startsWith(uploadsRoot)) toDelete.add(abs);
+    };
+
+    // Tek medya + thumbnail
+    add(row.media);
+    add(row.thumbnailUrl);
+    // Çoklu medya
+    if (row.mediaUrls) {
+        try {
+            const items = typeof row.mediaUrls === 'string' ? JSON.parse(row.mediaUrls) : row.mediaUrls;
+            if (Array.isArray(items)) items.forEach(item => add(item.url));
+        } catch (_) {}
+    }
+    return toDelete;
+}
+
 // ─── 13. POST SİL ──────────────────────────────────────────────────
 app.delete('/api/posts/:id', authenticateToken, async (req, res) => {
     try {
@@ -8652,37 +10016,7 @@ app.delete('/api/posts/:id', authenticateToken, async (req, res) => {
         // Medya dosyalarını arka planda sil (yanıtı bloke etme)
         setImmediate(async () => {
             try {
-                const toDelete = new Set();
-
-                // Tek medya
-                if (post.media) {
-                    const rel = post.media.replace(/^https?:\/\/[^/]+/, '');
-                    if (rel.startsWith('/uploads/')) {
-                        toDelete.add(path.join(__dirname, 'public', rel));
-                    }
-                }
-                // Thumbnail
-                if (post.thumbnailUrl) {
-                    const rel = post.thumbnailUrl.replace(/^https?:\/\/[^/]+/, '');
-                    if (rel.startsWith('/uploads/')) {
-                        toDelete.add(path.join(__dirname, 'public', rel));
-                    }
-                }
-                // Çoklu medya
-                if (post.mediaUrls) {
-                    try {
-                        const items = typeof post.mediaUrls === 'string'
-                            ? JSON.parse(post.mediaUrls) : post.mediaUrls;
-                        if (Array.isArray(items)) {
-                            for (const item of items) {
-                                const rel = (item.url || '').replace(/^https?:\/\/[^/]+/, '');
-                                if (rel.startsWith('/uploads/')) {
-                                    toDelete.add(path.join(__dirname, 'public', rel));
-                                }
-                            }
-                        }
-                    } catch (_) {}
-                }
+                const toDelete = postMediaFilePaths(post);
 
                 for (const filePath of toDelete) {
                     await require('fs').promises.unlink(filePath).catch(() => {});
@@ -8755,13 +10089,14 @@ app.post('/api/posts/:id/like', authenticateToken, likeLimiter, checkRestriction
         const postId = req.params.id;
         const existing = await dbGet('SELECT id FROM likes WHERE "postId" = $1 AND "userId" = $2', [postId, req.user.id]);
 
+        // "likeCount" trigger ile tutulur; "updatedAt" beğenide eskisi gibi burada güncellenir
         if (existing) {
-            await dbRun('DELETE FROM likes WHERE id = $1', [existing.id]);
-            await dbRun('UPDATE posts SET "likeCount" = GREATEST("likeCount" - 1, 0), "updatedAt" = NOW() WHERE id = $1', [postId]);
+            const { changes } = await dbRun('DELETE FROM likes WHERE id = $1', [existing.id]);
+            if (changes) await dbRun('UPDATE posts SET "updatedAt" = NOW() WHERE id = $1', [postId]);
             res.json({ liked: false });
         } else {
-            await dbRun('INSERT INTO likes (id, "postId", "userId", "createdAt") VALUES ($1, $2, $3, NOW()) ON CONFLICT ("postId", "userId") DO NOTHING', [uuidv4(), postId, req.user.id]);
-            await dbRun('UPDATE posts SET "likeCount" = "likeCount" + 1, "updatedAt" = NOW() WHERE id = $1', [postId]);
+            const { changes } = await dbRun('INSERT INTO likes (id, "postId", "userId", "createdAt") VALUES ($1, $2, $3, NOW()) ON CONFLICT ("postId", "userId") DO NOTHING', [uuidv4(), postId, req.user.id]);
+            if (changes) await dbRun('UPDATE posts SET "updatedAt" = NOW() WHERE id = $1', [postId]);
 
             const post = await dbGet('SELECT "userId", content FROM posts WHERE id = $1', [postId]);
             if (post && post.userId !== req.user.id) {
@@ -8800,8 +10135,6 @@ app.post('/api/posts/:id/comments', authenticateToken, commentLimiter, checkRest
             [commentId, req.params.id, req.user.id, req.user.username, content.substring(0, 2000), parentId || null]
         );
 
-        await dbRun('UPDATE posts SET "commentCount" = "commentCount" + 1, "updatedAt" = NOW() WHERE id = $1', [req.params.id]);
-
         if (post.userId !== req.user.id) {
             createNotification(post.userId, 'comment', `${req.user.username} gönderinize yorum yaptı`, {
                 postId         : req.params.id,
@@ -9234,11 +10567,9 @@ app.post('/api/posts/:id/save', authenticateToken, async (req, res) => {
 
         if (existing) {
             await dbRun('DELETE FROM saves WHERE id = $1', [existing.id]);
-            await dbRun('UPDATE posts SET "saveCount" = GREATEST("saveCount" - 1, 0) WHERE id = $1', [postId]);
             res.json({ saved: false });
         } else {
             await dbRun('INSERT INTO saves (id, "postId", "userId", "createdAt") VALUES ($1, $2, $3, NOW()) ON CONFLICT ("postId", "userId") DO NOTHING', [uuidv4(), postId, req.user.id]);
-            await dbRun('UPDATE posts SET "saveCount" = "saveCount" + 1 WHERE id = $1', [postId]);
             res.json({ saved: true });
         }
     } catch (error) {
@@ -9308,15 +10639,72 @@ app.get('/api/users/blocks', authenticateToken, async (req, res) => {
     }
 });
 
+// ─── İLAN ÖZELLİKLERİ ───────────────────────────────────────────────
+// Satış birimleri; ağırlık birimleri fiyat karşılaştırması için kg'a indirgenir
+const STORE_SALE_UNITS = {
+    kg:    { label: 'kg',          perKg: 1 },
+    ton:   { label: 'ton',         perKg: 1000 },
+    cuval: { label: 'çuval' },
+    bas:   { label: 'baş (hayvan)' },
+    dekar: { label: 'dekar (kiralık arazi)' },
+    adet:  { label: 'adet' },
+    kasa:  { label: 'kasa' },
+    litre: { label: 'litre' },
+};
+
+// Birim başı fiyatı karşılaştırılabilir hale getiren SQL ifadesi (ton → kg, diğerleri olduğu gibi)
+const STORE_PRICE_PER_BASE_SQL = `CASE p."saleUnit" WHEN 'ton' THEN p.price / 1000.0 ELSE p.price END`;
+
+// POST/PUT gövdesindeki ilan alanlarını doğrular; partial=true ise sadece gönderilenler
+function parseStoreListingAttrs(body, partial = false) {
+    const out = {};
+    const has = k => body[k] !== undefined && body[k] !== '';
+    if (has('lat') || has('lon')) {
+        const lat = parseFloat(body.lat), lon = parseFloat(body.lon);
+        if (!Number.isFinite(lat) || !Number.isFinite(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180)
+            return { error: 'Geçersiz konum' };
+        out.lat = lat; out.lon = lon;
+    }
+    if (body.city !== undefined)     out.city = String(body.city || '').trim().substring(0, 60) || null;
+    if (body.district !== undefined) out.district = String(body.district || '').trim().substring(0, 60) || null;
+    if (has('saleUnit') || !partial) {
+        const unit = body.saleUnit || 'adet';
+        if (!STORE_SALE_UNITS[unit]) return { error: `Geçersiz satış birimi (${Object.keys(STORE_SALE_UNITS).join(', ')})` };
+        out.saleUnit = unit;
+    }
+    if (has('minOrderQty')) {
+        const q = parseInt(body.minOrderQty);
+        if (!Number.isInteger(q) || q < 1 || q > 999999) return { error: 'Geçersiz asgari sipariş miktarı' };
+        out.minOrderQty = q;
+    }
+    for (const k of ['harvestDate', 'availableFrom']) {
+        if (body[k] === undefined) continue;
+        if (body[k] === null || body[k] === '') { out[k] = null; continue; }
+        const d = parseFarmbookDate(body[k]);
+        if (!d) return { error: `Geçersiz tarih: ${k}` };
+        out[k] = d;
+    }
+    return { data: out };
+}
+
 // ─── 30. ÜRÜNLER ────────────────────────────────────────────────────
+// Satıcının gizlenmemiş yorumlarından ortalama puan — ürün sorgularına "p" takma adıyla eklenir
+const SELLER_RATING_JOIN = `
+    LEFT JOIN LATERAL (
+        SELECT ROUND(AVG(sr.rating)::numeric, 2)::float AS "sellerRating", COUNT(*)::int AS "sellerReviewCount"
+        FROM store_reviews sr WHERE sr."sellerId" = p."sellerId" AND sr."isHidden" = FALSE
+    ) srt ON TRUE`;
+
 app.get('/api/store/products', authenticateToken, async (req, res) => {
     try {
         const { page = 1, limit = 20 } = req.query;
         const offset = (Math.max(parseInt(page)||1, 1) - 1) * Math.min(Math.max(parseInt(limit)||20,1), 200);
 
         const products = await dbAll(
-            `SELECT p.*, u.username as "sellerName", u."profilePic" as "sellerProfilePic", u.name as "sellerFullName"
+            `SELECT p.*, u.username as "sellerName", u."profilePic" as "sellerProfilePic", u.name as "sellerFullName",
+                    srt."sellerRating", srt."sellerReviewCount"
              FROM products p JOIN users u ON p."sellerId" = u.id
+             ${SELLER_RATING_JOIN}
              WHERE p."isActive" = TRUE
              ORDER BY p."createdAt" DESC
              LIMIT $1 OFFSET $2`,
@@ -9357,6 +10745,12 @@ app.post('/api/store/products', authenticateToken, storeLimiter, (req, res, next
         const priceNum = parseFloat(price);
         if (isNaN(priceNum) || priceNum < 0 || priceNum > 10_000_000) return res.status(400).json({ error: 'Geçersiz fiyat (0 - 10.000.000 arası olmalı)' });
 
+        const { error: attrError, data: attrs } = parseStoreListingAttrs(req.body);
+        if (attrError) {
+            for (const f of (req.files || [])) await fs.unlink(f.path).catch(() => {});
+            return res.status(400).json({ error: attrError });
+        }
+
         let images = [];
         const files = req.files || [];
         for (let i = 0; i < files.length; i++) {
@@ -9377,11 +10771,15 @@ app.post('/api/store/products', authenticateToken, storeLimiter, (req, res, next
 
         const productId = uuidv4();
         await dbRun(
-            `INSERT INTO products (id, "sellerId", name, price, description, image, images, category, stock, "isActive", "createdAt", "updatedAt")
-             VALUES ($1, $2, $3, $4, $5, $6, $7::jsonb, $8, $9, TRUE, NOW(), NOW())`,
+            `INSERT INTO products (id, "sellerId", name, price, description, image, images, category, stock,
+                                   lat, lon, city, district, "saleUnit", "minOrderQty", "harvestDate", "availableFrom",
+                                   "isActive", "createdAt", "updatedAt")
+             VALUES ($1, $2, $3, $4, $5, $6, $7::jsonb, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, TRUE, NOW(), NOW())`,
             [productId, req.user.id, name.substring(0, 100), priceNum,
              description?.substring(0, 1000) || '', images[0] || null,
-             JSON.stringify(images), category || '', Math.max(0, Math.min(parseInt(stock) || 0, 999999))]
+             JSON.stringify(images), category || '', Math.max(0, Math.min(parseInt(stock) || 0, 999999)),
+             attrs.lat ?? null, attrs.lon ?? null, attrs.city ?? null, attrs.district ?? null,
+             attrs.saleUnit, attrs.minOrderQty ?? 1, attrs.harvestDate ?? null, attrs.availableFrom ?? null]
         );
 
         const product = await dbGet(
@@ -9390,6 +10788,7 @@ app.post('/api/store/products', authenticateToken, storeLimiter, (req, res, next
             [productId]
         );
 
+        matchSavedSearches(productId).catch(e => console.error('[kayıtlı arama eşleştirme]', e.message));
         res.status(201).json({ message: 'Ürün eklendi', product });
     } catch (error) {
         console.error('Ürün ekleme hatası:', error);
@@ -10390,7 +11789,6 @@ app.delete('/api/comments/:id', authenticateToken, async (req, res) => {
         }
 
         await dbRun('DELETE FROM comments WHERE id = $1', [req.params.id]);
-        await dbRun('UPDATE posts SET "commentCount" = GREATEST("commentCount" - 1, 0) WHERE id = $1', [comment.postId]);
 
         res.json({ message: 'Yorum silindi' });
     } catch (error) {
@@ -10617,8 +12015,152 @@ app.post('/api/stories/share-post', authenticateToken, async (req, res) => {
     }
 });
 
-
-
+
+
+// ─── 42b. BİRLEŞİK ARAMA: /api/search ───────────────────────────────
+// posts/users/products "searchVector" (tsvector) kolonları trigger ile güncel tutulur.
+// tr_fold(): Türkçe büyük/küçük harf katlaması (İ→i, I→ı) — lower() DB locale'ine bağlı olduğu için translate ile.
+// pg_trgm varsa kullanıcı/ürün/hashtag adlarında yazım hatası toleransı (similarity) da devreye girer.
+// Sorgu kurulumu lib/arama.js'te (buildUnifiedSearchQuery)
+const { SEARCH_TYPES, buildUnifiedSearchQuery } = require('./lib/arama');
+let _searchTsConfig = 'turkish';
+let _searchTrgm = false;
+
+async function initializeSearchIndexes() {
+    const client = await pool.connect();
+    try {
+        // Her worker initializeDatabase çalıştırır; trigger/fonksiyon DDL'i tek seferde yapılsın
+        await client.query(`SELECT pg_advisory_lock(hashtext('agrolink_search_init'))`);
+
+        await client.query('CREATE EXTENSION IF NOT EXISTS pg_trgm').catch(e =>
+            console.warn('⚠️  pg_trgm yüklenemedi, bulanık arama kapalı:', e.message));
+        _searchTrgm = !!(await client.query(`SELECT 1 FROM pg_extension WHERE extname='pg_trgm'`)).rows.length;
+        const { rows: cfg } = await client.query(`SELECT 1 FROM pg_ts_config WHERE cfgname='turkish'`);
+        _searchTsConfig = cfg.length ? 'turkish' : 'simple';
+        const C = _searchTsConfig;
+
+        await client.query(`
+            CREATE OR REPLACE FUNCTION tr_fold(t TEXT) RETURNS TEXT LANGUAGE sql IMMUTABLE PARALLEL SAFE AS $$
+                SELECT translate(COALESCE(t, ''), 'ABCÇDEFGĞHIİJKLMNOÖPQRSŞTUÜVWXYZ', 'abcçdefgğhıijklmnoöpqrsştuüvwxyz')
+            $$`);
+
+        const vectors = {
+            posts:    `setweight(to_tsvector('${C}', tr_fold(NEW.content)), 'A') ||
+                       setweight(to_tsvector('${C}', tr_fold(NEW."locationName")), 'C')`,
+            users:    `setweight(to_tsvector('${C}', tr_fold(NEW.username)), 'A') ||
+                       setweight(to_tsvector('${C}', tr_fold(NEW.name)), 'A') ||
+                       setweight(to_tsvector('${C}', tr_fold(NEW.bio)), 'C') ||
+                       setweight(to_tsvector('${C}', tr_fold(NEW.location)), 'D')`,
+            products: `setweight(to_tsvector('${C}', tr_fold(NEW.name)), 'A') ||
+                       setweight(to_tsvector('${C}', tr_fold(NEW.category)), 'B') ||
+                       setweight(to_tsvector('${C}', tr_fold(NEW.description)), 'C') ||
+                       setweight(to_tsvector('${C}', tr_fold(concat_ws(' ', NEW.city, NEW.district))), 'D')`,
+        };
+        const watched = { posts: 'content, "locationName"', users: 'username, name, bio, location', products: 'name, category, description, city, district' };
+        const touch = { posts: 'content = content', users: 'name = name', products: 'name = name' };
+
+        for (const table of Object.keys(vectors)) {
+            await client.query(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS "searchVector" tsvector`);
+            await client.query(`
+                CREATE OR REPLACE FUNCTION ${table}_search_vector_update() RETURNS trigger LANGUAGE plpgsql AS $$
+                BEGIN
+                    NEW."searchVector" := ${vectors[table]};
+                    RETURN NEW;
+                END $$`);
+            await client.query(`DROP TRIGGER IF EXISTS trg_${table}_search ON ${table}`);
+            await client.query(`
+                CREATE TRIGGER trg_${table}_search BEFORE INSERT OR UPDATE OF ${watched[table]} ON ${table}
+                FOR EACH ROW EXECUTE FUNCTION ${table}_search_vector_update()`);
+            await client.query(`CREATE INDEX IF NOT EXISTS idx_${table}_search ON ${table} USING GIN ("searchVector")`);
+
+            // Eski satırları parça parça doldur — trigger'ı tetiklemek için izlenen kolonu kendine eşitle
+            let filled = 0;
+            for (;;) {
+                const { rowCount } = await client.query(
+                    `UPDATE ${table} SET ${touch[table]} WHERE id IN (SELECT id FROM ${table} WHERE "searchVector" IS NULL LIMIT 2000)`);
+                filled += rowCount;
+                if (rowCount < 2000) break;
+            }
+            if (filled) console.log(`🔎 ${table}: ${filled} satır arama indeksine eklendi`);
+        }
+
+        if (_searchTrgm) {
+            await client.query(`CREATE INDEX IF NOT EXISTS idx_users_username_trgm ON users USING GIN (tr_fold(username) gin_trgm_ops)`);
+            await client.query(`CREATE INDEX IF NOT EXISTS idx_users_name_trgm ON users USING GIN (tr_fold(name) gin_trgm_ops)`);
+            await client.query(`CREATE INDEX IF NOT EXISTS idx_products_name_trgm ON products USING GIN (tr_fold(name) gin_trgm_ops)`);
+            await client.query(`CREATE INDEX IF NOT EXISTS idx_hashtags_tag_trgm ON hashtags USING GIN (tag gin_trgm_ops)`);
+        }
+        console.log(`✅ Arama indeksleri hazır (config=${C}, trigram=${_searchTrgm ? 'açık' : 'kapalı'})`);
+    } finally {
+        await client.query(`SELECT pg_advisory_unlock(hashtext('agrolink_search_init'))`).catch(() => {});
+        client.release();
+    }
+}
+
+// ts_headline işaretlerini HTML'e çevir — içerik önce kaçırılır, sonra <mark> eklenir
+function renderSearchHighlight(text) {
+    if (!text) return null;
+    return escapeHtml(text).replace(/\uE000/g, '<mark>').replace(/\uE001/g, '</mark>');
+}
+
+app.get('/api/search', authenticateToken, searchLimiter, async (req, res) => {
+    try {
+        const q = String(req.query.q || '').trim().slice(0, 100);
+        if (q.length < 2) return res.status(400).json({ error: 'En az 2 karakter gerekli' });
+        const types = req.query.types
+            ? String(req.query.types).split(',').map(t => t.trim()).filter(t => SEARCH_TYPES.includes(t))
+            : SEARCH_TYPES;
+        if (!types.length) return res.status(400).json({ error: `types: ${SEARCH_TYPES.join(', ')}` });
+
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 50);
+        const offset = (page - 1) * limit;
+
+        const query = buildUnifiedSearchQuery({
+            userId: req.user.id, q, types, limit, offset, tsConfig: _searchTsConfig, trgm: _searchTrgm,
+        });
+        if (!query) return res.json({ q, types, results: [], page, hasMore: false });
+        const rows = await dbAll(query.sql, query.params);
+
+        const hasMore = rows.length > limit;
+        const pageRows = rows.slice(0, limit);
+        const idsOf = type => pageRows.filter(r => r.type === type).map(r => r.id);
+
+        // Sonuç kartları için hafif veri — tip başına tek sorgu
+        const [posts, users, products, hashtags] = await Promise.all([
+            idsOf('post').length ? dbAll(
+                `SELECT p.id, p.content, p.media, p."mediaType", p."thumbnailUrl", p."likeCount", p."commentCount", p."createdAt",
+                        u.id AS "userId", u.username, u.name, u."profilePic", u."isVerified"
+                 FROM posts p JOIN users u ON u.id = p."userId" WHERE p.id = ANY($1::uuid[])`, [idsOf('post')]) : [],
+            idsOf('user').length ? dbAll(
+                `SELECT id, username, name, "profilePic", "isVerified", "hasFarmerBadge", "userType",
+                        EXISTS(SELECT 1 FROM follows WHERE "followerId" = $2 AND "followingId" = users.id) AS "isFollowing"
+                 FROM users WHERE id = ANY($1::uuid[])`, [idsOf('user'), req.user.id]) : [],
+            idsOf('product').length ? dbAll(
+                `SELECT id, name, price, image, "saleUnit", city, district, "sellerId" FROM products WHERE id = ANY($1::uuid[])`,
+                [idsOf('product')]) : [],
+            idsOf('hashtag').length ? dbAll(
+                `SELECT id, tag, "postCount" FROM hashtags WHERE id = ANY($1::uuid[])`, [idsOf('hashtag')]) : [],
+        ]);
+        const byId = new Map([...posts, ...users, ...products, ...hashtags].map(x => [x.id, x]));
+
+        res.json({
+            q, types, page, hasMore,
+            results: pageRows.filter(r => byId.has(r.id)).map(r => ({
+                type: r.type,
+                id: r.id,
+                score: Math.round(r.score * 1000) / 1000,
+                snippet: renderSearchHighlight(r.snippet),
+                titleHighlight: renderSearchHighlight(r.titleHighlight),
+                item: byId.get(r.id)
+            }))
+        });
+    } catch (error) {
+        console.error('[Search] HATA:', error.message);
+        res.status(500).json({ error: 'Sunucu hatası' });
+    }
+});
+
 // ─── 43. KULLANICI ARA (v2) ─────────────────────────────────────────
 app.get('/api/search/users', authenticateToken, searchLimiter, async (req, res) => {
     try {
@@ -10793,7 +12335,16 @@ app.put('/api/store/products/:id', authenticateToken, (req, res, next) => {
         if (category)             { updates.push(`category = $${idx++}`);       params.push(category); }
         if (stock !== undefined)  { updates.push(`stock = $${idx++}`);          params.push(parseInt(stock)); }
 
+        const { error: attrError, data: attrs } = parseStoreListingAttrs(req.body, true);
         const files = Array.isArray(req.files) ? req.files : [];
+        if (attrError) {
+            for (const f of files) await fs.unlink(f.path).catch(() => {});
+            return res.status(400).json({ error: attrError });
+        }
+        for (const [col, val] of Object.entries(attrs)) {
+            updates.push(`"${col}" = $${idx++}`); params.push(val);
+        }
+
         if (files.length > 0) {
             let images = [];
             for (let i = 0; i < files.length; i++) {
@@ -10824,8 +12375,14 @@ app.put('/api/store/products/:id', authenticateToken, (req, res, next) => {
 app.get('/api/store/products/:id', authenticateToken, async (req, res) => {
     try {
         const product = await dbGet(
-            `SELECT p.*, u.username as "sellerName", u."profilePic" as "sellerProfilePic", u.name as "sellerFullName", u."isVerified"
+            `SELECT p.*, u.username as "sellerName", u."profilePic" as "sellerProfilePic", u.name as "sellerFullName", u."isVerified",
+                    srt."sellerRating", srt."sellerReviewCount",
+                    (SELECT ROUND(AVG(rating)::numeric, 2)::float FROM store_reviews
+                      WHERE "productId" = p.id AND "isHidden" = FALSE) AS "productRating",
+                    (SELECT COUNT(*)::int FROM store_reviews
+                      WHERE "productId" = p.id AND "isHidden" = FALSE) AS "productReviewCount"
              FROM products p JOIN users u ON p."sellerId" = u.id
+             ${SELLER_RATING_JOIN}
              WHERE p.id = $1`,
             [req.params.id]
         );
@@ -11025,6 +12582,181 @@ app.delete('/api/messages/:id', authenticateToken, async (req, res) => {
     }
 });
 
+// ════════════════════════════════════════════════════════════════════
+// 🤝 BENZER GÖNDERİLER — item-item işbirlikçi filtreleme
+// ════════════════════════════════════════════════════════════════════
+// Model dışarıda değil, PostgreSQL içinde hesaplanır (rebuildPostSimilarity):
+//   - Etkileşim ağırlığı (kullanıcı×gönderi, en güçlüsü): kaydetme 2, beğeni 1, görüntüleme 0.3
+//   - Son POST_SIM_PENCERE_GUN gündeki etkileşimler; kullanıcı başına en yeni POST_SIM_KULLANICI_MAX
+//     etkileşim (çok aktif hesaplar çift sayısını karesel büyütmesin)
+//   - benzerlik(i,j) = kosinüs(i,j) × ortak / (ortak + POST_SIM_BUZULME)   — az ortak kullanıcılı çiftler bastırılır
+//   - Her gönderi için en iyi POST_SIM_TOP_K komşu post_similarity'ye yazılır; tablo tek transaction'da değişir,
+//     okuyanlar eski modeli commit'e kadar görmeye devam eder
+// Kullanım: /api/posts/:id/detail → similarPosts ("buna benzer"), /api/explore → becauseYouLiked satırları.
+const POST_SIM_PENCERE_GUN      = 90;
+const POST_SIM_KULLANICI_MAX    = 200;
+const POST_SIM_MIN_ORTAK        = 2;
+const POST_SIM_BUZULME          = 5;
+const POST_SIM_TOP_K            = 30;
+const POST_SIM_YENILEME_MS      = 6 * 60 * 60 * 1000;
+
+async function rebuildPostSimilarity({ force = false } = {}) {
+    const client = await pool.connect();
+    try {
+        const { rows: [{ locked }] } = await client.query(
+            `SELECT pg_try_advisory_lock(hashtext('agrolink_post_similarity')) AS locked`
+        );
+        if (!locked) return null;
+        try {
+            // Cluster'da her worker'ın interval'i çalışır — model tazeyse tekrar hesaplama
+            if (!force) {
+                const { rows: [last] } = await client.query(`SELECT MAX("computedAt") AS at FROM post_similarity`);
+                if (last?.at && Date.now() - new Date(last.at).getTime() < POST_SIM_YENILEME_MS - 10 * 60 * 1000) return null;
+            }
+            const t0 = Date.now();
+            await client.query('BEGIN');
+            await client.query(`SET LOCAL statement_timeout = '10min'`);
+            await client.query(`CREATE TEMP TABLE cf_inter ("userId" UUID, "postId" UUID, w REAL) ON COMMIT DROP`);
+            await client.query(`
+                INSERT INTO cf_inter ("userId", "postId", w)
+                WITH raw AS (
+                    SELECT "userId", "postId", 1.0 AS w, "createdAt" AS at FROM likes
+                     WHERE "createdAt" > NOW() - make_interval(days => $1)
+                    UNION ALL
+                    SELECT "userId", "postId", 2.0, "createdAt" FROM saves
+                     WHERE "createdAt" > NOW() - make_interval(days => $1)
+                    UNION ALL
+                    SELECT "userId", "postId", 0.3, "createdAt" FROM post_views
+                     WHERE "userId" IS NOT NULL AND "viewDate" > CURRENT_DATE - $1::int
+                ),
+                merged AS (
+                    SELECT r."userId", r."postId", MAX(r.w) AS w, MAX(r.at) AS at
+                    FROM raw r JOIN posts p ON p.id = r."postId" AND p."isActive" = TRUE
+                    GROUP BY r."userId", r."postId"
+                )
+                SELECT "userId", "postId", w FROM (
+                    SELECT m.*, ROW_NUMBER() OVER (PARTITION BY "userId" ORDER BY at DESC) AS rn FROM merged m
+                ) x WHERE rn <= $2`,
+                [POST_SIM_PENCERE_GUN, POST_SIM_KULLANICI_MAX]);
+            // Tek kullanıcının etkileşimde bulunduğu gönderiler hiçbir çifte giremez — baştan ele
+            await client.query(`
+                DELETE FROM cf_inter i USING (
+                    SELECT "postId" FROM cf_inter GROUP BY "postId" HAVING COUNT(*) < $1
+                ) s WHERE i."postId" = s."postId"`, [POST_SIM_MIN_ORTAK]);
+            await client.query(`CREATE INDEX ON cf_inter ("userId")`);
+            await client.query(`ANALYZE cf_inter`);
+
+            await client.query(`DELETE FROM post_similarity`);
+            const { rowCount } = await client.query(`
+                WITH norms AS (
+                    SELECT "postId", SQRT(SUM(w * w)) AS n FROM cf_inter GROUP BY "postId"
+                ),
+                pairs AS (
+                    SELECT a."postId" AS i, b."postId" AS j, SUM(a.w * b.w) AS dot, COUNT(*) AS co
+                    FROM cf_inter a
+                    JOIN cf_inter b ON b."userId" = a."userId" AND b."postId" <> a."postId"
+                    GROUP BY a."postId", b."postId"
+                    HAVING COUNT(*) >= $1
+                ),
+                scored AS (
+                    SELECT p.i, p.j, p.co,
+                           p.dot / (ni.n * nj.n) * p.co / (p.co + $2::float8) AS score
+                    FROM pairs p
+                    JOIN norms ni ON ni."postId" = p.i
+                    JOIN norms nj ON nj."postId" = p.j
+                ),
+                ranked AS (
+                    SELECT s.*, ROW_NUMBER() OVER (PARTITION BY s.i ORDER BY s.score DESC, s.co DESC) AS rn FROM scored s
+                )
+                INSERT INTO post_similarity ("postId", "similarId", score, "coUsers", "computedAt")
+                SELECT i, j, score, co, NOW() FROM ranked WHERE rn <= $3`,
+                [POST_SIM_MIN_ORTAK, POST_SIM_BUZULME, POST_SIM_TOP_K]);
+            await client.query('COMMIT');
+            const sonuc = { pairs: rowCount, ms: Date.now() - t0 };
+            console.log(`🤝 Benzer gönderi modeli yenilendi: ${rowCount} komşuluk (${sonuc.ms} ms)`);
+            return sonuc;
+        } catch (e) {
+            await client.query('ROLLBACK').catch(() => {});
+            throw e;
+        } finally {
+            await client.query(`SELECT pg_advisory_unlock(hashtext('agrolink_post_similarity'))`).catch(() => {});
+        }
+    } finally {
+        client.release();
+    }
+}
+setTimeout(() => rebuildPostSimilarity().catch(e => console.error('[PostSimilarity]', e.message)), 3 * 60 * 1000);
+setInterval(() => rebuildPostSimilarity().catch(e => console.error('[PostSimilarity]', e.message)), 60 * 60 * 1000);
+
+// Bir gönderinin en benzer komşuları — engeller, susturmalar, feed geri bildirimi ve gizli hesaplar uygulanır.
+// excludeEngaged: kullanıcının zaten beğendiği/kaydettiği gönderileri çıkar (keşfet satırları için)
+async function loadSimilarPosts(userId, postId, limit, { excludeEngaged = false } = {}) {
+    return dbAll(
+        `SELECT ${FEED_POST_COLUMNS},
+                s.score AS similarity
+         FROM post_similarity s
+         JOIN posts p ON p.id = s."similarId"
+         JOIN users u ON u.id = p."userId"
+         WHERE s."postId" = $2
+           AND p."isActive" = TRUE AND u."isActive" = TRUE
+           AND p."userId" <> $1
+           AND (u."isPrivate" = FALSE
+                OR EXISTS (SELECT 1 FROM follows WHERE "followerId" = $1 AND "followingId" = p."userId"))
+           ${excludeEngaged ? `
+           AND NOT EXISTS (SELECT 1 FROM likes WHERE "postId" = p.id AND "userId" = $1)
+           AND NOT EXISTS (SELECT 1 FROM saves WHERE "postId" = p.id AND "userId" = $1)` : ''}
+           ${FEED_BLOCK_FILTER}
+           ${FEED_FEEDBACK_FILTER}
+         ORDER BY s.score DESC
+         LIMIT $3`,
+        [userId, postId, limit]
+    );
+}
+
+// "X'i beğendiğin için" satırları: son beğenilen/kaydedilen ve modelde komşusu olan gönderiler tohum olur
+async function loadBecauseYouLikedRows(userId, { rows = 3, perRow = 8 } = {}) {
+    const seeds = await dbAll(
+        `SELECT e."postId" AS id, LEFT(p.content, 80) AS excerpt, p."mediaType", p."thumbnailUrl",
+                u.username AS "authorUsername", MAX(e.at) AS at
+         FROM (
+             SELECT "postId", "createdAt" AS at FROM likes WHERE "userId" = $1
+             UNION ALL
+             SELECT "postId", "createdAt" FROM saves WHERE "userId" = $1
+         ) e
+         JOIN posts p ON p.id = e."postId" AND p."isActive" = TRUE
+         JOIN users u ON u.id = p."userId"
+         WHERE e.at > NOW() - make_interval(days => $3)
+           AND EXISTS (SELECT 1 FROM post_similarity s WHERE s."postId" = e."postId")
+         GROUP BY e."postId", p.content, p."mediaType", p."thumbnailUrl", u.username
+         ORDER BY at DESC
+         LIMIT $2`,
+        [userId, rows, POST_SIM_PENCERE_GUN]
+    );
+    const result = [];
+    const shown = new Set();
+    for (const seed of seeds) {
+        const posts = (await loadSimilarPosts(userId, seed.id, perRow * 2, { excludeEngaged: true }))
+            .filter(p => !shown.has(p.id)).slice(0, perRow);
+        if (!posts.length) continue;
+        posts.forEach(p => shown.add(p.id));
+        const { at, ...seedInfo } = seed;
+        result.push({ seed: seedInfo, posts: posts.map(formatPost) });
+    }
+    return result;
+}
+
+// POST /api/admin/recommendations/rebuild — modeli hemen yeniden hesapla
+app.post('/api/admin/recommendations/rebuild', authenticateToken, requireAdmin, adminLimiter, async (req, res) => {
+    try {
+        const sonuc = await rebuildPostSimilarity({ force: true });
+        if (!sonuc) return res.status(409).json({ error: 'Model şu anda başka bir işlem tarafından hesaplanıyor' });
+        res.json({ success: true, ...sonuc });
+    } catch (e) {
+        console.error('[PostSimilarity]', e.message);
+        res.status(500).json({ error: 'Sunucu hatası' });
+    }
+});
+
 // ─── 59. POST DETAYI (v2) ──────────────────────────────────────────
 app.get('/api/posts/:id/detail', authenticateToken, async (req, res) => {
     try {
@@ -11041,7 +12773,11 @@ app.get('/api/posts/:id/detail', authenticateToken, async (req, res) => {
 
         await dbRun('UPDATE posts SET views = views + 1 WHERE id = $1', [req.params.id]);
 
-        res.json({ post });
+        // "Buna benzer" — model yoksa/hata olursa detay yine döner
+        const similarPosts = await loadSimilarPosts(req.user.id, post.id, 6)
+            .catch(e => { console.warn('[PostSimilarity]', e.message); return []; });
+
+        res.json({ post, similarPosts: similarPosts.map(formatPost) });
     } catch (error) {
         console.error('Post detay hatası:', error);
         res.status(500).json({ error: 'Sunucu hatası' });
@@ -11063,6 +12799,9 @@ app.get('/api/posts/:id/detail', authenticateToken, async (req, res) => {
 //   - Çiftçi rozeti:                    +10 puan
 //   - Random tuz (her kullanıcı farklı görsün): ±15 puan
 //   - Daha önce görülmüş post:          -50 puan (aşağıya düşür)
+//   - "Bu yazardan daha az" işaretli:   -FEED_LESS_AUTHOR_PENALTY puan
+//   - Susturulan hesap / "ilgilenmiyorum" / susturulan etiket-kelime: hiç gösterilmez
+// 1. sayfada ayrıca becauseYouLiked: benzer gönderi modelinden (post_similarity) satırlar
 // ════════════════════════════════════════════════════════════════════
 app.get('/api/explore', authenticateToken, async (req, res) => {
     try {
@@ -11140,6 +12879,8 @@ app.get('/api/explore', authenticateToken, async (req, res) => {
                     + CASE WHEN u."hasFarmerBadge" = TRUE THEN 10 ELSE 0 END
                     -- Daha önce görülmüş ceza
                     + CASE WHEN p.id IN (SELECT "postId" FROM seen) THEN -20 ELSE 0 END
+                    -- "Bu yazardan daha az göster" cezası
+                    - ${FEED_LESS_AUTHOR_SCORE}
                     -- Kullanıcıya özgü random tuz (farklı kullanıcı → farklı sıra)
                     + (((hashtext(p.id::text || $2::text) % 15) + 15) % 15) - 7
                     AS explore_score
@@ -11154,6 +12895,8 @@ app.get('/api/explore', authenticateToken, async (req, res) => {
                       UNION
                       SELECT "blockerId" FROM blocks WHERE "blockedId" = $1
                   )
+                  -- Susturulanlar, ilgilenilmeyen gönderiler, susturulan etiket/kelimeler
+                  ${FEED_FEEDBACK_FILTER}
             )
             SELECT * FROM scored
             ORDER BY explore_score DESC, "createdAt" DESC
@@ -11178,7 +12921,12 @@ app.get('/api/explore', authenticateToken, async (req, res) => {
             });
         }
 
-        res.json({ posts: posts.map(formatPost), page: pageNum, hasMore: posts.length === limitNum });
+        // "X'i beğendiğin için" satırları yalnızca ilk sayfada
+        const becauseYouLiked = pageNum === 1
+            ? await loadBecauseYouLikedRows(userId).catch(e => { console.warn('[PostSimilarity]', e.message); return []; })
+            : [];
+
+        res.json({ posts: posts.map(formatPost), page: pageNum, hasMore: posts.length === limitNum, becauseYouLiked });
     } catch (error) {
         console.error('Keşfet hatası:', error);
         res.status(500).json({ error: 'Sunucu hatası' });
@@ -11216,10 +12964,14 @@ app.get('/api/users/:userId/products', authenticateToken, async (req, res) => {
 });
 
 // ─── 63. ÜRÜN ARA ───────────────────────────────────────────────────
+// Konum: lat+lon (+radiusKm, varsayılan 50) veya city/district. Sıralama: sort=newest|distance|price|freshness
+//   price     → birim başı fiyat (ton ilanları kg'a indirgenir, bkz. STORE_PRICE_PER_BASE_SQL)
+//   freshness → hasat tarihi, yoksa teslim tarihi, yoksa ilan tarihi
 app.get('/api/store/search', authenticateToken, async (req, res) => {
     try {
-        const { q, category, minPrice, maxPrice, page = 1, limit = 20 } = req.query;
-        const offset = (Math.max(parseInt(page)||1, 1) - 1) * Math.min(Math.max(parseInt(limit)||20,1), 200);
+        const { q, category, minPrice, maxPrice, city, district, saleUnit, availableBy, minQty, sort = 'newest', page = 1 } = req.query;
+        const limit = Math.min(Math.max(parseInt(req.query.limit)||20,1), 200);
+        const offset = (Math.max(parseInt(page)||1, 1) - 1) * limit;
         const conditions = ['p."isActive" = TRUE'];
         const params = [];
         let idx = 1;
@@ -11244,26 +12996,355 @@ app.get('/api/store/search', authenticateToken, async (req, res) => {
             params.push(parseFloat(maxPrice));
             idx++;
         }
+        if (city) {
+            conditions.push(`LOWER(p.city) = LOWER($${idx})`);
+            params.push(String(city).trim());
+            idx++;
+        }
+        if (district) {
+            conditions.push(`LOWER(p.district) = LOWER($${idx})`);
+            params.push(String(district).trim());
+            idx++;
+        }
+        if (saleUnit) {
+            const units = String(saleUnit).split(',').filter(u => STORE_SALE_UNITS[u]);
+            if (units.length) {
+                conditions.push(`p."saleUnit" = ANY($${idx}::text[])`);
+                params.push(units);
+                idx++;
+            }
+        }
+        if (availableBy) {
+            const d = parseFarmbookDate(availableBy);
+            if (d) {
+                conditions.push(`(p."availableFrom" IS NULL OR p."availableFrom" <= $${idx})`);
+                params.push(d);
+                idx++;
+            }
+        }
+        if (minQty) {
+            // Alıcının istediği miktar: stok yetmeli ve satıcının asgari siparişi bunu aşmamalı
+            conditions.push(`p.stock >= $${idx} AND COALESCE(p."minOrderQty", 1) <= $${idx}`);
+            params.push(Math.max(parseInt(minQty) || 1, 1));
+            idx++;
+        }
 
-        params.push(parseInt(limit));
+        // Mesafe: haversine (km). Önce enlem/boylam kutusuyla index üzerinden daralt, sonra tam mesafe.
+        let distanceSelect = 'NULL::float AS "distanceKm"';
+        const lat = parseFloat(req.query.lat), lon = parseFloat(req.query.lon);
+        const hasGeo = Number.isFinite(lat) && Number.isFinite(lon);
+        if (hasGeo) {
+            const radiusKm = Math.min(Math.max(parseFloat(req.query.radiusKm) || 50, 1), 1000);
+            const dLat = radiusKm / 111.32;
+            const dLon = radiusKm / (111.32 * Math.max(Math.cos(lat * Math.PI / 180), 0.01));
+            const distExpr = `(6371 * acos(LEAST(1, GREATEST(-1,
+                cos(radians($${idx})) * cos(radians(p.lat)) * cos(radians(p.lon) - radians($${idx + 1})) +
+                sin(radians($${idx})) * sin(radians(p.lat))))))`;
+            conditions.push(`p.lat BETWEEN $${idx + 2} AND $${idx + 3} AND p.lon BETWEEN $${idx + 4} AND $${idx + 5}`);
+            conditions.push(`${distExpr} <= $${idx + 6}`);
+            distanceSelect = `ROUND(${distExpr}::numeric, 1)::float AS "distanceKm"`;
+            params.push(lat, lon, lat - dLat, lat + dLat, lon - dLon, lon + dLon, radiusKm);
+            idx += 7;
+        }
+
+        const orderBy = {
+            distance : hasGeo ? '"distanceKm" ASC, p."createdAt" DESC' : 'p."createdAt" DESC',
+            price    : `"pricePerBaseUnit" ASC, p."createdAt" DESC`,
+            freshness: `COALESCE(p."harvestDate", p."availableFrom", p."createdAt"::date) DESC, p."createdAt" DESC`,
+            newest   : 'p."createdAt" DESC',
+        }[sort] || 'p."createdAt" DESC';
+
+        params.push(limit);
         params.push(offset);
 
         const products = await dbAll(
-            `SELECT p.*, u.username as "sellerName", u."profilePic" as "sellerProfilePic"
+            `SELECT p.*, u.username as "sellerName", u."profilePic" as "sellerProfilePic",
+                    srt."sellerRating", srt."sellerReviewCount",
+                    ${distanceSelect},
+                    ${STORE_PRICE_PER_BASE_SQL} AS "pricePerBaseUnit",
+                    CASE WHEN p."saleUnit" IN ('kg','ton') THEN 'kg' ELSE p."saleUnit" END AS "baseUnit"
              FROM products p JOIN users u ON p."sellerId" = u.id
+             ${SELLER_RATING_JOIN}
              WHERE ${conditions.join(' AND ')}
-             ORDER BY p."createdAt" DESC
+             ORDER BY ${orderBy}
              LIMIT $${idx} OFFSET $${idx + 1}`,
             params
         );
 
-        res.json({ products });
+        res.json({ products, sort: hasGeo || sort !== 'distance' ? sort : 'newest' });
     } catch (error) {
         console.error('Ürün arama hatası:', error);
         res.status(500).json({ error: 'Sunucu hatası' });
     }
 });
 
+// ─── 64. KAYITLI ARAMALAR + YENİ İLAN BİLDİRİMİ ────────────────────
+// Yeni ilan eklenince aktif kayıtlı aramalarla SQL tarafında eşleştirilir (sorgu: /api/store/search ile aynı
+// "ad/açıklama içinde geçiyor" mantığı). Kullanıcı SAVED_SEARCH_DIGEST_MS içinde en fazla bir bildirim alır;
+// bu sürede biriken eşleşmeler tek bir özet bildirimde toplanır.
+const SAVED_SEARCH_MAX_PER_USER = 20;
+const SAVED_SEARCH_DIGEST_MS = 60 * 60 * 1000;
+
+// POST/PUT gövdesini doğrular; partial=true ise sadece gönderilen alanlar
+function parseSavedSearchBody(body, partial = false) {
+    const out = {};
+    const has = k => body[k] !== undefined;
+    const text = (v, max) => String(v ?? '').trim().substring(0, max) || null;
+    if (has('name')) out.name = text(body.name, 80);
+    if (has('q') || has('query')) out.query = text(body.q ?? body.query, 100)?.toLocaleLowerCase('tr-TR') || null;
+    if (has('category')) out.category = text(body.category, 60);
+    if (has('city')) out.city = text(body.city, 60);
+    for (const k of ['minPrice', 'maxPrice']) {
+        if (!has(k)) continue;
+        if (body[k] === null || body[k] === '') { out[k] = null; continue; }
+        const n = parseFloat(String(body[k]).replace(',', '.'));
+        if (!Number.isFinite(n) || n < 0 || n > 10_000_000) return { error: `Geçersiz ${k}` };
+        out[k] = n;
+    }
+    if (out.minPrice != null && out.maxPrice != null && out.minPrice > out.maxPrice)
+        return { error: 'minPrice, maxPrice değerinden büyük olamaz' };
+    if (has('lat') || has('lon')) {
+        if ((body.lat === null || body.lat === '') && (body.lon === null || body.lon === '')) {
+            out.lat = out.lon = out.radiusKm = null;
+        } else {
+            const lat = parseFloat(body.lat), lon = parseFloat(body.lon);
+            if (!Number.isFinite(lat) || !Number.isFinite(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180)
+                return { error: 'Geçersiz konum' };
+            out.lat = lat; out.lon = lon;
+            out.radiusKm = Math.min(Math.max(parseFloat(body.radiusKm) || 50, 1), 1000);
+        }
+    } else if (has('radiusKm')) {
+        out.radiusKm = Math.min(Math.max(parseFloat(body.radiusKm) || 50, 1), 1000);
+    }
+    if (has('isActive')) out.isActive = !!body.isActive;
+    if (!partial && !out.query && !out.category && !out.city && out.lat == null && out.minPrice == null && out.maxPrice == null)
+        return { error: 'En az bir arama kriteri gerekli' };
+    return { data: out };
+}
+
+// Yeni/aktif ilanı kayıtlı aramalarla eşleştirir; eşleşen kullanıcılar için bildirimi tetikler
+async function matchSavedSearches(productId) {
+    const rows = await dbAll(
+        `INSERT INTO saved_search_matches ("searchId", "userId", "productId")
+         SELECT s.id, s."userId", p.id
+         FROM products p
+         JOIN saved_searches s ON s."isActive" = TRUE AND s."userId" <> p."sellerId"
+         WHERE p.id = $1 AND p."isActive" = TRUE
+           AND (s.query IS NULL OR strpos(tr_fold(p.name), tr_fold(s.query)) > 0
+                OR strpos(tr_fold(p.description), tr_fold(s.query)) > 0)
+           AND (s.category IS NULL OR s.category = p.category)
+           AND (s."minPrice" IS NULL OR p.price >= s."minPrice")
+           AND (s."maxPrice" IS NULL OR p.price <= s."maxPrice")
+           AND (s.city IS NULL OR tr_fold(p.city) = tr_fold(s.city))
+           AND (s.lat IS NULL OR (p.lat IS NOT NULL AND 6371 * acos(LEAST(1, GREATEST(-1,
+                    cos(radians(s.lat)) * cos(radians(p.lat)) * cos(radians(p.lon) - radians(s.lon)) +
+                    sin(radians(s.lat)) * sin(radians(p.lat))))) <= s."radiusKm"))
+           AND NOT EXISTS (SELECT 1 FROM blocks b
+                           WHERE (b."blockerId" = s."userId" AND b."blockedId" = p."sellerId")
+                              OR (b."blockerId" = p."sellerId" AND b."blockedId" = s."userId"))
+         ON CONFLICT ("searchId", "productId") DO NOTHING
+         RETURNING "searchId", "userId"`,
+        [productId]
+    );
+    if (!rows.length) return 0;
+    await dbRun(
+        `UPDATE saved_searches SET "matchCount" = "matchCount" + 1, "lastMatchAt" = NOW() WHERE id = ANY($1::uuid[])`,
+        [rows.map(r => r.searchId)]
+    );
+    await flushSavedSearchMatches([...new Set(rows.map(r => r.userId))]);
+    return rows.length;
+}
+
+// Bekleyen eşleşmeleri bildirir. Son SAVED_SEARCH_DIGEST_MS içinde bildirim almış kullanıcılar atlanır —
+// onların eşleşmeleri birikir ve pencere dolunca özet olarak gider.
+// Kullanıcı önce saved_search_digests üzerinde koşullu upsert ile talep edilir: satır kilidi altında
+// pencere yeniden kontrol edildiği için eşzamanlı iki flush'tan yalnızca biri kullanıcıyı alır.
+async function flushSavedSearchMatches(userIds = null) {
+    const pending = await dbAll(
+        `SELECT DISTINCT m."userId" FROM saved_search_matches m
+         JOIN saved_searches s ON s.id = m."searchId" AND s."isActive" = TRUE
+         JOIN products p ON p.id = m."productId" AND p."isActive" = TRUE
+         WHERE m."notifiedAt" IS NULL AND ($1::uuid[] IS NULL OR m."userId" = ANY($1::uuid[]))`,
+        [userIds]
+    );
+    if (!pending.length) return 0;
+
+    const claimed = await dbAll(
+        `INSERT INTO saved_search_digests ("userId", "lastSentAt")
+         SELECT UNNEST($1::uuid[]), NOW()
+         ON CONFLICT ("userId") DO UPDATE SET "lastSentAt" = NOW()
+         WHERE saved_search_digests."lastSentAt" <= NOW() - $2 * INTERVAL '1 millisecond'
+         RETURNING "userId"`,
+        [pending.map(r => r.userId), SAVED_SEARCH_DIGEST_MS]
+    );
+    if (!claimed.length) return 0;
+
+    const rows = await dbAll(
+        `UPDATE saved_search_matches m SET "notifiedAt" = NOW()
+         FROM saved_searches s, products p
+         WHERE m."notifiedAt" IS NULL AND s.id = m."searchId" AND p.id = m."productId"
+           AND m."userId" = ANY($1::uuid[])
+         RETURNING m."userId", m."productId", m."searchId", s.name AS "searchName", s."isActive" AS "searchActive",
+                   p.name AS "productName", p.price::float AS price, p."isActive" AS "productActive"`,
+        [claimed.map(r => r.userId)]
+    );
+
+    // Arada duraklatılan aramalar ve kaldırılan ilanlar bildirime girmez
+    const byUser = new Map();
+    for (const r of rows) {
+        if (!r.searchActive || !r.productActive) continue;
+        if (!byUser.has(r.userId)) byUser.set(r.userId, []);
+        byUser.get(r.userId).push(r);
+    }
+    for (const [userId, matches] of byUser) {
+        const products = [...new Map(matches.map(m => [m.productId, m])).values()];
+        const searchIds = [...new Set(matches.map(m => m.searchId))];
+        let message;
+        if (products.length === 1) {
+            const m = products[0];
+            message = `"${m.searchName}" aramanıza uyan yeni ilan: ${m.productName} — ${m.price.toLocaleString('tr-TR')} ₺`;
+        } else {
+            const names = products.slice(0, 3).map(m => m.productName).join(', ');
+            message = `Kayıtlı aramalarınıza uyan ${products.length} yeni ilan var: ${names}${products.length > 3 ? ' ve diğerleri' : ''}`;
+        }
+        createNotification(userId, 'saved_search', message, {
+            count: products.length,
+            productId: products.length === 1 ? products[0].productId : undefined,
+            productIds: products.slice(0, 20).map(m => m.productId),
+            searchIds
+        }).catch(() => {});
+    }
+    return rows.length;
+}
+
+// Pencere dolunca biriken eşleşmeleri özet olarak gönder
+setInterval(() => {
+    flushSavedSearchMatches().catch(e => console.error('[kayıtlı arama özeti]', e.message));
+}, 10 * 60 * 1000);
+
+const SAVED_SEARCH_COLUMNS = `id, name, query, category, "minPrice"::float AS "minPrice", "maxPrice"::float AS "maxPrice",
+    city, lat, lon, "radiusKm", "isActive", "matchCount", "lastMatchAt", "createdAt", "updatedAt"`;
+
+// GET /api/store/saved-searches — kullanıcının kayıtlı aramaları
+app.get('/api/store/saved-searches', authenticateToken, async (req, res) => {
+    try {
+        const searches = await dbAll(
+            `SELECT ${SAVED_SEARCH_COLUMNS},
+                    (SELECT COUNT(*)::int FROM saved_search_matches m
+                     WHERE m."searchId" = saved_searches.id AND m."notifiedAt" IS NULL) AS "pendingCount"
+             FROM saved_searches WHERE "userId" = $1 ORDER BY "createdAt" DESC`,
+            [req.user.id]
+        );
+        res.json({ searches, max: SAVED_SEARCH_MAX_PER_USER });
+    } catch (error) {
+        console.error('[kayıtlı aramalar]', error.message);
+        res.status(500).json({ error: 'Sunucu hatası' });
+    }
+});
+
+// POST /api/store/saved-searches — { name?, q?, category?, minPrice?, maxPrice?, city?, lat?, lon?, radiusKm? }
+app.post('/api/store/saved-searches', authenticateToken, storeLimiter, async (req, res) => {
+    try {
+        const { error, data } = parseSavedSearchBody(req.body || {});
+        if (error) return res.status(400).json({ error });
+
+        const { c } = await dbGet(`SELECT COUNT(*)::int AS c FROM saved_searches WHERE "userId" = $1`, [req.user.id]);
+        if (c >= SAVED_SEARCH_MAX_PER_USER)
+            return res.status(400).json({ error: `En fazla ${SAVED_SEARCH_MAX_PER_USER} arama kaydedebilirsiniz` });
+
+        const search = await dbGet(
+            `INSERT INTO saved_searches ("userId", name, query, category, "minPrice", "maxPrice", city, lat, lon, "radiusKm")
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+             RETURNING ${SAVED_SEARCH_COLUMNS}`,
+            [req.user.id, data.name || data.query || data.category || data.city || 'Kayıtlı arama',
+             data.query ?? null, data.category ?? null, data.minPrice ?? null, data.maxPrice ?? null,
+             data.city ?? null, data.lat ?? null, data.lon ?? null, data.lat != null ? data.radiusKm : null]
+        );
+        res.status(201).json({ message: 'Arama kaydedildi', search });
+    } catch (error) {
+        console.error('[kayıtlı arama ekle]', error.message);
+        res.status(500).json({ error: 'Sunucu hatası' });
+    }
+});
+
+// PUT /api/store/saved-searches/:id — kriterleri değiştir, { isActive:false } ile duraklat
+app.put('/api/store/saved-searches/:id', authenticateToken, async (req, res) => {
+    try {
+        if (!isValidUUID(req.params.id)) return res.status(404).json({ error: 'Arama bulunamadı' });
+        const current = await dbGet(`SELECT * FROM saved_searches WHERE id = $1 AND "userId" = $2`, [req.params.id, req.user.id]);
+        if (!current) return res.status(404).json({ error: 'Arama bulunamadı' });
+
+        const { error, data } = parseSavedSearchBody({
+            minPrice: current.minPrice, maxPrice: current.maxPrice, ...req.body
+        }, true);
+        if (error) return res.status(400).json({ error });
+        if (data.radiusKm != null && data.lat === undefined && current.lat == null) delete data.radiusKm;
+        const merged = { ...current, ...data };
+        if (!merged.query && !merged.category && !merged.city && merged.lat == null && merged.minPrice == null && merged.maxPrice == null)
+            return res.status(400).json({ error: 'En az bir arama kriteri gerekli' });
+
+        const cols = ['name', 'query', 'category', 'minPrice', 'maxPrice', 'city', 'lat', 'lon', 'radiusKm', 'isActive'];
+        const sets = [], vals = [];
+        for (const k of cols) {
+            if (data[k] === undefined) continue;
+            if (k === 'name' && !data.name) continue;
+            vals.push(data[k]);
+            sets.push(`"${k}" = $${vals.length}`);
+        }
+        if (!sets.length) return res.status(400).json({ error: 'Güncellenecek alan yok' });
+        vals.push(current.id);
+
+        const search = await dbGet(
+            `UPDATE saved_searches SET ${sets.join(', ')}, "updatedAt" = NOW()
+             WHERE id = $${vals.length} RETURNING ${SAVED_SEARCH_COLUMNS}`,
+            vals
+        );
+        res.json({ message: search.isActive ? 'Arama güncellendi' : 'Arama duraklatıldı', search });
+    } catch (error) {
+        console.error('[kayıtlı arama güncelle]', error.message);
+        res.status(500).json({ error: 'Sunucu hatası' });
+    }
+});
+
+// DELETE /api/store/saved-searches/:id
+app.delete('/api/store/saved-searches/:id', authenticateToken, async (req, res) => {
+    try {
+        if (!isValidUUID(req.params.id)) return res.status(404).json({ error: 'Arama bulunamadı' });
+        const result = await dbRun(`DELETE FROM saved_searches WHERE id = $1 AND "userId" = $2`, [req.params.id, req.user.id]);
+        if (!result.changes) return res.status(404).json({ error: 'Arama bulunamadı' });
+        res.json({ message: 'Arama silindi' });
+    } catch (error) {
+        console.error('[kayıtlı arama sil]', error.message);
+        res.status(500).json({ error: 'Sunucu hatası' });
+    }
+});
+
+// GET /api/store/saved-searches/:id/matches — aramaya uyan son ilanlar (bildirimden açılan liste)
+app.get('/api/store/saved-searches/:id/matches', authenticateToken, async (req, res) => {
+    try {
+        if (!isValidUUID(req.params.id)) return res.status(404).json({ error: 'Arama bulunamadı' });
+        const search = await dbGet(`SELECT id FROM saved_searches WHERE id = $1 AND "userId" = $2`, [req.params.id, req.user.id]);
+        if (!search) return res.status(404).json({ error: 'Arama bulunamadı' });
+
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+        const products = await dbAll(
+            `SELECT p.*, u.username AS "sellerName", u."profilePic" AS "sellerProfilePic",
+                    srt."sellerRating", srt."sellerReviewCount", m."createdAt" AS "matchedAt"
+             FROM saved_search_matches m
+             JOIN products p ON p.id = m."productId" AND p."isActive" = TRUE
+             JOIN users u ON u.id = p."sellerId"
+             ${SELLER_RATING_JOIN}
+             WHERE m."searchId" = $1
+             ORDER BY m."createdAt" DESC LIMIT $2`,
+            [search.id, limit]
+        );
+        res.json({ products });
+    } catch (error) {
+        console.error('[kayıtlı arama eşleşmeleri]', error.message);
+        res.status(500).json({ error: 'Sunucu hatası' });
+    }
+});
+
 // ─── 65. ÇOKLU POST GÖRÜNTÜLEME ────────────────────────────────────
 app.post('/api/posts/batch-view', authenticateToken, async (req, res) => {
     try {
@@ -12434,6 +14515,7 @@ app.get('/api/feed/explore', authenticateToken, async (req, res) => {
                     + CASE WHEN u."isVerified" = TRUE THEN 10 ELSE 0 END
                     + CASE WHEN u."hasFarmerBadge" = TRUE THEN 10 ELSE 0 END
                     + CASE WHEN p.id IN (SELECT "postId" FROM seen) THEN -20 ELSE 0 END
+                    - ${FEED_LESS_AUTHOR_SCORE}
                     + (((hashtext(p.id::text || $2::text) % 15) + 15) % 15) - 7
                     AS explore_score
                 FROM posts p
@@ -12452,6 +14534,7 @@ app.get('/api/feed/explore', authenticateToken, async (req, res) => {
                   )
                   -- 🔒 Gizli hesaplar keşfete çıkamaz
                   AND u."isPrivate" = FALSE
+                  ${FEED_FEEDBACK_FILTER}
             )
             SELECT * FROM scored
             ORDER BY explore_score DESC, "createdAt" DESC
@@ -13269,9 +15352,39 @@ app.post('/api/messages/voice', authenticateToken, upload.single('voice'), async
 });
 
 // ─── 12. FARMBOOK KAYITLARI CRUD ──────────────────────────────────
+const FARMBOOK_RECORD_COLS = `id, "userId", "recordType", "productName", quantity, unit,
+                    cost, income, "recordDate", "fieldId", "fieldName", "fieldSize", "fieldSizeUnit",
+                    season, year, notes, "harvestAmount", "harvestUnit",
+                    "qualityRating", "weatherCondition", "pesticideId", "createdAt", "updatedAt"`;
+
+// Kayıttaki tarla referansını çözer:
+//  - fieldId verilmişse kullanıcıya ait olmalı (yoksa null → çağıran 404 döner)
+//  - sadece fieldName verilmişse (eski istemciler) aynı isimli aktif tarla bulunur, yoksa oluşturulur
+//  - ikisi de yoksa undefined (tarlasız kayıt, örn. genel gider)
+// client verilirse (transaction içi) sorgular onunla çalışır
+async function resolveFarmbookField(userId, { fieldId, fieldName, fieldSize, fieldSizeUnit }, client = null) {
+    const get = client ? (sql, params) => client.query(sql, params).then(r => r.rows[0]) : dbGet;
+    if (fieldId) {
+        if (!isValidUUID(fieldId)) return null;
+        return get('SELECT * FROM farmbook_fields WHERE id=$1 AND "userId"=$2 AND "isArchived"=FALSE', [fieldId, userId]);
+    }
+    const name = typeof fieldName === 'string' ? fieldName.trim() : '';
+    if (!name) return undefined;
+    const existing = await get(
+        'SELECT * FROM farmbook_fields WHERE "userId"=$1 AND LOWER(name)=LOWER($2) AND "isArchived"=FALSE',
+        [userId, name]);
+    if (existing) return existing;
+    return get(
+        `INSERT INTO farmbook_fields (id,"userId",name,area,"areaUnit","createdAt","updatedAt")
+         VALUES ($1,$2,$3,$4,$5,NOW(),NOW())
+         ON CONFLICT ("userId", (LOWER(name))) WHERE "isArchived" = FALSE DO UPDATE SET "updatedAt"=NOW()
+         RETURNING *`,
+        [uuidv4(), userId, name.slice(0, 100), fieldSize || null, fieldSizeUnit || 'dekar']);
+}
+
 app.get('/api/farmbook/records', authenticateToken, async (req, res) => {
     try {
-        const { season, year, type, page=1, limit=50 } = req.query;
+        const { season, year, type, fieldId, page=1, limit=50 } = req.query;
         const pn=Math.max(1,parseInt(page)||1), ln=Math.min(parseInt(limit)||50,200);
         const off=(pn-1)*ln;
         const conds=['"userId"=$1'], params=[req.user.id];
@@ -13279,44 +15392,92 @@ app.get('/api/farmbook/records', authenticateToken, async (req, res) => {
         if (season) { conds.push(`season=$${pi++}`); params.push(season); }
         if (year)   { conds.push(`year=$${pi++}`);   params.push(parseInt(year)); }
         if (type)   { conds.push(`"recordType"=$${pi++}`); params.push(type); }
+        if (fieldId) {
+            if (!isValidUUID(fieldId)) return res.status(400).json({ error:'Geçersiz tarla ID' });
+            conds.push(`"fieldId"=$${pi++}`); params.push(fieldId);
+        }
         const where = conds.join(' AND ');
         const records = await dbAll(`SELECT * FROM farmbook_records WHERE ${where} ORDER BY "recordDate" DESC LIMIT $${pi} OFFSET $${pi+1}`,[...params,ln,off]);
         const tot = await dbGet(`SELECT COUNT(*) AS c FROM farmbook_records WHERE ${where}`,params);
-        res.json({ success:true, records, total:parseInt(tot?.c||0), page:pn, totalPages:Math.ceil((tot?.c||0)/ln) });
+        // Aktif PHI pencereleri + listedeki hasat kayıtlarıyla çakışmalar
+        const windows = await getPhiWindows(req.user.id, fieldId ? { fieldIds: [fieldId] } : {});
+        const phiWarnings = [
+            ...windows.filter(w => w.active).map(w => ({ ...w, type: 'phi_active' })),
+            ...records.filter(r => r.recordType === 'hasat' && r.fieldId)
+                      .flatMap(r => findPhiConflicts(windows, r.fieldId, r.recordDate).map(c => ({ ...c, harvestRecordId: r.id }))),
+        ];
+        res.json({ success:true, records, total:parseInt(tot?.c||0), page:pn, totalPages:Math.ceil((tot?.c||0)/ln), phiWarnings });
     } catch (e) { console.error(e); res.status(500).json({ error:'Sunucu hatası' }); }
 });
 app.post('/api/farmbook/records', authenticateToken, async (req, res) => {
     try {
-        const { recordType, productName, quantity, unit, cost, income, recordDate, fieldName, fieldSize, fieldSizeUnit, season, year, notes, harvestAmount, harvestUnit, qualityRating, weatherCondition } = req.body;
+        const { recordType, productName, quantity, unit, cost, income, recordDate, fieldId, fieldName, fieldSize, fieldSizeUnit, season, year, notes, harvestAmount, harvestUnit, qualityRating, weatherCondition, pesticideId } = req.body;
         if (!recordType||!recordDate) return res.status(400).json({ error:'Kayıt tipi ve tarih zorunludur' });
+        const field = await resolveFarmbookField(req.user.id, { fieldId, fieldName, fieldSize, fieldSizeUnit });
+        if (fieldId && !field) return res.status(404).json({ error:'Tarla bulunamadı' });
+        let pesticide = null;
+        if (pesticideId) {
+            if (recordType !== 'ilac') return res.status(400).json({ error:'pesticideId sadece ilaç kayıtlarında kullanılabilir' });
+            pesticide = await dbGet('SELECT id, "tradeName" FROM pesticide_catalog WHERE id=$1 AND "isActive"=TRUE',[pesticideId]);
+            if (!pesticide) return res.status(404).json({ error:'İlaç katalogda bulunamadı' });
+        }
         const id = uuidv4();
-        await dbRun(`INSERT INTO farmbook_records (id,"userId","recordType","productName",quantity,unit,cost,income,"recordDate","fieldName","fieldSize","fieldSizeUnit",season,year,notes,"harvestAmount","harvestUnit","qualityRating","weatherCondition","createdAt","updatedAt") VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16,$17,$18,$19,NOW(),NOW())`,
-            [id,req.user.id,recordType,productName||null,quantity||null,unit||null,cost||0,income||0,recordDate,fieldName||null,fieldSize||null,fieldSizeUnit||'dekar',season||null,year||new Date().getFullYear(),notes||null,harvestAmount||null,harvestUnit||null,qualityRating||null,weatherCondition||null]);
-        const record = await dbGet(`SELECT id, "userId", "recordType", "productName", quantity, unit,
-                    cost, income, "recordDate", "fieldName", "fieldSize", "fieldSizeUnit",
-                    season, year, notes, "harvestAmount", "harvestUnit",
-                    "qualityRating", "weatherCondition", "createdAt", "updatedAt"
-             FROM farmbook_records WHERE id=$1`,[id]);
-        res.json({ success:true, record });
+        await dbRun(`INSERT INTO farmbook_records (id,"userId","recordType","productName",quantity,unit,cost,income,"recordDate","fieldId","fieldName","fieldSize","fieldSizeUnit",season,year,notes,"harvestAmount","harvestUnit","qualityRating","weatherCondition","pesticideId","createdAt","updatedAt") VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16,$17,$18,$19,$20,$21,NOW(),NOW())`,
+            [id,req.user.id,recordType,productName||pesticide?.tradeName||null,quantity||null,unit||null,cost||0,income||0,recordDate,field?.id||null,field?.name||null,fieldSize||field?.area||null,fieldSizeUnit||field?.areaUnit||'dekar',season||null,year||new Date().getFullYear(),notes||null,harvestAmount||null,harvestUnit||null,qualityRating||null,weatherCondition||null,pesticide?.id||null]);
+        const record = await dbGet(`SELECT ${FARMBOOK_RECORD_COLS} FROM farmbook_records WHERE id=$1`,[id]);
+        // İyi Tarım: hasat tarihi bir ilacın hasat öncesi bekleme süresine (PHI) denk geliyorsa uyar.
+        // Yeni ilaç kaydında ise aynı tarladaki planlı hasatlar (hasat kaydı / hasat-takip) kontrol edilir.
+        let phiWarnings = [];
+        if (record.fieldId && (recordType === 'hasat' || record.pesticideId)) {
+            const windows = await getPhiWindows(req.user.id, { fieldIds: [record.fieldId] });
+            if (recordType === 'hasat') {
+                phiWarnings = findPhiConflicts(windows, record.fieldId, record.recordDate);
+            } else {
+                const own = windows.filter(w => w.recordId === record.id);
+                const harvests = await dbAll(
+                    `SELECT "recordDate" AS d FROM farmbook_records WHERE "userId"=$1 AND "fieldId"=$2 AND "recordType"='hasat' AND "recordDate">=$3
+                     UNION ALL
+                     SELECT COALESCE("gddHasatTarihi", ("createdAt" + ("tahminiHasat" || ' days')::interval)::date) AS d FROM hasat_tarlalar WHERE "userId"=$1 AND "fieldId"=$2`,
+                    [req.user.id, record.fieldId, record.recordDate]);
+                phiWarnings = harvests.flatMap(h => findPhiConflicts(own, record.fieldId, h.d));
+            }
+        }
+        res.json({ success:true, record, phiWarnings });
     } catch (e) { console.error(e); res.status(500).json({ error:'Sunucu hatası' }); }
 });
 app.put('/api/farmbook/records/:id', authenticateToken, async (req, res) => {
     try {
-        const existing = await dbGet('SELECT id FROM farmbook_records WHERE id=$1 AND "userId"=$2',[req.params.id,req.user.id]);
+        const existing = await dbGet('SELECT id, "recordType", "pesticideId" FROM farmbook_records WHERE id=$1 AND "userId"=$2',[req.params.id,req.user.id]);
         if (!existing) return res.status(404).json({ error:'Kayıt bulunamadı' });
-        const allowed = ['recordType','productName','quantity','unit','cost','income','recordDate','fieldName','fieldSize','fieldSizeUnit','season','year','notes','harvestAmount','harvestUnit','qualityRating','weatherCondition'];
+        const allowed = ['recordType','productName','quantity','unit','cost','income','recordDate','fieldName','fieldSize','fieldSizeUnit','season','year','notes','harvestAmount','harvestUnit','qualityRating','weatherCondition','pesticideId'];
+        const body = { ...req.body };
+        // POST ile aynı kural, güncelleme sonrası (mevcut + gelen) değerlere uygulanır
+        const nextType = body.recordType !== undefined ? body.recordType : existing.recordType;
+        const nextPesticide = body.pesticideId !== undefined ? body.pesticideId : existing.pesticideId;
+        if (nextPesticide && nextType !== 'ilac') return res.status(400).json({ error:'pesticideId sadece ilaç kayıtlarında kullanılabilir' });
+        if (body.pesticideId) {
+            const pest = await dbGet('SELECT id FROM pesticide_catalog WHERE id=$1 AND "isActive"=TRUE',[body.pesticideId]);
+            if (!pest) return res.status(404).json({ error:'İlaç katalogda bulunamadı' });
+        }
+        // Tarla değişiyorsa fieldId ↔ fieldName tutarlı kalsın
+        if (body.fieldId !== undefined || body.fieldName !== undefined) {
+            if (body.fieldId === null || (body.fieldId === undefined && !String(body.fieldName || '').trim())) {
+                body.fieldId = null; body.fieldName = null;
+            } else {
+                const field = await resolveFarmbookField(req.user.id, body);
+                if (!field) return res.status(404).json({ error:'Tarla bulunamadı' });
+                body.fieldId = field.id; body.fieldName = field.name;
+            }
+            allowed.push('fieldId');
+        }
         const sets=[], vals=[];
         let pi=1;
-        for (const f of allowed) { if (req.body[f]!==undefined) { sets.push(`"${f}"=$${pi++}`); vals.push(req.body[f]); } }
+        for (const f of allowed) { if (body[f]!==undefined) { sets.push(`"${f}"=$${pi++}`); vals.push(body[f]); } }
         if (!sets.length) return res.status(400).json({ error:'Güncellenecek alan yok' });
         sets.push(`"updatedAt"=NOW()`);
         vals.push(req.params.id,req.user.id);
         await dbRun(`UPDATE farmbook_records SET ${sets.join(',')} WHERE id=$${pi} AND "userId"=$${pi+1}`,vals);
-        const record = await dbGet(`SELECT id, "userId", "recordType", "productName", quantity, unit,
-                    cost, income, "recordDate", "fieldName", "fieldSize", "fieldSizeUnit",
-                    season, year, notes, "harvestAmount", "harvestUnit",
-                    "qualityRating", "weatherCondition", "createdAt", "updatedAt"
-             FROM farmbook_records WHERE id=$1`,[req.params.id]);
+        const record = await dbGet(`SELECT ${FARMBOOK_RECORD_COLS} FROM farmbook_records WHERE id=$1`,[req.params.id]);
         res.json({ success:true, record });
     } catch (e) { console.error(e); res.status(500).json({ error:'Sunucu hatası' }); }
 });
@@ -13330,34 +15491,321 @@ app.delete('/api/farmbook/records/:id', authenticateToken, async (req, res) => {
 });
 
 // ─── 13. FARMBOOK İSTATİSTİKLER ───────────────────────────────────
+// Alan → dekar. 1 dönüm = 1 dekar = 1000 m² (Türkiye standart dönümü), 1 hektar = 10 dekar
+const FARMBOOK_DECARE_FACTORS = { dekar: 1, 'dönüm': 1, donum: 1, hektar: 10, ha: 10, m2: 0.001 };
+function farmbookAreaToDecare(size, unit) {
+    const n = parseFloat(size);
+    if (!n || n <= 0) return null;
+    const f = FARMBOOK_DECARE_FACTORS[String(unit || 'dekar').toLowerCase().trim()];
+    return f ? n * f : null;
+}
+// Hasat miktarı → kg (bilinmeyen birimler null: verim hesabına katılmaz)
+const FARMBOOK_KG_FACTORS = { kg: 1, ton: 1000, t: 1000, kental: 100, g: 0.001, gr: 0.001 };
+
+// Ekim döngüsü raporu: her "ekim" kaydı bir döngü başlatır; aynı tarladaki sonraki
+// gubre/ilac/sulama/gider kayıtları (bir sonraki ekime kadar) ve aynı ürünün hasat/gelir
+// kayıtları döngüye bağlanır. Tarlası olmayan ekimlerde sadece ürün adı eşleşmesi kullanılır.
+// Eşleştirme ve toplama SQL'de yapılır (tarla/ürün başına ekim sayacı = döngü numarası);
+// ürün anahtarı normalizeCropKey ile aynı (cropKeySql).
+async function buildFarmbookCropCycles(userId, { season, year, fieldId } = {}) {
+    const rows = await dbAll(
+        `WITH r AS (
+             SELECT id, "recordType" AS t, COALESCE(cost, 0) AS cost, COALESCE(income, 0) AS income,
+                    "recordDate", "createdAt", "fieldId", "fieldName", "productName", season, year,
+                    COALESCE("fieldId"::text, 'n:' || LOWER(NULLIF(TRIM("fieldName"), ''))) AS fk,
+                    ${cropKeySql('"productName"')} AS ck,
+                    CASE WHEN "fieldSize" > 0
+                         THEN "fieldSize" * ($2::jsonb ->> LOWER(TRIM(COALESCE("fieldSizeUnit", 'dekar'))))::float8 END AS dekar,
+                    CASE WHEN "harvestAmount" > 0
+                         THEN "harvestAmount" * ($3::jsonb ->> LOWER(TRIM(COALESCE("harvestUnit", 'kg'))))::float8 END AS kg
+             FROM farmbook_records WHERE "userId" = $1
+         ), s AS (
+             SELECT r.*,
+                    COUNT(*) FILTER (WHERE t = 'ekim') OVER (PARTITION BY fk ORDER BY "recordDate", "createdAt", id) AS fc,
+                    COUNT(*) FILTER (WHERE t = 'ekim' AND fk IS NULL) OVER (PARTITION BY ck ORDER BY "recordDate", "createdAt", id) AS cc
+             FROM r
+         ), m AS (
+             -- tarladaki açık döngü; yoksa hasat/gelir aynı ürünün tarlasız döngüsüne bağlanır
+             SELECT s.*,
+                    CASE WHEN fk IS NOT NULL AND fc > 0 THEN fk
+                         WHEN t = 'ekim' OR (t IN ('hasat', 'gelir') AND cc > 0) THEN 'c:' || ck END AS ckey,
+                    CASE WHEN fk IS NOT NULL AND fc > 0 THEN fc ELSE cc END AS cidx
+             FROM s
+         ), k AS (
+             SELECT m.*, MAX(ck) FILTER (WHERE t = 'ekim') OVER (PARTITION BY ckey, cidx) AS eck
+             FROM m WHERE ckey IS NOT NULL
+         ), a AS (
+             -- Hasat/gelir başka bir ürüne aitse (aynı tarlada ikinci ürün) döngüye katılmaz
+             SELECT ckey, cidx,
+                    array_agg(id::text ORDER BY "recordDate", "createdAt", id) AS "recordIds",
+                    SUM(cost) AS "totalCost", SUM(income) AS "totalIncome",
+                    COALESCE(SUM(kg) FILTER (WHERE t = 'hasat'), 0) AS "harvestKg",
+                    MAX("recordDate") FILTER (WHERE t = 'hasat') AS "harvestDate",
+                    (array_agg(dekar ORDER BY "recordDate", "createdAt", id) FILTER (WHERE t = 'hasat' AND dekar IS NOT NULL))[1] AS "harvestDecare",
+                    COUNT(*) FILTER (WHERE t = 'gubre')::int AS gubre, COUNT(*) FILTER (WHERE t = 'ilac')::int AS ilac,
+                    COUNT(*) FILTER (WHERE t = 'sulama')::int AS sulama, COUNT(*) FILTER (WHERE t = 'gider')::int AS gider
+             FROM k
+             WHERE NOT (t IN ('hasat', 'gelir') AND ck <> '' AND COALESCE(eck, '') <> '' AND ck <> eck)
+             GROUP BY ckey, cidx
+         )
+         SELECT e.id AS "sowingRecordId", e."fieldId", e."fieldName", e."productName", e.season, e.year,
+                e."recordDate" AS "sowingDate", e.dekar AS "sowingDecare", e.fk, e.ck, a.*
+         FROM a JOIN k e ON e.ckey = a.ckey AND e.cidx = a.cidx AND e.t = 'ekim'
+         ORDER BY e."recordDate", e."createdAt", e.id`,
+        [userId, JSON.stringify(FARMBOOK_DECARE_FACTORS), JSON.stringify(FARMBOOK_KG_FACTORS)]);
+
+    const cycles = rows.map(r => ({
+        sowingRecordId: r.sowingRecordId, fieldId: r.fieldId || null, fieldName: r.fieldName || null,
+        crop: r.productName || null, season: r.season, year: r.year, sowingDate: r.sowingDate,
+        harvestDate: r.harvestDate || null, areaDecare: r.sowingDecare || r.harvestDecare || null,
+        totalCost: parseFloat(r.totalCost) || 0, totalIncome: parseFloat(r.totalIncome) || 0,
+        harvestKg: parseFloat(r.harvestKg) || 0,
+        inputs: { gubre: r.gubre, ilac: r.ilac, sulama: r.sulama, gider: r.gider }, recordIds: r.recordIds,
+        _fk: r.fk, _ck: r.ck,
+    }));
+
+    // Metrikler + aynı tarla/ürünün bir önceki döngüsüyle karşılaştırma
+    const round = (n, d = 2) => (n === null || !isFinite(n)) ? null : parseFloat(n.toFixed(d));
+    const pct = (cur, prev) => (cur === null || !prev) ? null : round(((cur - prev) / prev) * 100, 1);
+    const lastByKey = new Map();
+    const result = cycles.map(c => {
+        const area = c.areaDecare;
+        const m = {
+            costPerDecare  : area ? round(c.totalCost / area) : null,
+            incomePerDecare: area ? round(c.totalIncome / area) : null,
+            yieldPerDecare : area && c.harvestKg ? round(c.harvestKg / area) : null,
+            breakEvenPrice : c.harvestKg ? round(c.totalCost / c.harvestKg) : null, // ₺/kg
+            profit         : round(c.totalIncome - c.totalCost),
+        };
+        const key = (c._fk || '-') + '|' + c._ck;
+        const prev = lastByKey.get(key);
+        lastByKey.set(key, { ...m, year: c.year, season: c.season });
+        const { _fk, _ck, ...pub } = c;
+        return {
+            ...pub,
+            areaDecare: round(area),
+            totalCost: round(c.totalCost), totalIncome: round(c.totalIncome), harvestKg: round(c.harvestKg),
+            ...m,
+            previous: prev ? {
+                year: prev.year, season: prev.season,
+                costPerDecare: prev.costPerDecare, yieldPerDecare: prev.yieldPerDecare, breakEvenPrice: prev.breakEvenPrice,
+                costPerDecareChangePct : pct(m.costPerDecare, prev.costPerDecare),
+                yieldPerDecareChangePct: pct(m.yieldPerDecare, prev.yieldPerDecare),
+            } : null,
+        };
+    });
+
+    return result
+        .filter(c => (!season || c.season === season) && (!year || c.year === parseInt(year)) && (!fieldId || c.fieldId === fieldId))
+        .reverse();
+}
+
 app.get('/api/farmbook/stats', authenticateToken, async (req, res) => {
     try {
-        const { season, year } = req.query;
+        const { season, year, fieldId } = req.query;
         const conds=['"userId"=$1'], params=[req.user.id];
         let pi=2;
         if (season){ conds.push(`season=$${pi++}`); params.push(season); }
         if (year)  { conds.push(`year=$${pi++}`);   params.push(parseInt(year)); }
+        if (fieldId) {
+            if (!isValidUUID(fieldId)) return res.status(400).json({ error:'Geçersiz tarla ID' });
+            conds.push(`"fieldId"=$${pi++}`); params.push(fieldId);
+        }
         const where = conds.join(' AND ');
-        const [costRow,incRow,types,monthly,seasons] = await Promise.all([
+        const [costRow,incRow,types,monthly,seasons,byField,cropCycles] = await Promise.all([
             dbGet(`SELECT COALESCE(SUM(cost),0) AS total FROM farmbook_records WHERE ${where}`,params),
             dbGet(`SELECT COALESCE(SUM(income),0) AS total FROM farmbook_records WHERE ${where}`,params),
             dbAll(`SELECT "recordType", COUNT(*) AS count FROM farmbook_records WHERE ${where} GROUP BY "recordType"`,params),
             dbAll(`SELECT TO_CHAR("recordDate",'YYYY-MM') AS month, SUM(cost) AS "totalCost", SUM(income) AS "totalIncome" FROM farmbook_records WHERE ${where} GROUP BY TO_CHAR("recordDate",'YYYY-MM') ORDER BY month DESC LIMIT 12`,params),
-            dbAll(`SELECT DISTINCT season, year FROM farmbook_records WHERE "userId"=$1 ORDER BY year DESC`,[req.user.id])
+            dbAll(`SELECT DISTINCT season, year FROM farmbook_records WHERE "userId"=$1 ORDER BY year DESC`,[req.user.id]),
+            dbAll(`SELECT "fieldId", MAX("fieldName") AS "fieldName", COALESCE(SUM(cost),0) AS "totalCost", COALESCE(SUM(income),0) AS "totalIncome"
+                   FROM farmbook_records WHERE ${where} AND "fieldId" IS NOT NULL GROUP BY "fieldId" ORDER BY "totalIncome" DESC`,params),
+            buildFarmbookCropCycles(req.user.id, { season, year, fieldId })
         ]);
         const totalCost=parseFloat(costRow?.total||0), totalIncome=parseFloat(incRow?.total||0);
-        res.json({ success:true, stats:{ totalCost, totalIncome, profit:totalIncome-totalCost, recordCounts:types.reduce((a,r)=>({...a,[r.recordType]:parseInt(r.count)}),{}), monthlyData:monthly, seasons } });
+        const fieldData = byField.map(f => ({ fieldId:f.fieldId, fieldName:f.fieldName, totalCost:parseFloat(f.totalCost), totalIncome:parseFloat(f.totalIncome), profit:parseFloat(f.totalIncome)-parseFloat(f.totalCost) }));
+        res.json({ success:true, stats:{ totalCost, totalIncome, profit:totalIncome-totalCost, recordCounts:types.reduce((a,r)=>({...a,[r.recordType]:parseInt(r.count)}),{}), monthlyData:monthly, seasons, fieldData, cropCycles } });
     } catch (e) { console.error(e); res.status(500).json({ error:'Sunucu hatası' }); }
 });
 
 // ─── 14. FARMBOOK CSV EXPORT ───────────────────────────────────────
+// PDF metinleri Helvetica/WinAnsi ile yazılır: ğ/ş/ı/İ bu kodlamada yok → ASCII karşılığı
+function pdfSafeText(str, max = 90) {
+    const map = { 'ğ':'g','Ğ':'G','ş':'s','Ş':'S','ı':'i','İ':'I','ç':'c','Ç':'C','ö':'o','Ö':'O','ü':'u','Ü':'U','â':'a','Â':'A','₺':'TL' };
+    return String(str ?? '').replace(/[ğĞşŞıİçÇöÖüÜâÂ₺]/g, ch => map[ch])
+        .replace(/[^\x20-\x7E]/g, '').replace(/[()\\]/g, '').substring(0, max);
+}
+
+// Farmbook sezon raporu (A4, çok sayfalı): özet, aylık gelir/gider grafiği,
+// tarla bazında tablo ve gübre/ilaç kullanımı. Banka/kooperatif kredi başvuruları için.
+function buildFarmbookSeasonPDF({ records, userName, season, year }) {
+    const PW = 595, PH = 842, M = 40;
+    const GREEN = '0.149 0.541 0.322', RED = '0.80 0.25 0.22';
+    const money = n => (Math.round((n || 0) * 100) / 100).toLocaleString('tr-TR') + ' TL';
+    const num   = n => (Math.round((n || 0) * 100) / 100).toLocaleString('tr-TR');
+    const monthKey = d => {
+        if (typeof d === 'string' && /^\d{4}-\d{2}-\d{2}/.test(d)) return d.slice(0, 7);
+        const dt = d instanceof Date ? d : new Date(d);
+        return `${dt.getFullYear()}-${String(dt.getMonth() + 1).padStart(2, '0')}`;
+    };
+
+    // ── Veri özetleri ──
+    const totalCost   = records.reduce((a, r) => a + (parseFloat(r.cost) || 0), 0);
+    const totalIncome = records.reduce((a, r) => a + (parseFloat(r.income) || 0), 0);
+    const byField = new Map(), byMonth = new Map(), inputs = new Map();
+    for (const r of records) {
+        const fName = r.fieldName || 'Tarlasiz kayitlar';
+        const f = byField.get(fName) || { cost: 0, income: 0 };
+        f.cost += parseFloat(r.cost) || 0; f.income += parseFloat(r.income) || 0;
+        byField.set(fName, f);
+        const mk = monthKey(r.recordDate);
+        const m = byMonth.get(mk) || { cost: 0, income: 0 };
+        m.cost += parseFloat(r.cost) || 0; m.income += parseFloat(r.income) || 0;
+        byMonth.set(mk, m);
+        if (r.recordType === 'gubre' || r.recordType === 'ilac') {
+            const key = `${r.recordType}|${(r.productName || '-').toLowerCase()}|${r.unit || ''}`;
+            const it = inputs.get(key) || { type: r.recordType, product: r.productName || '-', unit: r.unit || '', quantity: 0, cost: 0 };
+            it.quantity += parseFloat(r.quantity) || 0; it.cost += parseFloat(r.cost) || 0;
+            inputs.set(key, it);
+        }
+    }
+    const months = [...byMonth.keys()].sort().slice(-12);
+
+    // ── Sayfa düzeni ──
+    const pages = [];
+    let ops, y;
+    const text = (x, yy, str, { bold = false, size = 9, color = '0 0 0' } = {}) =>
+        ops.push(`${color} rg BT /${bold ? 'F1' : 'F2'} ${size} Tf ${x.toFixed(1)} ${yy.toFixed(1)} Td (${pdfSafeText(str)}) Tj ET`);
+    const textRight = (xRight, yy, str, opts = {}) =>
+        text(xRight - pdfSafeText(str).length * (opts.size || 9) * 0.52, yy, str, opts);
+    const newPage = () => {
+        ops = []; pages.push(ops); y = PH - M;
+        if (pages.length === 1) {
+            ops.push(`${GREEN} rg 0 ${PH - 80} ${PW} 80 re f`);
+            text(M, PH - 38, 'AGROLINK - Farmbook Sezon Raporu', { bold: true, size: 18, color: '1 1 1' });
+            text(M, PH - 56, `${userName || ''}  |  Sezon: ${season || 'Tumu'}  |  Yil: ${year || 'Tumu'}`, { size: 10, color: '1 1 1' });
+            textRight(PW - M, PH - 38, new Date().toLocaleDateString('tr-TR'), { size: 9, color: '1 1 1' });
+            y = PH - 80 - 24;
+        }
+    };
+    const ensure = h => { if (y - h < M + 24) newPage(); };
+    const sectionTitle = title => {
+        ensure(40);
+        ops.push(`${GREEN} rg ${M} ${y - 18} ${PW - 2 * M} 22 re f`);
+        text(M + 6, y - 12, title, { bold: true, size: 10, color: '1 1 1' });
+        y -= 32;
+    };
+    const table = (cols, rows) => {
+        // cols: [{ title, x, right }] — right=true sayısal kolonlar sağa hizalanır
+        const header = () => {
+            cols.forEach(c => c.right ? textRight(c.x, y, c.title, { bold: true, size: 8 }) : text(c.x, y, c.title, { bold: true, size: 8 }));
+            ops.push(`0.7 0.7 0.7 RG 0.5 w ${M} ${y - 4} m ${PW - M} ${y - 4} l S`);
+            y -= 16;
+        };
+        header();
+        rows.forEach((row, i) => {
+            if (y - 14 < M + 24) { newPage(); header(); }
+            if (i % 2 === 0) ops.push(`0.96 0.98 0.97 rg ${M} ${y - 4} ${PW - 2 * M} 14 re f`);
+            row.forEach((cell, ci) => cols[ci].right ? textRight(cols[ci].x, y, cell, { size: 8 }) : text(cols[ci].x, y, cell, { size: 8 }));
+            y -= 14;
+        });
+        y -= 10;
+    };
+
+    newPage();
+
+    // ① Kâr/zarar özeti
+    const profit = totalIncome - totalCost;
+    const boxW = (PW - 2 * M - 20) / 3;
+    [['Toplam Gelir', money(totalIncome), GREEN], ['Toplam Gider', money(totalCost), RED],
+     ['Kar / Zarar', money(profit), profit >= 0 ? GREEN : RED]].forEach(([label, val, col], i) => {
+        const x = M + i * (boxW + 10);
+        ops.push(`0.96 0.98 0.97 rg ${col} RG 1 w ${x} ${y - 50} ${boxW} 50 re B`);
+        text(x + 8, y - 18, label, { size: 9, color: '0.3 0.3 0.3' });
+        text(x + 8, y - 38, val, { bold: true, size: 13, color: col });
+    });
+    y -= 70;
+    text(M, y, `Kayit sayisi: ${records.length}`, { size: 8, color: '0.4 0.4 0.4' });
+    y -= 20;
+
+    // ② Aylık gelir/gider çubuk grafiği
+    sectionTitle('AYLIK GELIR / GIDER');
+    if (months.length) {
+        const chartH = 140, chartW = PW - 2 * M - 40, x0 = M + 40, y0 = y - chartH;
+        const maxVal = Math.max(1, ...months.map(k => Math.max(byMonth.get(k).cost, byMonth.get(k).income)));
+        ops.push(`0.6 0.6 0.6 RG 0.5 w ${x0} ${y0} m ${x0 + chartW} ${y0} l S ${x0} ${y0} m ${x0} ${y0 + chartH} l S`);
+        textRight(x0 - 4, y0 + chartH - 6, num(maxVal), { size: 6 });
+        textRight(x0 - 4, y0, '0', { size: 6 });
+        const slot = chartW / months.length, barW = Math.min(14, slot / 3);
+        months.forEach((k, i) => {
+            const m = byMonth.get(k), cx = x0 + i * slot + slot / 2;
+            const hc = (m.cost / maxVal) * chartH, hi = (m.income / maxVal) * chartH;
+            ops.push(`${RED} rg ${(cx - barW - 1).toFixed(1)} ${y0} ${barW.toFixed(1)} ${hc.toFixed(1)} re f`);
+            ops.push(`${GREEN} rg ${(cx + 1).toFixed(1)} ${y0} ${barW.toFixed(1)} ${hi.toFixed(1)} re f`);
+            text(cx - 14, y0 - 10, k, { size: 6 });
+        });
+        y = y0 - 24;
+        ops.push(`${GREEN} rg ${M} ${y} 8 8 re f`); text(M + 12, y + 1, 'Gelir', { size: 8 });
+        ops.push(`${RED} rg ${M + 60} ${y} 8 8 re f`); text(M + 72, y + 1, 'Gider', { size: 8 });
+        y -= 24;
+    } else {
+        text(M, y, 'Bu donemde kayit yok.', { size: 9 }); y -= 20;
+    }
+
+    // ③ Tarla bazında gelir/gider
+    sectionTitle('TARLA BAZINDA GELIR / GIDER');
+    table(
+        [{ title: 'Tarla', x: M + 4 }, { title: 'Gider', x: 340, right: true }, { title: 'Gelir', x: 440, right: true }, { title: 'Kar / Zarar', x: PW - M - 4, right: true }],
+        [...byField.entries()].sort((a, b) => b[1].income - a[1].income)
+            .map(([name, f]) => [name, money(f.cost), money(f.income), money(f.income - f.cost)])
+    );
+
+    // ④ Girdi kullanımı (gübre & ilaç)
+    sectionTitle('GIRDI KULLANIMI (GUBRE / ILAC)');
+    const inputRows = [...inputs.values()].sort((a, b) => a.type.localeCompare(b.type) || b.cost - a.cost)
+        .map(it => [it.type === 'gubre' ? 'Gubre' : 'Ilac', it.product, num(it.quantity), it.unit, money(it.cost)]);
+    if (inputRows.length) {
+        table(
+            [{ title: 'Tip', x: M + 4 }, { title: 'Urun', x: M + 60 }, { title: 'Miktar', x: 380, right: true }, { title: 'Birim', x: 390 }, { title: 'Maliyet', x: PW - M - 4, right: true }],
+            inputRows
+        );
+    } else {
+        text(M, y, 'Gubre veya ilac kaydi yok.', { size: 9 }); y -= 20;
+    }
+
+    // ── PDF nesneleri: 1 Catalog, 2 Pages, 3-4 fontlar, sonra her sayfa için Page + Content ──
+    const objs = [];
+    const kids = pages.map((_, i) => `${5 + i * 2} 0 R`).join(' ');
+    objs.push({ type: 'raw', content: `<< /Type /Catalog /Pages 2 0 R >>` });
+    objs.push({ type: 'raw', content: `<< /Type /Pages /Kids [${kids}] /Count ${pages.length} >>` });
+    objs.push({ type: 'raw', content: `<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>` });
+    objs.push({ type: 'raw', content: `<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>` });
+    pages.forEach((pageOps, i) => {
+        pageOps.push(`0.4 0.4 0.4 rg BT /F2 7 Tf ${M} 20 Td (Agro Sosyal Farmbook kayitlarindan otomatik olusturulmustur.) Tj ET`);
+        pageOps.push(`0.4 0.4 0.4 rg BT /F2 7 Tf ${PW - M - 50} 20 Td (Sayfa ${i + 1} / ${pages.length}) Tj ET`);
+        const contentBuf = Buffer.from(pageOps.join('\n'), 'latin1');
+        objs.push({ type: 'raw', content: `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PW} ${PH}] /Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${6 + i * 2} 0 R >>` });
+        objs.push({ type: 'stream', header: `<< /Length ${contentBuf.length} >>`, stream: contentBuf });
+    });
+    return assemblePdfObjects(objs);
+}
+
 app.get('/api/farmbook/export', authenticateToken, async (req, res) => {
     try {
-        const { season, year } = req.query;
+        const { season, year, format } = req.query;
         const conds=['"userId"=$1'], params=[req.user.id]; let pi=2;
         if (season){ conds.push(`season=$${pi++}`); params.push(season); }
         if (year)  { conds.push(`year=$${pi++}`);   params.push(parseInt(year)); }
         const records = await dbAll(`SELECT * FROM farmbook_records WHERE ${conds.join(' AND ')} ORDER BY "recordDate" DESC`,params);
+        // ?format=pdf → yazdırılabilir sezon raporu
+        if (format === 'pdf') {
+            const user = await dbGet('SELECT name FROM users WHERE id=$1',[req.user.id]);
+            const pdf = buildFarmbookSeasonPDF({ records, userName: user?.name, season, year });
+            const pdfName = `farmbook_rapor_${season||'tum'}_${year||'tum'}_${new Date().toISOString().split('T')[0]}.pdf`.replace(/["\r\n\\]/g, '');
+            res.setHeader('Content-Type','application/pdf');
+            res.setHeader('Content-Disposition',`attachment; filename="${pdfName}"`);
+            return res.send(pdf);
+        }
         const typeNames = { ekim:'Ekim',gubre:'Gübre',ilac:'İlaç',hasat:'Hasat',gider:'Gider',gelir:'Gelir',sulama:'Sulama',notlar:'Notlar' };
         const hdrs = ['Tarih','Kayıt Tipi','Ürün/İşlem','Miktar','Birim','Maliyet (₺)','Gelir (₺)','Tarla','Alan','Alan Birimi','Sezon','Yıl','Hasat Miktarı','Hasat Birimi','Kalite','Hava','Notlar'];
         let csv = hdrs.join(';') + '\n';
@@ -13375,6 +15823,216 @@ app.get('/api/farmbook/export', authenticateToken, async (req, res) => {
     } catch (e) { console.error(e); res.status(500).json({ error:'Sunucu hatası' }); }
 });
 
+// ─── 14b. FARMBOOK CSV/XLSX İÇE AKTARMA ────────────────────────────
+// Export'un ürettiği CSV'yi (BOM + ';' + Türkçe başlıklar) birebir geri okur.
+// ?dryRun=true → hiçbir şey yazılmaz, satır bazlı hata ve önizleme döner.
+// XLSX için: npm install xlsx (yoksa sadece CSV kabul edilir)
+let XLSX = null;
+try { XLSX = require('xlsx'); } catch (_) { /* XLSX içe aktarma pasif */ }
+
+const FARMBOOK_RECORD_TYPES = ['ekim','gubre','ilac','hasat','gider','gelir','sulama','notlar'];
+const FARMBOOK_IMPORT_MAX_ROWS = 5000;
+
+// Export başlığı → kayıt alanı (büyük/küçük harf ve ₺ işareti duyarsız)
+const FARMBOOK_IMPORT_HEADERS = {
+    'tarih':'recordDate', 'kayıt tipi':'recordType', 'ürün/işlem':'productName', 'miktar':'quantity',
+    'birim':'unit', 'maliyet':'cost', 'gelir':'income', 'tarla':'fieldName', 'alan':'fieldSize',
+    'alan birimi':'fieldSizeUnit', 'sezon':'season', 'yıl':'year', 'hasat miktarı':'harvestAmount',
+    'hasat birimi':'harvestUnit', 'kalite':'qualityRating', 'hava':'weatherCondition', 'notlar':'notes',
+};
+const FARMBOOK_TYPE_ALIASES = {
+    'ekim':'ekim', 'gübre':'gubre', 'gubre':'gubre', 'ilaç':'ilac', 'ilac':'ilac', 'hasat':'hasat',
+    'gider':'gider', 'gelir':'gelir', 'sulama':'sulama', 'notlar':'notlar', 'not':'notlar',
+};
+
+const farmbookImportUpload = multer({
+    storage: multer.memoryStorage(),
+    limits : { fileSize: 5 * 1024 * 1024, files: 1 },
+    fileFilter: (req, file, cb) => {
+        const ok = /\.(csv|xlsx)$/i.test(file.originalname || '') || [
+            'text/csv', 'text/plain', 'application/vnd.ms-excel',
+            'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+        ].includes(file.mimetype);
+        ok ? cb(null, true) : cb(new Error('Sadece CSV veya XLSX dosyası yüklenebilir'), false);
+    },
+});
+
+// ';' ayraçlı CSV — Excel'in çift tırnaklı alanlarını da destekler
+function parseFarmbookCsv(text) {
+    text = text.replace(/^\uFEFF/, '');
+    const firstLine = text.split(/\r?\n/, 1)[0] || '';
+    const delim = firstLine.split(';').length >= firstLine.split(',').length ? ';' : ',';
+    const rows = [];
+    let row = [], cell = '', inQuotes = false;
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (inQuotes) {
+            if (ch === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+            else if (ch === '"') inQuotes = false;
+            else cell += ch;
+        } else if (ch === '"' && cell === '') inQuotes = true;
+        else if (ch === delim) { row.push(cell); cell = ''; }
+        else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell); rows.push(row); row = []; cell = '';
+        } else cell += ch;
+    }
+    if (cell !== '' || row.length) { row.push(cell); rows.push(row); }
+    return rows;
+}
+
+function parseFarmbookNumber(v) {
+    if (v === null || v === undefined || String(v).trim() === '') return null;
+    if (typeof v === 'number') return v;
+    let str = String(v).replace(/[₺\s]/g, '');
+    if (str.includes(',') && str.includes('.')) str = str.replace(/\./g, '').replace(',', '.');
+    else str = str.replace(',', '.');
+    const n = Number(str);
+    return isFinite(n) ? n : NaN;
+}
+
+// Tek satırı kayıt nesnesine çevirir; { record, errors }
+function validateFarmbookImportRow(cells, columns) {
+    const raw = {};
+    columns.forEach((col, i) => { if (col) raw[col] = cells[i]; });
+    const errors = [];
+    const str = (v, max = 200) => (v === null || v === undefined || String(v).trim() === '') ? null : String(v).trim().slice(0, max);
+
+    const recordDate = parseFarmbookDate(raw.recordDate);
+    if (recordDate === null) errors.push('Tarih zorunludur');
+    else if (recordDate === undefined) errors.push(`Geçersiz tarih: ${raw.recordDate}`);
+
+    const typeRaw = String(raw.recordType || '').trim().toLocaleLowerCase('tr-TR');
+    const recordType = FARMBOOK_TYPE_ALIASES[typeRaw];
+    if (!typeRaw) errors.push('Kayıt tipi zorunludur');
+    else if (!recordType) errors.push(`Geçersiz kayıt tipi: ${raw.recordType} (${FARMBOOK_RECORD_TYPES.join(', ')})`);
+
+    const nums = {};
+    for (const [k, label] of [['quantity','Miktar'],['cost','Maliyet'],['income','Gelir'],['fieldSize','Alan'],['year','Yıl'],['harvestAmount','Hasat miktarı'],['qualityRating','Kalite']]) {
+        const n = parseFarmbookNumber(raw[k]);
+        if (Number.isNaN(n)) errors.push(`${label} sayı olmalı: ${raw[k]}`);
+        else if (n !== null && n < 0) errors.push(`${label} negatif olamaz`);
+        nums[k] = Number.isNaN(n) ? null : n;
+    }
+    if (nums.qualityRating !== null && (!Number.isInteger(nums.qualityRating) || nums.qualityRating < 1 || nums.qualityRating > 5))
+        errors.push('Kalite 1-5 arası tam sayı olmalı');
+    const fieldSizeUnit = str(raw.fieldSizeUnit, 20);
+    if (fieldSizeUnit && !farmbookAreaToDecare(1, fieldSizeUnit)) errors.push(`Geçersiz alan birimi: ${fieldSizeUnit}`);
+
+    const record = {
+        recordDate, recordType,
+        productName: str(raw.productName), quantity: nums.quantity, unit: str(raw.unit, 20),
+        cost: nums.cost || 0, income: nums.income || 0,
+        fieldName: str(raw.fieldName, 100), fieldSize: nums.fieldSize, fieldSizeUnit: fieldSizeUnit || 'dekar',
+        season: str(raw.season, 30),
+        year: nums.year ? Math.trunc(nums.year) : (recordDate ? parseInt(recordDate.slice(0, 4)) : null),
+        harvestAmount: nums.harvestAmount, harvestUnit: str(raw.harvestUnit, 20),
+        qualityRating: nums.qualityRating, weatherCondition: str(raw.weatherCondition, 50),
+        notes: str(raw.notes, 2000),
+    };
+    return { record, errors };
+}
+
+// Mükerrer tespiti için kayıt parmak izi (export → import döngüsü aynı kaydı iki kez yazmasın)
+function farmbookRecordFingerprint(r) {
+    const d = r.recordDate instanceof Date ? parseFarmbookDate(r.recordDate) : String(r.recordDate).slice(0, 10);
+    return [d, r.recordType, (r.productName || '').toLowerCase(), (r.fieldName || '').trim().toLowerCase(),
+            Number(r.quantity) || 0, Number(r.cost) || 0, Number(r.income) || 0, Number(r.harvestAmount) || 0].join('|');
+}
+
+app.post('/api/farmbook/import', authenticateToken, farmbookImportUpload.single('file'), async (req, res) => {
+    try {
+        if (!req.file) return res.status(400).json({ error: 'Dosya gerekli (file alanı)' });
+        const dryRun = req.query.dryRun === 'true' || req.body?.dryRun === 'true' || req.body?.dryRun === true;
+
+        // ① Dosyayı satırlara çevir
+        let rows;
+        const isXlsx = req.file.buffer.slice(0, 4).equals(Buffer.from([0x50, 0x4B, 0x03, 0x04])); // ZIP (PK..)
+        if (isXlsx) {
+            if (!XLSX) return res.status(501).json({ error: 'XLSX içe aktarma sunucuda etkin değil, CSV yükleyin' });
+            const wb = XLSX.read(req.file.buffer, { type: 'buffer', cellDates: true });
+            const ws = wb.Sheets[wb.SheetNames[0]];
+            rows = ws ? XLSX.utils.sheet_to_json(ws, { header: 1, raw: true, defval: '' }) : [];
+        } else {
+            rows = parseFarmbookCsv(req.file.buffer.toString('utf8'));
+        }
+        if (!rows.length) return res.status(400).json({ error: 'Dosya boş' });
+
+        // ② Başlık satırı → kolon eşlemesi
+        const normHeader = h => String(h || '').replace(/^\uFEFF/, '').replace(/\(.*?\)/g, '').trim().toLocaleLowerCase('tr-TR');
+        const columns = rows[0].map(h => FARMBOOK_IMPORT_HEADERS[normHeader(h)] || null);
+        if (!columns.includes('recordDate') || !columns.includes('recordType'))
+            return res.status(400).json({ error: 'Başlık satırı tanınmadı — export ile aynı başlıkları kullanın (Tarih;Kayıt Tipi;...)' });
+
+        const dataRows = rows.slice(1);
+        if (dataRows.length > FARMBOOK_IMPORT_MAX_ROWS)
+            return res.status(400).json({ error: `Tek seferde en fazla ${FARMBOOK_IMPORT_MAX_ROWS} satır içe aktarılabilir` });
+
+        // ③ Satır doğrulama (boş satırlar ve export'un TOPLAM/KÂR özet satırları atlanır)
+        const valid = [], errors = [];
+        dataRows.forEach((cells, i) => {
+            const first = String(cells[0] ?? '').trim().toLocaleUpperCase('tr-TR');
+            if (cells.every(c => String(c ?? '').trim() === '')) return;
+            if (first.startsWith('TOPLAM') || first.startsWith('KÂR') || first.startsWith('KAR/')) return;
+            const { record, errors: rowErrors } = validateFarmbookImportRow(cells, columns);
+            if (rowErrors.length) errors.push({ row: i + 2, errors: rowErrors });
+            else valid.push({ row: i + 2, record });
+        });
+
+        // ④ Mükerrer kontrolü — mevcut kayıtlar + dosya içi tekrarlar
+        const dates = valid.map(v => v.record.recordDate).sort();
+        const existing = dates.length ? await dbAll(
+            `SELECT "recordDate","recordType","productName","fieldName",quantity,cost,income,"harvestAmount"
+             FROM farmbook_records WHERE "userId"=$1 AND "recordDate" BETWEEN $2 AND $3`,
+            [req.user.id, dates[0], dates[dates.length - 1]]) : [];
+        const seen = new Set(existing.map(farmbookRecordFingerprint));
+        const toInsert = [], duplicates = [];
+        for (const v of valid) {
+            const fp = farmbookRecordFingerprint(v.record);
+            if (seen.has(fp)) { duplicates.push(v.row); continue; }
+            seen.add(fp);
+            toInsert.push(v);
+        }
+
+        const summary = {
+            totalRows: valid.length + errors.length, valid: valid.length,
+            toImport: toInsert.length, duplicates: duplicates.length, invalid: errors.length,
+        };
+        if (dryRun) {
+            return res.json({ success: true, dryRun: true, summary, errors, duplicateRows: duplicates,
+                              preview: toInsert.slice(0, 50).map(v => ({ row: v.row, ...v.record })) });
+        }
+
+        // ⑤ Yazma — yeni tarlalar ve kayıtlar tek transaction'da (hata olursa oluşturulan tarlalar da geri alınır)
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+            const fieldCache = new Map();
+            for (const v of toInsert) {
+                const key = (v.record.fieldName || '').toLowerCase();
+                if (!key) continue;
+                if (!fieldCache.has(key)) fieldCache.set(key, await resolveFarmbookField(req.user.id, v.record, client));
+            }
+            for (const { record: r } of toInsert) {
+                const field = r.fieldName ? fieldCache.get(r.fieldName.toLowerCase()) : null;
+                await client.query(
+                    `INSERT INTO farmbook_records (id,"userId","recordType","productName",quantity,unit,cost,income,"recordDate","fieldId","fieldName","fieldSize","fieldSizeUnit",season,year,notes,"harvestAmount","harvestUnit","qualityRating","weatherCondition","createdAt","updatedAt")
+                     VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16,$17,$18,$19,$20,NOW(),NOW())`,
+                    [uuidv4(), req.user.id, r.recordType, r.productName, r.quantity, r.unit, r.cost, r.income, r.recordDate,
+                     field?.id || null, field?.name || r.fieldName, r.fieldSize, r.fieldSizeUnit, r.season, r.year, r.notes,
+                     r.harvestAmount, r.harvestUnit, r.qualityRating, r.weatherCondition]);
+            }
+            await client.query('COMMIT');
+        } catch (e) {
+            await client.query('ROLLBACK').catch(() => {});
+            throw e;
+        } finally {
+            client.release();
+        }
+        res.json({ success: true, dryRun: false, summary, imported: toInsert.length, errors, duplicateRows: duplicates });
+    } catch (e) { console.error('[farmbook import]', e.message); res.status(500).json({ error: 'Sunucu hatası' }); }
+});
+
 // ─── 15. DOĞRULAMA DURUMU + TALEBİ ────────────────────────────────
 app.get('/api/users/verification/status', authenticateToken, async (req, res) => {
     try {
@@ -13782,8 +16440,6 @@ app.delete('/api/posts/:id/comments/:commentId', authenticateToken, async (req,
         }
 
         await dbRun('UPDATE comments SET "isActive"=FALSE, "updatedAt"=NOW() WHERE id=$1', [req.params.commentId]);
-        // Yorum sayacını azalt
-        await dbRun('UPDATE posts SET "commentCount"=GREATEST(0, COALESCE("commentCount",0)-1) WHERE id=$1', [req.params.id]);
         res.json({ success: true });
     } catch (e) { console.error(e); res.status(500).json({ error: 'Sunucu hatası' }); }
 });
@@ -13837,6 +16493,7 @@ app.post('/api/users/:id/mute', authenticateToken, async (req, res) => {
             await dbRun(`INSERT INTO mutes (id,"userId","mutedId","createdAt") VALUES ($1,$2,$3,NOW()) ON CONFLICT DO NOTHING`,
                 [uuidv4(), req.user.id, targetId]);
         });
+        invalidateFeedSnapshots(req.user.id).catch(() => {});
         res.json({ success: true, message: 'Kullanıcı susturuldu' });
     } catch (e) { console.error(e); res.status(500).json({ error: 'Sunucu hatası' }); }
 });
@@ -13844,6 +16501,7 @@ app.post('/api/users/:id/mute', authenticateToken, async (req, res) => {
 app.delete('/api/users/:id/mute', authenticateToken, async (req, res) => {
     try {
         await dbRun('DELETE FROM mutes WHERE "userId"=$1 AND "mutedId"=$2', [req.user.id, req.params.id]);
+        invalidateFeedSnapshots(req.user.id).catch(() => {});
         res.json({ success: true, message: 'Susturma kaldırıldı' });
     } catch (e) { res.status(500).json({ error: 'Sunucu hatası' }); }
 });
@@ -13949,11 +16607,14 @@ app.delete('/api/users/account/delete', authenticateToken, async (req, res) => {
 app.get('/api/store/products/seller/:sellerId', authenticateToken, async (req, res) => {
     try {
         const products = await dbAll(
-            `SELECT p.*, u.username AS "sellerName", u."profilePic" AS "sellerPic"
+            `SELECT p.*, u.username AS "sellerName", u."profilePic" AS "sellerPic",
+                    srt."sellerRating", srt."sellerReviewCount"
              FROM products p JOIN users u ON p."sellerId"=u.id
+             ${SELLER_RATING_JOIN}
              WHERE p."sellerId"=$1 AND p."isActive"=TRUE ORDER BY p."createdAt" DESC`,
             [req.params.sellerId]);
-        res.json({ products });
+        const rating = await getSellerRatingSummary(req.params.sellerId);
+        res.json({ products, seller: { id: req.params.sellerId, ...rating } });
     } catch (e) { console.error(e); res.status(500).json({ error: 'Sunucu hatası' }); }
 });
 
@@ -13991,15 +16652,363 @@ app.get('/api/users/:userId/products', authenticateToken, async (req, res) => {
     } catch (e) { res.status(500).json({ error: 'Sunucu hatası' }); }
 });
 
-// Ürün sil (alias /api/products/:productId)
-app.delete('/api/products/:productId', authenticateToken, async (req, res) => {
+// Ürün sil (alias /api/products/:productId)
+app.delete('/api/products/:productId', authenticateToken, async (req, res) => {
+    try {
+        const p = await dbGet('SELECT "sellerId" FROM products WHERE id=$1', [req.params.productId]);
+        if (!p) return res.status(404).json({ error: 'Ürün bulunamadı' });
+        if (p.sellerId !== req.user.id) return res.status(403).json({ error: 'Yetki yok' });
+        await dbRun('UPDATE products SET "isActive"=FALSE,"updatedAt"=NOW() WHERE id=$1', [req.params.productId]);
+        res.json({ message: 'Ürün silindi' });
+    } catch (e) { res.status(500).json({ error: 'Sunucu hatası' }); }
+});
+
+// ─── MAĞAZA SİPARİŞLERİ: /api/store/orders ────────────────────────
+// Durumlar: pending (satıcı bekleniyor) ⇄ countered (alıcı bekleniyor) → confirmed → shipped | picked_up → completed
+//           pending/countered → rejected; pending/countered/confirmed → cancelled
+// Stok onay anında tek UPDATE ile (stock >= quantity koşuluyla) düşülür, onaylı sipariş iptal edilirse geri eklenir.
+const STORE_DELIVERY_METHODS = ['shipping', 'pickup'];
+const STORE_PAYMENT_METHODS  = ['cash_on_delivery', 'bank_transfer'];
+const STORE_OPEN_STATUSES    = ['pending', 'countered'];
+
+// by: 'awaiting' = sıradaki taraf (pending → satıcı, countered → alıcı), 'either' = iki taraf da
+const STORE_ORDER_ACTIONS = {
+    accept:   { from: ['pending', 'countered'],              by: 'awaiting', to: () => 'confirmed' },
+    reject:   { from: ['pending', 'countered'],              by: 'awaiting', to: () => 'rejected' },
+    counter:  { from: ['pending', 'countered'],              by: 'awaiting', to: role => role === 'seller' ? 'countered' : 'pending' },
+    ship:     { from: ['confirmed'], delivery: 'shipping',   by: 'seller',   to: () => 'shipped' },
+    pickup:   { from: ['confirmed'], delivery: 'pickup',     by: 'seller',   to: () => 'picked_up' },
+    complete: { from: ['shipped', 'picked_up'],              by: 'buyer',    to: () => 'completed' },
+    cancel:   { from: ['pending', 'countered', 'confirmed'], by: 'either',   to: () => 'cancelled' },
+};
+
+const STORE_ORDER_MESSAGES = {
+    placed:   (o, a) => o.offerPrice
+        ? `${a} ${o.quantity} adet için birim ${o.offerPrice} ₺ teklif verdi`
+        : `${a} ${o.quantity} adet sipariş verdi`,
+    accept:   (o, a) => `${a} siparişi onayladı — ${o.quantity} × ${o.unitPrice} ₺`,
+    reject:   (o, a) => `${a} teklifi reddetti`,
+    counter:  (o, a) => `${a} birim ${o.unitPrice} ₺ karşı teklif verdi`,
+    ship:     (o, a) => `${a} siparişi kargoya verdi${o.trackingInfo ? ` (${o.trackingInfo})` : ''}`,
+    pickup:   (o, a) => `${a} ürünü teslim etti olarak işaretledi`,
+    complete: (o, a) => `${a} siparişi tamamlandı olarak işaretledi`,
+    cancel:   (o, a) => `${a} siparişi iptal etti`,
+};
+
+function isValidUUID(id) {
+    return /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(String(id || ''));
+}
+
+function parseStorePrice(v) {
+    const n = parseFloat(String(v ?? '').replace(',', '.'));
+    return Number.isFinite(n) && n > 0 && n <= 10_000_000 ? Math.round(n * 100) / 100 : null;
+}
+
+async function notifyStoreOrder(order, actorId, event) {
+    const recipientId = actorId === order.buyerId ? order.sellerId : order.buyerId;
+    const actor = await dbGet('SELECT username, name, "profilePic" FROM users WHERE id=$1', [actorId]).catch(() => null);
+    const actorName = actor?.name || actor?.username || 'Kullanıcı';
+    createNotification(recipientId, 'store_order', STORE_ORDER_MESSAGES[event](order, actorName), {
+        orderId: order.id, status: order.status, productName: order.productName,
+        actorName, actorUsername: actor?.username, actorProfilePic: actor?.profilePic
+    }).catch(() => {});
+}
+
+// Sipariş ver / teklif ver
+app.post('/api/store/products/:id/orders', authenticateToken, storeLimiter, async (req, res) => {
+    try {
+        if (!isValidUUID(req.params.id)) return res.status(400).json({ error: 'Geçersiz ID' });
+        const product = await dbGet('SELECT * FROM products WHERE id=$1 AND "isActive"=TRUE', [req.params.id]);
+        if (!product) return res.status(404).json({ error: 'Ürün bulunamadı' });
+        if (product.sellerId === req.user.id) return res.status(400).json({ error: 'Kendi ürününüze sipariş veremezsiniz' });
+
+        const { quantity = 1, offerPrice, deliveryMethod = 'shipping', paymentMethod = 'cash_on_delivery', shippingAddress, note } = req.body;
+        const qty = parseInt(quantity);
+        if (!Number.isInteger(qty) || qty < 1) return res.status(400).json({ error: 'Geçersiz miktar' });
+        if (qty < (product.minOrderQty || 1))
+            return res.status(400).json({ error: `Asgari sipariş miktarı ${product.minOrderQty} ${STORE_SALE_UNITS[product.saleUnit]?.label || ''}`.trim() });
+        if (qty > (product.stock || 0)) return res.status(409).json({ error: 'Yetersiz stok', stock: product.stock || 0 });
+        if (!STORE_DELIVERY_METHODS.includes(deliveryMethod)) return res.status(400).json({ error: 'Geçersiz teslimat yöntemi' });
+        if (!STORE_PAYMENT_METHODS.includes(paymentMethod)) return res.status(400).json({ error: 'Geçersiz ödeme yöntemi' });
+        if (deliveryMethod === 'shipping' && !shippingAddress?.trim()) return res.status(400).json({ error: 'Teslimat adresi gerekli' });
+
+        let offer = null;
+        if (offerPrice !== undefined && offerPrice !== null && offerPrice !== '') {
+            offer = parseStorePrice(offerPrice);
+            if (!offer) return res.status(400).json({ error: 'Geçersiz teklif fiyatı' });
+            if (offer === product.price) offer = null;
+        }
+
+        const open = await dbGet(
+            `SELECT id FROM store_orders WHERE "productId"=$1 AND "buyerId"=$2 AND status = ANY($3::text[])`,
+            [product.id, req.user.id, STORE_OPEN_STATUSES]);
+        if (open) return res.status(409).json({ error: 'Bu ürün için bekleyen bir siparişiniz var', orderId: open.id });
+
+        const unitPrice = offer ?? product.price;
+        const order = await dbGet(
+            `INSERT INTO store_orders ("productId","buyerId","sellerId","productName","productImage","listPrice","offerPrice",
+                                       "unitPrice",quantity,"totalPrice","deliveryMethod","paymentMethod","shippingAddress","buyerNote")
+             VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14) RETURNING *`,
+            [product.id, req.user.id, product.sellerId, product.name, product.image, product.price, offer,
+             unitPrice, qty, Math.round(unitPrice * qty * 100) / 100, deliveryMethod, paymentMethod,
+             shippingAddress?.trim().substring(0, 500) || null, note?.substring(0, 500) || null]);
+        await dbRun(
+            `INSERT INTO store_order_events ("orderId","actorId",action,"toStatus",price,note) VALUES ($1,$2,'placed','pending',$3,$4)`,
+            [order.id, req.user.id, unitPrice, note?.substring(0, 500) || null]);
+
+        notifyStoreOrder(order, req.user.id, 'placed');
+        res.status(201).json({ message: offer ? 'Teklif gönderildi' : 'Sipariş oluşturuldu', order });
+    } catch (e) { console.error('[sipariş oluştur]', e.message); res.status(500).json({ error: 'Sunucu hatası' }); }
+});
+
+// Sipariş geçmişi — ?role=buyer|seller&status=
+app.get('/api/store/orders', authenticateToken, async (req, res) => {
+    try {
+        const role = req.query.role === 'seller' ? 'seller' : 'buyer';
+        const { page = 1, limit = 20, status } = req.query;
+        const ln = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+        const off = (Math.max(parseInt(page) || 1, 1) - 1) * ln;
+        const own = role === 'seller' ? '"sellerId"' : '"buyerId"';
+        const other = role === 'seller' ? '"buyerId"' : '"sellerId"';
+        const params = [req.user.id];
+        let statusCond = '';
+        if (status) { params.push(String(status).split(',')); statusCond = `AND o.status = ANY($2::text[])`; }
+        params.push(ln, off);
+        const orders = await dbAll(
+            `SELECT o.*, u.username AS "counterpartUsername", u.name AS "counterpartName", u."profilePic" AS "counterpartPic"
+             FROM store_orders o JOIN users u ON u.id = o.${other}
+             WHERE o.${own} = $1 ${statusCond}
+             ORDER BY o."updatedAt" DESC
+             LIMIT $${params.length - 1} OFFSET $${params.length}`,
+            params);
+        res.json({ role, orders, page: parseInt(page) || 1 });
+    } catch (e) { console.error('[sipariş listesi]', e.message); res.status(500).json({ error: 'Sunucu hatası' }); }
+});
+
+// Sipariş detayı + olay geçmişi (sadece taraflar)
+app.get('/api/store/orders/:id', authenticateToken, async (req, res) => {
+    try {
+        if (!isValidUUID(req.params.id)) return res.status(400).json({ error: 'Geçersiz ID' });
+        const order = await dbGet('SELECT * FROM store_orders WHERE id=$1', [req.params.id]);
+        if (!order || (order.buyerId !== req.user.id && order.sellerId !== req.user.id))
+            return res.status(404).json({ error: 'Sipariş bulunamadı' });
+        const events = await dbAll(
+            `SELECT e.action, e."fromStatus", e."toStatus", e.price, e.note, e."createdAt", u.username AS "actorUsername"
+             FROM store_order_events e LEFT JOIN users u ON u.id = e."actorId"
+             WHERE e."orderId"=$1 ORDER BY e."createdAt"`, [order.id]);
+        const role = order.sellerId === req.user.id ? 'seller' : 'buyer';
+        const allowedActions = Object.entries(STORE_ORDER_ACTIONS)
+            .filter(([, a]) => storeOrderActionAllowed(a, order, role))
+            .map(([name]) => name);
+        const review = await dbGet('SELECT * FROM store_reviews WHERE "orderId"=$1', [order.id]);
+        res.json({ order, events, role, allowedActions, review: review || null, canReview: role === 'buyer' && order.status === 'completed' });
+    } catch (e) { console.error('[sipariş detay]', e.message); res.status(500).json({ error: 'Sunucu hatası' }); }
+});
+
+function storeOrderActionAllowed(action, order, role) {
+    if (!action.from.includes(order.status)) return false;
+    if (action.delivery && action.delivery !== order.deliveryMethod) return false;
+    if (action.by === 'either') return true;
+    if (action.by === 'awaiting') return role === (order.status === 'pending' ? 'seller' : 'buyer');
+    return action.by === role;
+}
+
+// Durum geçişi: accept | reject | counter {price} | ship {trackingInfo} | pickup | complete | cancel {reason}
+app.post('/api/store/orders/:id/:action', authenticateToken, async (req, res, next) => {
+    const actionName = req.params.action;
+    const action = STORE_ORDER_ACTIONS[actionName];
+    if (!action) return next(); // /review gibi ayrı tanımlı alt rotalar
+    if (!isValidUUID(req.params.id)) return res.status(400).json({ error: 'Geçersiz ID' });
+
+    let counterPrice = null;
+    if (actionName === 'counter') {
+        counterPrice = parseStorePrice(req.body.price);
+        if (!counterPrice) return res.status(400).json({ error: 'Geçersiz fiyat' });
+    }
+    const note = (req.body.note || req.body.reason || '').toString().substring(0, 500) || null;
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const { rows: [order] } = await client.query('SELECT * FROM store_orders WHERE id=$1 FOR UPDATE', [req.params.id]);
+        if (!order || (order.buyerId !== req.user.id && order.sellerId !== req.user.id)) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Sipariş bulunamadı' });
+        }
+        const role = order.sellerId === req.user.id ? 'seller' : 'buyer';
+        if (!storeOrderActionAllowed(action, order, role)) {
+            await client.query('ROLLBACK');
+            return res.status(409).json({ error: 'Bu işlem siparişin mevcut durumunda yapılamaz', status: order.status });
+        }
+
+        const toStatus = action.to(role);
+        const sets = ['status = $2', '"updatedAt" = NOW()'];
+        const params = [order.id, toStatus];
+        const set = (col, val) => { params.push(val); sets.push(`${col} = $${params.length}`); };
+
+        if (actionName === 'counter') {
+            set('"offerPrice"', counterPrice);
+            set('"unitPrice"', counterPrice);
+            set('"totalPrice"', Math.round(counterPrice * order.quantity * 100) / 100);
+        }
+        if (toStatus === 'confirmed') {
+            const { rowCount } = await client.query(
+                `UPDATE products SET stock = stock - $2, "updatedAt" = NOW()
+                 WHERE id = $1 AND "isActive" = TRUE AND stock >= $2`,
+                [order.productId, order.quantity]);
+            if (!rowCount) {
+                await client.query('ROLLBACK');
+                return res.status(409).json({ error: 'Yetersiz stok veya ürün yayından kaldırılmış' });
+            }
+            set('"stockReserved"', true);
+            sets.push('"confirmedAt" = NOW()');
+        }
+        if (toStatus === 'cancelled') {
+            if (order.stockReserved && order.productId) {
+                await client.query(`UPDATE products SET stock = stock + $2, "updatedAt" = NOW() WHERE id = $1`,
+                    [order.productId, order.quantity]);
+                set('"stockReserved"', false);
+            }
+            set('"cancelReason"', note);
+            sets.push('"cancelledAt" = NOW()');
+        }
+        if (toStatus === 'shipped') {
+            set('"trackingInfo"', req.body.trackingInfo ? String(req.body.trackingInfo).substring(0, 200) : null);
+            sets.push('"shippedAt" = NOW()');
+        }
+        if (toStatus === 'picked_up') sets.push('"shippedAt" = NOW()');
+        if (toStatus === 'completed') sets.push('"completedAt" = NOW()');
+
+        const { rows: [updated] } = await client.query(
+            `UPDATE store_orders SET ${sets.join(', ')} WHERE id = $1 RETURNING *`, params);
+        await client.query(
+            `INSERT INTO store_order_events ("orderId","actorId",action,"fromStatus","toStatus",price,note)
+             VALUES ($1,$2,$3,$4,$5,$6,$7)`,
+            [order.id, req.user.id, actionName, order.status, toStatus, counterPrice, note]);
+        await client.query('COMMIT');
+
+        notifyStoreOrder(updated, req.user.id, actionName);
+        res.json({ message: 'Sipariş güncellendi', order: updated });
+    } catch (e) {
+        await client.query('ROLLBACK').catch(() => {});
+        console.error('[sipariş işlem]', e.message);
+        res.status(500).json({ error: 'Sunucu hatası' });
+    } finally {
+        client.release();
+    }
+});
+
+// ─── MAĞAZA DEĞERLENDİRMELERİ ─────────────────────────────────────
+// Sadece tamamlanmış siparişin alıcısı yorum yazabilir; satıcı bir kez yanıt verir (düzenleyebilir).
+const STORE_REVIEW_EDIT_DAYS = 30;
+
+async function getSellerRatingSummary(sellerId) {
+    const row = await dbGet(
+        `SELECT ROUND(AVG(rating)::numeric, 2)::float AS "averageRating", COUNT(*)::int AS "reviewCount",
+                COUNT(*) FILTER (WHERE rating = 5)::int AS r5, COUNT(*) FILTER (WHERE rating = 4)::int AS r4,
+                COUNT(*) FILTER (WHERE rating = 3)::int AS r3, COUNT(*) FILTER (WHERE rating = 2)::int AS r2,
+                COUNT(*) FILTER (WHERE rating = 1)::int AS r1
+         FROM store_reviews WHERE "sellerId"=$1 AND "isHidden"=FALSE`, [sellerId]);
+    const sales = await dbGet(
+        `SELECT COUNT(*)::int AS c FROM store_orders WHERE "sellerId"=$1 AND status='completed'`, [sellerId]);
+    return {
+        averageRating: row?.averageRating ?? null,
+        reviewCount: row?.reviewCount || 0,
+        distribution: { 5: row?.r5 || 0, 4: row?.r4 || 0, 3: row?.r3 || 0, 2: row?.r2 || 0, 1: row?.r1 || 0 },
+        completedSales: sales?.c || 0
+    };
+}
+
+// Yorum yaz / düzenle — POST /api/store/orders/:id/review { rating, comment }
+app.post('/api/store/orders/:id/review', authenticateToken, async (req, res) => {
     try {
-        const p = await dbGet('SELECT "sellerId" FROM products WHERE id=$1', [req.params.productId]);
-        if (!p) return res.status(404).json({ error: 'Ürün bulunamadı' });
-        if (p.sellerId !== req.user.id) return res.status(403).json({ error: 'Yetki yok' });
-        await dbRun('UPDATE products SET "isActive"=FALSE,"updatedAt"=NOW() WHERE id=$1', [req.params.productId]);
-        res.json({ message: 'Ürün silindi' });
-    } catch (e) { res.status(500).json({ error: 'Sunucu hatası' }); }
+        if (!isValidUUID(req.params.id)) return res.status(400).json({ error: 'Geçersiz ID' });
+        const rating = parseInt(req.body.rating);
+        if (!Number.isInteger(rating) || rating < 1 || rating > 5) return res.status(400).json({ error: 'Puan 1-5 arasında olmalı' });
+        const comment = req.body.comment ? String(req.body.comment).trim().substring(0, 1000) : null;
+
+        const order = await dbGet('SELECT * FROM store_orders WHERE id=$1 AND "buyerId"=$2', [req.params.id, req.user.id]);
+        if (!order) return res.status(404).json({ error: 'Sipariş bulunamadı' });
+        if (order.status !== 'completed') return res.status(409).json({ error: 'Sadece tamamlanan siparişler değerlendirilebilir' });
+
+        const existing = await dbGet('SELECT id, "createdAt" FROM store_reviews WHERE "orderId"=$1', [order.id]);
+        if (existing && Date.now() - new Date(existing.createdAt).getTime() > STORE_REVIEW_EDIT_DAYS * 86400000)
+            return res.status(409).json({ error: `Değerlendirme ${STORE_REVIEW_EDIT_DAYS} gün sonra düzenlenemez` });
+
+        const review = await dbGet(
+            `INSERT INTO store_reviews ("orderId","productId","sellerId","buyerId",rating,comment)
+             VALUES ($1,$2,$3,$4,$5,$6)
+             ON CONFLICT ("orderId") DO UPDATE SET rating=$5, comment=$6, "updatedAt"=NOW()
+             RETURNING *`,
+            [order.id, order.productId, order.sellerId, req.user.id, rating, comment]);
+
+        if (!existing) {
+            const buyer = await dbGet('SELECT username, name, "profilePic" FROM users WHERE id=$1', [req.user.id]).catch(() => null);
+            createNotification(order.sellerId, 'store_order', `${buyer?.name || buyer?.username || 'Alıcı'} ${rating}★ değerlendirme bıraktı`, {
+                orderId: order.id, productName: order.productName, reviewId: review.id,
+                actorName: buyer?.name || buyer?.username, actorUsername: buyer?.username, actorProfilePic: buyer?.profilePic
+            }).catch(() => {});
+        }
+        res.status(existing ? 200 : 201).json({ message: existing ? 'Değerlendirme güncellendi' : 'Değerlendirme eklendi', review });
+    } catch (e) { console.error('[mağaza yorum]', e.message); res.status(500).json({ error: 'Sunucu hatası' }); }
+});
+
+// Satıcı yorumları + özet — GET /api/store/sellers/:sellerId/reviews?page=&productId=
+app.get('/api/store/sellers/:sellerId/reviews', authenticateToken, async (req, res) => {
+    try {
+        if (!isValidUUID(req.params.sellerId)) return res.status(400).json({ error: 'Geçersiz ID' });
+        const ln = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 50);
+        const off = (Math.max(parseInt(req.query.page) || 1, 1) - 1) * ln;
+        const params = [req.params.sellerId];
+        let productCond = '';
+        if (req.query.productId && isValidUUID(req.query.productId)) { params.push(req.query.productId); productCond = `AND r."productId"=$2`; }
+        params.push(ln, off);
+        const reviews = await dbAll(
+            `SELECT r.id, r."orderId", r."productId", r.rating, r.comment, r."sellerReply", r."sellerReplyAt",
+                    r."createdAt", r."updatedAt", o."productName", o.quantity,
+                    u.username AS "buyerUsername", u.name AS "buyerName", u."profilePic" AS "buyerPic"
+             FROM store_reviews r
+             JOIN store_orders o ON o.id = r."orderId"
+             JOIN users u ON u.id = r."buyerId"
+             WHERE r."sellerId"=$1 AND r."isHidden"=FALSE ${productCond}
+             ORDER BY r."createdAt" DESC
+             LIMIT $${params.length - 1} OFFSET $${params.length}`, params);
+        const summary = await getSellerRatingSummary(req.params.sellerId);
+        res.json({ reviews, summary });
+    } catch (e) { console.error('[satıcı yorumları]', e.message); res.status(500).json({ error: 'Sunucu hatası' }); }
+});
+
+// Satıcı yanıtı — POST /api/store/reviews/:id/reply { reply }
+app.post('/api/store/reviews/:id/reply', authenticateToken, async (req, res) => {
+    try {
+        if (!isValidUUID(req.params.id)) return res.status(400).json({ error: 'Geçersiz ID' });
+        const reply = String(req.body.reply || '').trim().substring(0, 1000);
+        if (!reply) return res.status(400).json({ error: 'Yanıt boş olamaz' });
+        const review = await dbGet(
+            `UPDATE store_reviews SET "sellerReply"=$1, "sellerReplyAt"=NOW(), "updatedAt"=NOW()
+             WHERE id=$2 AND "sellerId"=$3 RETURNING *`,
+            [reply, req.params.id, req.user.id]);
+        if (!review) return res.status(404).json({ error: 'Değerlendirme bulunamadı' });
+        res.json({ message: 'Yanıt kaydedildi', review });
+    } catch (e) { console.error('[yorum yanıtı]', e.message); res.status(500).json({ error: 'Sunucu hatası' }); }
+});
+
+// Yorum şikayeti — mevcut reports tablosuna ("reviewId" ile) düşer, /sikayet panelinde görünür
+app.post('/api/store/reviews/:id/report', authenticateToken, reportLimiter, async (req, res) => {
+    try {
+        if (!isValidUUID(req.params.id)) return res.status(400).json({ error: 'Geçersiz ID' });
+        const { reason, description } = req.body;
+        if (!reason) return res.status(400).json({ error: 'Neden gerekli' });
+        const review = await dbGet('SELECT id, "buyerId" FROM store_reviews WHERE id=$1', [req.params.id]);
+        if (!review) return res.status(404).json({ error: 'Değerlendirme bulunamadı' });
+        const dup = await dbGet('SELECT id FROM reports WHERE "reviewId"=$1 AND "reporterId"=$2', [review.id, req.user.id]);
+        if (dup) return res.json({ message: 'Şikayet zaten alındı' });
+        await dbRun(
+            `INSERT INTO reports (id, "reporterId", "userId", "reviewId", reason, description, "createdAt")
+             VALUES ($1, $2, $3, $4, $5, $6, NOW())`,
+            [uuidv4(), req.user.id, review.buyerId, review.id, String(reason).substring(0, 50), (description || '').substring(0, 1000)]);
+        res.json({ message: 'Şikayet alındı' });
+    } catch (e) { console.error('[yorum şikayet]', e.message); res.status(500).json({ error: 'Sunucu hatası' }); }
 });
 
 // ─── POST KAYDET SİL: DELETE /api/posts/:id/save ───────────────────
@@ -14008,7 +17017,6 @@ app.delete('/api/posts/:id/save', authenticateToken, async (req, res) => {
         const save = await dbGet('SELECT id FROM saves WHERE "postId"=$1 AND "userId"=$2', [req.params.id, req.user.id]);
         if (!save) return res.status(404).json({ error: 'Kayıt bulunamadı' });
         await dbRun('DELETE FROM saves WHERE id=$1', [save.id]);
-        await dbRun('UPDATE posts SET "saveCount"=GREATEST(0,COALESCE("saveCount",0)-1) WHERE id=$1', [req.params.id]).catch(()=>{});
         res.json({ message: 'Kayıt kaldırıldı', isSaved: false });
     } catch (e) { console.error(e); res.status(500).json({ error: 'Sunucu hatası' }); }
 });
@@ -14024,16 +17032,221 @@ app.delete('/api/messages/conversations/:userId', authenticateToken, async (req,
     } catch (e) { res.status(500).json({ error: 'Sunucu hatası' }); }
 });
 
-// ─── FARMBOOK TARLALAR: GET /api/farmbook/fields ───────────────────
+// ─── FARMBOOK TARLALAR: /api/farmbook/fields ───────────────────────
+// Tarlalar artık farmbook_fields tablosunda; kayıtlar "fieldId" ile bağlanır.
+// "fieldName"/"fieldSize" eski istemciler ve CSV export için kayıtta kopyalanmaya devam eder.
+const FARMBOOK_AREA_UNITS = ['dekar', 'donum', 'hektar'];
+
+// GeoJSON Polygon/MultiPolygon — sadece şekil kontrolü, 64KB üst sınır
+function sanitizeFieldGeometry(geometry) {
+    if (geometry === null) return null;
+    if (!geometry || typeof geometry !== 'object') return undefined;
+    if (!['Polygon', 'MultiPolygon'].includes(geometry.type) || !Array.isArray(geometry.coordinates)) return undefined;
+    const json = JSON.stringify({ type: geometry.type, coordinates: geometry.coordinates });
+    if (json.length > 65536) return undefined;
+    return json;
+}
+
+function sanitizeCropHistory(list) {
+    if (!Array.isArray(list)) return undefined;
+    return JSON.stringify(list.slice(0, 50).map(c => ({
+        year   : parseInt(c?.year) || null,
+        season : c?.season ? String(c.season).slice(0, 30) : null,
+        crop   : String(c?.crop || '').trim().slice(0, 60),
+    })).filter(c => c.crop));
+}
+
 app.get('/api/farmbook/fields', authenticateToken, async (req, res) => {
     try {
+        const includeArchived = req.query.archived === 'true';
         const fields = await dbAll(
-            `SELECT DISTINCT "fieldName", "fieldSize", "fieldSizeUnit", MAX("recordDate") AS "lastRecord"
-             FROM farmbook_records WHERE "userId"=$1 AND "fieldName" IS NOT NULL
-             GROUP BY "fieldName","fieldSize","fieldSizeUnit" ORDER BY "lastRecord" DESC`,
-            [req.user.id]);
+            `SELECT f.id, f.name, f.area, f."areaUnit", f."soilType", f.geometry, f."cropHistory", f.notes,
+                    f."isArchived", f."archivedAt", f."createdAt", f."updatedAt",
+                    f.name AS "fieldName", f.area AS "fieldSize", f."areaUnit" AS "fieldSizeUnit",
+                    COUNT(r.id)::int AS "recordCount", MAX(r."recordDate") AS "lastRecord",
+                    COALESCE(SUM(r.cost),0) AS "totalCost", COALESCE(SUM(r.income),0) AS "totalIncome"
+             FROM farmbook_fields f
+             LEFT JOIN farmbook_records r ON r."fieldId" = f.id
+             WHERE f."userId"=$1 AND ($2::boolean OR f."isArchived"=FALSE) AND f."mergedInto" IS NULL
+             GROUP BY f.id
+             ORDER BY f."isArchived" ASC, MAX(r."recordDate") DESC NULLS LAST, f."createdAt" DESC`,
+            [req.user.id, includeArchived]);
         res.json({ fields });
-    } catch (e) { res.status(500).json({ error: 'Sunucu hatası' }); }
+    } catch (e) { console.error(e); res.status(500).json({ error: 'Sunucu hatası' }); }
+});
+
+app.post('/api/farmbook/fields', authenticateToken, async (req, res) => {
+    try {
+        const { name, area, areaUnit = 'dekar', soilType, geometry, cropHistory, notes } = req.body;
+        if (!name?.trim()) return res.status(400).json({ error: 'Tarla adı zorunludur' });
+        if (!FARMBOOK_AREA_UNITS.includes(areaUnit)) return res.status(400).json({ error: 'Geçersiz alan birimi' });
+        const geo = sanitizeFieldGeometry(geometry);
+        if (geometry !== undefined && geo === undefined) return res.status(400).json({ error: 'Geçersiz tarla geometrisi (GeoJSON Polygon bekleniyor)' });
+        const field = await dbGet(
+            `INSERT INTO farmbook_fields (id,"userId",name,area,"areaUnit","soilType",geometry,"cropHistory",notes,"createdAt","updatedAt")
+             VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,NOW(),NOW()) RETURNING *`,
+            [uuidv4(), req.user.id, name.trim().slice(0, 100), area || null, areaUnit,
+             soilType ? String(soilType).slice(0, 50) : null, geo || null,
+             sanitizeCropHistory(cropHistory) || '[]', notes || null]);
+        res.status(201).json({ success: true, field });
+    } catch (e) {
+        if (e.code === '23505') return res.status(409).json({ error: 'Bu isimde bir tarlanız zaten var' });
+        console.error(e); res.status(500).json({ error: 'Sunucu hatası' });
+    }
+});
+
+// PUT — yeniden adlandırma dahil; isim değişince bağlı kayıtların "fieldName" kopyası da güncellenir.
+// Alan birimi değişince tarla alanı (yeni alan verilmediyse) ve bağlı kayıtların "fieldSize" değeri yeni birime çevrilir.
+app.put('/api/farmbook/fields/:id', authenticateToken, async (req, res) => {
+    try {
+        if (!isValidUUID(req.params.id)) return res.status(400).json({ error: 'Geçersiz tarla ID' });
+        const existing = await dbGet('SELECT id, area, "areaUnit" FROM farmbook_fields WHERE id=$1 AND "userId"=$2', [req.params.id, req.user.id]);
+        if (!existing) return res.status(404).json({ error: 'Tarla bulunamadı' });
+
+        const { name, area, areaUnit, soilType, geometry, cropHistory, notes } = req.body;
+        const sets = [], vals = [];
+        let pi = 1;
+        if (name !== undefined) {
+            if (!String(name).trim()) return res.status(400).json({ error: 'Tarla adı boş olamaz' });
+            sets.push(`name=$${pi++}`); vals.push(String(name).trim().slice(0, 100));
+        }
+        const oldUnit = existing.areaUnit || 'dekar';
+        const unitChanged = areaUnit !== undefined && areaUnit !== oldUnit;
+        if (areaUnit !== undefined) {
+            if (!FARMBOOK_AREA_UNITS.includes(areaUnit)) return res.status(400).json({ error: 'Geçersiz alan birimi' });
+            sets.push(`"areaUnit"=$${pi++}`); vals.push(areaUnit);
+        }
+        if (area !== undefined) { sets.push(`area=$${pi++}`); vals.push(area || null); }
+        else if (unitChanged && farmbookAreaToDecare(existing.area, oldUnit)) {
+            sets.push(`area=$${pi++}`); vals.push(farmbookAreaToDecare(existing.area, oldUnit) / FARMBOOK_DECARE_FACTORS[areaUnit]);
+        }
+        if (soilType !== undefined) { sets.push(`"soilType"=$${pi++}`); vals.push(soilType ? String(soilType).slice(0, 50) : null); }
+        if (geometry !== undefined) {
+            const geo = sanitizeFieldGeometry(geometry);
+            if (geo === undefined) return res.status(400).json({ error: 'Geçersiz tarla geometrisi (GeoJSON Polygon bekleniyor)' });
+            sets.push(`geometry=$${pi++}`); vals.push(geo);
+        }
+        if (cropHistory !== undefined) {
+            const ch = sanitizeCropHistory(cropHistory);
+            if (ch === undefined) return res.status(400).json({ error: 'cropHistory dizi olmalı' });
+            sets.push(`"cropHistory"=$${pi++}`); vals.push(ch);
+        }
+        if (notes !== undefined)    { sets.push(`notes=$${pi++}`); vals.push(notes || null); }
+        if (!sets.length) return res.status(400).json({ error: 'Güncellenecek alan yok' });
+        sets.push(`"updatedAt"=NOW()`);
+        vals.push(req.params.id, req.user.id);
+
+        const field = await dbGet(`UPDATE farmbook_fields SET ${sets.join(',')} WHERE id=$${pi} AND "userId"=$${pi+1} RETURNING *`, vals);
+        await dbRun(
+            `UPDATE farmbook_records SET "fieldName"=$1, "updatedAt"=NOW()
+             WHERE "fieldId"=$2 AND "userId"=$3 AND ("fieldName" IS DISTINCT FROM $1)`,
+            [field.name, field.id, req.user.id]);
+        if (unitChanged) {
+            // Her kayıt kendi biriminden çevrilir; birimi tanınmayan kayıtlara dokunulmaz
+            await dbRun(
+                `UPDATE farmbook_records
+                 SET "fieldSize" = "fieldSize" * ($1::jsonb ->> LOWER(TRIM(COALESCE("fieldSizeUnit", 'dekar'))))::float8 / $2,
+                     "fieldSizeUnit" = $3, "updatedAt" = NOW()
+                 WHERE "fieldId"=$4 AND "userId"=$5 AND "fieldSizeUnit" IS DISTINCT FROM $3
+                   AND $1::jsonb ? LOWER(TRIM(COALESCE("fieldSizeUnit", 'dekar')))`,
+                [JSON.stringify(FARMBOOK_DECARE_FACTORS), FARMBOOK_DECARE_FACTORS[areaUnit], areaUnit, field.id, req.user.id]);
+        }
+        res.json({ success: true, field });
+    } catch (e) {
+        if (e.code === '23505') return res.status(409).json({ error: 'Bu isimde bir tarlanız zaten var' });
+        console.error(e); res.status(500).json({ error: 'Sunucu hatası' });
+    }
+});
+
+// POST /api/farmbook/fields/:id/merge  { targetId } — :id tarlasının kayıtları targetId'ye taşınır,
+// kaynak tarla arşivlenir (yazım hatasıyla ikiye bölünmüş tarlaları birleştirmek için)
+app.post('/api/farmbook/fields/:id/merge', authenticateToken, async (req, res) => {
+    const { targetId } = req.body;
+    if (!isValidUUID(req.params.id) || !isValidUUID(targetId))
+        return res.status(400).json({ error: 'Geçersiz tarla ID' });
+    if (req.params.id === targetId) return res.status(400).json({ error: 'Tarla kendisiyle birleştirilemez' });
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const { rows } = await client.query(
+            `SELECT id, name, "cropHistory" FROM farmbook_fields
+             WHERE id = ANY($1::uuid[]) AND "userId"=$2 AND "isArchived"=FALSE FOR UPDATE`,
+            [[req.params.id, targetId], req.user.id]);
+        const source = rows.find(r => r.id === req.params.id);
+        const target = rows.find(r => r.id === targetId);
+        if (!source || !target) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Tarla bulunamadı' });
+        }
+        const moved = await client.query(
+            `UPDATE farmbook_records SET "fieldId"=$1, "fieldName"=$2, "updatedAt"=NOW() WHERE "fieldId"=$3 AND "userId"=$4`,
+            [target.id, target.name, source.id, req.user.id]);
+        const mergedHistory = [...(target.cropHistory || []), ...(source.cropHistory || [])].slice(0, 50);
+        await client.query(`UPDATE farmbook_fields SET "cropHistory"=$1, "updatedAt"=NOW() WHERE id=$2`,
+            [JSON.stringify(mergedHistory), target.id]);
+        await client.query(
+            `UPDATE farmbook_fields SET "isArchived"=TRUE, "archivedAt"=NOW(), "mergedInto"=$1, "updatedAt"=NOW() WHERE id=$2`,
+            [target.id, source.id]);
+        await client.query('COMMIT');
+        res.json({ success: true, targetId: target.id, movedRecords: moved.rowCount });
+    } catch (e) {
+        await client.query('ROLLBACK').catch(() => {});
+        console.error('[farmbook merge]', e.message);
+        res.status(500).json({ error: 'Sunucu hatası' });
+    } finally {
+        client.release();
+    }
+});
+
+// POST /api/farmbook/fields/:id/archive  { archived: true|false } — kayıtlar silinmez, sadece listeden çıkar
+app.post('/api/farmbook/fields/:id/archive', authenticateToken, async (req, res) => {
+    try {
+        if (!isValidUUID(req.params.id)) return res.status(400).json({ error: 'Geçersiz tarla ID' });
+        const archived = req.body.archived !== false && req.body.archived !== 'false';
+        const field = await dbGet(
+            `UPDATE farmbook_fields SET "isArchived"=$1, "archivedAt"=CASE WHEN $1 THEN NOW() ELSE NULL END, "updatedAt"=NOW()
+             WHERE id=$2 AND "userId"=$3 AND "mergedInto" IS NULL RETURNING *`,
+            [archived, req.params.id, req.user.id]);
+        if (!field) return res.status(404).json({ error: 'Tarla bulunamadı' });
+        res.json({ success: true, field });
+    } catch (e) {
+        if (e.code === '23505') return res.status(409).json({ error: 'Aynı isimde aktif bir tarla var, önce yeniden adlandırın' });
+        console.error(e); res.status(500).json({ error: 'Sunucu hatası' });
+    }
+});
+
+// GET /api/farmbook/fields/:id/history — sezon bazında maliyet / gelir / verim ve ekim geçmişi
+app.get('/api/farmbook/fields/:id/history', authenticateToken, async (req, res) => {
+    try {
+        if (!isValidUUID(req.params.id)) return res.status(400).json({ error: 'Geçersiz tarla ID' });
+        const field = await dbGet('SELECT * FROM farmbook_fields WHERE id=$1 AND "userId"=$2', [req.params.id, req.user.id]);
+        if (!field) return res.status(404).json({ error: 'Tarla bulunamadı' });
+
+        const [seasons, crops] = await Promise.all([
+            dbAll(`SELECT year, season,
+                          COALESCE(SUM(cost),0) AS "totalCost", COALESCE(SUM(income),0) AS "totalIncome",
+                          COALESCE(SUM("harvestAmount") FILTER (WHERE "recordType"='hasat'),0) AS "harvestAmount",
+                          MAX("harvestUnit") FILTER (WHERE "recordType"='hasat') AS "harvestUnit",
+                          COUNT(*)::int AS "recordCount"
+                   FROM farmbook_records WHERE "fieldId"=$1 AND "userId"=$2
+                   GROUP BY year, season ORDER BY year DESC NULLS LAST, season`,
+                  [field.id, req.user.id]),
+            dbAll(`SELECT DISTINCT year, season, "productName" AS crop FROM farmbook_records
+                   WHERE "fieldId"=$1 AND "userId"=$2 AND "recordType"='ekim' AND "productName" IS NOT NULL
+                   ORDER BY year DESC NULLS LAST`,
+                  [field.id, req.user.id]),
+        ]);
+        const history = seasons.map(s => {
+            const totalCost = parseFloat(s.totalCost), totalIncome = parseFloat(s.totalIncome);
+            return { year: s.year, season: s.season, totalCost, totalIncome, profit: totalIncome - totalCost,
+                     harvestAmount: parseFloat(s.harvestAmount), harvestUnit: s.harvestUnit, recordCount: s.recordCount };
+        });
+        // Farmbook öncesi elle girilen ekim geçmişi + kayıtlardan çıkan ekimler
+        const cropHistory = [...crops, ...(field.cropHistory || [])]
+            .sort((a, b) => (b.year || 0) - (a.year || 0));
+        res.json({ field, history, cropHistory });
+    } catch (e) { console.error(e); res.status(500).json({ error: 'Sunucu hatası' }); }
 });
 
 // ─── HESAP SİL ─────────────────────────────────────────────────────
@@ -14939,8 +18152,17 @@ app.post('/api/products', authenticateToken, (req, res, next) => {
 }, async (req, res) => {
     try {
         const { name, price, description, category, stock } = req.body;
-        if (!name || !price) return res.status(400).json({ error: 'İsim ve fiyat gerekli' });
         const files = Array.isArray(req.files) ? req.files : [];
+        if (!name || !price) {
+            for (const f of files) await fs.unlink(f.path).catch(()=>{});
+            return res.status(400).json({ error: 'İsim ve fiyat gerekli' });
+        }
+        // Konum / satış birimi / asgari sipariş / tarih alanları — /api/store/products ile aynı doğrulama
+        const { error: attrError, data: attrs } = parseStoreListingAttrs(req.body);
+        if (attrError) {
+            for (const f of files) await fs.unlink(f.path).catch(()=>{});
+            return res.status(400).json({ error: attrError });
+        }
         let images = [];
         for (let i = 0; i < files.length; i++) {
             const fname = `product_${Date.now()}_${i}.webp`;
@@ -14951,13 +18173,18 @@ app.post('/api/products', authenticateToken, (req, res, next) => {
         }
         const id = uuidv4();
         await dbRun(
-            `INSERT INTO products (id,"sellerId",name,price,description,image,images,category,stock,"isActive","createdAt","updatedAt")
-             VALUES ($1,$2,$3,$4,$5,$6,$7::jsonb,$8,$9,TRUE,NOW(),NOW())`,
+            `INSERT INTO products (id,"sellerId",name,price,description,image,images,category,stock,
+                                   lat,lon,city,district,"saleUnit","minOrderQty","harvestDate","availableFrom",
+                                   "isActive","createdAt","updatedAt")
+             VALUES ($1,$2,$3,$4,$5,$6,$7::jsonb,$8,$9,$10,$11,$12,$13,$14,$15,$16,$17,TRUE,NOW(),NOW())`,
             [id, req.user.id, name.substring(0,100), parseFloat(price),
-             description?.substring(0,1000)||'', images[0]||null, JSON.stringify(images), category||'', Math.max(0, Math.min(parseInt(stock)||0, 999999))]
+             description?.substring(0,1000)||'', images[0]||null, JSON.stringify(images), category||'', Math.max(0, Math.min(parseInt(stock)||0, 999999)),
+             attrs.lat ?? null, attrs.lon ?? null, attrs.city ?? null, attrs.district ?? null,
+             attrs.saleUnit, attrs.minOrderQty ?? 1, attrs.harvestDate ?? null, attrs.availableFrom ?? null]
         );
         const product = await dbGet(
             `SELECT p.*,u.username AS "sellerName" FROM products p JOIN users u ON p."sellerId"=u.id WHERE p.id=$1`, [id]);
+        matchSavedSearches(id).catch(e => console.error('[kayıtlı arama eşleştirme]', e.message));
         res.status(201).json({ message: 'Ürün eklendi', product });
     } catch (e) {
         console.error(e);
@@ -14987,7 +18214,13 @@ app.put('/api/products/:productId', authenticateToken, (req, res, next) => {
         if (description !== undefined) { sets.push(`description=$${idx++}`); vals.push(description.substring(0,1000)); }
         if (category)    { sets.push(`category=$${idx++}`);    vals.push(category); }
         if (stock !== undefined) { sets.push(`stock=$${idx++}`); vals.push(parseInt(stock)); }
+        const { error: attrError, data: attrs } = parseStoreListingAttrs(req.body, true);
         const files = Array.isArray(req.files) ? req.files : [];
+        if (attrError) {
+            for (const f of files) await fs.unlink(f.path).catch(()=>{});
+            return res.status(400).json({ error: attrError });
+        }
+        for (const [col, val] of Object.entries(attrs)) { sets.push(`"${col}"=$${idx++}`); vals.push(val); }
         if (files.length) {
             let imgs=[];
             for (let i=0;i<files.length;i++){
@@ -15016,6 +18249,34 @@ app.put('/api/products/:productId', authenticateToken, (req, res, next) => {
 const VERIFICATION_ADMIN_EMAIL = 'noreply.agrolink@gmail.com';
 const APP_BASE_URL = process.env.APP_URL || 'https://sehitumitkestitarimmtal.com';
 
+// ─── PDF Binary Montaj ────────────────────────────────────────────────
+// objs: [{ type:'raw', content } | { type:'stream', header, stream }] — nesne numarası = index+1, 1 = Catalog
+function assemblePdfObjects(objs) {
+    const parts  = [Buffer.from('%PDF-1.5\n%\xFF\xFF\xFF\xFF\n')];
+    const offsets = [];
+
+    for (let i = 0; i < objs.length; i++) {
+        offsets.push(parts.reduce((a, b) => a + b.length, 0));
+        const num = i + 1;
+        const obj = objs[i];
+        if (obj.type === 'stream') {
+            parts.push(Buffer.from(`${num} 0 obj\n${obj.header}\nstream\n`));
+            parts.push(obj.stream);
+            parts.push(Buffer.from('\nendstream\nendobj\n'));
+        } else {
+            parts.push(Buffer.from(`${num} 0 obj\n${obj.content}\nendobj\n`));
+        }
+    }
+
+    const xrefStart = parts.reduce((a, b) => a + b.length, 0);
+    const xrefLines = [`xref\n0 ${objs.length + 1}\n0000000000 65535 f \n`];
+    offsets.forEach(off => xrefLines.push(String(off).padStart(10, '0') + ' 00000 n \n'));
+    parts.push(Buffer.from(xrefLines.join('')));
+    parts.push(Buffer.from(`trailer\n<< /Size ${objs.length + 1} /Root 1 0 R >>\nstartxref\n${xrefStart}\n%%EOF\n`));
+
+    return Buffer.concat(parts);
+}
+
 // ─── Resmi Görünümlü Doğrulama PDF'i Oluştur ────────────────────────────────
 async function buildOfficialVerificationPDF({ frontImagePath, backImagePath, userName, username, email, refCode, createdAt }) {
     const sharpLib = require('sharp');
@@ -15186,30 +18447,7 @@ async function buildOfficialVerificationPDF({ frontImagePath, backImagePath, use
     const contentBuf = Buffer.from(contentStr, 'latin1');
     addStream(`<< /Length ${contentBuf.length} >>`, contentBuf);
 
-    // ─── PDF Binary Montaj ────────────────────────────────────────────────
-    const parts  = [Buffer.from('%PDF-1.5\n%\xFF\xFF\xFF\xFF\n')];
-    const offsets = [];
-
-    for (let i = 0; i < objs.length; i++) {
-        offsets.push(parts.reduce((a, b) => a + b.length, 0));
-        const num = i + 1;
-        const obj = objs[i];
-        if (obj.type === 'stream') {
-            parts.push(Buffer.from(`${num} 0 obj\n${obj.header}\nstream\n`));
-            parts.push(obj.stream);
-            parts.push(Buffer.from('\nendstream\nendobj\n'));
-        } else {
-            parts.push(Buffer.from(`${num} 0 obj\n${obj.content}\nendobj\n`));
-        }
-    }
-
-    const xrefStart = parts.reduce((a, b) => a + b.length, 0);
-    const xrefLines = [`xref\n0 ${objs.length + 1}\n0000000000 65535 f \n`];
-    offsets.forEach(off => xrefLines.push(String(off).padStart(10, '0') + ' 00000 n \n'));
-    parts.push(Buffer.from(xrefLines.join('')));
-    parts.push(Buffer.from(`trailer\n<< /Size ${objs.length + 1} /Root 1 0 R >>\nstartxref\n${xrefStart}\n%%EOF\n`));
-
-    return Buffer.concat(parts);
+    return assemblePdfObjects(objs);
 }
 
 // ─── Onay/Red e-postası için HTML ──────────────────────────────────────────
@@ -16513,30 +19751,297 @@ if (!_originalInitDB) {
 // .env: OPENWEATHER_API_KEY=<key>
 // =============================================================================
 
+// =============================================================================
+// 🌦️ HAVA SERVİSİ — sağlayıcı adaptörleri, ortak cache, istek birleştirme
+// =============================================================================
+// Hava ve konum verisi gereken her yer WeatherService üzerinden gider:
+//   getForecast(lat, lon, { days, pastDays, hourly }) → normalize tahmin (aşağıda), hata → null
+//   getArchive(lat, lon, start, end)                  → [{ date, high, low, precipitation }]
+//   geocode(ad) / reverseGeocode(lat, lon)            → { lat, lon } / 'Köy, İl'
+//   owm(endpoint, query)                              → OpenWeatherMap ham yanıtı (/api/weather/current|forecast|air)
+// Sağlayıcı: WEATHER_PROVIDER=openmeteo|openweather|fixture (varsayılan: OPENWEATHER_API_KEY varsa openweather).
+// Birincil sağlayıcının desteklemediği istekler (saatlik, geçmiş günler, arşiv) ve hata alan istekler
+// Open-Meteo'ya düşer. fixture hiç ağa çıkmaz: WEATHER_FIXTURE_FILE verilmişse oradaki JSON
+// ({ forecast, archive, geocode, reverseGeocode }), yoksa enlem/tarihten üretilen deterministik veri döner
+// (lib/hava.js; örnek dosya: test/fixtures/hava/weather-fixture.json).
+// Cache anahtarı 2 ondalığa yuvarlanmış koordinattır (≈1 km); REDIS_URL bağlıysa worker'lar arası paylaşılır,
+// aynı anahtar için eşzamanlı istekler tek bir sağlayıcı çağrısında birleşir.
+//
+// Normalize tahmin modeli:
+//   { provider, lat, lon,
+//     current: { temp, feelsLike, humidity, windSpeed (km/sa), visibility (km), precipitation, weathercode, description, icon },
+//     hourly:  [{ time: 'YYYY-MM-DDTHH:MM' (İstanbul saati), temp, rh, precip, windSpeed }],
+//     daily:   [{ date: 'YYYY-MM-DD', high, low, precipitation, windMax, weathercode, description, icon }] }
+
+const WEATHER_CACHE_TTL = {
+    forecast: 10 * 60 * 1000,
+    owm:      10 * 60 * 1000,
+    archive:  24 * 60 * 60 * 1000,
+    geocode:  24 * 60 * 60 * 1000,
+    // Bulunamayan yer adı da kısa süre cache'lenir — her istekte Nominatim'e gidilmesin
+    geocodeMiss: 30 * 60 * 1000,
+};
+const WEATHER_HTTP_TIMEOUT_MS = 10000;
+const NOMINATIM_UA = 'AgroSosyal/1.0 (agrolink.app)';
+
+const { wmoIcon, istanbulLocalTime, fixtureWeatherProvider } = require('./lib/hava');
+
+const owmIcon = (id) => {
+    if (id >= 200 && id < 300) return ['⛈️', 'Fırtınalı'];
+    if (id >= 300 && id < 400) return ['🌦️', 'Çiseleyen'];
+    if (id >= 500 && id < 504) return ['🌧️', 'Yağmurlu'];
+    if (id === 511)            return ['🌨️', 'Dondurucu Yağmur'];
+    if (id >= 520 && id < 600) return ['🌦️', 'Sağanaklı'];
+    if (id >= 600 && id < 700) return ['❄️', 'Karlı'];
+    if (id >= 700 && id < 800) return ['🌫️', 'Sisli'];
+    if (id === 800)            return ['☀️', 'Açık ve Güneşli'];
+    if (id === 801)            return ['🌤️', 'Az Bulutlu'];
+    if (id === 802)            return ['⛅', 'Parçalı Bulutlu'];
+    if (id >= 803)             return ['☁️', 'Bulutlu'];
+    return ['🌡️', 'Bilinmiyor'];
+};
+
+const wxRound = v => Math.round(v * 100) / 100;
+
+async function weatherFetchJson(url, headers) {
+    const res = await fetch(url, { headers, signal: AbortSignal.timeout(WEATHER_HTTP_TIMEOUT_MS) });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) {
+        const err = new Error(data.message || data.reason || `HTTP ${res.status}`);
+        err.status = res.status;
+        err.body = data;
+        throw err;
+    }
+    return data;
+}
+
+// ── Open-Meteo (ücretsiz, anahtar gerekmez) ─────────────────────────────────
+const openMeteoProvider = {
+    name: 'open-meteo',
+    supports: { hourly: true, past: true, archive: true },
+    async forecast(lat, lon, { days, pastDays }) {
+        const m = await weatherFetchJson(`https://api.open-meteo.com/v1/forecast?latitude=${lat}&longitude=${lon}` +
+            `&current=temperature_2m,apparent_temperature,relative_humidity_2m,weathercode,windspeed_10m,precipitation,visibility` +
+            `&hourly=temperature_2m,relative_humidity_2m,precipitation,windspeed_10m` +
+            `&daily=weathercode,temperature_2m_max,temperature_2m_min,precipitation_sum,windspeed_10m_max` +
+            `&timezone=Europe%2FIstanbul&forecast_days=${days}&past_days=${pastDays}`);
+        const cur = m.current || {};
+        const [icon, description] = wmoIcon(cur.weathercode || 0);
+        return {
+            provider: this.name, lat, lon,
+            current: {
+                temp: cur.temperature_2m ?? null, feelsLike: cur.apparent_temperature ?? null,
+                humidity: cur.relative_humidity_2m ?? null, windSpeed: Math.round(cur.windspeed_10m || 0),
+                visibility: cur.visibility ? Math.round(cur.visibility / 1000) : null,
+                precipitation: cur.precipitation || 0, weathercode: cur.weathercode, description, icon,
+            },
+            hourly: (m.hourly?.time || []).map((time, i) => ({
+                time,
+                temp: m.hourly.temperature_2m?.[i], rh: m.hourly.relative_humidity_2m?.[i],
+                precip: m.hourly.precipitation?.[i] || 0, windSpeed: m.hourly.windspeed_10m?.[i] || 0,
+            })).filter(h => Number.isFinite(h.temp) && Number.isFinite(h.rh)),
+            daily: (m.daily?.time || []).map((date, i) => {
+                const [dIcon, dDesc] = wmoIcon(m.daily.weathercode?.[i] || 0);
+                return {
+                    date, high: m.daily.temperature_2m_max?.[i], low: m.daily.temperature_2m_min?.[i],
+                    precipitation: m.daily.precipitation_sum?.[i] || 0, windMax: m.daily.windspeed_10m_max?.[i] || 0,
+                    weathercode: m.daily.weathercode?.[i], icon: dIcon, description: dDesc,
+                };
+            }),
+        };
+    },
+    async archive(lat, lon, start, end) {
+        const m = await weatherFetchJson(`https://archive-api.open-meteo.com/v1/archive?latitude=${lat}&longitude=${lon}` +
+            `&start_date=${start}&end_date=${end}&daily=temperature_2m_max,temperature_2m_min,precipitation_sum&timezone=Europe%2FIstanbul`);
+        return (m.daily?.time || []).map((date, i) => ({
+            date, high: m.daily.temperature_2m_max?.[i], low: m.daily.temperature_2m_min?.[i],
+            precipitation: m.daily.precipitation_sum?.[i] || 0,
+        })).filter(r => Number.isFinite(r.high) && Number.isFinite(r.low));
+    },
+    // Konum servisi sağlayıcıdan bağımsız olarak Nominatim
+    async geocode(name) {
+        const data = await weatherFetchJson(`https://nominatim.openstreetmap.org/search?` +
+            `q=${encodeURIComponent(name)}&format=json&limit=1&countrycodes=tr&accept-language=tr`, { 'User-Agent': NOMINATIM_UA });
+        return data?.length ? { lat: parseFloat(data[0].lat), lon: parseFloat(data[0].lon) } : null;
+    },
+    async reverseGeocode(lat, lon) {
+        const gc = await weatherFetchJson(`https://nominatim.openstreetmap.org/reverse?lat=${lat}&lon=${lon}&format=json&accept-language=tr`,
+            { 'User-Agent': NOMINATIM_UA });
+        const a = gc.address || {};
+        return [a.village || a.town || a.neighbourhood || a.city || a.county, a.state].filter(Boolean).join(', ');
+    },
+};
+
+// ── OpenWeatherMap (OPENWEATHER_API_KEY) — güncel + 5 gün / 3 saatlik tahmin ─
+const openWeatherProvider = {
+    name: 'openweathermap',
+    supports: { hourly: false, past: false, archive: false },
+    async raw(endpoint, { lat, lon, q, lang = 'tr', units = 'metric', cnt }) {
+        const apiKey = process.env.OPENWEATHER_API_KEY;
+        if (!apiKey) {
+            const err = new Error('OPENWEATHER_API_KEY tanımlı değil');
+            err.status = 500;
+            err.body = { error: 'Hava servisi yapılandırılmamış' };
+            throw err;
+        }
+        const where = q != null ? `q=${encodeURIComponent(q)}` : `lat=${lat}&lon=${lon}`;
+        const extra = endpoint === 'air_pollution' ? '' : `&lang=${encodeURIComponent(lang)}&units=${encodeURIComponent(units)}${cnt ? `&cnt=${cnt}` : ''}`;
+        return weatherFetchJson(`https://api.openweathermap.org/data/2.5/${endpoint}?${where}&appid=${apiKey}${extra}`);
+    },
+    async forecast(lat, lon, { days }) {
+        const [cur, frc] = await Promise.all([
+            this.raw('weather', { lat, lon }),
+            this.raw('forecast', { lat, lon, cnt: 40 }).catch(() => ({ list: [] })),
+        ]);
+        // Günlük tahmin (3 saatlik listeden, İstanbul günü)
+        const dailyMap = {};
+        for (const item of frc.list || []) {
+            const date = istanbulLocalTime(item.dt).slice(0, 10);
+            const [icon, description] = owmIcon(item.weather?.[0]?.id || 800);
+            const rain = item.rain?.['3h'] || 0;
+            const wind = (item.wind?.speed || 0) * 3.6;
+            const d = dailyMap[date];
+            if (!d) {
+                dailyMap[date] = { date, high: item.main.temp_max, low: item.main.temp_min, precipitation: rain, windMax: wind,
+                                   weathercode: item.weather?.[0]?.id, icon, description };
+            } else {
+                if (item.main.temp_max > d.high) d.high = item.main.temp_max;
+                if (item.main.temp_min < d.low)  d.low  = item.main.temp_min;
+                if (wind > d.windMax) d.windMax = wind;
+                d.precipitation += rain;
+            }
+        }
+        const [icon, description] = owmIcon(cur.weather?.[0]?.id || 800);
+        return {
+            provider: this.name, lat, lon, city: cur.name,
+            current: {
+                temp: cur.main?.temp ?? null, feelsLike: cur.main?.feels_like ?? null, humidity: cur.main?.humidity ?? null,
+                windSpeed: Math.round((cur.wind?.speed || 0) * 3.6),
+                visibility: Math.round((cur.visibility || 10000) / 1000),
+                precipitation: cur.rain?.['1h'] || 0, weathercode: cur.weather?.[0]?.id,
+                description: cur.weather?.[0]?.description || description, icon,
+            },
+            hourly: [],
+            daily: Object.values(dailyMap).slice(0, days),
+        };
+    },
+};
+
+const WEATHER_PROVIDERS = {
+    openmeteo:   openMeteoProvider,
+    openweather: openWeatherProvider,
+    fixture:     fixtureWeatherProvider,
+};
+
+const _weatherInflight = new Map();
+const WEATHER_MISS = { __miss: true };
+
+// Yerel LRU → Redis → (birleştirilmiş) sağlayıcı çağrısı
+// missTtl verilirse boş (null) sonuç da WEATHER_MISS olarak o süre cache'lenir
+function weatherCached(key, ttl, loader, local = AppCache.weather, missTtl = 0) {
+    const unwrap = v => (v?.__miss ? null : v);
+    const hit = local.get(key);
+    if (hit) return Promise.resolve(unwrap(hit));
+    if (_weatherInflight.has(key)) return _weatherInflight.get(key);
+    const p = (async () => {
+        if (_redisClient?.isReady) {
+            const shared = await _redisClient.get(key).catch(() => null);
+            if (shared) {
+                const v = JSON.parse(shared);
+                local.set(key, v, v?.__miss ? missTtl : ttl);
+                return unwrap(v);
+            }
+        }
+        const v = await loader();
+        const entry = v != null ? v : missTtl ? WEATHER_MISS : null;
+        if (entry != null) {
+            const px = entry === WEATHER_MISS ? missTtl : ttl;
+            local.set(key, entry, px);
+            if (_redisClient?.isReady) _redisClient.set(key, JSON.stringify(entry), { PX: px }).catch(() => {});
+        }
+        return v;
+    })().finally(() => _weatherInflight.delete(key));
+    _weatherInflight.set(key, p);
+    return p;
+}
+
+const WeatherService = {
+    providerName() {
+        const p = (process.env.WEATHER_PROVIDER || '').toLowerCase();
+        if (WEATHER_PROVIDERS[p]) return p;
+        return process.env.OPENWEATHER_API_KEY ? 'openweather' : 'openmeteo';
+    },
+    // İstenen yeteneği destekleyen sağlayıcılar, öncelik sırasıyla
+    _chain(need) {
+        const primary = WEATHER_PROVIDERS[this.providerName()];
+        if (primary === fixtureWeatherProvider) return [primary];
+        return [...new Set([primary, openMeteoProvider])].filter(p => !need || p.supports[need]);
+    },
+    async getForecast(lat, lon, { days = 7, pastDays = 0, hourly = false } = {}) {
+        lat = wxRound(lat); lon = wxRound(lon);
+        for (const p of this._chain(hourly ? 'hourly' : pastDays ? 'past' : null)) {
+            try {
+                return await weatherCached(`wx:${p.name}:f:${lat},${lon}:${days}:${pastDays}`, WEATHER_CACHE_TTL.forecast,
+                    () => p.forecast(lat, lon, { days, pastDays }));
+            } catch (e) { console.warn(`[weather] ${p.name} tahmin alınamadı:`, e.message); }
+        }
+        return null;
+    },
+    async getArchive(lat, lon, start, end) {
+        lat = wxRound(lat); lon = wxRound(lon);
+        for (const p of this._chain('archive')) {
+            try {
+                return await weatherCached(`wx:${p.name}:a:${lat},${lon}:${start}:${end}`, WEATHER_CACHE_TTL.archive,
+                    () => p.archive(lat, lon, start, end));
+            } catch (e) { console.warn(`[weather] ${p.name} arşiv alınamadı:`, e.message); }
+        }
+        return [];
+    },
+    async geocode(name) {
+        const p = this.providerName() === 'fixture' ? fixtureWeatherProvider : openMeteoProvider;
+        const key = name.trim().toLowerCase();
+        try {
+            return await weatherCached(`wx:${p.name}:geo:${key}`, WEATHER_CACHE_TTL.geocode, () => p.geocode(name),
+                AppCache.geocode, WEATHER_CACHE_TTL.geocodeMiss);
+        } catch (_) { return null; }
+    },
+    async reverseGeocode(lat, lon) {
+        lat = wxRound(lat); lon = wxRound(lon);
+        const p = this.providerName() === 'fixture' ? fixtureWeatherProvider : openMeteoProvider;
+        try {
+            return await weatherCached(`wx:${p.name}:rgeo:${lat},${lon}`, WEATHER_CACHE_TTL.geocode, () => p.reverseGeocode(lat, lon), AppCache.geocode) || '';
+        } catch (_) { return ''; }
+    },
+    // OWM ham yanıtı — hata durumunda err.status / err.body taşır
+    async owm(endpoint, query) {
+        const p = this.providerName() === 'fixture' ? fixtureWeatherProvider : openWeatherProvider;
+        const where = query.q != null ? `q:${String(query.q).toLowerCase()}` : `${wxRound(query.lat)},${wxRound(query.lon)}`;
+        const q = query.q != null ? query : { ...query, lat: wxRound(query.lat), lon: wxRound(query.lon) };
+        return weatherCached(`wx:owm:${p.name}:${endpoint}:${where}:${query.lang || ''}:${query.units || ''}:${query.cnt || ''}`,
+            WEATHER_CACHE_TTL.owm, () => p.raw(endpoint, q));
+    },
+};
+
 // GET /api/weather/current?lat=&lon= veya ?city=
 app.get('/api/weather/current', async (req, res) => {
     try {
-        const apiKey = process.env.OPENWEATHER_API_KEY;
-        if (!apiKey) return res.status(500).json({ error: 'Hava servisi yapılandırılmamış' }); // 🔒 config detayı gizlendi
         const { lat, lon, city, lang = 'tr', units = 'metric' } = req.query;
         // 🔒 Koordinat doğrulaması — geçersiz değer URL'e enjekte edilemesin
-        let url;
+        let query;
         if (lat && lon) {
             const latF = parseFloat(lat), lonF = parseFloat(lon);
             if (isNaN(latF) || isNaN(lonF) || latF < -90 || latF > 90 || lonF < -180 || lonF > 180) {
                 return res.status(400).json({ error: 'Geçersiz koordinat değeri' });
             }
-            url = `https://api.openweathermap.org/data/2.5/weather?lat=${latF}&lon=${lonF}&appid=${apiKey}&lang=${encodeURIComponent(lang)}&units=${encodeURIComponent(units)}`;
+            query = { lat: latF, lon: lonF, lang, units };
         } else if (city) {
-            url = `https://api.openweathermap.org/data/2.5/weather?q=${encodeURIComponent(city)}&appid=${apiKey}&lang=${encodeURIComponent(lang)}&units=${encodeURIComponent(units)}`;
+            query = { q: city, lang, units };
         } else {
             return res.status(400).json({ error: 'lat/lon veya city parametresi gerekli' });
         }
-        const response = await fetch(url);
-        const data = await response.json();
-        if (!response.ok) return res.status(response.status).json(data);
-        res.json(data);
+        res.json(await WeatherService.owm('weather', query));
     } catch (e) {
+        if (e.status) return res.status(e.status).json(e.body);
         res.status(500).json({ error: 'Sunucu hatası' }); // 🔒 e.message gizlendi
     }
 });
@@ -16544,28 +20049,24 @@ app.get('/api/weather/current', async (req, res) => {
 // GET /api/weather/forecast?lat=&lon= veya ?city=  (5 günlük)
 app.get('/api/weather/forecast', async (req, res) => {
     try {
-        const apiKey = process.env.OPENWEATHER_API_KEY;
-        if (!apiKey) return res.status(500).json({ error: 'Hava servisi yapılandırılmamış' }); // 🔒
         const { lat, lon, city, lang = 'tr', units = 'metric', cnt = 40 } = req.query;
         // 🔒 Koordinat + cnt doğrulaması
-        let url;
+        let query;
         if (lat && lon) {
             const latF = parseFloat(lat), lonF = parseFloat(lon);
             if (isNaN(latF) || isNaN(lonF) || latF < -90 || latF > 90 || lonF < -180 || lonF > 180) {
                 return res.status(400).json({ error: 'Geçersiz koordinat değeri' });
             }
             const safeCnt = Math.min(Math.max(parseInt(cnt) || 40, 1), 40);
-            url = `https://api.openweathermap.org/data/2.5/forecast?lat=${latF}&lon=${lonF}&appid=${apiKey}&lang=${encodeURIComponent(lang)}&units=${encodeURIComponent(units)}&cnt=${safeCnt}`;
+            query = { lat: latF, lon: lonF, lang, units, cnt: safeCnt };
         } else if (city) {
-            url = `https://api.openweathermap.org/data/2.5/forecast?q=${encodeURIComponent(city)}&appid=${apiKey}&lang=${encodeURIComponent(lang)}&units=${encodeURIComponent(units)}&cnt=40`;
+            query = { q: city, lang, units, cnt: 40 };
         } else {
             return res.status(400).json({ error: 'lat/lon veya city parametresi gerekli' });
         }
-        const response = await fetch(url);
-        const data = await response.json();
-        if (!response.ok) return res.status(response.status).json(data);
-        res.json(data);
+        res.json(await WeatherService.owm('forecast', query));
     } catch (e) {
+        if (e.status) return res.status(e.status).json(e.body);
         res.status(500).json({ error: 'Sunucu hatası' }); // 🔒 e.message gizlendi
     }
 });
@@ -16573,8 +20074,6 @@ app.get('/api/weather/forecast', async (req, res) => {
 // GET /api/weather/air?lat=&lon=  (Hava kalitesi AQI)
 app.get('/api/weather/air', async (req, res) => {
     try {
-        const apiKey = process.env.OPENWEATHER_API_KEY;
-        if (!apiKey) return res.status(500).json({ error: 'Hava servisi yapılandırılmamış' }); // 🔒
         const { lat, lon } = req.query;
         if (!lat || !lon) return res.status(400).json({ error: 'lat ve lon parametresi gerekli' });
         // 🔒 Koordinat doğrulaması
@@ -16582,12 +20081,9 @@ app.get('/api/weather/air', async (req, res) => {
         if (isNaN(latF) || isNaN(lonF) || latF < -90 || latF > 90 || lonF < -180 || lonF > 180) {
             return res.status(400).json({ error: 'Geçersiz koordinat değeri' });
         }
-        const url = `https://api.openweathermap.org/data/2.5/air_pollution?lat=${latF}&lon=${lonF}&appid=${apiKey}`;
-        const response = await fetch(url);
-        const data = await response.json();
-        if (!response.ok) return res.status(response.status).json(data);
-        res.json(data);
+        res.json(await WeatherService.owm('air_pollution', { lat: latF, lon: lonF }));
     } catch (e) {
+        if (e.status) return res.status(e.status).json(e.body);
         res.status(500).json({ error: 'Sunucu hatası' }); // 🔒 e.message gizlendi
     }
 });
@@ -16600,147 +20096,42 @@ app.get('/agro-hava/', (req, res) => {
 });
 
 // ─── GET /api/weather — HAVA DURUMU ──────────────────────────────
-// OpenWeatherMap kullanır (OPENWEATHER_API_KEY varsa)
-// Open-Meteo fallback (ücretsiz, key gerekmez)
+// WeatherService: OpenWeatherMap (OPENWEATHER_API_KEY varsa), hata/anahtar yoksa Open-Meteo
 app.get('/api/weather', authenticateToken, async (req, res) => {
     try {
         const { lat, lon } = req.query;
         if (!lat || !lon) return res.status(400).json({ error: 'lat ve lon gerekli' });
-
-        const DAY_NAMES = ['Paz', 'Pzt', 'Sal', 'Çar', 'Per', 'Cum', 'Cmt'];
-        const apiKey = process.env.OPENWEATHER_API_KEY;
-
-        // ─── Nominatim reverse geocode (her iki durumda da kullan) ───
-        let cityName = '';
-        try {
-            const gcRes = await fetch(
-                `https://nominatim.openstreetmap.org/reverse?lat=${lat}&lon=${lon}&format=json&accept-language=tr`,
-                { headers: { 'User-Agent': 'AgroSosyal/1.0 (agrolink.app)' } }
-            );
-            if (gcRes.ok) {
-                const gc = await gcRes.json();
-                const a = gc.address || {};
-                cityName = [a.village || a.town || a.neighbourhood || a.city || a.county, a.state].filter(Boolean).join(', ');
-            }
-        } catch(_) {}
-
-        // ─── OWM WMO code mapper ────────────────────────────────────
-        const owmIcon = (id) => {
-            if (id >= 200 && id < 300) return ['⛈️', 'Fırtınalı'];
-            if (id >= 300 && id < 400) return ['🌦️', 'Çiseleyen'];
-            if (id >= 500 && id < 504) return ['🌧️', 'Yağmurlu'];
-            if (id === 511)            return ['🌨️', 'Dondurucu Yağmur'];
-            if (id >= 520 && id < 600) return ['🌦️', 'Sağanaklı'];
-            if (id >= 600 && id < 700) return ['❄️', 'Karlı'];
-            if (id >= 700 && id < 800) return ['🌫️', 'Sisli'];
-            if (id === 800)            return ['☀️', 'Açık ve Güneşli'];
-            if (id === 801)            return ['🌤️', 'Az Bulutlu'];
-            if (id === 802)            return ['⛅', 'Parçalı Bulutlu'];
-            if (id >= 803)             return ['☁️', 'Bulutlu'];
-            return ['🌡️', 'Bilinmiyor'];
-        };
-
-        // ─── OpenWeatherMap (API key varsa) ─────────────────────────
-        if (apiKey) {
-            const [curRes, frcRes] = await Promise.all([
-                fetch(`https://api.openweathermap.org/data/2.5/weather?lat=${lat}&lon=${lon}&appid=${apiKey}&lang=tr&units=metric`),
-                fetch(`https://api.openweathermap.org/data/2.5/forecast?lat=${lat}&lon=${lon}&appid=${apiKey}&lang=tr&units=metric&cnt=40`)
-            ]);
-
-            if (!curRes.ok) {
-                const err = await curRes.json().catch(() => ({}));
-                if (curRes.status === 401) {
-                    console.warn('[weather] OWM key geçersiz, Open-Meteo\'ya geçiliyor');
-                    // fallback'e düş
-                } else {
-                    return res.status(curRes.status).json({ error: err.message || 'OWM hatası' });
-                }
-            } else {
-                const cur = await curRes.json();
-                const frc = frcRes.ok ? await frcRes.json() : { list: [] };
-
-                // Günlük tahmin (3saat'lik listeden)
-                const dailyMap = {};
-                (frc.list || []).forEach(item => {
-                    const d = new Date(item.dt * 1000);
-                    const key = d.toISOString().split('T')[0];
-                    const [ico, desc] = owmIcon(item.weather[0]?.id || 800);
-                    if (!dailyMap[key]) {
-                        dailyMap[key] = { high: item.main.temp_max, low: item.main.temp_min, icon: ico, description: desc, precipitation: (item.rain?.['3h'] || 0), dayName: DAY_NAMES[d.getDay()] };
-                    } else {
-                        if (item.main.temp_max > dailyMap[key].high) dailyMap[key].high = item.main.temp_max;
-                        if (item.main.temp_min < dailyMap[key].low)  dailyMap[key].low  = item.main.temp_min;
-                        dailyMap[key].precipitation += (item.rain?.['3h'] || 0);
-                    }
-                });
-                const daily = Object.values(dailyMap).slice(0, 7);
-                const [curIcon, curDesc] = owmIcon(cur.weather[0]?.id || 800);
-                const temp = cur.main.temp;
-                const month = new Date().getMonth() + 1;
-
-                return res.json({
-                    city: cityName || cur.name,
-                    source: 'openweathermap',
-                    current: {
-                        temp, feelsLike: cur.main.feels_like,
-                        humidity: cur.main.humidity,
-                        windSpeed: Math.round((cur.wind?.speed || 0) * 3.6),
-                        visibility: Math.round((cur.visibility || 10000) / 1000),
-                        precipitation: cur.rain?.['1h'] || 0,
-                        description: cur.weather[0]?.description || curDesc,
-                        icon: curIcon, weathercode: cur.weather[0]?.id
-                    },
-                    daily,
-                    alerts: buildWeatherAlerts(temp, cur.rain?.['1h'] || 0, (cur.wind?.speed || 0) * 3.6, daily),
-                    farmingCalendar: buildFarmingCalendar(temp, cur.rain?.['1h'] || 0, (cur.wind?.speed || 0) * 3.6, daily, month)
-                });
-            }
+        const latF = parseFloat(lat), lonF = parseFloat(lon);
+        if (isNaN(latF) || isNaN(lonF) || latF < -90 || latF > 90 || lonF < -180 || lonF > 180) {
+            return res.status(400).json({ error: 'Geçersiz koordinat değeri' });
         }
 
-        // ─── Open-Meteo fallback (API key yoksa veya OWM başarısızsa) ─
-        const wmoDesc = (code) => {
-            const map = {
-                0:['☀️','Açık'],1:['🌤️','Az Bulutlu'],2:['⛅','Parçalı Bulutlu'],3:['☁️','Kapalı'],
-                45:['🌫️','Sisli'],48:['🌫️','Yoğun Sis'],51:['🌦️','Hafif Çiseleme'],53:['🌦️','Çiseleme'],
-                55:['🌧️','Yoğun Çiseleme'],61:['🌧️','Hafif Yağmur'],63:['🌧️','Yağmurlu'],
-                65:['🌧️','Şiddetli Yağmur'],71:['❄️','Hafif Kar'],73:['❄️','Karlı'],75:['❄️','Yoğun Kar'],
-                80:['🌦️','Sağanak'],81:['🌧️','Kuvvetli Sağanak'],95:['⛈️','Fırtına'],99:['⛈️','Şiddetli Fırtına']
-            };
-            return map[code] || ['🌡️','Bilinmiyor'];
-        };
-
-        const url = `https://api.open-meteo.com/v1/forecast?latitude=${lat}&longitude=${lon}` +
-            `&current=temperature_2m,apparent_temperature,relative_humidity_2m,weathercode,windspeed_10m,precipitation,visibility` +
-            `&daily=weathercode,temperature_2m_max,temperature_2m_min,precipitation_sum,windspeed_10m_max` +
-            `&timezone=Europe%2FIstanbul&forecast_days=7`;
+        const DAY_NAMES = ['Paz', 'Pzt', 'Sal', 'Çar', 'Per', 'Cum', 'Cmt'];
+        const [cityName, f] = await Promise.all([
+            WeatherService.reverseGeocode(latF, lonF),
+            WeatherService.getForecast(latF, lonF, { days: 7 }),
+        ]);
+        if (!f) return res.status(502).json({ error: 'Hava servisi yanıt vermedi' });
 
-        const meteoRes = await fetch(url);
-        if (!meteoRes.ok) return res.status(502).json({ error: 'Hava servisi yanıt vermedi' });
-        const m = await meteoRes.json();
-        const cur = m.current || {};
-        const daily2 = (m.daily?.time || []).map((date, i) => {
-            const d = new Date(date);
-            const [ico, desc] = wmoDesc(m.daily.weathercode?.[i] || 0);
-            return { dayName: DAY_NAMES[d.getDay()], date, high: m.daily.temperature_2m_max?.[i], low: m.daily.temperature_2m_min?.[i], precipitation: m.daily.precipitation_sum?.[i] || 0, windMax: m.daily.windspeed_10m_max?.[i] || 0, icon: ico, description: desc };
-        });
-        const [curIcon2, curDesc2] = wmoDesc(cur.weathercode || 0);
-        const temp2 = cur.temperature_2m ?? 15;
-        const month2 = new Date().getMonth() + 1;
+        const daily = f.daily.slice(0, 7).map(d => ({ dayName: DAY_NAMES[new Date(d.date).getDay()], ...d }));
+        const cur = f.current;
+        const temp = cur.temp ?? 15;
+        const month = new Date().getMonth() + 1;
 
         res.json({
-            city: cityName || `${parseFloat(lat).toFixed(2)}°N`,
-            source: 'open-meteo (fallback)',
+            city: cityName || f.city || `${latF.toFixed(2)}°N`,
+            source: f.provider,
             current: {
-                temp: temp2, feelsLike: cur.apparent_temperature,
-                humidity: cur.relative_humidity_2m,
-                windSpeed: Math.round(cur.windspeed_10m || 0),
-                visibility: cur.visibility ? Math.round(cur.visibility / 1000) : null,
-                precipitation: cur.precipitation || 0,
-                description: curDesc2, icon: curIcon2, weathercode: cur.weathercode
+                temp, feelsLike: cur.feelsLike,
+                humidity: cur.humidity,
+                windSpeed: cur.windSpeed,
+                visibility: cur.visibility,
+                precipitation: cur.precipitation,
+                description: cur.description, icon: cur.icon, weathercode: cur.weathercode
             },
-            daily: daily2,
-            alerts: buildWeatherAlerts(temp2, cur.precipitation || 0, cur.windspeed_10m || 0, daily2),
-            farmingCalendar: buildFarmingCalendar(temp2, cur.precipitation || 0, cur.windspeed_10m || 0, daily2, month2)
+            daily,
+            alerts: buildWeatherAlerts(temp, cur.precipitation, cur.windSpeed, daily),
+            farmingCalendar: buildFarmingCalendar(temp, cur.precipitation, cur.windSpeed, daily, month)
         });
     } catch(e) {
         console.error('[weather]', e.message);
@@ -16822,22 +20213,123 @@ app.post('/api/weather/push-alert', authenticateToken, requireAdmin, adminLimite
 
         await Promise.allSettled(subs.map(async s => {
             try {
-                await webpush.sendNotification({ endpoint: s.endpoint, keys: { p256dh: s.p256dh, auth: s.auth } }, payload);
-                sent++;
-            } catch(e) {
-                failed++;
-                if (e.statusCode === 410)
-                    await dbRun(`UPDATE push_subscriptions SET "isActive"=FALSE WHERE endpoint=$1`, [s.endpoint]).catch(()=>{});
-            }
-        }));
+                await webpush.sendNotification({ endpoint: s.endpoint, keys: { p256dh: s.p256dh, auth: s.auth } }, payload);
+                sent++;
+            } catch(e) {
+                failed++;
+                if (e.statusCode === 410)
+                    await dbRun(`UPDATE push_subscriptions SET "isActive"=FALSE WHERE endpoint=$1`, [s.endpoint]).catch(()=>{});
+            }
+        }));
+
+        res.json({ success: true, sent, failed, total: subs.length });
+    } catch(e) { res.status(500).json({ error: 'Sunucu hatası' }); } // 🔒 e.message gizlendi
+});
+
+
+
+
+
+// ─── 🦠 HASTALIK RİSK MOTORU ─────────────────────────────────────────
+// Saatlik tahmin + kullanıcının ürünleri (farmerCrops) → kural bazlı hastalık riski.
+// Kurallar ve saf model fonksiyonları lib/hastalik-risk.js'te (test/hastalik-risk.test.js ile sınanır).
+// Girdi biçimi: hourly = [{ time: 'YYYY-MM-DDTHH:MM' (yerel), temp (°C), rh (%), precip (mm) }]
+// Sabit hava verisiyle denemek için: POST /api/admin/disease-risk/evaluate
+
+const {
+    RISK_SEVIYE, RISK_SEVIYE_ETIKET, HASTALIK_RISK_KURALLARI, evaluateDiseaseRisks,
+} = require('./lib/hastalik-risk');
+
+// farmerCrops serbest metnini ürün anahtarlarına çevir ("Üzüm, elma" → ['uzum','elma'])
+function parseFarmerCrops(text) {
+    return [...new Set(String(text || '').split(/[,;/\n]+/).map(normalizeCropKey).filter(Boolean))];
+}
+
+// Saatlik tahmin (4 gün, yerel saat) — saatlik veri veren sağlayıcıdan
+async function getHourlyForecast(lat, lon) {
+    const f = await WeatherService.getForecast(lat, lon, { days: 4, hourly: true });
+    return f ? f.hourly : null;
+}
+
+// Kullanıcının koordinatı: güncel son konum → farmerCity merkezi → location (Nominatim)
+async function resolveUserCoords(u) {
+    if (u.lat != null && u.lon != null) return { lat: u.lat, lon: u.lon };
+    if (u.location?.trim()) return geocodeLocationName(u.location);
+    return null;
+}
+
+const DISEASE_RISK_USER_SQL = `
+    SELECT u.id, u."farmerCrops", u.location,
+           CASE WHEN u."lastLat" IS NOT NULL AND u."lastLocationAt" > NOW() - INTERVAL '7 days' THEN u."lastLat" ELSE k.lat END AS lat,
+           CASE WHEN u."lastLat" IS NOT NULL AND u."lastLocationAt" > NOW() - INTERVAL '7 days' THEN u."lastLon" ELSE k.lon END AS lon
+    FROM users u
+    LEFT JOIN sehir_koordinatlari k ON k.key = LOWER(TRIM(u."farmerCity"))`;
+
+// 🦠 07:00 — ürün bazlı hastalık riski kampanyası (orta/yüksek riskler bildirilir)
+async function runDiseaseRiskCampaign() {
+    if (process.env.SMART_NOTIF_ENABLED !== 'true') return;
+    try {
+        const users = await dbAll(`${DISEASE_RISK_USER_SQL}
+            WHERE u."isActive" = TRUE AND u."isBanned" = FALSE
+              AND u."farmerCrops" IS NOT NULL AND TRIM(u."farmerCrops") != ''
+              AND u."lastLogin" > NOW() - INTERVAL '30 days'`);
+        let sent = 0;
+        for (const user of users) {
+            try {
+                const crops = parseFarmerCrops(user.farmerCrops);
+                if (!crops.some(c => HASTALIK_RISK_KURALLARI.some(k => k.urunler.includes(c)))) continue;
+                if (await alreadySentToday(user.id, 'disease_risk')) continue;
+                const seg = await getUserSegment(user.id);
+                if (await getDailyNotifCount(user.id) >= (DAILY_NOTIF_CAP[seg] ?? 1)) continue;
 
-        res.json({ success: true, sent, failed, total: subs.length });
-    } catch(e) { res.status(500).json({ error: 'Sunucu hatası' }); } // 🔒 e.message gizlendi
-});
+                const geo = await resolveUserCoords(user);
+                if (!geo) continue;
+                const hourly = await getHourlyForecast(geo.lat, geo.lon);
+                const top = evaluateDiseaseRisks(hourly || [], crops).find(r => RISK_SEVIYE[r.seviye] >= RISK_SEVIYE.orta);
+                if (!top) continue;
+
+                await createNotification(user.id, 'disease_risk',
+                    `${top.ad} riski ${RISK_SEVIYE_ETIKET[top.seviye]}: ${top.oneri}`, {
+                        kuralId: top.kuralId, etkenId: top.etkenId, urun: top.urun, seviye: top.seviye,
+                        baslangic: top.baslangic,
+                        pushTitle: `${top.seviye === 'yuksek' ? '🔴' : '🟠'} ${top.ad} riski`
+                    });
+                await markSent(user.id, 'disease_risk');
+                sent++;
+            } catch (_) { /* tek kullanıcı hatası kampanyayı durdurmasın */ }
+        }
+        if (sent > 0) console.log(`[SmartNotif] disease_risk → ${sent} kullanıcıya gönderildi`);
+    } catch (e) { console.error('[SmartNotif disease_risk]', e.message); }
+}
 
+// GET /api/weather/disease-risk?lat=&lon=&crops=uzum,elma — verilmezse profildeki konum/ürünler
+app.get('/api/weather/disease-risk', authenticateToken, async (req, res) => {
+    try {
+        const u = await dbGet(`${DISEASE_RISK_USER_SQL} WHERE u.id = $1`, [req.user.id]);
+        const crops = req.query.crops ? parseFarmerCrops(req.query.crops) : parseFarmerCrops(u?.farmerCrops);
+        if (!crops.length) return res.status(400).json({ error: 'Ürün bilgisi yok (crops parametresi ya da profilde ürünler)' });
 
+        const latQ = parseFloat(req.query.lat), lonQ = parseFloat(req.query.lon);
+        const geo = Number.isFinite(latQ) && Number.isFinite(lonQ) ? { lat: latQ, lon: lonQ } : await resolveUserCoords(u || {});
+        if (!geo) return res.status(400).json({ error: 'Konum bulunamadı (lat/lon gönderin ya da profilde konum girin)' });
 
+        const hourly = await getHourlyForecast(geo.lat, geo.lon);
+        if (!hourly) return res.status(502).json({ error: 'Hava tahmini alınamadı' });
+        res.json({ crops, konum: geo, riskler: evaluateDiseaseRisks(hourly, crops) });
+    } catch (e) {
+        console.error('[disease-risk]', e.message);
+        res.status(500).json({ error: 'Sunucu hatası' });
+    }
+});
 
+// POST /api/admin/disease-risk/evaluate — { hourly: [...], crops: [...], month? } sabit veriyle kural denemesi
+app.post('/api/admin/disease-risk/evaluate', authenticateToken, requireAdmin, adminLimiter, (req, res) => {
+    const { hourly, crops, month } = req.body || {};
+    if (!Array.isArray(hourly) || !hourly.every(h => typeof h?.time === 'string' && Number.isFinite(h.temp) && Number.isFinite(h.rh)))
+        return res.status(400).json({ error: 'hourly: [{ time, temp, rh, precip }] olmalı' });
+    const cropList = Array.isArray(crops) ? crops.map(normalizeCropKey) : parseFarmerCrops(crops);
+    res.json({ riskler: evaluateDiseaseRisks(hourly, cropList, { month: parseInt(month) || undefined }) });
+});
 
 // =============================================================================
 // END HAVA DURUMU ROTALAR
@@ -16881,37 +20373,429 @@ app.post('/api/weather/push-alert', authenticateToken, requireAdmin, adminLimite
             CREATE INDEX IF NOT EXISTS idx_acil_status ON acil_yardim_talepleri(status,"createdAt" DESC);
             CREATE INDEX IF NOT EXISTS idx_acil_yorumlar ON acil_yardim_yorumlar("talepId");
         `);
+        // Hedefli bildirim: kime hangi turda (yarıçapta) gönderildi — aynı kişiye ikinci kez gitmez
+        await pool.query(`
+            ALTER TABLE acil_yardim_talepleri ADD COLUMN IF NOT EXISTS "notifyLat" DOUBLE PRECISION;
+            ALTER TABLE acil_yardim_talepleri ADD COLUMN IF NOT EXISTS "notifyLon" DOUBLE PRECISION;
+            ALTER TABLE acil_yardim_talepleri ADD COLUMN IF NOT EXISTS "notifyRound" INT NOT NULL DEFAULT 0;
+            ALTER TABLE acil_yardim_talepleri ADD COLUMN IF NOT EXISTS "notifiedCount" INT NOT NULL DEFAULT 0;
+            ALTER TABLE acil_yardim_talepleri ADD COLUMN IF NOT EXISTS "nextEscalationAt" TIMESTAMPTZ;
+            CREATE TABLE IF NOT EXISTS acil_yardim_bildirimler (
+                "talepId"    UUID NOT NULL REFERENCES acil_yardim_talepleri(id) ON DELETE CASCADE,
+                "userId"     UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                round        INT NOT NULL,
+                "distanceKm" DOUBLE PRECISION,
+                "createdAt"  TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+                PRIMARY KEY ("talepId","userId")
+            );
+            CREATE INDEX IF NOT EXISTS idx_acil_escalation ON acil_yardim_talepleri("nextEscalationAt") WHERE status='aktif';
+
+            -- Son bilinen konum (mobil uygulama POST /api/users/me/location ile bildirir)
+            ALTER TABLE users ADD COLUMN IF NOT EXISTS "lastLat" DOUBLE PRECISION;
+            ALTER TABLE users ADD COLUMN IF NOT EXISTS "lastLon" DOUBLE PRECISION;
+            ALTER TABLE users ADD COLUMN IF NOT EXISTS "lastLocationAt" TIMESTAMPTZ;
+            CREATE INDEX IF NOT EXISTS idx_users_last_location ON users("lastLat","lastLon") WHERE "lastLat" IS NOT NULL;
+
+            -- farmerCity → il/ilçe merkezi (Nominatim), konumu olmayan kullanıcılar için yedek
+            CREATE TABLE IF NOT EXISTS sehir_koordinatlari (
+                key         TEXT PRIMARY KEY,
+                lat         DOUBLE PRECISION,
+                lon         DOUBLE PRECISION,
+                "updatedAt" TIMESTAMPTZ NOT NULL DEFAULT NOW()
+            );
+        `);
+        // Yaşam döngüsü: kategori/önem, çözüm/iptal, yardımcı durumu + canlı konum, yardım puanı
+        await pool.query(`
+            ALTER TABLE acil_yardim_talepleri ADD COLUMN IF NOT EXISTS kategori TEXT NOT NULL DEFAULT 'diger';
+            ALTER TABLE acil_yardim_talepleri ADD COLUMN IF NOT EXISTS onem TEXT NOT NULL DEFAULT 'orta';
+            ALTER TABLE acil_yardim_talepleri ADD COLUMN IF NOT EXISTS "resolvedAt" TIMESTAMPTZ;
+            ALTER TABLE acil_yardim_talepleri ADD COLUMN IF NOT EXISTS "resolutionNote" TEXT;
+            ALTER TABLE acil_yardim_talepleri ADD COLUMN IF NOT EXISTS "cancelReason" TEXT;
+            ALTER TABLE acil_yardim_helpers ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'gidiyor';
+            ALTER TABLE acil_yardim_helpers ADD COLUMN IF NOT EXISTS "etaMinutes" INT;
+            ALTER TABLE acil_yardim_helpers ADD COLUMN IF NOT EXISTS lat DOUBLE PRECISION;
+            ALTER TABLE acil_yardim_helpers ADD COLUMN IF NOT EXISTS lon DOUBLE PRECISION;
+            ALTER TABLE acil_yardim_helpers ADD COLUMN IF NOT EXISTS "locationAt" TIMESTAMPTZ;
+            ALTER TABLE acil_yardim_helpers ADD COLUMN IF NOT EXISTS "confirmedAt" TIMESTAMPTZ;
+            ALTER TABLE acil_yardim_helpers ADD COLUMN IF NOT EXISTS "updatedAt" TIMESTAMPTZ NOT NULL DEFAULT NOW();
+            ALTER TABLE users ADD COLUMN IF NOT EXISTS "acilYardimPuani" INT NOT NULL DEFAULT 0;
+            CREATE INDEX IF NOT EXISTS idx_acil_user ON acil_yardim_talepleri("userId","createdAt" DESC);
+            CREATE INDEX IF NOT EXISTS idx_acil_helpers_user ON acil_yardim_helpers("userId","createdAt" DESC);
+        `);
         console.log('✅ Acil Yardım tabloları hazır');
     } catch(e) { console.error('[acil-yardim migration]', e.message); }
 })();
 
+// ─── Talep tipleri ve durumlar ──────────────────────────────────────
+const ACIL_KATEGORILER = {
+    yangin:        { label: 'Yangın',            emoji: '🔥' },
+    hayvan_dogum:  { label: 'Hayvan doğumu',     emoji: '🐄' },
+    makine_ariza:  { label: 'Makine arızası',    emoji: '🚜' },
+    sel:           { label: 'Sel / su baskını',  emoji: '🌊' },
+    yarali_hayvan: { label: 'Yaralı hayvan',     emoji: '🩹' },
+    diger:         { label: 'Diğer',             emoji: '🆘' },
+};
+const ACIL_ONEM = ['dusuk', 'orta', 'yuksek', 'kritik'];
+const ACIL_KAPALI_DURUMLAR = ['cozuldu', 'iptal', 'suresi_doldu'];
+// Yanıtsız kalan aktif talepler bu süreden sonra kendiliğinden kapanır (geçmişte kalır)
+const ACIL_OTOMATIK_KAPANMA_GUN = 7;
+// Yardımcı canlı konumu: DB'ye en sık bu aralıkla yazılır, odaya her güncelleme gider
+const ACIL_KONUM_YAZMA_MS = 15 * 1000;
+
+// Talep odasına kim girebilir: talep sahibi ya da (vazgeçmemiş) yardımcı
+async function getAcilRol(talepId, userId) {
+    if (!isValidUUID(talepId)) return null;
+    const { rows: [r] } = await pool.query(
+        `SELECT t."userId" = $2 AS "isOwner",
+                EXISTS(SELECT 1 FROM acil_yardim_helpers h
+                       WHERE h."talepId" = t.id AND h."userId" = $2 AND h.status <> 'vazgecti') AS "isHelper"
+         FROM acil_yardim_talepleri t WHERE t.id = $1`,
+        [talepId, userId]
+    );
+    if (!r) return null;
+    return r.isOwner ? 'sahip' : r.isHelper ? 'yardimci' : null;
+}
+
+// Yardımcı listesi; konum/ETA yalnızca odadakilere (sahip + yardımcılar) gösterilir
+async function getAcilHelpers(talepId, withLocation = false) {
+    const { rows } = await pool.query(
+        `SELECT h."userId", h.status, h."etaMinutes", h."confirmedAt", h."createdAt", h."updatedAt",
+                ${withLocation ? 'h.lat, h.lon, h."locationAt",' : ''}
+                u.name, u.username, u."profilePic", u."acilYardimPuani"
+         FROM acil_yardim_helpers h JOIN users u ON u.id = h."userId"
+         WHERE h."talepId" = $1 ORDER BY h."createdAt" ASC`,
+        [talepId]
+    );
+    return rows;
+}
+
+// helpersCount = yolda olan ya da varmış yardımcılar
+function refreshAcilHelpersCount(talepId) {
+    return pool.query(
+        `UPDATE acil_yardim_talepleri SET "helpersCount" = (
+             SELECT COUNT(*) FROM acil_yardim_helpers WHERE "talepId" = $1 AND status IN ('gidiyor','vardi')
+         ), "updatedAt" = NOW() WHERE id = $1`,
+        [talepId]
+    );
+}
+
+function emitAcilRoom(talepId, event, payload) {
+    if (io) io.to(`acil:${talepId}`).emit(event, { talepId, ...payload });
+}
+
+// Yardımcının canlı konumu / ETA'sı (socket 'acil:konum' ve REST aynı yolu kullanır)
+const _acilKonumYazildi = new Map(); // `${talepId}:${userId}` → son DB yazma zamanı
+async function updateAcilHelperKonum(talepId, userId, { lat, lon, etaMinutes } = {}) {
+    if (!isValidUUID(talepId)) return { error: 'Talep bulunamadı' };
+    const latF = parseFloat(lat), lonF = parseFloat(lon);
+    const hasPoint = Number.isFinite(latF) && Number.isFinite(lonF) && Math.abs(latF) <= 90 && Math.abs(lonF) <= 180;
+    const eta = etaMinutes == null || etaMinutes === '' ? null : parseInt(etaMinutes);
+    if (!hasPoint && eta == null) return { error: 'Konum ya da varış süresi gerekli' };
+    if (eta != null && (!Number.isInteger(eta) || eta < 0 || eta > 24 * 60)) return { error: 'Geçersiz varış süresi' };
+
+    const key = `${talepId}:${userId}`;
+    const now = Date.now();
+    if (eta != null || now - (_acilKonumYazildi.get(key) || 0) >= ACIL_KONUM_YAZMA_MS) {
+        const { rowCount } = await pool.query(
+            `UPDATE acil_yardim_helpers h
+                SET lat = COALESCE($3, h.lat), lon = COALESCE($4, h.lon),
+                    "locationAt" = CASE WHEN $3::float8 IS NOT NULL THEN NOW() ELSE h."locationAt" END,
+                    "etaMinutes" = COALESCE($5, h."etaMinutes"), "updatedAt" = NOW()
+               FROM acil_yardim_talepleri t
+              WHERE h."talepId" = $1 AND h."userId" = $2 AND t.id = h."talepId"
+                AND t.status = 'aktif' AND h.status IN ('gidiyor','vardi')`,
+            [talepId, userId, hasPoint ? latF : null, hasPoint ? lonF : null, eta]
+        );
+        if (!rowCount) return { error: 'Bu talepte aktif yardımcı değilsiniz' };
+        _acilKonumYazildi.set(key, now);
+    } else if (!(await getAcilRol(talepId, userId))) {
+        return { error: 'Bu talepte aktif yardımcı değilsiniz' };
+    }
+    emitAcilRoom(talepId, 'acil:helper_konum', {
+        userId, lat: hasPoint ? latF : undefined, lon: hasPoint ? lonF : undefined,
+        etaMinutes: eta ?? undefined, at: new Date(now).toISOString()
+    });
+    return { ok: true };
+}
+
+// Talebi kapatır (çözüldü/iptal). Çözümde onaylanan yardımcılara yardım puanı + teşekkür bildirimi.
+async function closeAcilTalep(talepId, ownerId, status, { yardimEdenler = [], not } = {}) {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const { rows: [t] } = await client.query(
+            `SELECT * FROM acil_yardim_talepleri WHERE id = $1 AND "userId" = $2 FOR UPDATE`, [talepId, ownerId]
+        );
+        if (!t) { await client.query('ROLLBACK'); return { code: 404, error: 'Talep bulunamadı' }; }
+        if (t.status !== 'aktif') { await client.query('ROLLBACK'); return { code: 409, error: 'Talep zaten kapatılmış' }; }
+
+        const note = not ? String(not).trim().slice(0, 500) || null : null;
+        await client.query(
+            `UPDATE acil_yardim_talepleri
+                SET status = $2, "nextEscalationAt" = NULL, "updatedAt" = NOW(),
+                    "resolvedAt" = CASE WHEN $2 = 'cozuldu' THEN NOW() END,
+                    "resolutionNote" = CASE WHEN $2 = 'cozuldu' THEN $3 END,
+                    "cancelReason" = CASE WHEN $2 = 'iptal' THEN $3 END
+              WHERE id = $1`,
+            [talepId, status, note]
+        );
+
+        let confirmed = [];
+        if (status === 'cozuldu') {
+            const ids = [...new Set((Array.isArray(yardimEdenler) ? yardimEdenler : []).filter(isValidUUID))].slice(0, 50);
+            if (ids.length) {
+                ({ rows: confirmed } = await client.query(
+                    `UPDATE acil_yardim_helpers SET "confirmedAt" = NOW(), "updatedAt" = NOW()
+                     WHERE "talepId" = $1 AND "userId" = ANY($2::uuid[]) AND "confirmedAt" IS NULL
+                     RETURNING "userId"`,
+                    [talepId, ids]
+                ));
+                if (confirmed.length) {
+                    await client.query(
+                        `UPDATE users SET "acilYardimPuani" = "acilYardimPuani" + 1 WHERE id = ANY($1::uuid[])`,
+                        [confirmed.map(c => c.userId)]
+                    );
+                }
+            }
+        }
+        await client.query('COMMIT');
+
+        const { rows: [owner] } = await pool.query(`SELECT COALESCE(name, username) AS name FROM users WHERE id = $1`, [ownerId]);
+        for (const c of confirmed) {
+            createNotification(c.userId, 'acil_yardim', `${owner?.name || 'Talep sahibi'} acil yardım için size teşekkür etti 🙏`, {
+                talepId, actorName: owner?.name, pushTitle: '🙏 Teşekkürler'
+            }).catch(() => {});
+        }
+        emitAcilRoom(talepId, 'acil:kapandi', { status, yardimEdenler: confirmed.map(c => c.userId) });
+        return { ok: true, confirmedCount: confirmed.length };
+    } catch (e) {
+        await client.query('ROLLBACK').catch(() => {});
+        throw e;
+    } finally {
+        client.release();
+    }
+}
+
+// ─── Yakındakilere hedefli bildirim ─────────────────────────────────
+// Alıcılar talebin konumuna uzaklığa göre seçilir: kullanıcının son bilinen konumu (ACIL_LOCATION_MAX_AGE_DAYS
+// içinde), yoksa farmerCity merkezi. Kimse yanıt vermezse (gidiyorum / başkasından yorum) her
+// ACIL_ESCALATION_MS'de bir sonraki yarıçapa geçilir; önceki turlarda bildirim alanlar atlanır.
+const ACIL_RADIUS_STEPS_KM = [5, 15, 40, 100];
+const ACIL_ESCALATION_MS = (parseInt(process.env.ACIL_ESCALATION_MINUTES) || 10) * 60 * 1000;
+const ACIL_MAX_RECIPIENTS_PER_ROUND = 300;
+const ACIL_LOCATION_MAX_AGE_DAYS = 7;
+
+// Şehir adının koordinatını tabloya yaz (anahtar SQL tarafında LOWER(TRIM()) ile üretilir)
+async function cacheSehirKoordinati(city) {
+    if (!city?.trim()) return null;
+    const { rows: [hit] } = await pool.query(
+        `SELECT lat, lon FROM sehir_koordinatlari WHERE key = LOWER(TRIM($1))`, [city]
+    );
+    if (hit) return hit.lat != null ? hit : null;
+    const geo = await geocodeLocationName(city);
+    // fixture sağlayıcısı bilinmeyen her şehre Ankara döner — kalıcı tabloya yazılmaz
+    if (WeatherService.providerName() === 'fixture') return geo;
+    // Bulunamayan şehir de (NULL) kaydedilir ki her seferinde tekrar sorgulanmasın
+    await pool.query(
+        `INSERT INTO sehir_koordinatlari (key, lat, lon) VALUES (LOWER(TRIM($1)), $2, $3)
+         ON CONFLICT (key) DO UPDATE SET lat = EXCLUDED.lat, lon = EXCLUDED.lon, "updatedAt" = NOW()`,
+        [city, geo?.lat ?? null, geo?.lon ?? null]
+    );
+    return geo;
+}
+
+// Koordinatı henüz bilinmeyen farmerCity değerlerini arka planda doldur.
+// Nominatim saniyede 1 istek kuralı var; tek worker çalışsın diye advisory lock.
+async function fillSehirKoordinatlari(limit = 30) {
+    if (WeatherService.providerName() === 'fixture') return;
+    const client = await pool.connect();
+    try {
+        const { rows: [{ locked }] } = await client.query(
+            `SELECT pg_try_advisory_lock(hashtext('agrolink_sehir_koordinat')) AS locked`
+        );
+        if (!locked) return;
+        try {
+            const { rows } = await client.query(
+                `SELECT DISTINCT u."farmerCity" AS city FROM users u
+                 WHERE u."farmerCity" IS NOT NULL AND TRIM(u."farmerCity") <> '' AND u."isActive" = TRUE
+                   AND NOT EXISTS (SELECT 1 FROM sehir_koordinatlari k WHERE k.key = LOWER(TRIM(u."farmerCity")))
+                 LIMIT $1`,
+                [limit]
+            );
+            for (const r of rows) {
+                await cacheSehirKoordinati(r.city).catch(() => {});
+                await new Promise(ok => setTimeout(ok, 1100));
+            }
+        } finally {
+            await client.query(`SELECT pg_advisory_unlock(hashtext('agrolink_sehir_koordinat'))`).catch(() => {});
+        }
+    } finally {
+        client.release();
+    }
+}
+setTimeout(() => fillSehirKoordinatlari().catch(e => console.error('[şehir koordinat]', e.message)), 60 * 1000);
+setInterval(() => fillSehirKoordinatlari().catch(e => console.error('[şehir koordinat]', e.message)), 60 * 60 * 1000);
+
+// Talebin round'uncu yarıçapındaki, daha önce bildirim almamış kullanıcılara gönderir
+async function notifyAcilYardimRound(talepId, round) {
+    const radiusKm = ACIL_RADIUS_STEPS_KM[round];
+    const { rows: [t] } = await pool.query(
+        `SELECT t.*, COALESCE(u.name, u.username) AS "userName"
+         FROM acil_yardim_talepleri t JOIN users u ON u.id = t."userId" WHERE t.id = $1`,
+        [talepId]
+    );
+    if (!t || radiusKm == null || t.notifyLat == null || t.status !== 'aktif') return 0;
+
+    const dLat = radiusKm / 111.32;
+    const dLon = radiusKm / (111.32 * Math.max(Math.cos(t.notifyLat * Math.PI / 180), 0.01));
+    const { rows: recipients } = await pool.query(
+        `INSERT INTO acil_yardim_bildirimler ("talepId", "userId", round, "distanceKm")
+         SELECT $1, c.id, $4, c."distanceKm" FROM (
+             SELECT x.id, 6371 * acos(LEAST(1, GREATEST(-1,
+                        cos(radians($5)) * cos(radians(x.lat)) * cos(radians(x.lon) - radians($6)) +
+                        sin(radians($5)) * sin(radians(x.lat))))) AS "distanceKm"
+             FROM (
+                 SELECT u.id,
+                        CASE WHEN fresh THEN u."lastLat" ELSE k.lat END AS lat,
+                        CASE WHEN fresh THEN u."lastLon" ELSE k.lon END AS lon
+                 FROM users u
+                 LEFT JOIN sehir_koordinatlari k ON k.key = LOWER(TRIM(u."farmerCity"))
+                 CROSS JOIN LATERAL (SELECT u."lastLat" IS NOT NULL
+                        AND u."lastLocationAt" > NOW() - $3 * INTERVAL '1 day' AS fresh) f
+                 WHERE u.id <> $2 AND u."isActive" = TRUE AND COALESCE(u."isBanned", FALSE) = FALSE
+                   AND NOT EXISTS (SELECT 1 FROM acil_yardim_bildirimler b WHERE b."talepId" = $1 AND b."userId" = u.id)
+                   AND NOT EXISTS (SELECT 1 FROM blocks bl
+                                   WHERE (bl."blockerId" = u.id AND bl."blockedId" = $2)
+                                      OR (bl."blockerId" = $2 AND bl."blockedId" = u.id))
+             ) x
+             WHERE x.lat BETWEEN $7 AND $8 AND x.lon BETWEEN $9 AND $10
+         ) c
+         WHERE c."distanceKm" <= $11
+         ORDER BY c."distanceKm"
+         LIMIT $12
+         ON CONFLICT DO NOTHING
+         RETURNING "userId", "distanceKm"`,
+        [t.id, t.userId, ACIL_LOCATION_MAX_AGE_DAYS, round, t.notifyLat, t.notifyLon,
+         t.notifyLat - dLat, t.notifyLat + dLat, t.notifyLon - dLon, t.notifyLon + dLon,
+         radiusKm, ACIL_MAX_RECIPIENTS_PER_ROUND]
+    );
+    if (!recipients.length) return 0;
+
+    await pool.query(
+        `UPDATE acil_yardim_talepleri SET "notifiedCount" = "notifiedCount" + $2 WHERE id = $1`,
+        [t.id, recipients.length]
+    );
+    const description = t.description.slice(0, 80);
+    const kat = ACIL_KATEGORILER[t.kategori] || ACIL_KATEGORILER.diger;
+    for (const r of recipients) {
+        const distanceKm = Math.max(Math.round(r.distanceKm * 10) / 10, 0.1);
+        createNotification(r.userId, 'acil_yardim', `${t.userName} (${distanceKm} km uzağınızda): ${description}`, {
+            talepId: t.id,
+            distanceKm,
+            actorName: t.userName,
+            kategori: t.kategori,
+            onem: t.onem,
+            pushTitle: `${kat.emoji} ${t.onem === 'kritik' ? 'KRİTİK ' : ''}ACİL YARDIM: ${kat.label} — ${t.locationName || `${distanceKm} km uzağınızda`}`
+        }).catch(() => {});
+        // Socket: sadece alıcıların açık oturumlarına (önceden tüm ülkeye io.emit ediliyordu)
+        if (io && onlineUsers.has(r.userId)) {
+            for (const sid of onlineUsers.get(r.userId)) {
+                io.to(sid).emit('acil_yardim_yeni', {
+                    talepId: t.id, userName: t.userName, description, kategori: t.kategori, onem: t.onem,
+                    locationName: t.locationName || '', lat: t.lat, lon: t.lon, distanceKm
+                });
+            }
+        }
+    }
+    return recipients.length;
+}
+
+// Yanıt almamış talepleri bir sonraki yarıçapa taşı. Tur sayacı koşullu UPDATE ile
+// artırıldığı için aynı turu iki worker birden göndermez.
+async function escalateAcilYardimTalepleri() {
+    const { rows } = await pool.query(
+        `UPDATE acil_yardim_talepleri t
+            SET "notifyRound" = "notifyRound" + 1,
+                "nextEscalationAt" = CASE WHEN "notifyRound" + 2 < $1 THEN NOW() + $2 * INTERVAL '1 millisecond' END
+          WHERE t.status = 'aktif' AND t."nextEscalationAt" <= NOW() AND t."helpersCount" = 0
+            AND NOT EXISTS (SELECT 1 FROM acil_yardim_yorumlar y WHERE y."talepId" = t.id AND y."userId" <> t."userId")
+          RETURNING id, "notifyRound"`,
+        [ACIL_RADIUS_STEPS_KM.length, ACIL_ESCALATION_MS]
+    );
+    for (const r of rows) {
+        const n = await notifyAcilYardimRound(r.id, r.notifyRound).catch(e => {
+            console.error('[acil escalate]', e.message); return 0;
+        });
+        console.log(`🆘 Acil talep ${r.id}: yarıçap ${ACIL_RADIUS_STEPS_KM[r.notifyRound]} km, ${n} kişiye bildirildi`);
+    }
+}
+setInterval(() => escalateAcilYardimTalepleri().catch(e => console.error('[acil escalate]', e.message)), 60 * 1000);
+
+// Uzun süre açık kalan talepleri kapat — listeden düşer, geçmişte "suresi_doldu" olarak kalır
+setInterval(() => {
+    pool.query(
+        `UPDATE acil_yardim_talepleri SET status = 'suresi_doldu', "nextEscalationAt" = NULL, "updatedAt" = NOW()
+         WHERE status = 'aktif' AND "createdAt" < NOW() - $1 * INTERVAL '1 day'`,
+        [ACIL_OTOMATIK_KAPANMA_GUN]
+    ).catch(e => console.error('[acil süre]', e.message));
+}, 60 * 60 * 1000);
+
+// Yanıt gelen ya da kapanan talep için genişletmeyi durdur
+function stopAcilEscalation(talepId) {
+    return pool.query(`UPDATE acil_yardim_talepleri SET "nextEscalationAt" = NULL WHERE id = $1`, [talepId]).catch(() => {});
+}
+
+// POST /api/users/me/location — { lat, lon } son bilinen konum (acil yardım hedeflemesi için)
+app.post('/api/users/me/location', authenticateToken, async (req, res) => {
+    try {
+        const lat = parseFloat(req.body?.lat), lon = parseFloat(req.body?.lon);
+        if (!Number.isFinite(lat) || !Number.isFinite(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180)
+            return res.status(400).json({ error: 'Geçersiz konum' });
+        await pool.query(
+            `UPDATE users SET "lastLat"=$2, "lastLon"=$3, "lastLocationAt"=NOW() WHERE id=$1`,
+            [req.user.id, lat, lon]
+        );
+        res.json({ success: true });
+    } catch(e) { console.error('[konum]', e.message); res.status(500).json({ error: 'Sunucu hatası' }); }
+});
+
 // GET /api/acil-yardim — talepleri listele
+// Aktif talepler kapanana kadar listede kalır; kapananlar 72 saat görünür. ?kategori=&onem=&status=aktif
 app.get('/api/acil-yardim', authenticateToken, async (req, res) => {
     try {
-        const { lat, lon, radius = 50, limit = 30 } = req.query;
+        const { lat, lon, radius = 50, limit = 30, kategori, onem, status } = req.query;
 
         let query = `
             SELECT t.*, u.name as "userName", u.username as "userUsername",
                    u."profilePic" as "userProfilePic"
             FROM acil_yardim_talepleri t
             JOIN users u ON u.id = t."userId"
-            WHERE t."createdAt" > NOW() - INTERVAL '72 hours'
+            WHERE (t.status = 'aktif' OR t."updatedAt" > NOW() - INTERVAL '72 hours')
         `;
         const params = [];
 
+        if (kategori && ACIL_KATEGORILER[kategori]) { params.push(kategori); query += ` AND t.kategori = $${params.length}`; }
+        if (onem && ACIL_ONEM.includes(onem))        { params.push(onem);     query += ` AND t.onem = $${params.length}`; }
+        if (status === 'aktif' || ACIL_KAPALI_DURUMLAR.includes(status)) {
+            params.push(status); query += ` AND t.status = $${params.length}`;
+        }
+
         // Coğrafi filtre
         if (lat && lon) {
             params.push(parseFloat(lat), parseFloat(lon), parseFloat(radius));
             query += ` AND (
-                6371 * acos(
+                6371 * acos(LEAST(1, GREATEST(-1,
                     cos(radians($${params.length-2})) * cos(radians(t.lat)) *
                     cos(radians(t.lon) - radians($${params.length-1})) +
                     sin(radians($${params.length-2})) * sin(radians(t.lat))
-                )
+                )))
             ) <= $${params.length}`;
         }
 
-        query += ` ORDER BY CASE WHEN t.status='aktif' THEN 0 ELSE 1 END, t."createdAt" DESC LIMIT ${parseInt(limit)}`;
+        query += ` ORDER BY CASE WHEN t.status='aktif' THEN 0 ELSE 1 END,
+                            array_position(ARRAY['kritik','yuksek','orta','dusuk'], t.onem),
+                            t."createdAt" DESC
+                   LIMIT ${Math.min(Math.max(parseInt(limit) || 30, 1), 100)}`;
 
         const { rows: talepler } = await pool.query(query, params);
 
@@ -16925,17 +20809,82 @@ app.get('/api/acil-yardim', authenticateToken, async (req, res) => {
                 ORDER BY y."createdAt" ASC LIMIT 10
             `, [talep.id]);
             talep.comments = yorumlar;
+            talep.kategoriBilgi = ACIL_KATEGORILER[talep.kategori] || ACIL_KATEGORILER.diger;
+            delete talep.notifyLat; delete talep.notifyLon;
         }
 
-        res.json({ talepler });
+        res.json({ talepler, kategoriler: ACIL_KATEGORILER });
     } catch(e) { console.error('[acil list]', e.message); res.status(500).json({ error: 'Sunucu hatası' }); }
 });
 
+// GET /api/acil-yardim/gecmis?rol=talep|yardim — kullanıcının açtığı ve yardıma gittiği talepler
+app.get('/api/acil-yardim/gecmis', authenticateToken, async (req, res) => {
+    try {
+        const rol = req.query.rol === 'yardim' ? 'yardim' : req.query.rol === 'talep' ? 'talep' : null;
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+        const offset = (Math.max(parseInt(req.query.page) || 1, 1) - 1) * limit;
+
+        const { rows: talepler } = await pool.query(
+            `SELECT * FROM (
+                 SELECT t.id, t.description, t.kategori, t.onem, t.status, t."locationName", t."helpersCount",
+                        t."notifiedCount", t."createdAt", t."resolvedAt", 'talep' AS rol, NULL::text AS "yardimDurumu",
+                        NULL::timestamptz AS "onaylandiAt"
+                 FROM acil_yardim_talepleri t WHERE t."userId" = $1 AND $2::text IS DISTINCT FROM 'yardim'
+                 UNION ALL
+                 SELECT t.id, t.description, t.kategori, t.onem, t.status, t."locationName", t."helpersCount",
+                        t."notifiedCount", t."createdAt", t."resolvedAt", 'yardim', h.status, h."confirmedAt"
+                 FROM acil_yardim_helpers h JOIN acil_yardim_talepleri t ON t.id = h."talepId"
+                 WHERE h."userId" = $1 AND $2::text IS DISTINCT FROM 'talep'
+             ) x ORDER BY x."createdAt" DESC LIMIT $3 OFFSET $4`,
+            [req.user.id, rol, limit + 1, offset]
+        );
+        const { rows: [ozet] } = await pool.query(
+            `SELECT u."acilYardimPuani" AS puan,
+                    (SELECT COUNT(*)::int FROM acil_yardim_talepleri WHERE "userId" = u.id) AS "talepSayisi",
+                    (SELECT COUNT(*)::int FROM acil_yardim_helpers WHERE "userId" = u.id AND status <> 'vazgecti') AS "yardimSayisi"
+             FROM users u WHERE u.id = $1`,
+            [req.user.id]
+        );
+        res.json({ talepler: talepler.slice(0, limit), hasMore: talepler.length > limit, ozet });
+    } catch(e) { console.error('[acil geçmiş]', e.message); res.status(500).json({ error: 'Sunucu hatası' }); }
+});
+
+// GET /api/acil-yardim/:id — detay; yardımcı konumları sadece sahip ve yardımcılara
+app.get('/api/acil-yardim/:id', authenticateToken, async (req, res) => {
+    try {
+        if (!isValidUUID(req.params.id)) return res.status(404).json({ error: 'Talep bulunamadı' });
+        const { rows: [talep] } = await pool.query(
+            `SELECT t.*, u.name as "userName", u.username as "userUsername", u."profilePic" as "userProfilePic"
+             FROM acil_yardim_talepleri t JOIN users u ON u.id = t."userId" WHERE t.id = $1`,
+            [req.params.id]
+        );
+        if (!talep) return res.status(404).json({ error: 'Talep bulunamadı' });
+        delete talep.notifyLat; delete talep.notifyLon;
+
+        const rol = await getAcilRol(talep.id, req.user.id);
+        const [helpers, { rows: comments }] = await Promise.all([
+            getAcilHelpers(talep.id, !!rol),
+            pool.query(
+                `SELECT y.*, u.name as "userName", u."profilePic" as "userProfilePic"
+                 FROM acil_yardim_yorumlar y JOIN users u ON u.id = y."userId"
+                 WHERE y."talepId" = $1 ORDER BY y."createdAt" ASC LIMIT 100`,
+                [talep.id]
+            )
+        ]);
+        res.json({
+            talep: { ...talep, kategoriBilgi: ACIL_KATEGORILER[talep.kategori] || ACIL_KATEGORILER.diger },
+            helpers, comments, rol
+        });
+    } catch(e) { console.error('[acil detay]', e.message); res.status(500).json({ error: 'Sunucu hatası' }); }
+});
+
 // POST /api/acil-yardim — yeni talep
 app.post('/api/acil-yardim', authenticateToken, async (req, res) => {
     try {
-        const { lat, lon, locationName, description } = req.body;
+        const { lat, lon, locationName, description, kategori = 'diger', onem = 'orta' } = req.body;
         if (!description?.trim()) return res.status(400).json({ error: 'Açıklama gerekli' });
+        if (!ACIL_KATEGORILER[kategori]) return res.status(400).json({ error: `Geçersiz kategori (${Object.keys(ACIL_KATEGORILER).join(', ')})` });
+        if (!ACIL_ONEM.includes(onem)) return res.status(400).json({ error: `Geçersiz önem (${ACIL_ONEM.join(', ')})` });
 
         // Aktif talebi var mı?
         const existing = await pool.query(
@@ -16944,82 +20893,197 @@ app.post('/api/acil-yardim', authenticateToken, async (req, res) => {
         );
         if (existing.rows.length > 0) return res.status(429).json({ error: 'Zaten aktif bir talebiniz var' });
 
+        const latF = parseFloat(lat), lonF = parseFloat(lon);
+        const hasPoint = Number.isFinite(latF) && Number.isFinite(lonF) && Math.abs(latF) <= 90 && Math.abs(lonF) <= 180;
+
+        // Bildirim merkezi: talepteki konum → talep sahibinin son konumu → farmerCity merkezi
+        const { rows: [owner] } = await pool.query(
+            `SELECT "lastLat", "lastLon", "farmerCity",
+                    "lastLocationAt" > NOW() - $2 * INTERVAL '1 day' AS "freshLocation"
+             FROM users WHERE id=$1`,
+            [req.user.id, ACIL_LOCATION_MAX_AGE_DAYS]
+        );
+        let center = hasPoint ? { lat: latF, lon: lonF } : null;
+        if (!center && owner?.freshLocation) center = { lat: owner.lastLat, lon: owner.lastLon };
+        if (!center && owner?.farmerCity) center = await cacheSehirKoordinati(owner.farmerCity).catch(() => null);
+        if (hasPoint) {
+            pool.query(`UPDATE users SET "lastLat"=$2, "lastLon"=$3, "lastLocationAt"=NOW() WHERE id=$1`,
+                [req.user.id, latF, lonF]).catch(() => {});
+        }
+
         const talepId = uuidv4();
         await pool.query(
-            `INSERT INTO acil_yardim_talepleri (id,"userId",description,lat,lon,"locationName")
-             VALUES ($1,$2,$3,$4,$5,$6)`,
-            [talepId, req.user.id, description.trim(), lat||null, lon||null, locationName||null]
+            `INSERT INTO acil_yardim_talepleri (id,"userId",description,lat,lon,"locationName","notifyLat","notifyLon","nextEscalationAt",kategori,onem)
+             VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11)`,
+            [talepId, req.user.id, description.trim().slice(0, 2000), hasPoint ? latF : null, hasPoint ? lonF : null, locationName||null,
+             center?.lat ?? null, center?.lon ?? null,
+             center && ACIL_RADIUS_STEPS_KM.length > 1 ? new Date(Date.now() + ACIL_ESCALATION_MS) : null,
+             kategori, onem]
         );
 
-        // Bölgedeki kullanıcılara push bildirim gönder
-        const user = await pool.query(`SELECT name FROM users WHERE id=$1`, [req.user.id]);
-        const userName = user.rows[0]?.name || 'Bir çiftçi';
-
-        if (webpush) {
-            // Tüm aktif abonelere gönder (büyük sistemde radius filtrelenebilir)
-            const { rows: subs } = await pool.query(
-                `SELECT endpoint, p256dh, auth FROM push_subscriptions WHERE "isActive"=TRUE LIMIT 200`
-            );
-            const payload = JSON.stringify({
-                title: `🆘 ACİL YARDIM — ${locationName || 'Yakınınızda'}`,
-                body: `${userName}: ${description.slice(0, 80)}`,
-                url: `/acil/${talepId}`,
-                tag: 'acil-yardim',
-                icon: '/agro.png'
-            });
-            Promise.allSettled(subs.map(s =>
-                webpush.sendNotification({ endpoint: s.endpoint, keys: { p256dh: s.p256dh, auth: s.auth } }, payload)
-                    .catch(err => { if (err.statusCode === 410) pool.query(`UPDATE push_subscriptions SET "isActive"=FALSE WHERE endpoint=$1`, [s.endpoint]); })
-            ));
-        }
-
-        // Socket ile online kullanıcılara anlık bildir
-        if (io) {
-            io.emit('acil_yardim_yeni', {
-                talepId, userName, description: description.slice(0,80),
-                locationName: locationName || '', lat, lon
-            });
+        // İlk tur en dar yarıçap; orada hiç kimse yoksa beklemeden genişlet.
+        // Sonrasında kimse yanıt vermezse escalateAcilYardimTalepleri devam ettirir.
+        let round = 0, notifiedCount = 0;
+        if (center) {
+            for (; round < ACIL_RADIUS_STEPS_KM.length; round++) {
+                notifiedCount = await notifyAcilYardimRound(talepId, round);
+                if (notifiedCount) break;
+            }
+            round = Math.min(round, ACIL_RADIUS_STEPS_KM.length - 1);
+            if (round > 0) {
+                await pool.query(
+                    `UPDATE acil_yardim_talepleri SET "notifyRound"=$2,
+                            "nextEscalationAt"=CASE WHEN $2 + 1 < $3 THEN "nextEscalationAt" END
+                     WHERE id=$1`,
+                    [talepId, round, ACIL_RADIUS_STEPS_KM.length]
+                );
+            }
         }
 
-        res.status(201).json({ success: true, talepId });
+        res.status(201).json({
+            success: true, talepId, notifiedCount,
+            radiusKm: center ? ACIL_RADIUS_STEPS_KM[round] : null,
+            ...(center ? {} : { uyari: 'Konum bilinmediği için yakındakilere bildirim gönderilemedi' })
+        });
     } catch(e) { console.error('[acil create]', e.message); res.status(500).json({ error: 'Sunucu hatası' }); }
 });
 
-// POST /api/acil-yardim/:id/gidiyorum
+// POST /api/acil-yardim/:id/gidiyorum — { etaMinutes?, lat?, lon? }
 app.post('/api/acil-yardim/:id/gidiyorum', authenticateToken, async (req, res) => {
     try {
         const { id } = req.params;
-        await pool.query(
-            `INSERT INTO acil_yardim_helpers ("talepId","userId") VALUES ($1,$2) ON CONFLICT DO NOTHING`,
+        if (!isValidUUID(id)) return res.status(404).json({ error: 'Talep bulunamadı' });
+        const { rows: [talep] } = await pool.query(`SELECT "userId", status FROM acil_yardim_talepleri WHERE id=$1`, [id]);
+        if (!talep) return res.status(404).json({ error: 'Talep bulunamadı' });
+        if (talep.status !== 'aktif') return res.status(409).json({ error: 'Talep kapatılmış' });
+        if (talep.userId === req.user.id) return res.status(400).json({ error: 'Kendi talebinize yardımcı olamazsınız' });
+
+        // Daha önce vazgeçtiyse yeniden yola çıkabilir; zaten yoldaysa sadece ETA/konum güncellenir
+        const { rowCount: yeni } = await pool.query(
+            `INSERT INTO acil_yardim_helpers ("talepId","userId",status) VALUES ($1,$2,'gidiyor')
+             ON CONFLICT ("talepId","userId") DO UPDATE SET status='gidiyor', "updatedAt"=NOW()
+             WHERE acil_yardim_helpers.status = 'vazgecti'`,
             [id, req.user.id]
         );
-        await pool.query(
-            `UPDATE acil_yardim_talepleri SET "helpersCount"=(SELECT COUNT(*) FROM acil_yardim_helpers WHERE "talepId"=$1) WHERE id=$1`,
-            [id]
-        );
+        if (req.body?.etaMinutes != null || req.body?.lat != null) {
+            await updateAcilHelperKonum(id, req.user.id, req.body);
+        }
+        if (!yeni) return res.json({ success: true, room: `acil:${id}` });
+        await refreshAcilHelpersCount(id);
+        stopAcilEscalation(id);
+
         // Talep sahibine bildir
-        const talep = await pool.query(`SELECT "userId" FROM acil_yardim_talepleri WHERE id=$1`, [id]);
-        const helper = await pool.query(`SELECT name FROM users WHERE id=$1`, [req.user.id]);
-        if (talep.rows[0] && io) {
-            const ownerSockets = onlineUsers?.get(talep.rows[0].userId);
+        const helper = await pool.query(`SELECT name, username, "acilYardimPuani" FROM users WHERE id=$1`, [req.user.id]);
+        const helperName = helper.rows[0]?.name || helper.rows[0]?.username;
+        if (io) {
+            const ownerSockets = onlineUsers?.get(talep.userId);
             if (ownerSockets) ownerSockets.forEach(sid =>
-                io.to(sid).emit('acil_helper_geldi', { helperName: helper.rows[0]?.name })
+                io.to(sid).emit('acil_helper_geldi', { helperName })
             );
         }
+        createNotification(talep.userId, 'acil_yardim', `${helperName || 'Bir çiftçi'} yardımınıza geliyor`, {
+            talepId: id, actorName: helperName, pushTitle: '🚜 Yardım yolda'
+        }).catch(() => {});
+        emitAcilRoom(id, 'acil:helper_update', {
+            userId: req.user.id, name: helperName, status: 'gidiyor', acilYardimPuani: helper.rows[0]?.acilYardimPuani || 0
+        });
+        res.json({ success: true, room: `acil:${id}` });
+    } catch(e) { console.error('[acil gidiyorum]', e.message); res.status(500).json({ error: 'Sunucu hatası' }); }
+});
+
+// DELETE /api/acil-yardim/:id/gidiyorum — vazgeç
+app.delete('/api/acil-yardim/:id/gidiyorum', authenticateToken, async (req, res) => {
+    try {
+        if (!isValidUUID(req.params.id)) return res.status(404).json({ error: 'Talep bulunamadı' });
+        const { rowCount } = await pool.query(
+            `UPDATE acil_yardim_helpers SET status='vazgecti', lat=NULL, lon=NULL, "etaMinutes"=NULL, "updatedAt"=NOW()
+             WHERE "talepId"=$1 AND "userId"=$2 AND status <> 'vazgecti' AND "confirmedAt" IS NULL`,
+            [req.params.id, req.user.id]
+        );
+        if (!rowCount) return res.status(404).json({ error: 'Bu talepte yardımcı değilsiniz' });
+        await refreshAcilHelpersCount(req.params.id);
+        emitAcilRoom(req.params.id, 'acil:helper_update', { userId: req.user.id, status: 'vazgecti' });
         res.json({ success: true });
-    } catch(e) { res.status(500).json({ error: 'Sunucu hatası' }); }
+    } catch(e) { console.error('[acil vazgeç]', e.message); res.status(500).json({ error: 'Sunucu hatası' }); }
 });
 
-// PATCH /api/acil-yardim/:id — durum güncelle
-app.patch('/api/acil-yardim/:id', authenticateToken, async (req, res) => {
+// POST /api/acil-yardim/:id/vardim — yardımcı olay yerine ulaştı
+app.post('/api/acil-yardim/:id/vardim', authenticateToken, async (req, res) => {
     try {
-        const { status } = req.body;
-        await pool.query(
-            `UPDATE acil_yardim_talepleri SET status=$1,"updatedAt"=NOW() WHERE id=$2 AND "userId"=$3`,
-            [status, req.params.id, req.user.id]
+        if (!isValidUUID(req.params.id)) return res.status(404).json({ error: 'Talep bulunamadı' });
+        const { rowCount } = await pool.query(
+            `UPDATE acil_yardim_helpers h SET status='vardi', "etaMinutes"=0, "updatedAt"=NOW()
+             FROM acil_yardim_talepleri t
+             WHERE h."talepId"=$1 AND h."userId"=$2 AND h.status='gidiyor'
+               AND t.id = h."talepId" AND t.status = 'aktif'`,
+            [req.params.id, req.user.id]
         );
+        if (!rowCount) return res.status(404).json({ error: 'Bu talepte yolda değilsiniz veya talep kapanmış' });
+        emitAcilRoom(req.params.id, 'acil:helper_update', { userId: req.user.id, status: 'vardi' });
         res.json({ success: true });
-    } catch(e) { res.status(500).json({ error: 'Sunucu hatası' }); }
+    } catch(e) { console.error('[acil vardım]', e.message); res.status(500).json({ error: 'Sunucu hatası' }); }
+});
+
+// POST /api/acil-yardim/:id/konum — { lat, lon, etaMinutes } (socket 'acil:konum' kullanamayan istemciler için)
+app.post('/api/acil-yardim/:id/konum', authenticateToken, async (req, res) => {
+    try {
+        const r = await updateAcilHelperKonum(req.params.id, req.user.id, req.body || {});
+        if (r.error) return res.status(400).json({ error: r.error });
+        res.json({ success: true });
+    } catch(e) { console.error('[acil konum]', e.message); res.status(500).json({ error: 'Sunucu hatası' }); }
+});
+
+// POST /api/acil-yardim/:id/coz — { yardimEdenler: [userId], not? } gerçekten yardım edenleri onayla
+app.post('/api/acil-yardim/:id/coz', authenticateToken, async (req, res) => {
+    try {
+        if (!isValidUUID(req.params.id)) return res.status(404).json({ error: 'Talep bulunamadı' });
+        const r = await closeAcilTalep(req.params.id, req.user.id, 'cozuldu', req.body || {});
+        if (r.error) return res.status(r.code).json({ error: r.error });
+        res.json({ success: true, status: 'cozuldu', confirmedCount: r.confirmedCount });
+    } catch(e) { console.error('[acil çöz]', e.message); res.status(500).json({ error: 'Sunucu hatası' }); }
+});
+
+// POST /api/acil-yardim/:id/iptal — { neden? }
+app.post('/api/acil-yardim/:id/iptal', authenticateToken, async (req, res) => {
+    try {
+        if (!isValidUUID(req.params.id)) return res.status(404).json({ error: 'Talep bulunamadı' });
+        const r = await closeAcilTalep(req.params.id, req.user.id, 'iptal', { not: req.body?.neden });
+        if (r.error) return res.status(r.code).json({ error: r.error });
+        res.json({ success: true, status: 'iptal' });
+    } catch(e) { console.error('[acil iptal]', e.message); res.status(500).json({ error: 'Sunucu hatası' }); }
+});
+
+// PATCH /api/acil-yardim/:id — aktif talepte kategori/önem/açıklama düzenle.
+// Eski istemciler için { status:'cozuldu'|'iptal' } de kabul edilir (coz/iptal ile aynı akış).
+app.patch('/api/acil-yardim/:id', authenticateToken, async (req, res) => {
+    try {
+        if (!isValidUUID(req.params.id)) return res.status(404).json({ error: 'Talep bulunamadı' });
+        const { status, kategori, onem, description } = req.body || {};
+        if (status === 'cozuldu' || status === 'iptal') {
+            const r = await closeAcilTalep(req.params.id, req.user.id, status, {
+                yardimEdenler: req.body.yardimEdenler, not: req.body.not ?? req.body.neden
+            });
+            if (r.error) return res.status(r.code).json({ error: r.error });
+            return res.json({ success: true, status });
+        }
+        if (status !== undefined && status !== 'aktif') return res.status(400).json({ error: 'Geçersiz durum' });
+        if (kategori !== undefined && !ACIL_KATEGORILER[kategori]) return res.status(400).json({ error: 'Geçersiz kategori' });
+        if (onem !== undefined && !ACIL_ONEM.includes(onem)) return res.status(400).json({ error: 'Geçersiz önem' });
+        if (description !== undefined && !String(description).trim()) return res.status(400).json({ error: 'Açıklama gerekli' });
+
+        const { rows: [talep] } = await pool.query(
+            `UPDATE acil_yardim_talepleri
+                SET kategori = COALESCE($3, kategori), onem = COALESCE($4, onem),
+                    description = COALESCE($5, description), "updatedAt" = NOW()
+              WHERE id = $1 AND "userId" = $2 AND status = 'aktif'
+              RETURNING id, kategori, onem, description, status`,
+            [req.params.id, req.user.id, kategori ?? null, onem ?? null,
+             description !== undefined ? String(description).trim().slice(0, 2000) : null]
+        );
+        if (!talep) return res.status(404).json({ error: 'Aktif talep bulunamadı' });
+        emitAcilRoom(talep.id, 'acil:guncellendi', { kategori: talep.kategori, onem: talep.onem, description: talep.description });
+        res.json({ success: true, talep });
+    } catch(e) { console.error('[acil güncelle]', e.message); res.status(500).json({ error: 'Sunucu hatası' }); }
 });
 
 // POST /api/acil-yardim/:id/yorum
@@ -17033,8 +21097,10 @@ app.post('/api/acil-yardim/:id/yorum', authenticateToken, async (req, res) => {
             [yorumId, req.params.id, req.user.id, content.trim()]
         );
         await pool.query(
-            `UPDATE acil_yardim_talepleri SET "commentCount"="commentCount"+1 WHERE id=$1`,
-            [req.params.id]
+            `UPDATE acil_yardim_talepleri SET "commentCount"="commentCount"+1,
+                    "nextEscalationAt"=CASE WHEN "userId"=$2 THEN "nextEscalationAt" END
+             WHERE id=$1`,
+            [req.params.id, req.user.id]
         );
         res.status(201).json({ id: yorumId });
     } catch(e) { res.status(500).json({ error: 'Sunucu hatası' }); }
@@ -17088,40 +21154,198 @@ a{display:block;margin-top:24px;padding:16px;background:white;color:#dc2626;bord
                 UNIQUE("userId","urunId")
             );
         `);
+        // Her scrape edilen fiyat kaynağıyla birlikte saklanır — trend grafiği buradan beslenir.
+        // "fetchedHour" + UNIQUE: cluster'daki her worker aynı saatte scrape etse de tek satır yazılır.
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS price_history (
+                id            BIGSERIAL PRIMARY KEY,
+                "productId"   TEXT NOT NULL,
+                source        TEXT NOT NULL,
+                price         NUMERIC(12,2) NOT NULL CHECK (price > 0),
+                unit          TEXT NOT NULL DEFAULT 'kg',
+                "fetchedHour" TIMESTAMPTZ NOT NULL,
+                "recordedAt"  TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+                UNIQUE("productId", source, "fetchedHour")
+            );
+        `);
+        await pool.query(`CREATE INDEX IF NOT EXISTS idx_price_history_product_time ON price_history ("productId", "recordedAt" DESC)`);
+        // Hal (toptancı hali) kırılımı: city/market boş string = ulusal satır. Tekillik artık il + hal dahil.
+        await pool.query(`ALTER TABLE price_history ADD COLUMN IF NOT EXISTS city TEXT NOT NULL DEFAULT ''`);
+        await pool.query(`ALTER TABLE price_history ADD COLUMN IF NOT EXISTS market TEXT NOT NULL DEFAULT ''`);
+        await pool.query(`ALTER TABLE price_history ADD COLUMN IF NOT EXISTS "minPrice" NUMERIC(12,2)`);
+        await pool.query(`ALTER TABLE price_history ADD COLUMN IF NOT EXISTS "maxPrice" NUMERIC(12,2)`);
+        await pool.query(`ALTER TABLE price_history ADD COLUMN IF NOT EXISTS "priceDate" DATE`);
+        await pool.query(`ALTER TABLE price_history DROP CONSTRAINT IF EXISTS "price_history_productId_source_fetchedHour_key"`);
+        await pool.query(`CREATE UNIQUE INDEX IF NOT EXISTS uq_price_history_bucket ON price_history ("productId", source, city, market, "fetchedHour")`);
+        await pool.query(`CREATE INDEX IF NOT EXISTS idx_price_history_city ON price_history (city, "productId", "recordedAt" DESC) WHERE city <> ''`);
+
+        // Admin tarafından düzenlenebilir ürün kataloğu (eski statik URUN_LISTESI)
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS price_products (
+                id              TEXT PRIMARY KEY,
+                ad              TEXT NOT NULL,
+                emoji           TEXT,
+                birim           TEXT NOT NULL DEFAULT 'kg',
+                kategori        TEXT,
+                featured        BOOLEAN NOT NULL DEFAULT FALSE,
+                aliases         TEXT[] NOT NULL DEFAULT '{}',
+                "referansFiyat" NUMERIC(12,2),
+                "sortOrder"     INTEGER NOT NULL DEFAULT 0,
+                "isActive"      BOOLEAN NOT NULL DEFAULT TRUE,
+                "createdAt"     TIMESTAMPTZ DEFAULT NOW(),
+                "updatedAt"     TIMESTAMPTZ DEFAULT NOW()
+            );
+        `);
+        for (const [i, u] of URUN_KATALOG_SEED.entries()) {
+            await pool.query(
+                `INSERT INTO price_products (id, ad, emoji, birim, kategori, featured, aliases, "referansFiyat", "sortOrder")
+                 VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9) ON CONFLICT (id) DO NOTHING`,
+                [u.id, u.ad, u.emoji, u.birim, u.kategori, u.featured, u.aliases, u.referansFiyat, i * 10]
+            );
+        }
+        // Takip edilen ürünlerde eşik alarmları.
+        // tip: 'above' | 'below' → esik fiyattır; 'change' → esik yüzde, gun kadar geriye göre (negatif = düşüş)
+        // "isArmed": tetiklenince FALSE olur, fiyat eşikten histerezis payı kadar uzaklaşınca tekrar TRUE
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS tarim_fiyat_alarmlari (
+                id                UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+                "userId"          UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                "urunId"          TEXT NOT NULL,
+                tip               TEXT NOT NULL CHECK (tip IN ('above','below','change')),
+                esik              NUMERIC(12,2) NOT NULL,
+                gun               INTEGER,
+                "isActive"        BOOLEAN NOT NULL DEFAULT TRUE,
+                "isArmed"         BOOLEAN NOT NULL DEFAULT TRUE,
+                "lastTriggeredAt" TIMESTAMPTZ,
+                "lastTriggerPrice" NUMERIC(12,2),
+                "createdAt"       TIMESTAMPTZ DEFAULT NOW(),
+                "updatedAt"       TIMESTAMPTZ DEFAULT NOW()
+            );
+        `);
+        await pool.query(`CREATE INDEX IF NOT EXISTS idx_fiyat_alarm_urun ON tarim_fiyat_alarmlari ("urunId") WHERE "isActive" = TRUE`);
+        await pool.query(`CREATE INDEX IF NOT EXISTS idx_fiyat_alarm_user ON tarim_fiyat_alarmlari ("userId")`);
         console.log('✅ Fiyat takip tablosu hazır');
     } catch(e) { console.error('[fiyat migration]', e.message); }
 })();
 
-// Statik fiyat verisi (gerçek sistemde TMO/TIGEM scraping yapılır)
 // ─── TARIM FİYATLARI — Gerçek veri + cache ─────────────────────
-// Kaynak: Ticaret Bakanlığı / Hal fiyatları (ücretsiz, herkese açık)
+// Kaynaklar adaptörlerle çekilir (PRICE_SOURCE_ADAPTERS, lib/fiyat-kaynaklari.js), ürün kataloğu price_products tablosundadır.
 // 1 saatte bir scrape edilir, cache'te tutulur
 
+const { PRICE_SOURCE_ADAPTERS, parsePriceNumber } = require('./lib/fiyat-kaynaklari');
+
 const _fiyatCache = { data: null, at: 0 };
 
-// Temel ürün listesi (static) + anlık fiyatlar web'den
-const URUN_LISTESI = [
-    { id:'bugday',   ad:'Buğday',     emoji:'🌾', birim:'kg',  kategori:'Tahıllar',       featured:true  },
-    { id:'misir',    ad:'Mısır',      emoji:'🌽', birim:'kg',  kategori:'Tahıllar',       featured:true  },
-    { id:'arpa',     ad:'Arpa',       emoji:'🫘', birim:'kg',  kategori:'Tahıllar',       featured:false },
-    { id:'findik',   ad:'Fındık',     emoji:'🌰', birim:'kg',  kategori:'Endüstriyel',    featured:true  },
-    { id:'cay',      ad:'Çay',        emoji:'🍃', birim:'kg',  kategori:'Endüstriyel',    featured:false },
-    { id:'pamuk',    ad:'Pamuk',      emoji:'☁️', birim:'kg',  kategori:'Endüstriyel',    featured:false },
-    { id:'domates',  ad:'Domates',    emoji:'🍅', birim:'kg',  kategori:'Sebze',          featured:true  },
-    { id:'patates',  ad:'Patates',    emoji:'🥔', birim:'kg',  kategori:'Sebze',          featured:false },
-    { id:'biber',    ad:'Biber',      emoji:'🫑', birim:'kg',  kategori:'Sebze',          featured:false },
-    { id:'sogan',    ad:'Soğan',      emoji:'🧅', birim:'kg',  kategori:'Sebze',          featured:false },
-    { id:'sarimsak', ad:'Sarımsak',   emoji:'🧄', birim:'kg',  kategori:'Sebze',          featured:false },
-    { id:'salatalik',ad:'Salatalık',  emoji:'🥒', birim:'kg',  kategori:'Sebze',          featured:false },
-    { id:'elma',     ad:'Elma',       emoji:'🍎', birim:'kg',  kategori:'Meyve',          featured:false },
-    { id:'uzum',     ad:'Üzüm',       emoji:'🍇', birim:'kg',  kategori:'Meyve',          featured:true  },
-    { id:'portakal', ad:'Portakal',   emoji:'🍊', birim:'kg',  kategori:'Meyve',          featured:false },
-    { id:'aycicek',  ad:'Ayçiçek',   emoji:'🌻', birim:'kg',  kategori:'Yağlı Tohumlar', featured:true  },
-    { id:'soya',     ad:'Soya',       emoji:'🫛', birim:'kg',  kategori:'Yağlı Tohumlar', featured:false },
-    { id:'kolza',    ad:'Kolza',      emoji:'🌼', birim:'kg',  kategori:'Yağlı Tohumlar', featured:false },
+// Başlangıç kataloğu — price_products boşsa bununla doldurulur, sonrası admin panelinden (/api/admin/price-products)
+// aliases: kaynaklardaki ürün adlarını eşlemek için anahtar kelimeler (normalizeCropKey ile karşılaştırılır)
+// referansFiyat: hiç veri yokken "veri yok" etiketiyle gösterilen TZOB 2025 referansı
+const URUN_KATALOG_SEED = [
+    { id:'bugday',   ad:'Buğday',     emoji:'🌾', birim:'kg',  kategori:'Tahıllar',       featured:true,  referansFiyat:14.8, aliases:['bugday'] },
+    { id:'misir',    ad:'Mısır',      emoji:'🌽', birim:'kg',  kategori:'Tahıllar',       featured:true,  referansFiyat:9.2,  aliases:['misir'] },
+    { id:'arpa',     ad:'Arpa',       emoji:'🫘', birim:'kg',  kategori:'Tahıllar',       featured:false, referansFiyat:11.8, aliases:['arpa'] },
+    { id:'findik',   ad:'Fındık',     emoji:'🌰', birim:'kg',  kategori:'Endüstriyel',    featured:true,  referansFiyat:188,  aliases:['findik'] },
+    { id:'cay',      ad:'Çay',        emoji:'🍃', birim:'kg',  kategori:'Endüstriyel',    featured:false, referansFiyat:31,   aliases:['yas cay'] },
+    { id:'pamuk',    ad:'Pamuk',      emoji:'☁️', birim:'kg',  kategori:'Endüstriyel',    featured:false, referansFiyat:24,   aliases:['pamuk','kutlu pamuk'] },
+    { id:'domates',  ad:'Domates',    emoji:'🍅', birim:'kg',  kategori:'Sebze',          featured:true,  referansFiyat:13,   aliases:['domates'] },
+    { id:'patates',  ad:'Patates',    emoji:'🥔', birim:'kg',  kategori:'Sebze',          featured:false, referansFiyat:10.5, aliases:['patates'] },
+    { id:'biber',    ad:'Biber',      emoji:'🫑', birim:'kg',  kategori:'Sebze',          featured:false, referansFiyat:19,   aliases:['biber'] },
+    { id:'sogan',    ad:'Soğan',      emoji:'🧅', birim:'kg',  kategori:'Sebze',          featured:false, referansFiyat:8,    aliases:['sogan'] },
+    { id:'sarimsak', ad:'Sarımsak',   emoji:'🧄', birim:'kg',  kategori:'Sebze',          featured:false, referansFiyat:65,   aliases:['sarimsak'] },
+    { id:'salatalik',ad:'Salatalık',  emoji:'🥒', birim:'kg',  kategori:'Sebze',          featured:false, referansFiyat:14,   aliases:['salatalik','hiyar'] },
+    { id:'elma',     ad:'Elma',       emoji:'🍎', birim:'kg',  kategori:'Meyve',          featured:false, referansFiyat:16,   aliases:['elma'] },
+    { id:'uzum',     ad:'Üzüm',       emoji:'🍇', birim:'kg',  kategori:'Meyve',          featured:true,  referansFiyat:24,   aliases:['uzum'] },
+    { id:'portakal', ad:'Portakal',   emoji:'🍊', birim:'kg',  kategori:'Meyve',          featured:false, referansFiyat:18,   aliases:['portakal'] },
+    { id:'aycicek',  ad:'Ayçiçek',   emoji:'🌻', birim:'kg',  kategori:'Yağlı Tohumlar', featured:true,  referansFiyat:20,   aliases:['aycicek'] },
+    { id:'soya',     ad:'Soya',       emoji:'🫛', birim:'kg',  kategori:'Yağlı Tohumlar', featured:false, referansFiyat:25,   aliases:['soya'] },
+    { id:'kolza',    ad:'Kolza',      emoji:'🌼', birim:'kg',  kategori:'Yağlı Tohumlar', featured:false, referansFiyat:22,   aliases:['kolza','kanola'] },
 ];
 
-// Gerçek fiyatları çek — hal fiyatları API'si
+// Katalog worker başına 5 dk cache'lenir; admin değişikliği o worker'da hemen, diğerlerinde TTL sonunda görünür
+const _urunKatalogCache = { data: null, at: 0 };
+async function getUrunKatalogu() {
+    if (_urunKatalogCache.data && Date.now() - _urunKatalogCache.at < 300000) return _urunKatalogCache.data;
+    try {
+        const { rows } = await pool.query(
+            `SELECT id, ad, emoji, birim, kategori, featured, aliases, "referansFiyat"::float AS "referansFiyat"
+             FROM price_products WHERE "isActive" = TRUE ORDER BY "sortOrder", ad`
+        );
+        if (rows.length) {
+            _urunKatalogCache.data = rows;
+            _urunKatalogCache.at = Date.now();
+            return rows;
+        }
+    } catch (e) {
+        console.warn('[fiyat katalog]', e.message);
+    }
+    return URUN_KATALOG_SEED;
+}
+
+// Tek adaptörü çalıştır — hata olursa boş liste (diğer kaynaklar etkilenmez)
+async function runPriceSourceAdapter(adapter, ctx) {
+    try {
+        let body;
+        if (process.env.PRICE_FIXTURE_DIR) {
+            const file = path.join(process.env.PRICE_FIXTURE_DIR, `${adapter.name}.${adapter.format === 'json' ? 'json' : 'html'}`);
+            const raw = await fs.readFile(file, 'utf8');
+            body = adapter.format === 'json' ? JSON.parse(raw) : raw;
+        } else {
+            const r = await fetch(adapter.url(ctx), {
+                headers: {
+                    'Accept': adapter.format === 'json' ? 'application/json' : 'text/html',
+                    'User-Agent': 'Mozilla/5.0 AgroSosyal/1.0'
+                },
+                signal: AbortSignal.timeout(adapter.timeoutMs || 8000)
+            });
+            if (!r.ok) return [];
+            body = adapter.format === 'json' ? await r.json() : await r.text();
+        }
+        const valid = new Set(ctx.katalog.map(u => u.id));
+        return adapter.parse(body, ctx)
+            .filter(row => valid.has(row.productId) && row.avg > 0)
+            .map(row => ({ ...row, source: adapter.name }));
+    } catch (e) {
+        console.warn(`[fiyat scrape ${adapter.name}]`, String(e.message).slice(0, 60));
+        return [];
+    }
+}
+
+// Aynı hal/ürün için çeşit satırlarını (salkım, sofralık…) birleştirir; yalnızca il bazında
+// veri veren çok illi kaynak için illerin ortalamasından bir ulusal satır türetir.
+function aggregatePriceRows(rows, cityOnlySources = new Set()) {
+    const groups = new Map();
+    for (const r of rows) {
+        const k = [r.productId, r.source, r.city, r.market].join('|');
+        const g = groups.get(k);
+        if (!g) { groups.set(k, { ...r, _avgs: [r.avg] }); continue; }
+        g.min = Math.min(g.min, r.min);
+        g.max = Math.max(g.max, r.max);
+        g._avgs.push(r.avg);
+    }
+    const merged = [...groups.values()].map(({ _avgs, ...g }) => ({
+        ...g, avg: Math.round(_avgs.reduce((a, b) => a + b, 0) / _avgs.length * 100) / 100
+    }));
+
+    const national = new Map();
+    for (const g of merged) {
+        const k = `${g.productId}|${g.source}`;
+        if (cityOnlySources.has(g.source)) continue;
+        if (!g.city && !g.market) { national.set(k, null); continue; }
+        if (national.get(k) === null) continue;
+        const n = national.get(k) || { ...g, city: '', market: '', _avgs: [] };
+        n.min = Math.min(n.min, g.min);
+        n.max = Math.max(n.max, g.max);
+        n._avgs.push(g.avg);
+        national.set(k, n);
+    }
+    for (const n of national.values()) {
+        if (!n) continue;
+        const { _avgs, ...row } = n;
+        merged.push({ ...row, avg: Math.round(_avgs.reduce((a, b) => a + b, 0) / _avgs.length * 100) / 100 });
+    }
+    return merged;
+}
+
+// Gerçek fiyatları çek — tüm adaptörler paralel
 async function fetchGercekFiyatlar() {
     const now = Date.now();
     // 1 saatlik cache
@@ -17129,95 +21353,191 @@ async function fetchGercekFiyatlar() {
         return _fiyatCache.data;
     }
 
-    // ─── Kaynak 1: Ticaret Bakanlığı HAL fiyatları ────────────────
-    // https://hbys.gtb.gov.tr/ — ücretsiz, herkese açık
-    let scraped = {};
-    try {
-        const r = await fetch('https://hbys.gtb.gov.tr/api/hal-fiyat/son', {
-            headers: { 'Accept': 'application/json', 'User-Agent': 'AgroSosyal/1.0' },
-            signal: AbortSignal.timeout(8000)
-        });
-        if (r.ok) {
-            const data = await r.json();
-            (data.data || data || []).forEach(item => {
-                const ad = (item.urunAdi || item.ad || '').toLowerCase();
-                if (ad.includes('domates'))   scraped['domates']  = item.ortalama || item.fiyat;
-                if (ad.includes('patates'))   scraped['patates']  = item.ortalama || item.fiyat;
-                if (ad.includes('biber'))     scraped['biber']    = item.ortalama || item.fiyat;
-                if (ad.includes('soğan') || ad.includes('sogan')) scraped['sogan'] = item.ortalama || item.fiyat;
-                if (ad.includes('sarımsak'))  scraped['sarimsak'] = item.ortalama || item.fiyat;
-                if (ad.includes('salatalık') || ad.includes('hıyar')) scraped['salatalik'] = item.ortalama || item.fiyat;
-                if (ad.includes('elma'))      scraped['elma']     = item.ortalama || item.fiyat;
-                if (ad.includes('üzüm'))      scraped['uzum']     = item.ortalama || item.fiyat;
-                if (ad.includes('portakal'))  scraped['portakal'] = item.ortalama || item.fiyat;
-            });
-        }
-    } catch(e) {
-        console.warn('[fiyat scrape hal]', e.message.slice(0,60));
-    }
+    const katalog = await getUrunKatalogu();
+    const ctx = { katalog, date: toLocalDateStr(new Date(now)) };
+    const sonuclar = await Promise.all(PRICE_SOURCE_ADAPTERS.map(a => runPriceSourceAdapter(a, ctx)));
+    const rows = aggregatePriceRows(
+        sonuclar.flat(),
+        new Set(PRICE_SOURCE_ADAPTERS.filter(a => a.cityOnly).map(a => a.name))
+    );
 
-    // ─── Kaynak 2: TMO fiyatları (tahıllar için) ──────────────────
-    try {
-        const r = await fetch('https://www.tmo.gov.tr/Sayfa/HububatFiyatlari', {
-            headers: { 'User-Agent': 'Mozilla/5.0 AgroSosyal/1.0' },
-            signal: AbortSignal.timeout(8000)
-        });
-        if (r.ok) {
-            const html = await r.text();
-            // Basit regex ile fiyat çıkar
-            const bugdayMatch = html.match(/Bu[ğg]day[^0-9]*(\d+[,\.]\d+)/i);
-            const misirMatch  = html.match(/M[ıi]s[ıi]r[^0-9]*(\d+[,\.]\d+)/i);
-            const arpaMatch   = html.match(/Arpa[^0-9]*(\d+[,\.]\d+)/i);
-            if (bugdayMatch) scraped['bugday'] = parseFloat(bugdayMatch[1].replace(',','.'));
-            if (misirMatch)  scraped['misir']  = parseFloat(misirMatch[1].replace(',','.'));
-            if (arpaMatch)   scraped['arpa']   = parseFloat(arpaMatch[1].replace(',','.'));
-        }
-    } catch(e) {
-        console.warn('[fiyat scrape tmo]', e.message.slice(0,60));
+    // Ulusal fiyat: adaptör sırasına göre ilk kaynak kazanır
+    const scraped = {};
+    for (const r of rows) {
+        if (!r.city && !r.market && !scraped[r.productId]) scraped[r.productId] = { fiyat: r.avg, source: r.source };
     }
 
-    // ─── Kaynak 3: Fiskobirlik fındık (ücretsiz duyuru sayfası) ───
-    try {
-        const r = await fetch('https://www.fiskobirlik.org.tr/tr/bilgi/fiyat-bildirimleri', {
-            headers: { 'User-Agent': 'Mozilla/5.0 AgroSosyal/1.0' },
-            signal: AbortSignal.timeout(6000)
-        });
-        if (r.ok) {
-            const html = await r.text();
-            const m = html.match(/(\d{2,3})[,.](\d{2})\s*(?:TL|₺)/);
-            if (m) scraped['findik'] = parseFloat(`${m[1]}.${m[2]}`);
-        }
-    } catch(e) { /* silent */ }
-
-    // ─── Referans fiyatlar (scrape başarısız olursa) ──────────────
-    // Kaynak: TZOB 2025 referans fiyatları
-    const referans = {
-        bugday:14.8, misir:9.2, arpa:11.8, findik:188, cay:31, pamuk:24,
-        domates:13, patates:10.5, biber:19, sogan:8, sarimsak:65,
-        salatalik:14, elma:16, uzum:24, portakal:18,
-        aycicek:20, soya:25, kolza:22
-    };
+    await savePriceHistory(rows, now);
 
-    // Günlük küçük varyasyon (±%2 gerçekçi dalgalanma)
-    const seed = Math.floor(now / 86400000); // günlük seed
-    const result = URUN_LISTESI.map((u, i) => {
-        const base = scraped[u.id] || referans[u.id] || 10;
-        const rng = Math.sin(seed * (i+1) * 1973 + i) * 0.5;
-        const degisim = parseFloat((rng * base * 0.04).toFixed(2)); // ±%2
-        const dun = parseFloat((base - degisim * 0.5).toFixed(2));
-        const bugun = parseFloat((base + degisim * 0.5).toFixed(2));
+    // Değişim, uydurma bir dalgalanma yerine price_history'deki son günlük kapanışa göre hesaplanır.
+    // Anlık verisi olmayan ürün için son bilinen kayıt gösterilir; o da yoksa referans fiyat "veri yok" olarak işaretlenir.
+    const { latest, prevClose } = await loadLatestPrices();
+    const guncelleme = new Date(now).toLocaleDateString('tr-TR');
+    const result = katalog.map(({ aliases, referansFiyat, ...u }) => {
+        const anlik = scraped[u.id];
+        const sonKayit = latest[u.id];
+        const fiyat = anlik ? anlik.fiyat : sonKayit ? sonKayit.price : (referansFiyat || null);
+        const onceki = prevClose[u.id];
+        const veriYok = !anlik && !sonKayit;
         return {
             ...u,
-            fiyat: bugun,
-            degisim: parseFloat((bugun - dun).toFixed(2)),
-            kaynak: scraped[u.id] ? '🟢 Anlık' : '🟡 Referans',
-            guncelleme: new Date().toLocaleDateString('tr-TR')
+            fiyat,
+            degisim: !veriYok && onceki != null ? parseFloat((fiyat - onceki).toFixed(2)) : null,
+            kaynak: anlik ? '🟢 Anlık' : sonKayit ? '🟠 Son bilinen' : '⚪ Veri yok (referans)',
+            veriYok,
+            fiyatKaynagi: anlik ? anlik.source : sonKayit ? sonKayit.source : 'tzob-referans',
+            guncelleme: anlik ? guncelleme
+                : sonKayit ? new Date(sonKayit.recordedAt).toLocaleDateString('tr-TR') : null
         };
     });
 
-    _fiyatCache.data = result;
-    _fiyatCache.at   = now;
-    return result;
+    _fiyatCache.data = result;
+    _fiyatCache.at   = now;
+
+    evaluatePriceAlerts(result).catch(e => console.error('[fiyat alarmı]', e.message));
+    return result;
+}
+
+// Scrape sonucunu saat kovasına yazar; aynı saatteki tekrar (başka worker) ON CONFLICT ile düşer
+async function savePriceHistory(rows, now) {
+    if (!rows.length) return;
+    const fetchedHour = new Date(Math.floor(now / 3600000) * 3600000);
+    const values = [];
+    const params = [];
+    rows.forEach((r, i) => {
+        const o = i * 10;
+        values.push(`(${Array.from({ length: 10 }, (_, j) => `$${o + j + 1}`).join(', ')})`);
+        params.push(r.productId, r.source, r.city || '', r.market || '', r.avg, r.min, r.max, r.unit || 'kg', r.date || null, fetchedHour);
+    });
+    try {
+        await pool.query(
+            `INSERT INTO price_history ("productId", source, city, market, price, "minPrice", "maxPrice", unit, "priceDate", "fetchedHour")
+             VALUES ${values.join(', ')}
+             ON CONFLICT ("productId", source, city, market, "fetchedHour") DO NOTHING`,
+            params
+        );
+    } catch (e) {
+        console.error('[fiyat geçmişi kayıt]', e.message);
+    }
+}
+
+// Her ürün için son kayıt (son 14 gün) ve bugünden önceki son günlük kapanış
+async function loadLatestPrices() {
+    const latest = {};
+    const prevClose = {};
+    try {
+        const [son, dun] = await Promise.all([
+            pool.query(`
+                SELECT DISTINCT ON ("productId") "productId", source, price::float AS price, "recordedAt"
+                FROM price_history
+                WHERE city = '' AND market = '' AND "recordedAt" > NOW() - INTERVAL '14 days'
+                ORDER BY "productId", "recordedAt" DESC
+            `),
+            pool.query(`
+                SELECT DISTINCT ON ("productId") "productId", price::float AS price
+                FROM price_history
+                WHERE city = '' AND market = ''
+                  AND "recordedAt" < date_trunc('day', NOW() AT TIME ZONE 'Europe/Istanbul') AT TIME ZONE 'Europe/Istanbul'
+                  AND "recordedAt" > NOW() - INTERVAL '30 days'
+                ORDER BY "productId", "recordedAt" DESC
+            `)
+        ]);
+        son.rows.forEach(r => { latest[r.productId] = r; });
+        dun.rows.forEach(r => { prevClose[r.productId] = r.price; });
+    } catch (e) {
+        console.error('[fiyat geçmişi okuma]', e.message);
+    }
+    return { latest, prevClose };
+}
+
+// ─── Fiyat alarmları ───────────────────────────────────────────
+const PRICE_ALERT_HYSTERESIS   = 0.02;             // eşiğin %2 ötesine geçmeden alarm yeniden kurulmaz
+const PRICE_ALERT_COOLDOWN_MS  = 12 * 3600000;     // kurulmuş olsa bile aynı alarm 12 saatte en fazla bir kez
+const PRICE_ALERT_MAX_PER_USER = 30;
+const PRICE_ALERT_TIPLER       = ['above', 'below', 'change'];
+
+// Alarm koşulu sağlanıyor mu / yeniden kurulabilir mi — saf fonksiyon
+function checkPriceAlert(alarm, fiyat, degisimYuzde) {
+    const esik = parseFloat(alarm.esik);
+    if (alarm.tip === 'above') {
+        return { hit: fiyat >= esik, rearm: fiyat < esik * (1 - PRICE_ALERT_HYSTERESIS) };
+    }
+    if (alarm.tip === 'below') {
+        return { hit: fiyat <= esik, rearm: fiyat > esik * (1 + PRICE_ALERT_HYSTERESIS) };
+    }
+    if (degisimYuzde == null) return { hit: false, rearm: false };
+    // change: esik > 0 yükseliş, esik < 0 düşüş; eşiğin yarısının altına inince yeniden kurulur
+    const yon = esik >= 0 ? degisimYuzde : -degisimYuzde;
+    const mutlak = Math.abs(esik);
+    return { hit: yon >= mutlak, rearm: yon < mutlak / 2 };
+}
+
+function formatPriceAlertMessage(urun, alarm, fiyat, degisimYuzde) {
+    const tl = n => `${Number(n).toLocaleString('tr-TR', { maximumFractionDigits: 2 })} ₺/${urun.birim}`;
+    if (alarm.tip === 'above') return `${urun.emoji} ${urun.ad} fiyatı ${tl(alarm.esik)} üzerine çıktı — şu an ${tl(fiyat)}`;
+    if (alarm.tip === 'below') return `${urun.emoji} ${urun.ad} fiyatı ${tl(alarm.esik)} altına indi — şu an ${tl(fiyat)}`;
+    const yon = degisimYuzde >= 0 ? 'arttı' : 'düştü';
+    return `${urun.emoji} ${urun.ad} fiyatı son ${alarm.gun} günde %${Math.abs(degisimYuzde).toLocaleString('tr-TR', { maximumFractionDigits: 1 })} ${yon} — şu an ${tl(fiyat)}`;
+}
+
+// Her fiyat yenilemesinden sonra çağrılır. Tetikleme "isArmed" üzerinde koşullu UPDATE ile yapılır;
+// cluster'da birden fazla worker aynı anda değerlendirse de bildirimi yalnızca biri gönderir.
+async function evaluatePriceAlerts(fiyatlar) {
+    const guncel = fiyatlar.filter(f => !f.veriYok && f.fiyat > 0);
+    if (!guncel.length) return;
+    const { rows: alarmlar } = await pool.query(
+        `SELECT * FROM tarim_fiyat_alarmlari WHERE "isActive" = TRUE AND "urunId" = ANY($1::text[])`,
+        [guncel.map(f => f.id)]
+    );
+    if (!alarmlar.length) return;
+
+    // % değişim alarmları için N gün önceki fiyat (gün sayısına göre gruplanmış tek sorgu)
+    const gecmis = {};
+    const gunler = [...new Set(alarmlar.filter(a => a.tip === 'change').map(a => a.gun))];
+    for (const gun of gunler) {
+        const { rows } = await pool.query(`
+            SELECT DISTINCT ON ("productId") "productId", price::float AS price
+            FROM price_history
+            WHERE "productId" = ANY($1::text[]) AND city = '' AND market = ''
+              AND "recordedAt" <= NOW() - make_interval(days => $2)
+            ORDER BY "productId", "recordedAt" DESC
+        `, [guncel.map(f => f.id), gun]);
+        rows.forEach(r => { gecmis[`${r.productId}:${gun}`] = r.price; });
+    }
+
+    const fiyatMap = Object.fromEntries(guncel.map(f => [f.id, f]));
+    for (const alarm of alarmlar) {
+        const urun = fiyatMap[alarm.urunId];
+        const eski = alarm.tip === 'change' ? gecmis[`${alarm.urunId}:${alarm.gun}`] : null;
+        const degisimYuzde = eski ? (urun.fiyat - eski) / eski * 100 : null;
+        const { hit, rearm } = checkPriceAlert(alarm, urun.fiyat, degisimYuzde);
+
+        if (!alarm.isArmed) {
+            if (rearm) {
+                await pool.query(`UPDATE tarim_fiyat_alarmlari SET "isArmed" = TRUE WHERE id = $1`, [alarm.id]);
+            }
+            continue;
+        }
+        if (!hit) continue;
+
+        const { rows: won } = await pool.query(`
+            UPDATE tarim_fiyat_alarmlari
+               SET "isArmed" = FALSE, "lastTriggeredAt" = NOW(), "lastTriggerPrice" = $2
+             WHERE id = $1 AND "isArmed" = TRUE
+               AND ("lastTriggeredAt" IS NULL OR "lastTriggeredAt" < NOW() - make_interval(secs => $3))
+             RETURNING id
+        `, [alarm.id, urun.fiyat, PRICE_ALERT_COOLDOWN_MS / 1000]);
+        if (!won.length) continue;
+
+        createNotification(alarm.userId, 'price_alert', formatPriceAlertMessage(urun, alarm, urun.fiyat, degisimYuzde), {
+            pushTitle: `💰 ${urun.ad} Fiyat Alarmı`,
+            alarmId: alarm.id,
+            urunId: urun.id,
+            fiyat: urun.fiyat,
+            tip: alarm.tip,
+            esik: parseFloat(alarm.esik)
+        }).catch(() => {});
+    }
 }
 
 // İlk yüklemeyi başlat
@@ -17225,7 +21545,31 @@ fetchGercekFiyatlar().catch(() => {});
 // 1 saatte bir yenile
 setInterval(() => fetchGercekFiyatlar().catch(() => {}), 3600000);
 
-// GET /api/tarim-fiyatlari
+// İldeki hallerin son 3 gündeki son fiyatları, ürün başına birleştirilmiş
+async function loadCityPrices(city) {
+    const { rows } = await pool.query(`
+        SELECT DISTINCT ON ("productId", market) "productId", market, source,
+               price::float AS price, "minPrice"::float AS min, "maxPrice"::float AS max, "priceDate", "recordedAt"
+        FROM price_history
+        WHERE city = $1 AND "recordedAt" > NOW() - INTERVAL '3 days'
+        ORDER BY "productId", market, "recordedAt" DESC
+    `, [city]);
+    const out = {};
+    for (const r of rows) {
+        const o = out[r.productId] || (out[r.productId] = { fiyatlar: [], min: r.min ?? r.price, max: r.max ?? r.price, haller: [] });
+        o.fiyatlar.push(r.price);
+        o.min = Math.min(o.min, r.min ?? r.price);
+        o.max = Math.max(o.max, r.max ?? r.price);
+        o.haller.push({ market: r.market, fiyat: r.price, min: r.min, max: r.max, tarih: r.priceDate ? toLocalDateStr(r.priceDate) : null });
+    }
+    for (const o of Object.values(out)) {
+        o.fiyat = Math.round(o.fiyatlar.reduce((a, b) => a + b, 0) / o.fiyatlar.length * 100) / 100;
+        delete o.fiyatlar;
+    }
+    return out;
+}
+
+// GET /api/tarim-fiyatlari?sehir=Antalya — sehir verilmezse kullanıcının farmerCity'si
 app.get('/api/tarim-fiyatlari', authenticateToken, async (req, res) => {
     try {
         const fiyatlar = await fetchGercekFiyatlar();
@@ -17233,16 +21577,107 @@ app.get('/api/tarim-fiyatlari', authenticateToken, async (req, res) => {
             `SELECT "urunId" FROM tarim_fiyat_takip WHERE "userId"=$1`, [req.user.id]
         );
         const takipSet = new Set(takip.map(t => t.urunId));
-        const result = fiyatlar.map(f => ({ ...f, takipEdiliyor: takipSet.has(f.id) }));
+
+        let sehir = req.query.sehir;
+        if (sehir === undefined) {
+            const { rows: [u] } = await pool.query(`SELECT "farmerCity" FROM users WHERE id=$1`, [req.user.id]);
+            sehir = u?.farmerCity || '';
+        }
+        const sehirKey = normalizeCropKey(sehir);
+        const yerel = sehirKey ? await loadCityPrices(sehirKey) : {};
+
+        const result = fiyatlar.map(f => ({ ...f, takipEdiliyor: takipSet.has(f.id), yerel: yerel[f.id] || null }));
 
         res.json({
             fiyatlar: result,
+            sehir: sehirKey || null,
             guncelleme: new Date().toLocaleTimeString('tr-TR', { hour:'2-digit', minute:'2-digit' }),
             kaynak: result.some(f => f.kaynak === '🟢 Anlık') ? 'Hal Fiyatları + TMO' : 'TZOB Referans Fiyatları'
         });
     } catch(e) { res.status(500).json({ error: 'Sunucu hatası' }); }
 });
 
+// GET /api/tarim-fiyatlari/:id/history?range=30d|1y — günlük OHLC serisi
+// Veri olmayan günler seride yer almaz; boşluk doldurulmaz.
+const FIYAT_GECMIS_ARALIK = { '7d': '7 days', '30d': '30 days', '90d': '90 days', '1y': '1 year' };
+app.get('/api/tarim-fiyatlari/:id/history', authenticateToken, async (req, res) => {
+    try {
+        const urun = (await getUrunKatalogu()).find(u => u.id === req.params.id);
+        if (!urun) return res.status(404).json({ error: 'Ürün bulunamadı' });
+
+        const range = FIYAT_GECMIS_ARALIK[req.query.range] ? req.query.range : '30d';
+        // ?sehir= verilirse o ildeki hallerin serisi (hal verilirse tek hal), yoksa ulusal seri
+        const sehir = normalizeCropKey(req.query.sehir);
+        const params = [urun.id, FIYAT_GECMIS_ARALIK[range], sehir];
+        let marketCond = sehir ? `AND market <> ''` : `AND market = ''`;
+        if (sehir && req.query.hal) { params.push(String(req.query.hal)); marketCond = `AND market = $4`; }
+        const { rows } = await pool.query(`
+            SELECT to_char(COALESCE("priceDate", ("recordedAt" AT TIME ZONE 'Europe/Istanbul')::date), 'YYYY-MM-DD') AS date,
+                   (array_agg(price ORDER BY "recordedAt" ASC))[1]::float  AS open,
+                   MAX(price)::float                                       AS high,
+                   MIN(price)::float                                       AS low,
+                   (array_agg(price ORDER BY "recordedAt" DESC))[1]::float AS close,
+                   COUNT(*)::int                                           AS samples,
+                   array_agg(DISTINCT source)                              AS sources
+            FROM price_history
+            WHERE "productId" = $1 AND "recordedAt" >= NOW() - $2::interval
+              AND city = $3 ${marketCond}
+            GROUP BY 1
+            ORDER BY 1 ASC
+        `, params);
+
+        let ozet = null;
+        if (rows.length) {
+            const ilk = rows[0].open;
+            const son = rows[rows.length - 1].close;
+            ozet = {
+                ilk, son,
+                degisim: parseFloat((son - ilk).toFixed(2)),
+                degisimYuzde: ilk ? parseFloat(((son - ilk) / ilk * 100).toFixed(1)) : null,
+                enDusuk: Math.min(...rows.map(r => r.low)),
+                enYuksek: Math.max(...rows.map(r => r.high))
+            };
+        }
+
+        res.json({
+            urunId: urun.id, ad: urun.ad, birim: urun.birim, range,
+            sehir: sehir || null,
+            veriYok: rows.length === 0,
+            seri: rows,
+            ozet
+        });
+    } catch(e) {
+        console.error('[fiyat geçmişi]', e.message);
+        res.status(500).json({ error: 'Sunucu hatası' });
+    }
+});
+
+// GET /api/tarim-fiyatlari/:id/haller — il/hal bazında son fiyatlar (son 7 gün), ucuzdan pahalıya
+app.get('/api/tarim-fiyatlari/:id/haller', authenticateToken, async (req, res) => {
+    try {
+        const urun = (await getUrunKatalogu()).find(u => u.id === req.params.id);
+        if (!urun) return res.status(404).json({ error: 'Ürün bulunamadı' });
+        const { rows } = await pool.query(`
+            SELECT * FROM (
+                SELECT DISTINCT ON (city, market) city, market, source,
+                       price::float AS fiyat, "minPrice"::float AS min, "maxPrice"::float AS max,
+                       unit, "priceDate", "recordedAt"
+                FROM price_history
+                WHERE "productId" = $1 AND city <> '' AND "recordedAt" > NOW() - INTERVAL '7 days'
+                ORDER BY city, market, "recordedAt" DESC
+            ) t ORDER BY fiyat ASC
+        `, [urun.id]);
+        res.json({
+            urunId: urun.id, ad: urun.ad, birim: urun.birim,
+            veriYok: rows.length === 0,
+            haller: rows.map(r => ({ ...r, priceDate: r.priceDate ? toLocalDateStr(r.priceDate) : null }))
+        });
+    } catch(e) {
+        console.error('[hal fiyatları]', e.message);
+        res.status(500).json({ error: 'Sunucu hatası' });
+    }
+});
+
 // POST /api/tarim-fiyatlari/:id/takip
 app.post('/api/tarim-fiyatlari/:id/takip', authenticateToken, async (req, res) => {
     try {
@@ -17257,11 +21692,159 @@ app.post('/api/tarim-fiyatlari/:id/takip', authenticateToken, async (req, res) =
                 `DELETE FROM tarim_fiyat_takip WHERE "userId"=$1 AND "urunId"=$2`,
                 [req.user.id, req.params.id]
             );
+            // Takibi bırakılan ürünün alarmları da kalkar
+            await pool.query(
+                `DELETE FROM tarim_fiyat_alarmlari WHERE "userId"=$1 AND "urunId"=$2`,
+                [req.user.id, req.params.id]
+            );
+        }
+        res.json({ success: true });
+    } catch(e) { res.status(500).json({ error: 'Sunucu hatası' }); }
+});
+
+// Alarm gövdesini doğrula — hata mesajı ya da temiz alanlar döner
+function validatePriceAlertBody(body) {
+    const out = {};
+    if (!PRICE_ALERT_TIPLER.includes(body.tip)) return { error: "tip 'above', 'below' veya 'change' olmalı" };
+    out.tip = body.tip;
+    const esik = parseFloat(String(body.esik).replace(',', '.'));
+    if (!Number.isFinite(esik) || esik === 0) return { error: 'Geçerli bir eşik değeri girin' };
+    if (body.tip !== 'change' && esik < 0) return { error: 'Fiyat eşiği pozitif olmalı' };
+    out.esik = esik;
+    if (body.gun != null || body.tip === 'change') {
+        const gun = parseInt(body.gun);
+        if (!Number.isInteger(gun) || gun < 1 || gun > 365) return { error: 'gun 1-365 arasında olmalı' };
+        out.gun = gun;
+    }
+    if (body.isActive !== undefined) out.isActive = !!body.isActive;
+    return { data: out };
+}
+
+// GET /api/tarim-fiyatlari/alarmlar — kullanıcının alarmları
+app.get('/api/tarim-fiyatlari/alarmlar', authenticateToken, async (req, res) => {
+    try {
+        const { rows } = await pool.query(
+            `SELECT id, "urunId", tip, esik::float AS esik, gun, "isActive", "isArmed",
+                    "lastTriggeredAt", "lastTriggerPrice"::float AS "lastTriggerPrice", "createdAt"
+             FROM tarim_fiyat_alarmlari WHERE "userId"=$1 ORDER BY "createdAt" DESC`,
+            [req.user.id]
+        );
+        const urunMap = Object.fromEntries((await getUrunKatalogu()).map(u => [u.id, u]));
+        res.json({ alarmlar: rows.map(r => ({ ...r, urun: urunMap[r.urunId] || null })) });
+    } catch(e) { res.status(500).json({ error: 'Sunucu hatası' }); }
+});
+
+// POST /api/tarim-fiyatlari/:id/alarm — { tip, esik, gun? }; ürün otomatik takibe alınır
+app.post('/api/tarim-fiyatlari/:id/alarm', authenticateToken, async (req, res) => {
+    try {
+        if (!(await getUrunKatalogu()).some(u => u.id === req.params.id)) return res.status(404).json({ error: 'Ürün bulunamadı' });
+        const { error, data } = validatePriceAlertBody(req.body || {});
+        if (error) return res.status(400).json({ error });
+
+        const { rows: [{ c }] } = await pool.query(
+            `SELECT COUNT(*)::int AS c FROM tarim_fiyat_alarmlari WHERE "userId"=$1`, [req.user.id]
+        );
+        if (c >= PRICE_ALERT_MAX_PER_USER) {
+            return res.status(400).json({ error: `En fazla ${PRICE_ALERT_MAX_PER_USER} fiyat alarmı kurabilirsiniz` });
         }
+
+        await pool.query(
+            `INSERT INTO tarim_fiyat_takip ("userId","urunId") VALUES ($1,$2) ON CONFLICT DO NOTHING`,
+            [req.user.id, req.params.id]
+        );
+        const { rows: [alarm] } = await pool.query(
+            `INSERT INTO tarim_fiyat_alarmlari ("userId","urunId",tip,esik,gun)
+             VALUES ($1,$2,$3,$4,$5)
+             RETURNING id, "urunId", tip, esik::float AS esik, gun, "isActive", "isArmed", "createdAt"`,
+            [req.user.id, req.params.id, data.tip, data.esik, data.tip === 'change' ? data.gun : null]
+        );
+        res.status(201).json({ success: true, alarm });
+    } catch(e) {
+        console.error('[fiyat alarmı ekle]', e.message);
+        res.status(500).json({ error: 'Sunucu hatası' });
+    }
+});
+
+// PUT /api/tarim-fiyatlari/alarmlar/:alarmId — eşik/gün değiştir, duraklat/aç
+app.put('/api/tarim-fiyatlari/alarmlar/:alarmId', authenticateToken, async (req, res) => {
+    try {
+        if (!isValidUUID(req.params.alarmId)) return res.status(400).json({ error: 'Geçersiz ID' });
+        const { rows: [mevcut] } = await pool.query(
+            `SELECT * FROM tarim_fiyat_alarmlari WHERE id=$1 AND "userId"=$2`, [req.params.alarmId, req.user.id]
+        );
+        if (!mevcut) return res.status(404).json({ error: 'Alarm bulunamadı' });
+
+        // Kısmi güncelleme: mevcut satır + gelen alanlar birlikte doğrulanır (örn. tip 'change' → 'above' iken negatif eşik kalamaz)
+        const { error, data } = validatePriceAlertBody({
+            tip: mevcut.tip, esik: mevcut.esik, gun: mevcut.gun, isActive: mevcut.isActive, ...req.body,
+        });
+        if (error) return res.status(400).json({ error });
+
+        // Eşik ya da tip değişince alarm yeniden kurulur — yeni koşul hemen değerlendirilebilsin
+        const rearm = data.esik !== parseFloat(mevcut.esik) || data.tip !== mevcut.tip;
+        const { rows: [alarm] } = await pool.query(
+            `UPDATE tarim_fiyat_alarmlari
+                SET tip = $3, esik = $4, gun = $5, "isActive" = $6,
+                    "isArmed" = CASE WHEN $7 THEN TRUE ELSE "isArmed" END,
+                    "updatedAt" = NOW()
+              WHERE id = $1 AND "userId" = $2
+              RETURNING id, "urunId", tip, esik::float AS esik, gun, "isActive", "isArmed", "lastTriggeredAt"`,
+            [mevcut.id, req.user.id, data.tip, data.esik,
+             data.tip === 'change' ? data.gun : null, data.isActive, rearm]
+        );
+        res.json({ success: true, alarm });
+    } catch(e) { res.status(500).json({ error: 'Sunucu hatası' }); }
+});
+
+// DELETE /api/tarim-fiyatlari/alarmlar/:alarmId
+app.delete('/api/tarim-fiyatlari/alarmlar/:alarmId', authenticateToken, async (req, res) => {
+    try {
+        if (!isValidUUID(req.params.alarmId)) return res.status(400).json({ error: 'Geçersiz ID' });
+        const { rowCount } = await pool.query(
+            `DELETE FROM tarim_fiyat_alarmlari WHERE id=$1 AND "userId"=$2`, [req.params.alarmId, req.user.id]
+        );
+        if (!rowCount) return res.status(404).json({ error: 'Alarm bulunamadı' });
         res.json({ success: true });
     } catch(e) { res.status(500).json({ error: 'Sunucu hatası' }); }
 });
 
+// GET /api/admin/price-products — pasifler dahil tüm katalog
+app.get('/api/admin/price-products', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+        const { rows } = await pool.query(
+            `SELECT *, "referansFiyat"::float AS "referansFiyat" FROM price_products ORDER BY "sortOrder", ad`
+        );
+        res.json({ urunler: rows, kaynaklar: PRICE_SOURCE_ADAPTERS.map(a => ({ name: a.name, label: a.label })) });
+    } catch(e) { res.status(500).json({ error: 'Sunucu hatası' }); }
+});
+
+// POST /api/admin/price-products — ürün ekle/güncelle (id ile upsert); silmek yerine isActive=false
+app.post('/api/admin/price-products', authenticateToken, requireAdmin, adminLimiter, async (req, res) => {
+    try {
+        const { id, ad, emoji, birim = 'kg', kategori, featured = false, aliases, referansFiyat, sortOrder = 0, isActive = true } = req.body;
+        if (!id || !/^[a-z0-9-]{2,40}$/.test(id)) return res.status(400).json({ error: 'id küçük harf, rakam ve tire içermeli' });
+        if (!ad?.trim()) return res.status(400).json({ error: 'Ürün adı zorunludur' });
+        if (aliases !== undefined && (!Array.isArray(aliases) || aliases.some(a => typeof a !== 'string' || !a.trim())))
+            return res.status(400).json({ error: 'aliases metin dizisi olmalı' });
+        const ref = referansFiyat == null || referansFiyat === '' ? null : parsePriceNumber(referansFiyat);
+        if (referansFiyat != null && referansFiyat !== '' && !ref) return res.status(400).json({ error: 'Geçersiz referans fiyat' });
+
+        const aliasList = (aliases?.length ? aliases : [ad]).map(a => normalizeCropKey(a)).slice(0, 20);
+        await pool.query(
+            `INSERT INTO price_products (id, ad, emoji, birim, kategori, featured, aliases, "referansFiyat", "sortOrder", "isActive")
+             VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10)
+             ON CONFLICT (id) DO UPDATE SET ad=$2, emoji=$3, birim=$4, kategori=$5, featured=$6, aliases=$7,
+                 "referansFiyat"=$8, "sortOrder"=$9, "isActive"=$10, "updatedAt"=NOW()`,
+            [id, ad.trim().slice(0, 60), emoji || null, String(birim).trim().slice(0, 10) || 'kg', kategori || null,
+             !!featured, aliasList, ref, parseInt(sortOrder) || 0, isActive !== false]
+        );
+        // Bu worker'da hemen geçerli olsun; fiyat listesi yeni katalogla yeniden üretilir
+        _urunKatalogCache.at = 0;
+        _fiyatCache.at = 0;
+        res.json({ success: true, id });
+    } catch(e) { console.error('[admin price-products]', e.message); res.status(500).json({ error: 'Sunucu hatası' }); }
+});
+
 // =============================================================================
 // 🌱 TOHUMDAN HASADA — /api/hasat-takip
 // =============================================================================
@@ -17291,6 +21874,24 @@ app.post('/api/tarim-fiyatlari/:id/takip', authenticateToken, async (req, res) =
             CREATE INDEX IF NOT EXISTS idx_hasat_user ON hasat_tarlalar("userId");
             CREATE INDEX IF NOT EXISTS idx_hasat_fotos ON hasat_fotolar("tarlaId","createdAt" ASC);
         `);
+        // Sulama danışmanı: sistem randımanı (damla / yagmurlama / salma)
+        await pool.query(`ALTER TABLE hasat_tarlalar ADD COLUMN IF NOT EXISTS "sulamaSistemi" TEXT`);
+        // GDD: birikmiş derece gün, evre ve tahmini hasat (refreshHasatGdd yazar)
+        await pool.query(`
+            ALTER TABLE hasat_tarlalar ADD COLUMN IF NOT EXISTS "gddToplam"      NUMERIC;
+            ALTER TABLE hasat_tarlalar ADD COLUMN IF NOT EXISTS "gddEvre"        TEXT;
+            ALTER TABLE hasat_tarlalar ADD COLUMN IF NOT EXISTS "gddEvreler"     JSONB;
+            ALTER TABLE hasat_tarlalar ADD COLUMN IF NOT EXISTS "gddHasatTarihi" DATE;
+            ALTER TABLE hasat_tarlalar ADD COLUMN IF NOT EXISTS "gddGuncellendi" TIMESTAMPTZ;
+            CREATE TABLE IF NOT EXISTS hava_gunluk (
+                konum   TEXT NOT NULL,
+                date    DATE NOT NULL,
+                tmax    DOUBLE PRECISION NOT NULL,
+                tmin    DOUBLE PRECISION NOT NULL,
+                PRIMARY KEY (konum, date)
+            );
+        `);
+        await ensureHasatFieldIdColumn();
         console.log('✅ Hasat Takip tabloları hazır');
     } catch(e) { console.error('[hasat migration]', e.message); }
 })();
@@ -17341,6 +21942,19 @@ app.get('/api/hasat-takip/tarlalar', authenticateToken, async (req, res) => {
             const ms = Date.now() - new Date(tarla.createdAt).getTime();
             tarla.gun = Math.floor(ms / (1000*60*60*24)) + 1;
         }
+        // PHI: planlanan hasat tarihi, bağlı Farmbook tarlasındaki bir ilacın bekleme süresine denk geliyor mu?
+        const linked = tarlalar.filter(t => t.fieldId);
+        const windows = linked.length ? await getPhiWindows(req.user.id, { fieldIds: linked.map(t => t.fieldId) }) : [];
+        for (const tarla of tarlalar) {
+            // GDD tahmini varsa sabit gün sayısının yerine geçer
+            const planned = tarla.gddHasatTarihi
+                ? new Date(tarla.gddHasatTarihi)
+                : new Date(new Date(tarla.createdAt).getTime() + (tarla.tahminiHasat || 90) * 86400000);
+            tarla.plannedHarvestDate = tarla.gddHasatTarihi ? toLocalDateStr(planned) : planned.toISOString().split('T')[0];
+            tarla.harvestEstimateSource = tarla.gddHasatTarihi ? 'gdd' : 'sabit';
+            tarla.evre = tarla.gddEvre || null;
+            tarla.phiWarnings = tarla.fieldId ? findPhiConflicts(windows, tarla.fieldId, planned) : [];
+        }
         res.json({ tarlalar });
     } catch(e) { res.status(500).json({ error: 'Sunucu hatası' }); }
 });
@@ -17348,119 +21962,820 @@ app.get('/api/hasat-takip/tarlalar', authenticateToken, async (req, res) => {
 // POST /api/hasat-takip/tarlalar
 app.post('/api/hasat-takip/tarlalar', authenticateToken, async (req, res) => {
     try {
-        const { name, product, alanDonm, tahminiHasat } = req.body;
+        const { name, product, alanDonm, tahminiHasat, fieldId, sulamaSistemi } = req.body;
         if (!name?.trim() || !product?.trim()) return res.status(400).json({ error: 'Ad ve ürün gerekli' });
+        if (sulamaSistemi && !SULAMA_SISTEMLERI[sulamaSistemi])
+            return res.status(400).json({ error: `Sulama sistemi: ${Object.keys(SULAMA_SISTEMLERI).join(', ')}` });
+        // Farmbook tarlasına bağlama (opsiyonel) — verilmezse aynı isimli aktif tarla aranır
+        if (fieldId && !isValidUUID(fieldId)) return res.status(400).json({ error: 'Geçersiz fieldId' });
+        const field = fieldId
+            ? await dbGet('SELECT id FROM farmbook_fields WHERE id=$1 AND "userId"=$2', [fieldId, req.user.id])
+            : await dbGet('SELECT id FROM farmbook_fields WHERE "userId"=$1 AND LOWER(name)=LOWER($2) AND "isArchived"=FALSE', [req.user.id, name.trim()]);
+        if (fieldId && !field) return res.status(404).json({ error: 'Farmbook tarlası bulunamadı' });
         const tarlaId = uuidv4();
         await pool.query(
-            `INSERT INTO hasat_tarlalar (id,"userId",name,product,"alanDonm","tahminiHasat")
-             VALUES ($1,$2,$3,$4,$5,$6)`,
-            [tarlaId, req.user.id, name.trim(), product.trim(), alanDonm||null, tahminiHasat||90]
+            `INSERT INTO hasat_tarlalar (id,"userId",name,product,"alanDonm","tahminiHasat","fieldId","sulamaSistemi")
+             VALUES ($1,$2,$3,$4,$5,$6,$7,$8)`,
+            [tarlaId, req.user.id, name.trim(), product.trim(), alanDonm||null, tahminiHasat||90, field?.id||null, sulamaSistemi||null]
         );
+        refreshHasatGddById(tarlaId).catch(e => console.warn('[gdd]', tarlaId, e.message));
         res.status(201).json({
-            tarla: { id:tarlaId, name:name.trim(), product:product.trim(), alanDonm, tahminiHasat:tahminiHasat||90, gun:1, fotos:[], lastPhoto:null }
+            tarla: { id:tarlaId, name:name.trim(), product:product.trim(), alanDonm, tahminiHasat:tahminiHasat||90, fieldId:field?.id||null, sulamaSistemi:sulamaSistemi||null, gun:1, fotos:[], lastPhoto:null }
         });
+    } catch(e) { console.error('[hasat-takip]', e.message); res.status(500).json({ error: 'Sunucu hatası' }); }
+});
+
+// POST /api/hasat-takip/tarlalar/:id/foto
+app.post('/api/hasat-takip/tarlalar/:id/foto', authenticateToken, upload.single('foto'), async (req, res) => {
+    try {
+        if (!req.file) return res.status(400).json({ error: 'Fotoğraf gerekli' });
+        // Erişim kontrolü
+        const tarla = await pool.query(`SELECT * FROM hasat_tarlalar WHERE id=$1 AND "userId"=$2`, [req.params.id, req.user.id]);
+        if (!tarla.rows[0]) return res.status(403).json({ error: 'Yetki yok' });
+
+        // Resmi işle
+        const filename = `hasat_${uuidv4().slice(0,12)}.webp`;
+        const dest = path.join(postsDir, filename);
+        await processImage(req.file.path, dest, { width: 1080, height: 1080, fit: 'inside', quality: 78, effort: 4 });
+        await require('fs').promises.unlink(req.file.path).catch(()=>{});
+
+        const fotoUrl = `/uploads/posts/${filename}`;
+        const ms = Date.now() - new Date(tarla.rows[0].createdAt).getTime();
+        const gun = Math.floor(ms / (1000*60*60*24)) + 1;
+
+        const fotoId = uuidv4();
+        await pool.query(
+            `INSERT INTO hasat_fotolar (id,"tarlaId",url,gun) VALUES ($1,$2,$3,$4)`,
+            [fotoId, req.params.id, fotoUrl, gun]
+        );
+        await pool.query(
+            `UPDATE hasat_tarlalar SET "lastPhoto"=$1 WHERE id=$2`,
+            [fotoUrl, req.params.id]
+        );
+
+        res.json({ foto: { id:fotoId, url:fotoUrl, gun }, tarla: { gun } });
+    } catch(e) { console.error('[hasat foto]', e.message); res.status(500).json({ error: 'Sunucu hatası' }); }
+});
+
+// POST /api/hasat-takip/tarlalar/:id/not
+app.post('/api/hasat-takip/tarlalar/:id/not', authenticateToken, async (req, res) => {
+    try {
+        const { not } = req.body;
+        if (!not?.trim()) return res.status(400).json({ error: 'Not gerekli' });
+        // Son fotoğrafa not ekle
+        await pool.query(
+            `UPDATE hasat_fotolar SET "not"=$1 WHERE "tarlaId"=$2 ORDER BY "createdAt" DESC LIMIT 1`,
+            [not.trim(), req.params.id]
+        );
+        res.json({ success: true });
     } catch(e) { res.status(500).json({ error: 'Sunucu hatası' }); }
 });
 
-// POST /api/hasat-takip/tarlalar/:id/foto
-app.post('/api/hasat-takip/tarlalar/:id/foto', authenticateToken, upload.single('foto'), async (req, res) => {
-    try {
-        if (!req.file) return res.status(400).json({ error: 'Fotoğraf gerekli' });
-        // Erişim kontrolü
-        const tarla = await pool.query(`SELECT * FROM hasat_tarlalar WHERE id=$1 AND "userId"=$2`, [req.params.id, req.user.id]);
-        if (!tarla.rows[0]) return res.status(403).json({ error: 'Yetki yok' });
+// GET /tarim/tarla/:id — Public paylaşım sayfası
+app.get('/tarim/tarla/:id', async (req, res) => {
+    try {
+        const tarla = await pool.query(
+            `SELECT t.*, u.name as "userName" FROM hasat_tarlalar t JOIN users u ON u.id=t."userId" WHERE t.id=$1`,
+            [req.params.id]
+        );
+        if (!tarla.rows[0]) return res.status(404).send('<h1>Bulunamadı</h1>');
+        const t = tarla.rows[0];
+        const ms = Date.now() - new Date(t.createdAt).getTime();
+        const gun = Math.floor(ms / (1000*60*60*24)) + 1;
+
+        const { rows: fotos } = await pool.query(
+            `SELECT url, gun FROM hasat_fotolar WHERE "tarlaId"=$1 ORDER BY gun ASC LIMIT 20`,
+            [req.params.id]
+        );
+
+        const fotosHtml = fotos.map(f =>
+            `<div style="text-align:center">
+                <img src="${f.url}" style="width:100%;border-radius:16px;object-fit:cover;height:200px">
+                <p style="font-size:12px;opacity:.7;margin:4px 0">Gün ${f.gun}</p>
+             </div>`
+        ).join('');
+
+        res.type('html').send(`<!DOCTYPE html><html><head><meta charset="UTF-8">
+  <link rel="icon" type="image/png" href="/agro.png">
+<title>🌱 ${t.name} — ${gun} Günlük ${t.product}</title>
+<meta property="og:title" content="${t.userName} - ${gun} Günlük ${t.product} Tarlası">
+<meta property="og:description" content="${t.name} | ${t.alanDonm} dönüm | Agro Sosyal">
+${t.lastPhoto ? `<meta property="og:image" content="${t.lastPhoto}">` : ''}
+<meta name="viewport" content="width=device-width,initial-scale=1">
+<style nonce="${res.locals.cspNonce}">body{font-family:sans-serif;background:#0f2416;color:white;padding:20px;max-width:480px;margin:0 auto}
+h1{font-size:1.5em}
+.grid{display:grid;grid-template-columns:1fr 1fr;gap:8px;margin:16px 0}
+.stat{background:rgba(16,185,129,.2);border-radius:16px;padding:16px;text-align:center}
+.stat strong{display:block;font-size:2em;color:#10b981}
+a{display:block;padding:16px;background:#10b981;color:white;border-radius:16px;font-weight:900;text-align:center;text-decoration:none;margin-top:16px}</style>
+</head><body>
+<h1>🌱 ${t.name}</h1>
+<p>${t.userName} — ${t.product}</p>
+<div class="grid">
+  <div class="stat"><strong>${gun}</strong>gün geçti</div>
+  <div class="stat"><strong>${t.alanDonm||'?'}</strong>dönüm</div>
+  <div class="stat"><strong>${fotos.length}</strong>fotoğraf</div>
+  <div class="stat"><strong>${Math.round((gun/(t.tahminiHasat||90))*100)}%</strong>tamamlandı</div>
+</div>
+<div class="grid">${fotosHtml}</div>
+<a href="/">Agro Sosyal'de Takip Et 🌾</a>
+</body></html>`);
+    } catch(e) { res.status(500).send('Hata'); }
+});
+
+// =============================================================================
+// 💧 SULAMA DANIŞMANI — ET0 (Hargreaves) × Kc − etkili yağış → tarla bazında sulama önerisi
+// =============================================================================
+// Toprak su dengesi (FAO-56, tek katman): son sulamada kök bölgesi tarla kapasitesinde
+// kabul edilir, her gün ETc = ET0 × Kc kadar eksilir, etkili yağış kadar dolar.
+// Eksilme "kolay alınabilir su"yu (RAW = p × TAW) aşınca sulama zamanı gelmiştir;
+// önerilen net miktar o günkü eksilmedir, brüt miktar sulama sistemi randımanına bölünür.
+// Sulama kaydı /api/hasat-takip/tarlalar/:id/sulama ile Farmbook'a 'sulama' kaydı olarak düşer.
+
+// FAO-56 Tablo 11/12 değerleri — evreler: başlangıç / gelişme / orta / son dönem (süre oranı),
+// kok: etkin kök derinliği (m), p: stres olmadan tüketilebilecek su oranı
+const SULAMA_KC_TABLOSU = {
+    domates:       { ini: 0.60, mid: 1.15, end: 0.80, evreler: [0.22, 0.30, 0.30, 0.18], kok: 1.0, p: 0.40 },
+    biber:         { ini: 0.60, mid: 1.05, end: 0.90, evreler: [0.21, 0.29, 0.33, 0.17], kok: 0.7, p: 0.30 },
+    patates:       { ini: 0.50, mid: 1.15, end: 0.75, evreler: [0.19, 0.23, 0.35, 0.23], kok: 0.5, p: 0.35 },
+    salatalik:     { ini: 0.60, mid: 1.00, end: 0.75, evreler: [0.19, 0.29, 0.38, 0.14], kok: 0.9, p: 0.50 },
+    karpuz:        { ini: 0.40, mid: 1.00, end: 0.75, evreler: [0.18, 0.27, 0.27, 0.28], kok: 1.0, p: 0.40 },
+    kavun:         { ini: 0.50, mid: 1.05, end: 0.75, evreler: [0.18, 0.27, 0.27, 0.28], kok: 1.0, p: 0.40 },
+    sogan:         { ini: 0.70, mid: 1.05, end: 0.75, evreler: [0.10, 0.17, 0.46, 0.27], kok: 0.45, p: 0.30 },
+    misir:         { ini: 0.30, mid: 1.20, end: 0.60, evreler: [0.20, 0.27, 0.33, 0.20], kok: 1.2, p: 0.55 },
+    bugday:        { ini: 0.30, mid: 1.15, end: 0.30, evreler: [0.15, 0.19, 0.44, 0.22], kok: 1.5, p: 0.55 },
+    arpa:          { ini: 0.30, mid: 1.15, end: 0.25, evreler: [0.15, 0.19, 0.44, 0.22], kok: 1.2, p: 0.55 },
+    aycicek:       { ini: 0.35, mid: 1.00, end: 0.35, evreler: [0.19, 0.27, 0.35, 0.19], kok: 1.2, p: 0.45 },
+    pamuk:         { ini: 0.35, mid: 1.18, end: 0.60, evreler: [0.15, 0.26, 0.31, 0.28], kok: 1.3, p: 0.65 },
+    'seker pancari':{ ini: 0.35, mid: 1.20, end: 0.70, evreler: [0.16, 0.22, 0.31, 0.31], kok: 1.0, p: 0.55 },
+    cilek:         { ini: 0.40, mid: 0.85, end: 0.75, evreler: [0.20, 0.30, 0.30, 0.20], kok: 0.3, p: 0.20 },
+    uzum:          { ini: 0.30, mid: 0.85, end: 0.45, evreler: [0.08, 0.17, 0.50, 0.25], kok: 1.2, p: 0.45 },
+    elma:          { ini: 0.60, mid: 0.95, end: 0.75, evreler: [0.10, 0.33, 0.43, 0.14], kok: 1.5, p: 0.50 },
+};
+const SULAMA_KC_VARSAYILAN = { ini: 0.50, mid: 1.00, end: 0.70, evreler: [0.20, 0.30, 0.30, 0.20], kok: 0.8, p: 0.50 };
+
+// Toprak tipi → toplam kullanılabilir su (mm / m kök derinliği)
+const SULAMA_TOPRAK_TAW = [
+    { anahtar: 'kum',  taw: 70 },
+    { anahtar: 'kil',  taw: 180 },
+    { anahtar: 'tin',  taw: 140 },
+    { anahtar: 'mil',  taw: 150 },
+];
+const SULAMA_TOPRAK_TAW_VARSAYILAN = 140;
+
+const SULAMA_SISTEMLERI = { damla: 0.90, yagmurlama: 0.75, salma: 0.60 };
+const SULAMA_VARSAYILAN_RANDIMAN = 0.75;
+const SULAMA_GECMIS_GUN = 14;
+
+// Güneş dışı radyasyon Ra (mm/gün eşdeğeri) — FAO-56 Denklem 21
+function extraterrestrialRadiation(latDeg, dateStr) {
+    const d = new Date(dateStr + 'T12:00:00Z');
+    const J = Math.floor((d - Date.UTC(d.getUTCFullYear(), 0, 0)) / 86400000);
+    const phi = latDeg * Math.PI / 180;
+    const dr = 1 + 0.033 * Math.cos(2 * Math.PI * J / 365);
+    const delta = 0.409 * Math.sin(2 * Math.PI * J / 365 - 1.39);
+    const ws = Math.acos(Math.max(-1, Math.min(1, -Math.tan(phi) * Math.tan(delta))));
+    const raMJ = (24 * 60 / Math.PI) * 0.082 * dr *
+        (ws * Math.sin(phi) * Math.sin(delta) + Math.cos(phi) * Math.cos(delta) * Math.sin(ws));
+    return raMJ * 0.408;
+}
+
+// Hargreaves ET0 (mm/gün) — sadece min/maks sıcaklık gerektirir
+function hargreavesET0(tmax, tmin, latDeg, dateStr) {
+    if (!Number.isFinite(tmax) || !Number.isFinite(tmin)) return 0;
+    const ra = extraterrestrialRadiation(latDeg, dateStr);
+    return Math.max(0, 0.0023 * ((tmax + tmin) / 2 + 17.8) * Math.sqrt(Math.max(0, tmax - tmin)) * ra);
+}
+
+// FAO-56 Penman-Monteith ET0 (mm/gün) — nem (%) ve rüzgâr (km/sa, 10 m) varsa.
+// Ölçülmüş radyasyon yok: Rs sıcaklık farkından (Denklem 50, kRs=0.16), deniz seviyesi basıncı, G=0.
+function penmanMonteithET0(tmax, tmin, rh, windKmh, latDeg, dateStr) {
+    const e0 = t => 0.6108 * Math.exp(17.27 * t / (t + 237.3));
+    const t = (tmax + tmin) / 2;
+    const delta = 4098 * e0(t) / (t + 237.3) ** 2;
+    const gamma = 0.000665 * 101.3;
+    const es = (e0(tmax) + e0(tmin)) / 2;
+    const ea = es * Math.min(100, Math.max(0, rh)) / 100;
+    const u2 = windKmh / 3.6 * 0.748;                               // 10 m → 2 m (Denklem 47)
+    const ra = extraterrestrialRadiation(latDeg, dateStr) / 0.408;  // MJ/m²/gün
+    const rs = 0.16 * Math.sqrt(Math.max(0, tmax - tmin)) * ra;
+    const rso = 0.75 * ra;
+    const rnl = 4.903e-9 * (((tmax + 273.16) ** 4 + (tmin + 273.16) ** 4) / 2)
+        * (0.34 - 0.14 * Math.sqrt(ea)) * (1.35 * Math.min(1, rso > 0 ? rs / rso : 0) - 0.35);
+    const rn = 0.77 * rs - rnl;
+    const et0 = (0.408 * delta * rn + gamma * 900 / (t + 273) * u2 * (es - ea)) / (delta + gamma * (1 + 0.34 * u2));
+    return Math.max(0, et0);
+}
+
+// 5 mm altı yağış yüzeyden buharlaşır sayılır, üstünün %80'i toprağa geçer
+function effectiveRain(mm) {
+    return mm >= 5 ? mm * 0.8 : 0;
+}
+
+// Ekimden bu yana geçen güne göre gelişme evresi ve Kc (gelişme/son dönemde doğrusal geçiş)
+function cropKcForDay(kc, gun, toplamGun) {
+    const [fIni, fDev, fMid] = kc.evreler;
+    const x = Math.max(0, gun) / Math.max(1, toplamGun);
+    if (x <= fIni) return { evre: 'baslangic', kc: kc.ini };
+    if (x <= fIni + fDev) return { evre: 'gelisme', kc: kc.ini + (kc.mid - kc.ini) * (x - fIni) / fDev };
+    if (x <= fIni + fDev + fMid) return { evre: 'orta', kc: kc.mid };
+    const fLate = 1 - fIni - fDev - fMid;
+    return { evre: 'son', kc: kc.mid + (kc.end - kc.mid) * Math.min(1, (x - fIni - fDev - fMid) / fLate) };
+}
+
+function soilTaw(soilType) {
+    const key = normalizeCropKey(soilType);
+    return SULAMA_TOPRAK_TAW.find(t => key.includes(t.anahtar))?.taw || SULAMA_TOPRAK_TAW_VARSAYILAN;
+}
+
+// Saf hesap: günlük hava (geçmiş + tahmin) ve tarla bilgisinden sulama planı
+// daily: [{ date:'YYYY-MM-DD', tmax, tmin, precip, rh?, wind? }], today: 'YYYY-MM-DD'
+// sulamalar: [{ date, mm }] — kayıtlı sulamalar (uygulanan brüt mm); randıman kadarı kök bölgesine geçer,
+// eksilme sıfırın (tarla kapasitesi) altına inmez
+function computeIrrigationPlan({ daily, lat, product, ekimTarihi, tahminiHasat, soilType, sulamaSistemi, alanDonm, sonSulama, sulamalar = [], today }) {
+    const kc = SULAMA_KC_TABLOSU[normalizeCropKey(product)] || SULAMA_KC_VARSAYILAN;
+    const taw = soilTaw(soilType) * kc.kok;
+    const raw = kc.p * taw;
+    const randiman = SULAMA_SISTEMLERI[sulamaSistemi] || SULAMA_VARSAYILAN_RANDIMAN;
+    const ekim = new Date(ekimTarihi + 'T00:00:00Z');
+
+    const sulamaMm = new Map();
+    for (const s of sulamalar) sulamaMm.set(s.date, (sulamaMm.get(s.date) || 0) + (parseFloat(s.mm) || 0));
+
+    let eksilme = 0, oneri = null;   // pencerenin ilk günü tarla kapasitesinde varsayılır
+    const gunler = [];
+    for (const d of daily) {
+        const gun = Math.floor((new Date(d.date + 'T00:00:00Z') - ekim) / 86400000) + 1;
+        const { evre, kc: kcGun } = cropKcForDay(kc, gun, tahminiHasat);
+        const et0 = Number.isFinite(d.rh) && Number.isFinite(d.wind)
+            ? penmanMonteithET0(d.tmax, d.tmin, d.rh, d.wind, lat, d.date)
+            : hargreavesET0(d.tmax, d.tmin, lat, d.date);
+        const etc = et0 * kcGun;
+        const peff = effectiveRain(d.precip || 0);
+        const sulama = (sulamaMm.get(d.date) || 0) * randiman;
+        eksilme = Math.min(taw, Math.max(0, eksilme + etc - peff - sulama));
+        const tahmin = d.date >= today;
+        gunler.push({ date: d.date, tahmin, evre, kc: +kcGun.toFixed(2), et0: +et0.toFixed(1), etc: +etc.toFixed(1),
+                      yagis: +(d.precip || 0).toFixed(1), etkiliYagis: +peff.toFixed(1), sulama: +sulama.toFixed(1),
+                      eksilme: +eksilme.toFixed(1) });
+        if (!oneri && tahmin && eksilme >= raw) {
+            oneri = { tarih: d.date, netMm: +eksilme.toFixed(1), brutMm: +(eksilme / randiman).toFixed(1) };
+        }
+    }
+    if (oneri && alanDonm > 0) oneri.toplamM3 = +(oneri.brutMm * alanDonm).toFixed(1);   // 1 mm × 1 dekar = 1 m³
+
+    const bugun = gunler.find(g => g.date === today) || gunler[gunler.length - 1] || null;
+    return {
+        urun: product, evre: bugun?.evre || null, kc: bugun?.kc ?? null,
+        tawMm: +taw.toFixed(0), rawMm: +raw.toFixed(0), randiman,
+        eksilmeMm: bugun?.eksilme ?? 0, sonSulama: sonSulama || null,
+        oneri, gunler,
+    };
+}
+
+// Günlük geçmiş + tahmin (min/maks sıcaklık, yağış; saatlik veriden ortalama nem ve rüzgâr)
+async function getDailyWaterBalanceWeather(lat, lon) {
+    const f = await WeatherService.getForecast(lat, lon, { days: 7, pastDays: SULAMA_GECMIS_GUN, hourly: true });
+    if (!f) return null;
+    const saatlik = new Map();
+    for (const h of f.hourly || []) {
+        const g = saatlik.get(h.time.slice(0, 10)) || { rh: 0, wind: 0, n: 0 };
+        g.rh += h.rh; g.wind += h.windSpeed || 0; g.n++;
+        saatlik.set(h.time.slice(0, 10), g);
+    }
+    return f.daily.map(d => {
+        const g = saatlik.get(d.date);
+        return { date: d.date, tmax: d.high, tmin: d.low, precip: d.precipitation || 0,
+                 rh: g ? g.rh / g.n : null, wind: g ? g.wind / g.n : null };
+    });
+}
+
+// Tarla koordinatı: Farmbook tarla geometrisinin ağırlık merkezi, yoksa kullanıcı konumu
+function fieldGeometryCenter(geometry) {
+    const ring = geometry?.type === 'Polygon' ? geometry.coordinates?.[0]
+               : geometry?.type === 'MultiPolygon' ? geometry.coordinates?.[0]?.[0] : null;
+    if (!Array.isArray(ring) || !ring.length) return null;
+    const lon = ring.reduce((a, p) => a + p[0], 0) / ring.length;
+    const lat = ring.reduce((a, p) => a + p[1], 0) / ring.length;
+    return Number.isFinite(lat) && Number.isFinite(lon) ? { lat, lon } : null;
+}
+
+const SULAMA_TARLA_SQL = `
+    SELECT t.id, t.name, t.product, t."alanDonm", t."tahminiHasat", t."gddHasatTarihi", t."sulamaSistemi", t."fieldId", t."createdAt",
+           f."soilType", f.geometry,
+           (SELECT MAX(r."recordDate") FROM farmbook_records r
+             WHERE r."userId" = t."userId" AND r."fieldId" = t."fieldId" AND r."recordType" = 'sulama') AS "sonSulama",
+           (SELECT COALESCE(json_agg(json_build_object('date', r."recordDate", 'mm', r.quantity::float8)), '[]'::json)
+              FROM farmbook_records r
+             WHERE r."userId" = t."userId" AND r."fieldId" = t."fieldId" AND r."recordType" = 'sulama' AND r.unit = 'mm'
+               AND r."recordDate" >= CURRENT_DATE - ${SULAMA_GECMIS_GUN}) AS sulamalar
+    FROM hasat_tarlalar t
+    LEFT JOIN farmbook_fields f ON f.id = t."fieldId"`;
+
+async function buildIrrigationAdvice(tarla, userGeo) {
+    const geo = fieldGeometryCenter(tarla.geometry) || userGeo;
+    if (!geo) return { tarlaId: tarla.id, name: tarla.name, error: 'Konum bulunamadı' };
+    const daily = await getDailyWaterBalanceWeather(geo.lat, geo.lon);
+    if (!daily) return { tarlaId: tarla.id, name: tarla.name, error: 'Hava verisi alınamadı' };
+    const plan = computeIrrigationPlan({
+        daily, lat: geo.lat,
+        product: tarla.product,
+        ekimTarihi: toLocalDateStr(new Date(tarla.createdAt)),
+        // GDD ile tahmin edilen sezon uzunluğu varsa Kc evreleri ona göre ölçeklenir
+        tahminiHasat: tarla.gddHasatTarihi
+            ? Math.max(1, Math.round((new Date(tarla.gddHasatTarihi) - new Date(tarla.createdAt)) / 86400000))
+            : (tarla.tahminiHasat || 90),
+        soilType: tarla.soilType,
+        sulamaSistemi: tarla.sulamaSistemi,
+        alanDonm: parseFloat(tarla.alanDonm) || 0,
+        sonSulama: tarla.sonSulama ? toLocalDateStr(new Date(tarla.sonSulama)) : null,
+        sulamalar: tarla.sulamalar || [],
+        today: toLocalDateStr(new Date()),
+    });
+    return { tarlaId: tarla.id, name: tarla.name, konum: geo, ...plan };
+}
+
+async function getUserGeoForIrrigation(req) {
+    const latQ = parseFloat(req.query.lat), lonQ = parseFloat(req.query.lon);
+    if (Number.isFinite(latQ) && Number.isFinite(lonQ)) return { lat: latQ, lon: lonQ };
+    const u = await dbGet(`${DISEASE_RISK_USER_SQL} WHERE u.id = $1`, [req.user.id]);
+    return u ? resolveUserCoords(u) : null;
+}
+
+// GET /api/hasat-takip/sulama — tüm tarlalar için sulama önerisi (?lat=&lon= konumu ezer)
+app.get('/api/hasat-takip/sulama', authenticateToken, async (req, res) => {
+    try {
+        const tarlalar = await dbAll(`${SULAMA_TARLA_SQL} WHERE t."userId" = $1 ORDER BY t."createdAt" DESC`, [req.user.id]);
+        const userGeo = await getUserGeoForIrrigation(req);
+        const sonuc = [];
+        for (const t of tarlalar) sonuc.push(await buildIrrigationAdvice(t, userGeo));
+        res.json({ tarlalar: sonuc });
+    } catch (e) {
+        console.error('[sulama]', e.message);
+        res.status(500).json({ error: 'Sunucu hatası' });
+    }
+});
+
+// GET /api/hasat-takip/tarlalar/:id/sulama — tek tarla, günlük su dengesiyle birlikte
+app.get('/api/hasat-takip/tarlalar/:id/sulama', authenticateToken, async (req, res) => {
+    try {
+        if (!isValidUUID(req.params.id)) return res.status(400).json({ error: 'Geçersiz ID' });
+        const tarla = await dbGet(`${SULAMA_TARLA_SQL} WHERE t.id = $1 AND t."userId" = $2`, [req.params.id, req.user.id]);
+        if (!tarla) return res.status(404).json({ error: 'Tarla bulunamadı' });
+        const advice = await buildIrrigationAdvice(tarla, await getUserGeoForIrrigation(req));
+        if (advice.error) return res.status(400).json(advice);
+        res.json(advice);
+    } catch (e) {
+        console.error('[sulama tarla]', e.message);
+        res.status(500).json({ error: 'Sunucu hatası' });
+    }
+});
+
+// POST /api/hasat-takip/tarlalar/:id/sulama — { miktarMm, tarih?, sulamaSistemi?, maliyet?, not? }
+// Farmbook'a 'sulama' kaydı düşer; tarla henüz bir Farmbook tarlasına bağlı değilse aynı isimle bağlanır.
+app.post('/api/hasat-takip/tarlalar/:id/sulama', authenticateToken, async (req, res) => {
+    try {
+        if (!isValidUUID(req.params.id)) return res.status(400).json({ error: 'Geçersiz ID' });
+        const { miktarMm, tarih, sulamaSistemi, maliyet, not } = req.body || {};
+        const mm = parseFloat(miktarMm);
+        if (!Number.isFinite(mm) || mm <= 0 || mm > 300) return res.status(400).json({ error: 'Geçerli bir sulama miktarı (mm) girin' });
+        const recordDate = tarih ? parseFarmbookDate(tarih) : toLocalDateStr(new Date());
+        if (!recordDate) return res.status(400).json({ error: 'Geçersiz tarih' });
+        if (sulamaSistemi && !SULAMA_SISTEMLERI[sulamaSistemi])
+            return res.status(400).json({ error: `Sulama sistemi: ${Object.keys(SULAMA_SISTEMLERI).join(', ')}` });
+
+        const tarla = await dbGet('SELECT * FROM hasat_tarlalar WHERE id=$1 AND "userId"=$2', [req.params.id, req.user.id]);
+        if (!tarla) return res.status(404).json({ error: 'Tarla bulunamadı' });
+
+        let field = tarla.fieldId
+            ? await dbGet('SELECT * FROM farmbook_fields WHERE id=$1 AND "userId"=$2', [tarla.fieldId, req.user.id])
+            : null;
+        if (!field) {
+            field = await resolveFarmbookField(req.user.id, { fieldName: tarla.name, fieldSize: tarla.alanDonm, fieldSizeUnit: 'dekar' });
+            await dbRun('UPDATE hasat_tarlalar SET "fieldId"=$1 WHERE id=$2', [field.id, tarla.id]);
+        }
+        if (sulamaSistemi) await dbRun('UPDATE hasat_tarlalar SET "sulamaSistemi"=$1 WHERE id=$2', [sulamaSistemi, tarla.id]);
+
+        const id = uuidv4();
+        await dbRun(`INSERT INTO farmbook_records (id,"userId","recordType","productName",quantity,unit,cost,"recordDate","fieldId","fieldName","fieldSize","fieldSizeUnit",year,notes,"createdAt","updatedAt")
+                     VALUES ($1,$2,'sulama',$3,$4,'mm',$5,$6,$7,$8,$9,$10,$11,$12,NOW(),NOW())`,
+            [id, req.user.id, tarla.product, mm, parseFloat(maliyet) || 0, recordDate, field.id, field.name,
+             field.area || tarla.alanDonm || null, field.areaUnit || 'dekar', parseInt(recordDate.slice(0, 4)),
+             (not != null ? String(not).trim().slice(0, 500) : '') || (sulamaSistemi ? `Sulama sistemi: ${sulamaSistemi}` : null)]);
+        const record = await dbGet(`SELECT ${FARMBOOK_RECORD_COLS} FROM farmbook_records WHERE id=$1`, [id]);
+        res.status(201).json({ success: true, record });
+    } catch (e) {
+        console.error('[sulama kayıt]', e.message);
+        res.status(500).json({ error: 'Sunucu hatası' });
+    }
+});
+
+
+// =============================================================================
+// 🌡️ BÜYÜME DERECE GÜNÜ (GDD) — hasat-takip tarlaları için evre ve hasat tahmini
+// =============================================================================
+// Günlük GDD = max(0, (min(Tmaks, tavan) + max(Tmin, taban)) / 2 − taban)
+// Ekimden (tarla createdAt) düne kadar gözlenen sıcaklıklar hava_gunluk tablosunda 0.1°'lik
+// konum ızgarasında saklanır (aynı bölgedeki tarlalar veriyi paylaşır). İleriye dönük toplam:
+// 7 günlük tahmin + sonrası için geçen yılın aynı günleri. Sonuçlar tarlaya yazılır ve
+// /api/hasat-takip/tarlalar bunları döner; sabit "tahminiHasat" sadece GDD hedefi olmayan ürünlerde kullanılır.
+
+// Evre hedefleri ekimden itibaren kümülatif °C·gün — yaygın çeşitler için yaklaşık değerler
+const GDD_URUN_TABLOSU = {
+    domates:   { taban: 10, tavan: 30, cikis: 90,  ciceklenme: 550,  olgunluk: 1250 },
+    biber:     { taban: 10, tavan: 30, cikis: 110, ciceklenme: 650,  olgunluk: 1350 },
+    patlican:  { taban: 10, tavan: 30, cikis: 110, ciceklenme: 650,  olgunluk: 1300 },
+    salatalik: { taban: 10, tavan: 32, cikis: 80,  ciceklenme: 420,  olgunluk: 750 },
+    karpuz:    { taban: 10, tavan: 32, cikis: 100, ciceklenme: 550,  olgunluk: 1100 },
+    kavun:     { taban: 10, tavan: 32, cikis: 100, ciceklenme: 550,  olgunluk: 1050 },
+    fasulye:   { taban: 10, tavan: 30, cikis: 100, ciceklenme: 600,  olgunluk: 1100 },
+    misir:     { taban: 10, tavan: 30, cikis: 120, ciceklenme: 780,  olgunluk: 1500 },
+    pamuk:     { taban: 15, tavan: 32, cikis: 60,  ciceklenme: 480,  olgunluk: 1250 },
+    aycicek:   { taban: 7,  tavan: 30, cikis: 160, ciceklenme: 950,  olgunluk: 1550 },
+    patates:   { taban: 7,  tavan: 30, cikis: 250, ciceklenme: 650,  olgunluk: 1400 },
+    sogan:     { taban: 5,  tavan: 30, cikis: 200, ciceklenme: 1000, olgunluk: 1800 },
+    bugday:    { taban: 0,  tavan: 30, cikis: 150, ciceklenme: 1150, olgunluk: 1750 },
+    arpa:      { taban: 0,  tavan: 30, cikis: 140, ciceklenme: 1050, olgunluk: 1550 },
+};
+const GDD_EVRELER = [
+    { id: 'cikis',      ad: 'Çıkış' },
+    { id: 'ciceklenme', ad: 'Çiçeklenme' },
+    { id: 'olgunluk',   ad: 'Olgunluk (hasat)' },
+];
+const GDD_UFUK_GUN = 240;              // bugünden sonra en fazla bu kadar gün ileriye tahmin
+const GDD_ARSIV_GECIKME_GUN = 6;       // arşiv API son ~5 günü henüz içermez
+
+function dateAddDays(dateStr, n) {
+    const d = new Date(dateStr + 'T00:00:00Z');
+    d.setUTCDate(d.getUTCDate() + n);
+    return d.toISOString().slice(0, 10);
+}
+
+function dailyGdd(tmax, tmin, t) {
+    if (!Number.isFinite(tmax) || !Number.isFinite(tmin)) return 0;
+    return Math.max(0, (Math.min(tmax, t.tavan) + Math.max(tmin, t.taban)) / 2 - t.taban);
+}
+
+// Saf hesap: gunluk = [{ date, tmax, tmin, kaynak: 'gozlem'|'tahmin'|'gecen_yil' }] tarih sıralı
+function projectPhenology(gunluk, product, today) {
+    const t = GDD_URUN_TABLOSU[normalizeCropKey(product)];
+    if (!t) return null;
+    let toplam = 0, gozlenen = 0;
+    const evreler = GDD_EVRELER.map(e => ({ ...e, hedefGdd: t[e.id], tarih: null, gerceklesti: false, kaynak: null }));
+    for (const g of gunluk) {
+        toplam += dailyGdd(g.tmax, g.tmin, t);
+        if (g.date < today) gozlenen = toplam;
+        for (const e of evreler) {
+            if (!e.tarih && toplam >= e.hedefGdd) {
+                e.tarih = g.date;
+                e.kaynak = g.kaynak;
+                e.gerceklesti = g.date < today;
+            }
+        }
+    }
+    const evre = [...evreler].reverse().find(e => e.gerceklesti)?.id || 'ekim';
+    return {
+        taban: t.taban, toplamGdd: Math.round(gozlenen), evre, evreler,
+        hasatTarihi: evreler.find(e => e.id === 'olgunluk').tarih,
+    };
+}
+
+// Arşivden günlük min/maks sıcaklık
+async function fetchArchiveTemps(lat, lon, start, end) {
+    const rows = await WeatherService.getArchive(lat, lon, start, end);
+    return rows.map(r => ({ date: r.date, tmax: r.high, tmin: r.low }));
+}
+
+async function saveHavaGunluk(konum, rows) {
+    if (!rows.length) return;
+    await pool.query(
+        `INSERT INTO hava_gunluk (konum, date, tmax, tmin)
+         SELECT $1, * FROM unnest($2::date[], $3::float8[], $4::float8[])
+         ON CONFLICT (konum, date) DO NOTHING`,
+        [konum, rows.map(r => r.date), rows.map(r => r.tmax), rows.map(r => r.tmin)]);
+}
 
-        // Resmi işle
-        const filename = `hasat_${uuidv4().slice(0,12)}.webp`;
-        const dest = path.join(postsDir, filename);
-        await processImage(req.file.path, dest, { width: 1080, height: 1080, fit: 'inside', quality: 78, effort: 4 });
-        await require('fs').promises.unlink(req.file.path).catch(()=>{});
+// [start, end] aralığında eksik günleri arşivden tamamlar (end en fazla bugün − gecikme)
+async function ensureHavaGunluk(konum, lat, lon, start, end) {
+    if (start > end) return;
+    const eksik = await dbGet(
+        `SELECT MIN(d)::date::text AS ilk, MAX(d)::date::text AS son
+         FROM generate_series($2::date, $3::date, INTERVAL '1 day') d
+         WHERE NOT EXISTS (SELECT 1 FROM hava_gunluk h WHERE h.konum = $1 AND h.date = d::date)`,
+        [konum, start, end]);
+    if (!eksik?.ilk) return;
+    await saveHavaGunluk(konum, await fetchArchiveTemps(lat, lon, eksik.ilk, eksik.son));
+}
 
-        const fotoUrl = `/uploads/posts/${filename}`;
-        const ms = Date.now() - new Date(tarla.rows[0].createdAt).getTime();
-        const gun = Math.floor(ms / (1000*60*60*24)) + 1;
+// Hesaplanamayan tarlalar da damgalanır — yoksa "gddGuncellendi" NULL kalıp refreshStaleHasatGdd kuyruğunun başını tıkarlar
+function stampHasatGdd(tarlaId) {
+    return dbRun(`UPDATE hasat_tarlalar SET "gddGuncellendi"=NOW() WHERE id=$1`, [tarlaId]);
+}
 
-        const fotoId = uuidv4();
-        await pool.query(
-            `INSERT INTO hasat_fotolar (id,"tarlaId",url,gun) VALUES ($1,$2,$3,$4)`,
-            [fotoId, req.params.id, fotoUrl, gun]
-        );
-        await pool.query(
-            `UPDATE hasat_tarlalar SET "lastPhoto"=$1 WHERE id=$2`,
-            [fotoUrl, req.params.id]
-        );
+// Tarlanın GDD serisini kurar, evreleri hesaplar ve tarlaya yazar
+async function refreshHasatGdd(tarla, userGeo) {
+    if (!GDD_URUN_TABLOSU[normalizeCropKey(tarla.product)]) { await stampHasatGdd(tarla.id); return null; }
+    const geo = fieldGeometryCenter(tarla.geometry) || userGeo;
+    if (!geo) { await stampHasatGdd(tarla.id); return null; }
+    const lat = +geo.lat.toFixed(1), lon = +geo.lon.toFixed(1);
+    const konum = `${lat},${lon}`;
+    const today = toLocalDateStr(new Date());
+    const ekim = toLocalDateStr(new Date(tarla.createdAt));
+    const arsivSon = dateAddDays(today, -GDD_ARSIV_GECIKME_GUN - 1);
+
+    // Son günler + 7 günlük tahmin (sulama danışmanıyla aynı istek/cache)
+    const yakin = (await getDailyWaterBalanceWeather(lat, lon)) || [];
+    await saveHavaGunluk(konum, yakin.filter(r => r.date < today && Number.isFinite(r.tmax) && Number.isFinite(r.tmin)));
+    await ensureHavaGunluk(konum, lat, lon, ekim, arsivSon);
+    // Geçen yılın aynı dönemi (tahmin ufkunun ötesi için)
+    const ufuk = dateAddDays(today, GDD_UFUK_GUN);
+    await ensureHavaGunluk(konum, lat, lon, dateAddDays(today, -365), dateAddDays(ufuk, -365));
+
+    const gozlem = await dbAll(
+        `SELECT date::text AS date, tmax, tmin FROM hava_gunluk WHERE konum=$1 AND date >= $2 AND date < $3 ORDER BY date`,
+        [konum, ekim, today]);
+    const tahmin = yakin.filter(r => r.date >= today);
+    const tahminSon = tahmin.length ? tahmin[tahmin.length - 1].date : dateAddDays(today, -1);
+    const gecenYil = await dbAll(
+        `SELECT (date + INTERVAL '1 year')::date::text AS date, tmax, tmin FROM hava_gunluk
+         WHERE konum=$1 AND date > ($2::date - INTERVAL '1 year') AND date <= ($3::date - INTERVAL '1 year') ORDER BY date`,
+        [konum, tahminSon, ufuk]);
+
+    const seri = [
+        ...gozlem.map(r => ({ ...r, kaynak: 'gozlem' })),
+        ...tahmin.map(r => ({ ...r, kaynak: 'tahmin' })),
+        ...gecenYil.map(r => ({ ...r, kaynak: 'gecen_yil' })),
+    ];
+    const sonuc = projectPhenology(seri, tarla.product, today);
+    await dbRun(
+        `UPDATE hasat_tarlalar SET "gddToplam"=$1, "gddEvre"=$2, "gddEvreler"=$3, "gddHasatTarihi"=$4, "gddGuncellendi"=NOW() WHERE id=$5`,
+        [sonuc.toplamGdd, sonuc.evre, JSON.stringify(sonuc.evreler), sonuc.hasatTarihi, tarla.id]);
+    return { ...sonuc, konum: { lat, lon } };
+}
 
-        res.json({ foto: { id:fotoId, url:fotoUrl, gun }, tarla: { gun } });
-    } catch(e) { console.error('[hasat foto]', e.message); res.status(500).json({ error: 'Sunucu hatası' }); }
-});
+async function getUserGeoById(userId) {
+    const u = await dbGet(`${DISEASE_RISK_USER_SQL} WHERE u.id = $1`, [userId]);
+    return u ? resolveUserCoords(u) : null;
+}
 
-// POST /api/hasat-takip/tarlalar/:id/not
-app.post('/api/hasat-takip/tarlalar/:id/not', authenticateToken, async (req, res) => {
+const GDD_TARLA_SQL = `SELECT t.*, f.geometry FROM hasat_tarlalar t LEFT JOIN farmbook_fields f ON f.id = t."fieldId"`;
+
+async function refreshHasatGddById(tarlaId) {
+    const tarla = await dbGet(`${GDD_TARLA_SQL} WHERE t.id = $1`, [tarlaId]);
+    return tarla ? refreshHasatGdd(tarla, await getUserGeoById(tarla.userId)) : null;
+}
+
+// Süresi geçmiş GDD hesaplarını yeniler — her çalıştırmada tek worker (advisory lock)
+async function refreshStaleHasatGdd(limit = 50) {
+    const client = await pool.connect();
     try {
-        const { not } = req.body;
-        if (!not?.trim()) return res.status(400).json({ error: 'Not gerekli' });
-        // Son fotoğrafa not ekle
-        await pool.query(
-            `UPDATE hasat_fotolar SET "not"=$1 WHERE "tarlaId"=$2 ORDER BY "createdAt" DESC LIMIT 1`,
-            [not.trim(), req.params.id]
+        const { rows: [{ locked }] } = await client.query(
+            `SELECT pg_try_advisory_lock(hashtext('agrolink_hasat_gdd')) AS locked`
         );
-        res.json({ success: true });
-    } catch(e) { res.status(500).json({ error: 'Sunucu hatası' }); }
+        if (!locked) return;
+        try {
+            const { rows } = await client.query(
+                `${GDD_TARLA_SQL}
+                 WHERE (t."gddGuncellendi" IS NULL OR t."gddGuncellendi" < NOW() - INTERVAL '12 hours')
+                   AND t."createdAt" > NOW() - INTERVAL '365 days'
+                   AND (t."gddHasatTarihi" IS NULL OR t."gddHasatTarihi" > CURRENT_DATE - 30)
+                 ORDER BY t."gddGuncellendi" ASC NULLS FIRST
+                 LIMIT $1`,
+                [limit]
+            );
+            for (const t of rows) {
+                await refreshHasatGdd(t, await getUserGeoById(t.userId)).catch(e => console.warn('[gdd]', t.id, e.message));
+            }
+        } finally {
+            await client.query(`SELECT pg_advisory_unlock(hashtext('agrolink_hasat_gdd'))`).catch(() => {});
+        }
+    } finally {
+        client.release();
+    }
+}
+setTimeout(() => refreshStaleHasatGdd().catch(e => console.error('[gdd]', e.message)), 2 * 60 * 1000);
+setInterval(() => refreshStaleHasatGdd().catch(e => console.error('[gdd]', e.message)), 3 * 60 * 60 * 1000);
+
+// GET /api/hasat-takip/tarlalar/:id/gdd — evreleri şimdi yeniden hesaplar
+app.get('/api/hasat-takip/tarlalar/:id/gdd', authenticateToken, async (req, res) => {
+    try {
+        if (!isValidUUID(req.params.id)) return res.status(400).json({ error: 'Geçersiz ID' });
+        const tarla = await dbGet(`${GDD_TARLA_SQL} WHERE t.id=$1 AND t."userId"=$2`, [req.params.id, req.user.id]);
+        if (!tarla) return res.status(404).json({ error: 'Tarla bulunamadı' });
+        if (!GDD_URUN_TABLOSU[normalizeCropKey(tarla.product)])
+            return res.status(400).json({ error: 'Bu ürün için GDD hedefleri tanımlı değil', urunler: Object.keys(GDD_URUN_TABLOSU) });
+        const sonuc = await refreshHasatGdd(tarla, await getUserGeoById(req.user.id));
+        if (!sonuc) return res.status(400).json({ error: 'Tarla konumu bulunamadı' });
+        res.json({ tarlaId: tarla.id, product: tarla.product, ...sonuc });
+    } catch (e) {
+        console.error('[gdd tarla]', e.message);
+        res.status(500).json({ error: 'Sunucu hatası' });
+    }
 });
 
-// GET /tarim/tarla/:id — Public paylaşım sayfası
-app.get('/tarim/tarla/:id', async (req, res) => {
+
+
+// =============================================================================
+// 🧪 İLAÇ KAYIT SİSTEMİ — Hasat öncesi bekleme süresi (PHI) takibi / İyi Tarım
+// =============================================================================
+// pesticide_catalog          : yerel ilaç kataloğu (ticari ad + etken madde)
+// pesticide_crop_intervals   : ürün bazında PHI (gün) ve tarlaya giriş yasağı (REI, saat)
+// farmbook_records.pesticideId: ilaç kaydının katalog bağlantısı
+// Uyarılar /api/farmbook/records ve /api/hasat-takip/tarlalar yanıtlarında "phiWarnings" olarak döner.
+
+// Başlangıç kataloğu — değerler ruhsat etiketlerindeki tipik PHI/REI süreleridir,
+// admin panelinden (/api/admin/pesticides) güncellenmelidir.
+const PESTICIDE_SEED = [
+    { id:'deltamethrin-25ec',        tradeName:'Deltamethrin 25 EC',          activeIngredient:'Deltamethrin 25 g/L',          group:'insektisit', intervals:{ domates:[3,24], biber:[3,24], elma:[7,24], bugday:[30,24], patates:[7,24] } },
+    { id:'abamectin-18ec',           tradeName:'Abamectin 18 EC',             activeIngredient:'Abamectin 18 g/L',             group:'akarisit',   intervals:{ domates:[3,12], biber:[3,12], salatalik:[3,12], cilek:[3,12], elma:[28,12] } },
+    { id:'chlorantraniliprole-200sc',tradeName:'Chlorantraniliprole 200 SC',  activeIngredient:'Chlorantraniliprole 200 g/L',  group:'insektisit', intervals:{ domates:[1,4], elma:[14,4], misir:[14,4], uzum:[14,4] } },
+    { id:'imidacloprid-350sc',       tradeName:'Imidacloprid 350 SC',         activeIngredient:'Imidacloprid 350 g/L',         group:'insektisit', intervals:{ domates:[3,12], biber:[3,12], patates:[14,12], pamuk:[21,12] } },
+    { id:'mancozeb-80wp',            tradeName:'Mancozeb 80 WP',              activeIngredient:'Mancozeb %80',                 group:'fungisit',   intervals:{ domates:[7,24], patates:[7,24], uzum:[28,24], sogan:[14,24] } },
+    { id:'copper-hydroxide-50wp',    tradeName:'Bakır Hidroksit 50 WP',       activeIngredient:'Bakır hidroksit %50',          group:'fungisit',   intervals:{ domates:[3,24], uzum:[21,24], findik:[21,24], elma:[14,24] } },
+    { id:'tebuconazole-250ew',       tradeName:'Tebuconazole 250 EW',         activeIngredient:'Tebuconazole 250 g/L',         group:'fungisit',   intervals:{ bugday:[35,12], arpa:[35,12], elma:[14,12], uzum:[14,12] } },
+    { id:'sulfur-80wg',              tradeName:'Kükürt 80 WG',                activeIngredient:'Kükürt %80',                   group:'fungisit',   intervals:{ uzum:[7,24], domates:[3,24], salatalik:[3,24] } },
+    { id:'glyphosate-480sl',         tradeName:'Glyphosate 480 SL',           activeIngredient:'Glyphosate IPA 480 g/L',       group:'herbisit',   intervals:{ bugday:[7,12], misir:[7,12], aycicek:[7,12] } },
+    { id:'2-4d-amine-500sl',         tradeName:'2,4-D Amin 500 SL',           activeIngredient:'2,4-D dimetilamin 500 g/L',    group:'herbisit',   intervals:{ bugday:[60,48], arpa:[60,48], misir:[60,48] } },
+];
+
+// initializeDatabase() içinden, farmbook_fields oluşturulduktan sonra çağrılır —
+// farmbook_records / hasat_tarlalar kolonları bu tablolara referans verir.
+async function initializePesticideCatalog() {
     try {
-        const tarla = await pool.query(
-            `SELECT t.*, u.name as "userName" FROM hasat_tarlalar t JOIN users u ON u.id=t."userId" WHERE t.id=$1`,
-            [req.params.id]
-        );
-        if (!tarla.rows[0]) return res.status(404).send('<h1>Bulunamadı</h1>');
-        const t = tarla.rows[0];
-        const ms = Date.now() - new Date(t.createdAt).getTime();
-        const gun = Math.floor(ms / (1000*60*60*24)) + 1;
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS pesticide_catalog (
+                id                 TEXT PRIMARY KEY,
+                "tradeName"        TEXT NOT NULL,
+                "activeIngredient" TEXT NOT NULL,
+                "group"            TEXT,
+                "registrationNo"   TEXT,
+                "isActive"         BOOLEAN NOT NULL DEFAULT TRUE,
+                "createdAt"        TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+                "updatedAt"        TIMESTAMPTZ NOT NULL DEFAULT NOW()
+            );
+            CREATE TABLE IF NOT EXISTS pesticide_crop_intervals (
+                "pesticideId" TEXT NOT NULL REFERENCES pesticide_catalog(id) ON DELETE CASCADE,
+                crop          TEXT NOT NULL,
+                "phiDays"     INT NOT NULL,
+                "reiHours"    INT NOT NULL DEFAULT 24,
+                PRIMARY KEY ("pesticideId", crop)
+            );
+        `);
+        await pool.query(`ALTER TABLE farmbook_records ADD COLUMN IF NOT EXISTS "pesticideId" TEXT REFERENCES pesticide_catalog(id) ON DELETE SET NULL`);
+        await ensureHasatFieldIdColumn();
+        for (const p of PESTICIDE_SEED) {
+            await pool.query(
+                `INSERT INTO pesticide_catalog (id,"tradeName","activeIngredient","group") VALUES ($1,$2,$3,$4) ON CONFLICT (id) DO NOTHING`,
+                [p.id, p.tradeName, p.activeIngredient, p.group]);
+            for (const [crop, [phi, rei]] of Object.entries(p.intervals)) {
+                await pool.query(
+                    `INSERT INTO pesticide_crop_intervals ("pesticideId",crop,"phiDays","reiHours") VALUES ($1,$2,$3,$4) ON CONFLICT DO NOTHING`,
+                    [p.id, crop, phi, rei]);
+            }
+        }
+        console.log('✅ İlaç kataloğu (PHI) tabloları hazır');
+    } catch(e) { console.error('[pesticide migration]', e.message); }
+}
 
-        const { rows: fotos } = await pool.query(
-            `SELECT url, gun FROM hasat_fotolar WHERE "tarlaId"=$1 ORDER BY gun ASC LIMIT 20`,
-            [req.params.id]
-        );
+// hasat_tarlalar modül yüklenirken (IIFE), farmbook_fields initializeDatabase içinde oluşuyor;
+// sıra garanti olmadığı için iki taraf da çağırır, ikinci tablo hazır olduğunda kolon eklenir.
+async function ensureHasatFieldIdColumn() {
+    const { rows: [t] } = await pool.query(
+        `SELECT to_regclass('hasat_tarlalar') IS NOT NULL AS hasat, to_regclass('farmbook_fields') IS NOT NULL AS fields`);
+    if (!t.hasat || !t.fields) return;
+    await pool.query(`ALTER TABLE hasat_tarlalar ADD COLUMN IF NOT EXISTS "fieldId" UUID REFERENCES farmbook_fields(id) ON DELETE SET NULL`)
+        .catch(e => console.error('[hasat fieldId migration]', e.message));
+}
 
-        const fotosHtml = fotos.map(f =>
-            `<div style="text-align:center">
-                <img src="${f.url}" style="width:100%;border-radius:16px;object-fit:cover;height:200px">
-                <p style="font-size:12px;opacity:.7;margin:4px 0">Gün ${f.gun}</p>
-             </div>`
-        ).join('');
+// pg DATE kolonları yerel gece yarısı Date olarak gelir — toISOString() UTC'ye kaydırıp bir gün geri atabilir
+function toLocalDateStr(d) {
+    const dt = d instanceof Date ? d : new Date(d);
+    return `${dt.getFullYear()}-${String(dt.getMonth() + 1).padStart(2, '0')}-${String(dt.getDate()).padStart(2, '0')}`;
+}
 
-        res.type('html').send(`<!DOCTYPE html><html><head><meta charset="UTF-8">
-  <link rel="icon" type="image/png" href="/agro.png">
-<title>🌱 ${t.name} — ${gun} Günlük ${t.product}</title>
-<meta property="og:title" content="${t.userName} - ${gun} Günlük ${t.product} Tarlası">
-<meta property="og:description" content="${t.name} | ${t.alanDonm} dönüm | Agro Sosyal">
-${t.lastPhoto ? `<meta property="og:image" content="${t.lastPhoto}">` : ''}
-<meta name="viewport" content="width=device-width,initial-scale=1">
-<style nonce="${res.locals.cspNonce}">body{font-family:sans-serif;background:#0f2416;color:white;padding:20px;max-width:480px;margin:0 auto}
-h1{font-size:1.5em}
-.grid{display:grid;grid-template-columns:1fr 1fr;gap:8px;margin:16px 0}
-.stat{background:rgba(16,185,129,.2);border-radius:16px;padding:16px;text-align:center}
-.stat strong{display:block;font-size:2em;color:#10b981}
-a{display:block;padding:16px;background:#10b981;color:white;border-radius:16px;font-weight:900;text-align:center;text-decoration:none;margin-top:16px}</style>
-</head><body>
-<h1>🌱 ${t.name}</h1>
-<p>${t.userName} — ${t.product}</p>
-<div class="grid">
-  <div class="stat"><strong>${gun}</strong>gün geçti</div>
-  <div class="stat"><strong>${t.alanDonm||'?'}</strong>dönüm</div>
-  <div class="stat"><strong>${fotos.length}</strong>fotoğraf</div>
-  <div class="stat"><strong>${Math.round((gun/(t.tahminiHasat||90))*100)}%</strong>tamamlandı</div>
-</div>
-<div class="grid">${fotosHtml}</div>
-<a href="/">Agro Sosyal'de Takip Et 🌾</a>
-</body></html>`);
-    } catch(e) { res.status(500).send('Hata'); }
-});
+// Kullanıcının son 180 gündeki katalog bağlantılı ilaç uygulamalarından PHI pencerelerini üretir.
+// Ürün, aynı tarladaki uygulamadan önceki son "ekim" kaydından bulunur; bulunamazsa
+// ilacın en uzun PHI süresi kullanılır (ihtiyatlı varsayım).
+async function getPhiWindows(userId, { fieldIds } = {}) {
+    const params = [userId];
+    let fieldCond = '';
+    if (fieldIds?.length) { params.push(fieldIds); fieldCond = `AND r."fieldId" = ANY($2::uuid[])`; }
+    const apps = await dbAll(
+        `SELECT r.id, r."fieldId", r."fieldName", r."recordDate", r."pesticideId",
+                p."tradeName", p."activeIngredient",
+                (SELECT e."productName" FROM farmbook_records e
+                 WHERE e."userId"=r."userId" AND e."fieldId"=r."fieldId" AND e."recordType"='ekim' AND e."recordDate"<=r."recordDate"
+                 ORDER BY e."recordDate" DESC LIMIT 1) AS crop
+         FROM farmbook_records r
+         JOIN pesticide_catalog p ON p.id = r."pesticideId"
+         WHERE r."userId"=$1 AND r."recordType"='ilac' AND r."fieldId" IS NOT NULL
+           AND r."recordDate" > CURRENT_DATE - INTERVAL '180 days' ${fieldCond}
+         ORDER BY r."recordDate" DESC`, params);
+    if (!apps.length) return [];
+
+    const intervals = await dbAll(
+        `SELECT "pesticideId", crop, "phiDays", "reiHours" FROM pesticide_crop_intervals WHERE "pesticideId" = ANY($1::text[])`,
+        [[...new Set(apps.map(a => a.pesticideId))]]);
+    const today = new Date(); today.setHours(0, 0, 0, 0);
+
+    return apps.map(a => {
+        const list = intervals.filter(i => i.pesticideId === a.pesticideId);
+        const cropKey = normalizeCropKey(a.crop);
+        const exact = list.find(i => i.crop === cropKey);
+        const iv = exact || list.reduce((m, i) => (!m || i.phiDays > m.phiDays ? i : m), null);
+        if (!iv) return null;
+        const appDate = new Date(a.recordDate); appDate.setHours(0, 0, 0, 0);
+        const safe = new Date(appDate); safe.setDate(safe.getDate() + iv.phiDays);
+        return {
+            recordId: a.id, fieldId: a.fieldId, fieldName: a.fieldName,
+            pesticideId: a.pesticideId, tradeName: a.tradeName, activeIngredient: a.activeIngredient,
+            crop: a.crop || null, cropMatched: !!exact,
+            applicationDate: toLocalDateStr(appDate),
+            phiDays: iv.phiDays, reiHours: iv.reiHours,
+            safeHarvestDate: toLocalDateStr(safe),
+            reentryAllowedAt: new Date(appDate.getTime() + iv.reiHours * 3600000).toISOString(),
+            active: safe > today,
+        };
+    }).filter(Boolean);
+}
+
+// harvestDate, tarladaki bir PHI penceresinin içine düşüyorsa uyarı listesi döner
+function findPhiConflicts(windows, fieldId, harvestDate) {
+    const h = toLocalDateStr(harvestDate);
+    return windows
+        .filter(w => w.fieldId === fieldId)
+        .filter(w => h >= w.applicationDate && h < w.safeHarvestDate)
+        .map(w => ({
+            type: 'phi_conflict', ...w,
+            message: `${w.tradeName} (${w.activeIngredient}) ${w.applicationDate} tarihinde uygulandı — ` +
+                     `${w.phiDays} günlük bekleme süresi nedeniyle en erken hasat ${w.safeHarvestDate}`,
+        }));
+}
 
+// GET /api/pesticides?q=&crop= — katalog araması (ilaç kaydı eklerken seçim listesi)
+app.get('/api/pesticides', authenticateToken, async (req, res) => {
+    try {
+        const { q, crop } = req.query;
+        const conds = ['p."isActive"=TRUE'], params = [];
+        if (q) { params.push(`%${String(q).slice(0, 50)}%`); conds.push(`(p."tradeName" ILIKE $${params.length} OR p."activeIngredient" ILIKE $${params.length})`); }
+        if (crop) { params.push(normalizeCropKey(crop)); conds.push(`EXISTS (SELECT 1 FROM pesticide_crop_intervals ci WHERE ci."pesticideId"=p.id AND ci.crop=$${params.length})`); }
+        const pesticides = await dbAll(
+            `SELECT p.id, p."tradeName", p."activeIngredient", p."group", p."registrationNo",
+                    COALESCE(json_agg(json_build_object('crop', ci.crop, 'phiDays', ci."phiDays", 'reiHours', ci."reiHours")
+                             ORDER BY ci.crop) FILTER (WHERE ci.crop IS NOT NULL), '[]') AS intervals
+             FROM pesticide_catalog p
+             LEFT JOIN pesticide_crop_intervals ci ON ci."pesticideId" = p.id
+             WHERE ${conds.join(' AND ')}
+             GROUP BY p.id ORDER BY p."tradeName" LIMIT 100`, params);
+        res.json({ pesticides });
+    } catch (e) { console.error('[pesticides]', e.message); res.status(500).json({ error: 'Sunucu hatası' }); }
+});
+
+// POST /api/admin/pesticides — katalog ekle/güncelle { id, tradeName, activeIngredient, group, registrationNo, intervals:[{crop,phiDays,reiHours}] }
+app.post('/api/admin/pesticides', authenticateToken, requireAdmin, adminLimiter, async (req, res) => {
+    try {
+        const { id, tradeName, activeIngredient, group, registrationNo, intervals = [], isActive = true } = req.body;
+        if (!id || !/^[a-z0-9-]{2,60}$/.test(id)) return res.status(400).json({ error: 'id küçük harf, rakam ve tire içermeli' });
+        if (!tradeName?.trim() || !activeIngredient?.trim()) return res.status(400).json({ error: 'Ticari ad ve etken madde zorunludur' });
+        if (!Array.isArray(intervals) || intervals.some(i => !i?.crop || !Number.isInteger(i.phiDays) || i.phiDays < 0))
+            return res.status(400).json({ error: 'intervals: [{ crop, phiDays (tam sayı), reiHours }]' });
+        await dbRun(
+            `INSERT INTO pesticide_catalog (id,"tradeName","activeIngredient","group","registrationNo","isActive")
+             VALUES ($1,$2,$3,$4,$5,$6)
+             ON CONFLICT (id) DO UPDATE SET "tradeName"=$2,"activeIngredient"=$3,"group"=$4,"registrationNo"=$5,"isActive"=$6,"updatedAt"=NOW()`,
+            [id, tradeName.trim(), activeIngredient.trim(), group || null, registrationNo || null, isActive !== false]);
+        for (const i of intervals) {
+            await dbRun(
+                `INSERT INTO pesticide_crop_intervals ("pesticideId",crop,"phiDays","reiHours") VALUES ($1,$2,$3,$4)
+                 ON CONFLICT ("pesticideId",crop) DO UPDATE SET "phiDays"=$3,"reiHours"=$4`,
+                [id, normalizeCropKey(i.crop), i.phiDays, parseInt(i.reiHours) || 24]);
+        }
+        res.json({ success: true, id });
+    } catch (e) { console.error('[admin pesticides]', e.message); res.status(500).json({ error: 'Sunucu hatası' }); }
+});
 
+// GET /api/farmbook/pesticide-log — İyi Tarım izlenebilirlik defteri (uygulama tarihi, tarla, ürün, etken madde, PHI)
+app.get('/api/farmbook/pesticide-log', authenticateToken, async (req, res) => {
+    try {
+        const { year } = req.query;
+        const params = [req.user.id];
+        let yearCond = '';
+        if (year) { params.push(parseInt(year)); yearCond = `AND r.year=$2`; }
+        const log = await dbAll(
+            `SELECT r.id, r."recordDate", r."fieldId", r."fieldName", r."productName", r.quantity, r.unit, r.notes,
+                    p.id AS "pesticideId", p."tradeName", p."activeIngredient", p."registrationNo"
+             FROM farmbook_records r
+             LEFT JOIN pesticide_catalog p ON p.id = r."pesticideId"
+             WHERE r."userId"=$1 AND r."recordType"='ilac' ${yearCond}
+             ORDER BY r."recordDate" DESC`, params);
+        const windows = await getPhiWindows(req.user.id);
+        const byRecord = new Map(windows.map(w => [w.recordId, w]));
+        res.json({
+            log: log.map(r => ({ ...r, phi: byRecord.get(r.id) || null, linkedToCatalog: !!r.pesticideId })),
+            unlinkedCount: log.filter(r => !r.pesticideId).length,
+        });
+    } catch (e) { console.error('[pesticide-log]', e.message); res.status(500).json({ error: 'Sunucu hatası' }); }
+});
 
 // ════════════════════════════════════════════════════════════════════════════
 // 🤝 PARTNERLİK & İŞ BAŞVURUSU ENDPOINTLERİ
@@ -18318,12 +23633,14 @@ app.get('/sikayet/panel', requireSikayetAuth, async (req, res) => {
 
         const reports = await dbAll(`
             SELECT r.id, r.reason, r.description, r.status, r."createdAt",
-                   r."postId", r."reporterId",
+                   r."postId", r."reporterId", r."reviewId",
                    u1.username AS "reporterName", u1.email AS "reporterEmail",
-                   p.content AS "postContent", p.username AS "postOwner", p."isActive" AS "postActive"
+                   p.content AS "postContent", p.username AS "postOwner", p."isActive" AS "postActive",
+                   sr.comment AS "reviewComment", sr.rating AS "reviewRating", sr."isHidden" AS "reviewHidden"
             FROM reports r
             LEFT JOIN users u1 ON u1.id = r."reporterId"
             LEFT JOIN posts p  ON p.id  = r."postId"
+            LEFT JOIN store_reviews sr ON sr.id = r."reviewId"
             ${where}
             ORDER BY CASE WHEN r.status='pending' THEN 0 ELSE 1 END, r."createdAt" DESC
             LIMIT 300`, []);
@@ -18342,7 +23659,11 @@ app.get('/sikayet/panel', requireSikayetAuth, async (req, res) => {
             ? `<tr><td colspan="7"><div class="empty"><div style="font-size:44px;margin-bottom:10px">🎉</div>Bu filtrede şikayet yok.</div></td></tr>`
             : reports.map(r => {
                 const postUrl = r.postId ? `${BASE_DOMAIN}/post/${r.postId}` : null;
-                const postCell = postUrl ? `
+                const postCell = r.reviewId ? `
+                    <span style="font-size:11px">🛒 Mağaza yorumu ${r.reviewRating ? '★'.repeat(r.reviewRating) : ''}</span>
+                    ${r.reviewComment ? `<div class="pc" title="${escapeHtml(r.reviewComment)}">${escapeHtml(r.reviewComment.slice(0,55))}${r.reviewComment.length>55?'…':''}</div>` : ''}
+                    ${r.reviewHidden?'<div style="font-size:10px;color:#ef4444;margin-top:2px">⛔ Zaten gizlendi</div>':''}
+                ` : postUrl ? `
                     <a class="pl" href="${postUrl}" target="_blank">🔗 Gönderiye Git</a>
                     ${r.postContent ? `<div class="pc" title="${escapeHtml(r.postContent)}">${escapeHtml(r.postContent.slice(0,55))}${r.postContent.length>55?'…':''}</div>` : ''}
                     ${r.postActive===false?'<div style="font-size:10px;color:#ef4444;margin-top:2px">⛔ Zaten kaldırıldı</div>':''}
@@ -18355,6 +23676,10 @@ app.get('/sikayet/panel', requireSikayetAuth, async (req, res) => {
                         <form method="POST" action="/sikayet/action/${r.id}/remove-post" style="display:inline">
                             <button class="abn abn-del" type="submit" onclick="return confirm('Postu kaldırmak istiyor musunuz?')">🗑️ Postu Kaldır</button>
                         </form>` : ''}
+                        ${r.reviewId && !r.reviewHidden ? `
+                        <form method="POST" action="/sikayet/action/${r.id}/hide-review" style="display:inline">
+                            <button class="abn abn-del" type="submit" onclick="return confirm('Yorumu gizlemek istiyor musunuz?')">🙈 Yorumu Gizle</button>
+                        </form>` : ''}
                         <form method="POST" action="/sikayet/action/${r.id}/reviewed" style="display:inline">
                             <button class="abn abn-ok" type="submit">✅ İncelendi</button>
                         </form>
@@ -18430,6 +23755,12 @@ app.post('/sikayet/action/:id/:action', requireSikayetAuth, async (req, res) =>
                 await dbRun(`UPDATE posts SET "isActive"=FALSE, "updatedAt"=NOW() WHERE id=$1`, [report.postId]);
             }
             await dbRun(`UPDATE reports SET status='reviewed', "reviewedAt"=NOW(), "reviewedBy"=$1 WHERE id=$2`, [req.skUser.email, id]);
+        } else if (action === 'hide-review') {
+            const report = await dbGet(`SELECT "reviewId" FROM reports WHERE id=$1`, [id]);
+            if (report?.reviewId) {
+                await dbRun(`UPDATE store_reviews SET "isHidden"=TRUE, "updatedAt"=NOW() WHERE id=$1`, [report.reviewId]);
+            }
+            await dbRun(`UPDATE reports SET status='reviewed', "reviewedAt"=NOW(), "reviewedBy"=$1 WHERE id=$2`, [req.skUser.email, id]);
         } else if (['reviewed','dismissed'].includes(action)) {
             await dbRun(`UPDATE reports SET status=$1, "reviewedAt"=NOW(), "reviewedBy"=$2 WHERE id=$3`, [action, req.skUser.email, id]);
         }
@@ -19400,6 +24731,84 @@ app.get('/api/tag-requests/pending', authenticateToken, async (req, res) => {
 // 🌿 HASTALIK ALARM AĞI
 // ════════════════════════════════════════════════════════════════════
 
+// ─── Ürün + hastalık/zararlı taksonomisi ────────────────────────────
+// Başlangıç verisi; tablolar boşsa bununla dolar, sonrası /api/admin/disease-taxonomy ile yönetilir.
+// Ürün anahtarları normalizeCropKey biçimindedir (PHI kataloğu ve fiyat kataloğu ile aynı).
+const HASTALIK_URUN_SEED = {
+    bugday: 'Buğday', arpa: 'Arpa', misir: 'Mısır', domates: 'Domates', biber: 'Biber', patates: 'Patates',
+    salatalik: 'Salatalık', elma: 'Elma', uzum: 'Üzüm', findik: 'Fındık', zeytin: 'Zeytin', pamuk: 'Pamuk',
+    aycicek: 'Ayçiçeği', cilek: 'Çilek', narenciye: 'Narenciye',
+};
+const HASTALIK_ETKEN_SEED = [
+    { id: 'sari-pas',            ad: 'Sarı pas',                    tur: 'hastalik', bilimsel: 'Puccinia striiformis',       urunler: ['bugday', 'arpa'] },
+    { id: 'kahverengi-pas',      ad: 'Kahverengi pas',              tur: 'hastalik', bilimsel: 'Puccinia triticina',         urunler: ['bugday'] },
+    { id: 'surme',               ad: 'Sürme',                       tur: 'hastalik', bilimsel: 'Tilletia spp.',              urunler: ['bugday'] },
+    { id: 'patates-mildiyosu',   ad: 'Mildiyö (geç yanıklık)',      tur: 'hastalik', bilimsel: 'Phytophthora infestans',     urunler: ['patates', 'domates'] },
+    { id: 'bag-mildiyosu',       ad: 'Bağ mildiyösü',               tur: 'hastalik', bilimsel: 'Plasmopara viticola',        urunler: ['uzum'] },
+    { id: 'aycicek-mildiyosu',   ad: 'Ayçiçeği mildiyösü',          tur: 'hastalik', bilimsel: 'Plasmopara halstedii',       urunler: ['aycicek'] },
+    { id: 'kulleme',             ad: 'Külleme',                     tur: 'hastalik', bilimsel: 'Erysiphales',                urunler: ['uzum', 'elma', 'salatalik', 'biber'] },
+    { id: 'karaleke',            ad: 'Karaleke',                    tur: 'hastalik', bilimsel: 'Venturia inaequalis',        urunler: ['elma'] },
+    { id: 'ates-yanikligi',      ad: 'Ateş yanıklığı',              tur: 'hastalik', bilimsel: 'Erwinia amylovora',          urunler: ['elma'] },
+    { id: 'kursuni-kuf',         ad: 'Kurşuni küf',                 tur: 'hastalik', bilimsel: 'Botrytis cinerea',           urunler: ['cilek', 'uzum', 'domates'] },
+    { id: 'halkali-leke',        ad: 'Halkalı leke',                tur: 'hastalik', bilimsel: 'Venturia oleaginea',         urunler: ['zeytin'] },
+    { id: 'sune',                ad: 'Süne',                        tur: 'zararli',  bilimsel: 'Eurygaster integriceps',     urunler: ['bugday', 'arpa'] },
+    { id: 'cekirge',             ad: 'Çekirge',                     tur: 'zararli',  bilimsel: 'Acrididae',                  urunler: ['bugday', 'arpa', 'misir'] },
+    { id: 'kocan-kurdu',         ad: 'Mısır koçan kurdu',           tur: 'zararli',  bilimsel: 'Sesamia nonagrioides',       urunler: ['misir'] },
+    { id: 'domates-guvesi',      ad: 'Domates güvesi',              tur: 'zararli',  bilimsel: 'Tuta absoluta',              urunler: ['domates'] },
+    { id: 'elma-ici-kurdu',      ad: 'Elma iç kurdu',               tur: 'zararli',  bilimsel: 'Cydia pomonella',            urunler: ['elma'] },
+    { id: 'salkim-guvesi',       ad: 'Salkım güvesi',               tur: 'zararli',  bilimsel: 'Lobesia botrana',            urunler: ['uzum'] },
+    { id: 'patates-bocegi',      ad: 'Patates böceği',              tur: 'zararli',  bilimsel: 'Leptinotarsa decemlineata',  urunler: ['patates'] },
+    { id: 'findik-kurdu',        ad: 'Fındık kurdu',                tur: 'zararli',  bilimsel: 'Curculio nucum',             urunler: ['findik'] },
+    { id: 'zeytin-sinegi',       ad: 'Zeytin sineği',               tur: 'zararli',  bilimsel: 'Bactrocera oleae',           urunler: ['zeytin'] },
+    { id: 'pamuk-yaprak-kurdu',  ad: 'Pamuk yaprak kurdu',          tur: 'zararli',  bilimsel: 'Spodoptera littoralis',      urunler: ['pamuk'] },
+    { id: 'akdeniz-meyve-sinegi',ad: 'Akdeniz meyve sineği',        tur: 'zararli',  bilimsel: 'Ceratitis capitata',         urunler: ['narenciye', 'elma'] },
+    { id: 'kirmizi-orumcek',     ad: 'Kırmızı örümcek',             tur: 'zararli',  bilimsel: 'Tetranychus urticae',        urunler: ['domates', 'biber', 'salatalik', 'cilek', 'pamuk'] },
+    { id: 'beyaz-sinek',         ad: 'Beyaz sinek',                 tur: 'zararli',  bilimsel: 'Bemisia tabaci',             urunler: ['domates', 'biber', 'salatalik', 'pamuk'] },
+    { id: 'yaprak-biti',         ad: 'Yaprak biti',                 tur: 'zararli',  bilimsel: 'Aphididae',                  urunler: [] },
+];
+const HASTALIK_ETKEN_TURLERI = ['hastalik', 'zararli'];
+// Alarm bu kadar gün "aktif" listede kalır, sonra disease_alarms_archive tablosuna taşınır
+const DISEASE_ALARM_ACTIVE_DAYS = 14;
+// Doğrulama oyu: aynı ilçedeki (yoksa ildeki) çiftçiler verebilir
+const DISEASE_ALARM_VOTE_TYPES = ['confirm', 'deny'];
+
+const _hastalikTaksonomiCache = { data: null, at: 0 };
+async function getHastalikTaksonomi() {
+    if (_hastalikTaksonomiCache.data && Date.now() - _hastalikTaksonomiCache.at < 300000) return _hastalikTaksonomiCache.data;
+    try {
+        const [{ rows: urunler }, { rows: etkenler }] = await Promise.all([
+            pool.query(`SELECT key, ad FROM disease_taxonomy_crops WHERE "isActive" = TRUE ORDER BY ad`),
+            pool.query(`SELECT id, ad, tur, bilimsel, urunler FROM disease_taxonomy_agents WHERE "isActive" = TRUE ORDER BY ad`)
+        ]);
+        if (urunler.length) {
+            _hastalikTaksonomiCache.data = { urunler, etkenler };
+            _hastalikTaksonomiCache.at = Date.now();
+            return _hastalikTaksonomiCache.data;
+        }
+    } catch (e) {
+        console.warn('[hastalık taksonomi]', e.message);
+    }
+    return {
+        urunler: Object.entries(HASTALIK_URUN_SEED).map(([key, ad]) => ({ key, ad })),
+        etkenler: HASTALIK_ETKEN_SEED
+    };
+}
+
+// Serbest metin ürün + isteğe bağlı etken id'sini taksonomiye eşle
+async function resolveHastalikTaksonomi(cropType, diseaseId) {
+    const { urunler, etkenler } = await getHastalikTaksonomi();
+    const key = normalizeCropKey(cropType);
+    const urun = urunler.find(u => u.key === key || normalizeCropKey(u.ad) === key) || null;
+    let etken = null;
+    if (diseaseId) {
+        etken = etkenler.find(e => e.id === diseaseId);
+        if (!etken) return { error: 'Geçersiz hastalık/zararlı' };
+        if (urun && etken.urunler?.length && !etken.urunler.includes(urun.key))
+            return { error: `${etken.ad} ${urun.ad} için tanımlı değil` };
+    }
+    return { urun, etken };
+}
+
 // Tablo oluşturma (migration-safe)
 async function ensureDiseaseAlarmTable() {
     await pool.query(`
@@ -19417,8 +24826,87 @@ async function ensureDiseaseAlarmTable() {
     `).catch(() => {});
     await pool.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS "farmerCity" TEXT`).catch(() => {});
     await pool.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS "farmerCrops" TEXT`).catch(() => {});
+
+    // Taksonomi bağlantısı, fotoğraf kanıtı ve doğrulama oyları
+    for (const sql of [
+        `ALTER TABLE disease_alarms ADD COLUMN IF NOT EXISTS "cropKey" TEXT`,
+        `ALTER TABLE disease_alarms ADD COLUMN IF NOT EXISTS "diseaseId" TEXT`,
+        `ALTER TABLE disease_alarms ADD COLUMN IF NOT EXISTS photo TEXT`,
+        `ALTER TABLE disease_alarms ADD COLUMN IF NOT EXISTS "confirmCount" INT NOT NULL DEFAULT 0`,
+        `ALTER TABLE disease_alarms ADD COLUMN IF NOT EXISTS "denyCount" INT NOT NULL DEFAULT 0`,
+    ]) await pool.query(sql).catch(() => {});
+    await pool.query(`
+        CREATE TABLE IF NOT EXISTS disease_taxonomy_crops (
+            key TEXT PRIMARY KEY,
+            ad TEXT NOT NULL,
+            "isActive" BOOLEAN NOT NULL DEFAULT TRUE,
+            "updatedAt" TIMESTAMPTZ NOT NULL DEFAULT NOW()
+        )
+    `).catch(() => {});
+    await pool.query(`
+        CREATE TABLE IF NOT EXISTS disease_taxonomy_agents (
+            id TEXT PRIMARY KEY,
+            ad TEXT NOT NULL,
+            tur TEXT NOT NULL CHECK (tur IN ('hastalik','zararli')),
+            bilimsel TEXT,
+            urunler TEXT[] NOT NULL DEFAULT '{}',
+            "isActive" BOOLEAN NOT NULL DEFAULT TRUE,
+            "updatedAt" TIMESTAMPTZ NOT NULL DEFAULT NOW()
+        )
+    `).catch(() => {});
+    await pool.query(`
+        CREATE TABLE IF NOT EXISTS disease_alarm_votes (
+            "alarmId" UUID NOT NULL REFERENCES disease_alarms(id) ON DELETE CASCADE,
+            "userId" UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+            vote TEXT NOT NULL CHECK (vote IN ('confirm','deny')),
+            "createdAt" TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+            PRIMARY KEY ("alarmId", "userId")
+        )
+    `).catch(() => {});
+    // Arşiv: aktif süresi dolan alarmlar silinmez, buraya taşınır (sezonluk salgın analizi için)
+    await pool.query(`
+        CREATE TABLE IF NOT EXISTS disease_alarms_archive (
+            id UUID PRIMARY KEY,
+            "reporterId" UUID REFERENCES users(id) ON DELETE SET NULL,
+            city TEXT NOT NULL,
+            district TEXT,
+            "cropType" TEXT NOT NULL,
+            "cropKey" TEXT,
+            "diseaseInfo" TEXT NOT NULL,
+            "diseaseId" TEXT,
+            note TEXT,
+            photo TEXT,
+            "notifiedCount" INT DEFAULT 0,
+            "confirmCount" INT NOT NULL DEFAULT 0,
+            "denyCount" INT NOT NULL DEFAULT 0,
+            "createdAt" TIMESTAMPTZ NOT NULL,
+            "archivedAt" TIMESTAMPTZ NOT NULL DEFAULT NOW()
+        )
+    `).catch(() => {});
+    // Arşive taşınan alarmın oyları da taşınır (disease_alarm_votes, alarm silinince cascade ile gider)
+    await pool.query(`
+        CREATE TABLE IF NOT EXISTS disease_alarm_votes_archive (
+            "alarmId" UUID NOT NULL REFERENCES disease_alarms_archive(id) ON DELETE CASCADE,
+            "userId" UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+            vote TEXT NOT NULL CHECK (vote IN ('confirm','deny')),
+            "createdAt" TIMESTAMPTZ NOT NULL,
+            PRIMARY KEY ("alarmId", "userId")
+        )
+    `).catch(() => {});
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_disease_alarms_region ON disease_alarms(LOWER(city), "createdAt" DESC)`).catch(() => {});
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_disease_archive_created ON disease_alarms_archive("createdAt")`).catch(() => {});
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_disease_archive_region ON disease_alarms_archive(LOWER(city), "cropKey", "diseaseId")`).catch(() => {});
+
+    for (const [key, ad] of Object.entries(HASTALIK_URUN_SEED)) {
+        await pool.query(`INSERT INTO disease_taxonomy_crops (key, ad) VALUES ($1,$2) ON CONFLICT DO NOTHING`, [key, ad]).catch(() => {});
+    }
+    for (const e of HASTALIK_ETKEN_SEED) {
+        await pool.query(
+            `INSERT INTO disease_taxonomy_agents (id, ad, tur, bilimsel, urunler) VALUES ($1,$2,$3,$4,$5) ON CONFLICT DO NOTHING`,
+            [e.id, e.ad, e.tur, e.bilimsel, e.urunler]
+        ).catch(() => {});
+    }
 }
-ensureDiseaseAlarmTable();
 
 // ── 🏷️ post_tag_requests tablosu — sunucu başlangıcında otomatik oluşur ──
 (async () => {
@@ -19444,35 +24932,88 @@ ensureDiseaseAlarmTable();
     }
 })();
 
-// ── Disease alarm 24 saat otomatik silme ─────────────────────────────────────
-function startDiseaseAlarmCleanup() {
-    const doClean = () => {
-        pool.query(`DELETE FROM disease_alarms WHERE "createdAt" < NOW() - INTERVAL '24 hours'`)
-            .then(r => { if (r.rowCount > 0) console.log(`[DiseaseAlarm] ${r.rowCount} eski alarm silindi.`); })
-            .catch(e => console.error('[DiseaseAlarm cleanup]', e.message));
+// ── Disease alarm arşivleme — DISEASE_ALARM_ACTIVE_DAYS sonra arşiv tablosuna taşı ──
+// DELETE ... RETURNING + INSERT tek ifadede: aynı anda çalışan worker'lar aynı satırı iki kez taşıyamaz.
+// Oylar aynı ifadede kopyalanır; cascade silme ifade sonunda çalıştığı için CTE oyları hâlâ görür.
+function startDiseaseAlarmArchive() {
+    const doArchive = () => {
+        pool.query(
+            `WITH moved AS (
+                 DELETE FROM disease_alarms WHERE "createdAt" < NOW() - $1 * INTERVAL '1 day' RETURNING *
+             ), archived AS (
+                 INSERT INTO disease_alarms_archive (id, "reporterId", city, district, "cropType", "cropKey", "diseaseInfo",
+                                                     "diseaseId", note, photo, "notifiedCount", "confirmCount", "denyCount", "createdAt")
+                 SELECT id, "reporterId", city, district, "cropType", "cropKey", "diseaseInfo",
+                        "diseaseId", note, photo, "notifiedCount", "confirmCount", "denyCount", COALESCE("createdAt", NOW())
+                 FROM moved
+                 ON CONFLICT (id) DO NOTHING
+                 RETURNING id
+             ), votes AS (
+                 INSERT INTO disease_alarm_votes_archive ("alarmId", "userId", vote, "createdAt")
+                 SELECT v."alarmId", v."userId", v.vote, v."createdAt"
+                 FROM disease_alarm_votes v JOIN moved m ON m.id = v."alarmId"
+                 ON CONFLICT ("alarmId", "userId") DO NOTHING
+             )
+             SELECT id FROM archived`,
+            [DISEASE_ALARM_ACTIVE_DAYS]
+        )
+            .then(r => { if (r.rowCount > 0) console.log(`[DiseaseAlarm] ${r.rowCount} alarm arşive taşındı.`); })
+            .catch(e => console.error('[DiseaseAlarm archive]', e.message));
     };
-    doClean(); // başlangıçta bir kez çalıştır
-    setInterval(doClean, 60 * 60 * 1000); // saatte bir
+    doArchive(); // başlangıçta bir kez çalıştır
+    setInterval(doArchive, 60 * 60 * 1000); // saatte bir
 }
-startDiseaseAlarmCleanup();
+ensureDiseaseAlarmTable().then(startDiseaseAlarmArchive);
 
 // POST /api/disease-alarms — yeni alarm oluştur & bölgedekilere bildir
-app.post('/api/disease-alarms', authenticateToken, async (req, res) => {
+// multipart: city, district?, cropType, diseaseId? (taksonomi), diseaseInfo?, note?, photo? (görsel kanıt)
+app.post('/api/disease-alarms', authenticateToken, (req, res, next) => {
+    upload.single('photo')(req, res, (err) => {
+        if (err) return res.status(400).json({ error: 'Dosya yükleme hatası' });
+        next();
+    });
+}, async (req, res) => {
+    const dropUpload = () => req.file ? fs.unlink(req.file.path).catch(() => {}) : null;
     try {
-        const { city, district, cropType, diseaseInfo, note } = req.body;
+        const { city, district, cropType, diseaseId, diseaseInfo, note } = req.body;
         if (!city || !cropType) {
+            await dropUpload();
             return res.status(400).json({ error: 'city ve cropType zorunludur.' });
         }
-        const safeDisease = (diseaseInfo || note || 'Bölge alarmı').substring(0, 1000);
+        if (req.file && !req.file.mimetype.startsWith('image/')) {
+            await dropUpload();
+            return res.status(400).json({ error: 'Kanıt fotoğrafı bir görsel olmalı' });
+        }
+        const { error: taxError, urun, etken } = await resolveHastalikTaksonomi(cropType, diseaseId || null);
+        if (taxError) {
+            await dropUpload();
+            return res.status(400).json({ error: taxError });
+        }
+        const cropLabel = urun?.ad || cropType.trim();
+        const safeDisease = (diseaseInfo || etken?.ad || note || 'Bölge alarmı').substring(0, 1000);
+
+        let photo = null;
+        if (req.file) {
+            const filename = `alarm_${uuidv4().replace(/-/g, '').slice(0, 16)}.webp`;
+            await processImage(req.file.path, path.join(postsDir, filename), { width: 1280, height: 1280, fit: 'inside', quality: 78, effort: 4 });
+            await dropUpload();
+            photo = `/uploads/posts/${filename}`;
+        }
 
         const alarmId = uuidv4();
         await pool.query(
-            `INSERT INTO disease_alarms (id, "reporterId", city, district, "cropType", "diseaseInfo", note)
-             VALUES ($1,$2,$3,$4,$5,$6,$7)`,
-            [alarmId, req.user.id, city.trim(), (district||'').trim(), cropType.trim(),
-             safeDisease, (note||'').substring(0,500)]
+            `INSERT INTO disease_alarms (id, "reporterId", city, district, "cropType", "diseaseInfo", note, "cropKey", "diseaseId", photo)
+             VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10)`,
+            [alarmId, req.user.id, city.trim(), (district||'').trim(), cropLabel,
+             safeDisease, (note||'').substring(0,500), urun?.key || null, etken?.id || null, photo]
         );
 
+        // Harita kümeleri için ilçe/il merkezini önceden çöz (Nominatim, arka planda)
+        (async () => {
+            if (district?.trim()) await cacheSehirKoordinati(`${district.trim()}, ${city.trim()}`);
+            await cacheSehirKoordinati(city.trim());
+        })().catch(() => {});
+
         // Aynı il + ürün türünde çiftçileri bul
         // Öncelik: farmerCity veya location şehirle eşleşen HERKES bildirilir
         // farmerCrops doluysa o ürünü içermeli; boşsa/null ise yine dahil et
@@ -19492,7 +25033,7 @@ app.post('/api/disease-alarms', authenticateToken, async (req, res) => {
                    OR "farmerCrops" ILIKE $5
                )
              LIMIT 500`,
-            [req.user.id, city.trim(), `%${city.trim()}%`, `${city.trim()}%`, `%${cropType.trim()}%`]
+            [req.user.id, city.trim(), `%${city.trim()}%`, `${city.trim()}%`, `%${cropLabel}%`]
         );
 
         const reporter = await pool.query(
@@ -19500,7 +25041,9 @@ app.post('/api/disease-alarms', authenticateToken, async (req, res) => {
         );
         const rName = reporter.rows[0]?.name || reporter.rows[0]?.username || 'Bir çiftçi';
         const pushTitle = `⚠️ ${city} Bölge Alarmı`;
-        const pushBody  = `${rName} ${cropType} bitkisinde hastalık tespit etti!`;
+        const pushBody  = etken
+            ? `${rName} ${cropLabel} bitkisinde ${etken.ad} tespit etti!`
+            : `${rName} ${cropLabel} bitkisinde hastalık tespit etti!`;
 
         let notifiedCount = 0;
         for (const t of targets.rows) {
@@ -19511,7 +25054,9 @@ app.post('/api/disease-alarms', authenticateToken, async (req, res) => {
                 {
                     alarmId,
                     city,
-                    cropType,
+                    cropType: cropLabel,
+                    cropKey: urun?.key,
+                    diseaseId: etken?.id,
                     diseaseInfo: safeDisease.substring(0, 200),
                     reporterId: req.user.id,
                     actorName: rName,
@@ -19527,40 +25072,203 @@ app.post('/api/disease-alarms', authenticateToken, async (req, res) => {
             [notifiedCount, alarmId]
         );
 
-        res.status(201).json({ message: 'Alarm gönderildi', alarmId, notifiedCount });
+        res.status(201).json({ message: 'Alarm gönderildi', alarmId, notifiedCount, cropKey: urun?.key || null, diseaseId: etken?.id || null, photo });
     } catch (err) {
+        await dropUpload();
         console.error('[disease-alarm POST]', err.message);
         res.status(500).json({ error: 'Sunucu hatası' });
     }
 });
 
+// GET /api/disease-alarms/taxonomy?crop= — ürünler ve (ürüne göre süzülmüş) hastalık/zararlılar
+app.get('/api/disease-alarms/taxonomy', authenticateToken, async (req, res) => {
+    try {
+        const { urunler, etkenler } = await getHastalikTaksonomi();
+        const crop = req.query.crop ? normalizeCropKey(req.query.crop) : null;
+        res.json({
+            urunler,
+            etkenler: crop ? etkenler.filter(e => !e.urunler?.length || e.urunler.includes(crop)) : etkenler
+        });
+    } catch (err) {
+        console.error('[disease-alarm taxonomy]', err.message);
+        res.status(500).json({ error: 'Sunucu hatası' });
+    }
+});
+
+// GET /api/disease-alarms/map?weeks=12&crop=&disease=&city= — ilçe × hafta kümeleri (aktif + arşiv)
+app.get('/api/disease-alarms/map', authenticateToken, async (req, res) => {
+    try {
+        const weeks = Math.min(Math.max(parseInt(req.query.weeks) || 12, 1), 104);
+        const params = [weeks];
+        const where = [`"createdAt" >= (date_trunc('week', NOW() AT TIME ZONE 'Europe/Istanbul') - ($1::int - 1) * INTERVAL '1 week') AT TIME ZONE 'Europe/Istanbul'`];
+        if (req.query.crop)    { params.push(normalizeCropKey(req.query.crop)); where.push(`"cropKey" = $${params.length}`); }
+        if (req.query.disease) { params.push(String(req.query.disease));        where.push(`"diseaseId" = $${params.length}`); }
+        if (req.query.city)    { params.push(String(req.query.city).trim());    where.push(`LOWER(city) = LOWER($${params.length})`); }
+        const cols = `city, district, "cropKey", "diseaseId", "confirmCount", "createdAt"`;
+        const cond = where.join(' AND ');
+
+        const { rows } = await pool.query(
+            `SELECT MIN(a.city) AS city, MIN(COALESCE(a.district, '')) AS district,
+                    (date_trunc('week', a."createdAt" AT TIME ZONE 'Europe/Istanbul'))::date AS hafta,
+                    COUNT(*)::int AS sayi, SUM(a."confirmCount")::int AS onay,
+                    array_remove(array_agg(DISTINCT a."diseaseId"), NULL) AS etkenler,
+                    array_remove(array_agg(DISTINCT a."cropKey"), NULL) AS urunler,
+                    MIN(kd.lat) AS "ilceLat", MIN(kd.lon) AS "ilceLon", MIN(kc.lat) AS "ilLat", MIN(kc.lon) AS "ilLon"
+             FROM (
+                 SELECT ${cols} FROM disease_alarms WHERE ${cond}
+                 UNION ALL
+                 SELECT ${cols} FROM disease_alarms_archive WHERE ${cond}
+             ) a
+             LEFT JOIN sehir_koordinatlari kd ON kd.key = LOWER(TRIM(COALESCE(a.district, '') || ', ' || a.city))
+             LEFT JOIN sehir_koordinatlari kc ON kc.key = LOWER(TRIM(a.city))
+             GROUP BY LOWER(TRIM(a.city)), LOWER(TRIM(COALESCE(a.district, ''))), hafta
+             ORDER BY hafta`,
+            params
+        );
+
+        // İlçe başına tek küme; haftalık seri içinde
+        const { etkenler: tumEtkenler } = await getHastalikTaksonomi();
+        const etkenAd = Object.fromEntries(tumEtkenler.map(e => [e.id, e.ad]));
+        const bolgeler = new Map();
+        for (const r of rows) {
+            const key = `${r.city.toLocaleLowerCase('tr-TR')}|${r.district.toLocaleLowerCase('tr-TR')}`;
+            if (!bolgeler.has(key)) {
+                bolgeler.set(key, {
+                    city: r.city, district: r.district || null,
+                    lat: r.ilceLat ?? r.ilLat ?? null, lon: r.ilceLon ?? r.ilLon ?? null,
+                    konumHassasiyeti: r.ilceLat != null ? 'ilce' : r.ilLat != null ? 'il' : null,
+                    toplam: 0, onay: 0, etkenler: new Set(), urunler: new Set(), haftalar: []
+                });
+            }
+            const b = bolgeler.get(key);
+            b.toplam += r.sayi;
+            b.onay += r.onay || 0;
+            r.etkenler.forEach(e => b.etkenler.add(e));
+            r.urunler.forEach(u => b.urunler.add(u));
+            b.haftalar.push({ hafta: toLocalDateStr(r.hafta), sayi: r.sayi, onay: r.onay || 0 });
+        }
+        res.json({
+            weeks,
+            bolgeler: [...bolgeler.values()]
+                .map(b => ({
+                    ...b,
+                    etkenler: [...b.etkenler].map(id => ({ id, ad: etkenAd[id] || id })),
+                    urunler: [...b.urunler]
+                }))
+                .sort((a, b) => b.toplam - a.toplam)
+        });
+    } catch (err) {
+        console.error('[disease-alarm map]', err.message);
+        res.status(500).json({ error: 'Sunucu hatası' });
+    }
+});
+
+// POST /api/disease-alarms/:id/vote — { vote: 'confirm'|'deny' } aynı ilçedeki çiftçilerden doğrulama
+app.post('/api/disease-alarms/:id/vote', authenticateToken, async (req, res) => {
+    try {
+        const { vote } = req.body || {};
+        if (!DISEASE_ALARM_VOTE_TYPES.includes(vote)) return res.status(400).json({ error: "vote 'confirm' veya 'deny' olmalı" });
+        if (!isValidUUID(req.params.id)) return res.status(404).json({ error: 'Alarm bulunamadı' });
+
+        const { rows: [alarm] } = await pool.query(
+            `SELECT id, "reporterId", city, district FROM disease_alarms WHERE id=$1`, [req.params.id]
+        );
+        if (!alarm) return res.status(404).json({ error: 'Alarm bulunamadı veya arşivlenmiş' });
+        if (alarm.reporterId === req.user.id) return res.status(400).json({ error: 'Kendi alarmınızı oylayamazsınız' });
+
+        // Bölge kontrolü: alarmda ilçe varsa konumda ilçe geçmeli; kullanıcının ilçe bilgisi yoksa
+        // (konum boş ya da sadece il adı) il eşleşmesi yeterli
+        const { rows: [voter] } = await pool.query(
+            `SELECT (LOWER("farmerCity") = LOWER($2) OR LOWER(location) LIKE LOWER($3)) AS "sameCity",
+                    ($4 = '' OR LOWER(location) LIKE LOWER($5)
+                     OR COALESCE(TRIM(location), '') = '' OR LOWER(TRIM(location)) = LOWER(TRIM($2))) AS "sameDistrict"
+             FROM users WHERE id=$1`,
+            [req.user.id, alarm.city, `%${alarm.city}%`, alarm.district || '', `%${alarm.district || ''}%`]
+        );
+        if (!voter?.sameCity || !voter?.sameDistrict) {
+            return res.status(403).json({ error: 'Sadece aynı bölgedeki çiftçiler doğrulama yapabilir' });
+        }
+
+        await pool.query(
+            `INSERT INTO disease_alarm_votes ("alarmId","userId",vote) VALUES ($1,$2,$3)
+             ON CONFLICT ("alarmId","userId") DO UPDATE SET vote=$3, "createdAt"=NOW()`,
+            [alarm.id, req.user.id, vote]
+        );
+        const { rows: [counts] } = await pool.query(
+            `UPDATE disease_alarms SET
+                 "confirmCount" = (SELECT COUNT(*) FROM disease_alarm_votes WHERE "alarmId"=$1 AND vote='confirm'),
+                 "denyCount"    = (SELECT COUNT(*) FROM disease_alarm_votes WHERE "alarmId"=$1 AND vote='deny')
+             WHERE id=$1 RETURNING "confirmCount", "denyCount"`,
+            [alarm.id]
+        );
+        res.json({ success: true, myVote: vote, ...counts });
+    } catch (err) {
+        console.error('[disease-alarm vote]', err.message);
+        res.status(500).json({ error: 'Sunucu hatası' });
+    }
+});
+
+// DELETE /api/disease-alarms/:id/vote — oyu geri çek
+app.delete('/api/disease-alarms/:id/vote', authenticateToken, async (req, res) => {
+    try {
+        if (!isValidUUID(req.params.id)) return res.status(404).json({ error: 'Alarm bulunamadı' });
+        await pool.query(`DELETE FROM disease_alarm_votes WHERE "alarmId"=$1 AND "userId"=$2`, [req.params.id, req.user.id]);
+        const { rows: [counts] } = await pool.query(
+            `UPDATE disease_alarms SET
+                 "confirmCount" = (SELECT COUNT(*) FROM disease_alarm_votes WHERE "alarmId"=$1 AND vote='confirm'),
+                 "denyCount"    = (SELECT COUNT(*) FROM disease_alarm_votes WHERE "alarmId"=$1 AND vote='deny')
+             WHERE id=$1 RETURNING "confirmCount", "denyCount"`,
+            [req.params.id]
+        );
+        if (!counts) return res.status(404).json({ error: 'Alarm bulunamadı' });
+        res.json({ success: true, myVote: null, ...counts });
+    } catch (err) {
+        console.error('[disease-alarm unvote]', err.message);
+        res.status(500).json({ error: 'Sunucu hatası' });
+    }
+});
+
 // GET /api/disease-alarms — bölge/ürün filtreli alarmları listele
 app.get('/api/disease-alarms', authenticateToken, async (req, res) => {
     try {
-        const { city, cropType, page = 1 } = req.query;
+        const { city, district, cropType, crop, disease, page = 1 } = req.query;
+        // ?archived=1 → geçmiş sezonlar (arşiv tablosu)
+        const archived = req.query.archived === '1' || req.query.archived === 'true';
         const limit = 20;
-        const offset = (Number(page) - 1) * limit;
+        const offset = (Math.max(Number(page) || 1, 1) - 1) * limit;
         const params = [];
         const where = [];
         let idx = 1;
+        const myVote = `(SELECT vote FROM ${archived ? 'disease_alarm_votes_archive' : 'disease_alarm_votes'} v
+                          WHERE v."alarmId" = da.id AND v."userId" = $${idx++})`;
+        params.push(req.user.id);
 
         if (city) { where.push(`LOWER(da.city) = LOWER($${idx++})`); params.push(city); }
+        if (district) { where.push(`LOWER(da.district) = LOWER($${idx++})`); params.push(district); }
         if (cropType) { where.push(`da."cropType" ILIKE $${idx++}`); params.push(`%${cropType}%`); }
+        if (crop) { where.push(`da."cropKey" = $${idx++}`); params.push(normalizeCropKey(crop)); }
+        if (disease) { where.push(`da."diseaseId" = $${idx++}`); params.push(String(disease)); }
 
         const whereStr = where.length ? 'WHERE ' + where.join(' AND ') : '';
         params.push(limit, offset);
 
         const rows = await pool.query(
-            `SELECT da.*, u.name, u.username, u."profilePic"
-             FROM disease_alarms da
-             JOIN users u ON u.id = da."reporterId"
+            `SELECT da.*, u.name, u.username, u."profilePic", ${myVote} AS "myVote"
+             FROM ${archived ? 'disease_alarms_archive' : 'disease_alarms'} da
+             LEFT JOIN users u ON u.id = da."reporterId"
              ${whereStr}
              ORDER BY da."createdAt" DESC
              LIMIT $${idx} OFFSET $${idx+1}`,
             params
         );
 
-        res.json({ alarms: rows.rows });
+        const { etkenler } = await getHastalikTaksonomi();
+        const etkenMap = Object.fromEntries(etkenler.map(e => [e.id, e]));
+        res.json({
+            alarms: rows.rows.map(a => ({ ...a, etken: a.diseaseId ? etkenMap[a.diseaseId] || null : null })),
+            archived,
+            activeDays: DISEASE_ALARM_ACTIVE_DAYS
+        });
     } catch (err) {
         console.error('[disease-alarm GET]', err.message);
         res.status(500).json({ error: 'Sunucu hatası' });
@@ -19585,6 +25293,43 @@ app.delete('/api/disease-alarms/:id', authenticateToken, async (req, res) => {
     }
 });
 
+// POST /api/admin/disease-taxonomy — { tip:'urun', key, ad } veya { tip:'etken', id, ad, tur, bilimsel?, urunler? }
+app.post('/api/admin/disease-taxonomy', authenticateToken, requireAdmin, adminLimiter, async (req, res) => {
+    try {
+        const { tip, isActive = true } = req.body || {};
+        if (!req.body?.ad?.trim()) return res.status(400).json({ error: 'ad zorunludur' });
+        const ad = req.body.ad.trim().slice(0, 80);
+        if (tip === 'urun') {
+            const key = normalizeCropKey(req.body.key || ad);
+            if (!key) return res.status(400).json({ error: 'Geçersiz ürün anahtarı' });
+            await pool.query(
+                `INSERT INTO disease_taxonomy_crops (key, ad, "isActive") VALUES ($1,$2,$3)
+                 ON CONFLICT (key) DO UPDATE SET ad=$2, "isActive"=$3, "updatedAt"=NOW()`,
+                [key, ad, isActive !== false]
+            );
+            _hastalikTaksonomiCache.at = 0;
+            return res.json({ success: true, key });
+        }
+        if (tip === 'etken') {
+            const { id, tur, bilimsel, urunler = [] } = req.body;
+            if (!id || !/^[a-z0-9-]{2,40}$/.test(id)) return res.status(400).json({ error: 'id küçük harf, rakam ve tire içermeli' });
+            if (!HASTALIK_ETKEN_TURLERI.includes(tur)) return res.status(400).json({ error: `tur: ${HASTALIK_ETKEN_TURLERI.join(', ')}` });
+            if (!Array.isArray(urunler)) return res.status(400).json({ error: 'urunler dizi olmalı' });
+            await pool.query(
+                `INSERT INTO disease_taxonomy_agents (id, ad, tur, bilimsel, urunler, "isActive") VALUES ($1,$2,$3,$4,$5,$6)
+                 ON CONFLICT (id) DO UPDATE SET ad=$2, tur=$3, bilimsel=$4, urunler=$5, "isActive"=$6, "updatedAt"=NOW()`,
+                [id, ad, tur, bilimsel?.trim() || null, urunler.map(normalizeCropKey).filter(Boolean).slice(0, 50), isActive !== false]
+            );
+            _hastalikTaksonomiCache.at = 0;
+            return res.json({ success: true, id });
+        }
+        res.status(400).json({ error: "tip 'urun' veya 'etken' olmalı" });
+    } catch (err) {
+        console.error('[admin disease-taxonomy]', err.message);
+        res.status(500).json({ error: 'Sunucu hatası' });
+    }
+});
+
 // ════════════════════════════════════════════════════════════════════
 // 🏅 ÇİFTÇİ SERTİFİKA SİSTEMİ
 // ════════════════════════════════════════════════════════════════════
@@ -19919,6 +25664,7 @@ if (cluster.isPrimary || cluster.isMaster) {
             await initializeDatabase();
             await migrateEncryptSensitiveColumns();
             await runSQLiteMigration();
+            startScheduledPostPublisher();
             testEmailConnection().catch(() => {});
             server.listen(PORT, '0.0.0.0', async () => {
                 console.log(`
@@ -19931,7 +25677,8 @@ if (cluster.isPrimary || cluster.isMaster) {
 ║  🧨 Supply Chain: CVE tarama + npm audit aktif  ║
 ║  🎬 Video: FFmpeg+HLS ABR (YouTube Algoritması) ║
 ║  📹 Video Limit: 100MB | Mavi Tik: 300MB        ║
-║  📰 Feed: Sadece takip edilenler gösterilir     ║
+║  📰 Feed: ranked / following / local modları    ║
+║  🗓️  Gönderi: taslak + zamanlanmış yayın        ║
 ║  📧 E-posta: Nodemailer (SMTP)                  ║
 ║  📢 Reklam: Rota tabanlı reklam sistemi         ║
 ║  🏘️  Topluluklar: Discord tarzı grup sistemi    ║
@@ -0,0 +1,46 @@
+// Birleşik arama — her types alt kümesinde sorguda geçen $n'ler ile bağlanan parametreler birebir eşleşmeli
+// Çalıştırma: node --test test/
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { SEARCH_TYPES, buildUnifiedSearchQuery } = require('../lib/arama');
+
+const altKumeler = [];
+for (let mask = 1; mask < 1 << SEARCH_TYPES.length; mask++) {
+    altKumeler.push(SEARCH_TYPES.filter((_, i) => mask & (1 << i)));
+}
+
+for (const trgm of [false, true]) {
+    for (const types of altKumeler) {
+        test(`types=${types.join(',')} trgm=${trgm}: yer tutucular 1..n`, () => {
+            const { sql, params } = buildUnifiedSearchQuery({
+                userId: '00000000-0000-4000-8000-000000000001', q: 'Ispanak 100%', types,
+                limit: 20, offset: 40, tsConfig: 'turkish', trgm,
+            });
+            const kullanilan = new Set([...sql.matchAll(/\$(\d+)/g)].map(m => Number(m[1])));
+            const beklenen = new Set(params.map((_, i) => i + 1));
+            assert.deepEqual(kullanilan, beklenen);
+            params.forEach(p => assert.notEqual(p, undefined));
+        });
+    }
+}
+
+test('userId yalnızca users/posts parçalarında bağlanır', () => {
+    const uid = '00000000-0000-4000-8000-000000000001';
+    const sadeceUrun = buildUnifiedSearchQuery({ userId: uid, q: 'domates', types: ['products', 'hashtags'], limit: 10, offset: 0 });
+    assert.ok(!sadeceUrun.params.includes(uid));
+    const kisiler = buildUnifiedSearchQuery({ userId: uid, q: 'domates', types: ['users'], limit: 10, offset: 0 });
+    assert.ok(kisiler.params.includes(uid));
+});
+
+test('LIMIT limit+1, OFFSET offset olarak bağlanır; LIKE öneki kaçışlanır', () => {
+    const { sql, params } = buildUnifiedSearchQuery({ userId: 'u', q: '#ab_c', types: ['hashtags'], limit: 10, offset: 30 });
+    const [, lim, off] = sql.match(/LIMIT \$(\d+) OFFSET \$(\d+)\s*$/);
+    assert.equal(params[lim - 1], 11);
+    assert.equal(params[off - 1], 30);
+    assert.ok(params.includes('ab\\_c%'));
+});
+
+test('aranacak kelime yoksa null döner', () => {
+    assert.equal(buildUnifiedSearchQuery({ userId: 'u', q: '#!!', types: SEARCH_TYPES, limit: 10, offset: 0 }), null);
+});
@@ -0,0 +1,81 @@
+// Fiyat kaynağı adaptörleri — her adaptörün kayıtlı örnek yanıtı (test/fixtures/fiyat) parse() ile ayrıştırılır
+// Çalıştırma: node --test test/
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fssync = require('fs');
+const path = require('path');
+
+const { PRICE_SOURCE_ADAPTERS, matchUrunByName, parsePriceNumber } = require('../lib/fiyat-kaynaklari');
+
+const FIXTURE_DIR = path.join(__dirname, 'fixtures', 'fiyat');
+const ctx = {
+    date: '2026-10-19',
+    katalog: [
+        { id: 'bugday',    ad: 'Buğday',    birim: 'kg', aliases: ['bugday'] },
+        { id: 'misir',     ad: 'Mısır',     birim: 'kg', aliases: ['misir'] },
+        { id: 'arpa',      ad: 'Arpa',      birim: 'kg', aliases: ['arpa'] },
+        { id: 'findik',    ad: 'Fındık',    birim: 'kg', aliases: ['findik'] },
+        { id: 'domates',   ad: 'Domates',   birim: 'kg', aliases: ['domates'] },
+        { id: 'patates',   ad: 'Patates',   birim: 'kg', aliases: ['patates'] },
+        { id: 'biber',     ad: 'Biber',     birim: 'kg', aliases: ['biber'] },
+        { id: 'sogan',     ad: 'Soğan',     birim: 'kg', aliases: ['sogan'] },
+        { id: 'salatalik', ad: 'Salatalık', birim: 'kg', aliases: ['salatalik', 'hiyar'] },
+        { id: 'elma',      ad: 'Elma',      birim: 'kg', aliases: ['elma'] },
+    ],
+};
+
+// runPriceSourceAdapter'ın PRICE_FIXTURE_DIR ile okuduğu biçim: <name>.json | <name>.html
+function loadFixture(adapter) {
+    const file = path.join(FIXTURE_DIR, `${adapter.name}.${adapter.format === 'json' ? 'json' : 'html'}`);
+    const raw = fssync.readFileSync(file, 'utf8');
+    return adapter.format === 'json' ? JSON.parse(raw) : raw;
+}
+
+const BEKLENEN = {
+    hal: [
+        { productId: 'domates', market: 'Antalya Merkez Hal', city: 'antalya', min: 10, max: 18.5, avg: 14.25, unit: 'kg', date: '2026-10-18' },
+        { productId: 'biber',   market: 'Mersin Hal',         city: 'mersin',  min: 15, max: 30,   avg: 22.5,  unit: 'kg', date: '2026-10-18' },
+        { productId: 'sogan',   market: '',                   city: 'izmir',   min: 8.75, max: 8.75, avg: 8.75, unit: 'kg', date: '2026-10-19' },
+    ],
+    'izmir-hal': [
+        { productId: 'domates', market: 'İzmir Sebze Meyve Hali', city: 'izmir', min: 12,   max: 20, avg: 16,   unit: 'kg', date: '2026-10-18' },
+        { productId: 'elma',    market: 'İzmir Sebze Meyve Hali', city: 'izmir', min: 18.5, max: 25, avg: 18.5, unit: 'kg', date: '2026-10-18' },
+    ],
+    tmo: [
+        { productId: 'bugday', market: '', city: '', min: 13.5,  max: 13.5,  avg: 13.5,  unit: 'kg', date: '2026-10-19' },
+        { productId: 'misir',  market: '', city: '', min: 9.8,   max: 9.8,   avg: 9.8,   unit: 'kg', date: '2026-10-19' },
+        { productId: 'arpa',   market: '', city: '', min: 11.25, max: 11.25, avg: 11.25, unit: 'kg', date: '2026-10-19' },
+    ],
+    fiskobirlik: [
+        { productId: 'findik', market: '', city: '', min: 165, max: 165, avg: 165, unit: 'kg', date: '2026-10-19' },
+    ],
+};
+
+test('her adaptörün kayıtlı örneği ve beklenen satırları var', () => {
+    assert.deepEqual(PRICE_SOURCE_ADAPTERS.map(a => a.name).sort(), Object.keys(BEKLENEN).sort());
+});
+
+for (const adapter of PRICE_SOURCE_ADAPTERS) {
+    test(`${adapter.name}: parse() kayıtlı yanıttan normalize satırlar üretir`, () => {
+        assert.deepEqual(adapter.parse(loadFixture(adapter), ctx), BEKLENEN[adapter.name]);
+    });
+
+    test(`${adapter.name}: beklenmedik yanıtta boş liste`, () => {
+        assert.deepEqual(adapter.parse(adapter.format === 'json' ? {} : '<html></html>', ctx), []);
+    });
+}
+
+test('matchUrunByName en uzun alias\'ı seçer', () => {
+    const katalog = [...ctx.katalog, { id: 'sivri', ad: 'Sivri Biber', birim: 'kg', aliases: ['sivri biber'] }];
+    assert.equal(matchUrunByName('SİVRİ BİBER (Sera)', katalog).id, 'sivri');
+    assert.equal(matchUrunByName('Çarliston Biber', katalog).id, 'biber');
+    assert.equal(matchUrunByName('Ananas', katalog), null);
+});
+
+test('parsePriceNumber Türkçe ve noktalı biçimleri okur', () => {
+    assert.equal(parsePriceNumber('1.234,50 TL'), 1234.5);
+    assert.equal(parsePriceNumber('12,5'), 12.5);
+    assert.equal(parsePriceNumber('12.5'), 12.5);
+    assert.equal(parsePriceNumber(0), null);
+    assert.equal(parsePriceNumber('—'), null);
+});
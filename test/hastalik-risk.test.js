@@ -0,0 +1,45 @@
+// Hastalık risk motoru — sabit saatlik hava verisiyle (test/fixtures/hastalik-risk) beklenen risk seviyeleri
+// Çalıştırma: node --test test/
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+const { evaluateDiseaseRisks, groupHourlyByDay } = require('../lib/hastalik-risk');
+
+const FIXTURE_DIR = path.join(__dirname, 'fixtures', 'hastalik-risk');
+
+for (const model of ['onOnOn', 'mills', 'smith']) {
+    const fixture = require(path.join(FIXTURE_DIR, `${model}.json`));
+    for (const c of fixture.cases) {
+        test(`${model}: ${c.ad} → ${c.beklenen || 'risk yok'}`, () => {
+            const riskler = evaluateDiseaseRisks(c.hourly, fixture.crops, { month: c.month });
+            const r = riskler.find(x => x.kuralId === fixture.kuralId);
+            if (!c.beklenen) return assert.equal(r, undefined);
+            assert.ok(r, 'kural tetiklenmedi');
+            assert.equal(r.model, model);
+            assert.equal(r.seviye, c.beklenen);
+            assert.equal(r.urun, fixture.crops[0]);
+            assert.ok(r.oneri, 'seviyenin önerisi yok');
+        });
+    }
+}
+
+test('ilgisiz ürün için kural çalışmaz', () => {
+    const { cases } = require(path.join(FIXTURE_DIR, 'smith.json'));
+    assert.deepEqual(evaluateDiseaseRisks(cases[0].hourly, ['uzum']), []);
+});
+
+test('domates de Smith kuralına girer', () => {
+    const { cases } = require(path.join(FIXTURE_DIR, 'smith.json'));
+    const [r] = evaluateDiseaseRisks(cases[0].hourly, ['domates']);
+    assert.equal(r.urun, 'domates');
+    assert.equal(r.seviye, 'yuksek');
+});
+
+test('groupHourlyByDay eksik günleri atar', () => {
+    const { cases } = require(path.join(FIXTURE_DIR, 'onOnOn.json'));
+    const days = groupHourlyByDay(cases[0].hourly.slice(0, 30));
+    assert.deepEqual(days.map(d => d.date), ['2026-05-10']);
+    assert.equal(days[0].rain, 6);
+    assert.equal(days[0].meanTemp, 15);
+});
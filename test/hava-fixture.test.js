@@ -0,0 +1,77 @@
+// Fixture hava sağlayıcısı — WEATHER_FIXTURE_FILE ile kayıtlı veri ve dosyasız deterministik üretim
+// Çalıştırma: node --test test/
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+const { fixtureWeatherProvider: fixture } = require('../lib/hava');
+const { evaluateDiseaseRisks } = require('../lib/hastalik-risk');
+
+const FIXTURE_FILE = path.join(__dirname, 'fixtures', 'hava', 'weather-fixture.json');
+
+// Sağlayıcı dosyayı ilk kullanımda bir kez okur — her test kendi ortamını kurar
+function useFixtureFile(file) {
+    if (file) process.env.WEATHER_FIXTURE_FILE = file;
+    else delete process.env.WEATHER_FIXTURE_FILE;
+    fixture._data = undefined;
+}
+
+test.after(() => useFixtureFile(null));
+
+test('dosya: tahmin kayıtlı saatlik veriden, günlük özet saatlikten türetilir', async () => {
+    useFixtureFile(FIXTURE_FILE);
+    const f = await fixture.forecast(38.35, 38.31, { days: 7, pastDays: 0 });
+    assert.equal(f.provider, 'fixture');
+    assert.equal(f.hourly.length, 48);
+    assert.equal(f.current.temp, 19.5);
+    assert.deepEqual(f.daily.map(d => [d.date, d.high, d.low, d.precipitation, d.weathercode, d.windMax]), [
+        ['2026-06-20', 19.5, 12.5, 0, 1, 14],
+        ['2026-06-21', 19.5, 12.5, 4.8, 61, 14],
+    ]);
+});
+
+test('dosya: arşiv istenen tarih aralığına süzülür', async () => {
+    useFixtureFile(FIXTURE_FILE);
+    const rows = await fixture.archive(38.35, 38.31, '2026-06-16', '2026-06-18');
+    assert.deepEqual(rows.map(r => r.date), ['2026-06-16', '2026-06-17', '2026-06-18']);
+    assert.equal(rows[2].precipitation, 7.8);
+});
+
+test('dosya: geocode Türkçe küçük harfe katlanmış adla eşleşir, bilinmeyen şehir Ankara döner', async () => {
+    useFixtureFile(FIXTURE_FILE);
+    assert.deepEqual(await fixture.geocode('  Malatya '), { lat: 38.35, lon: 38.31 });
+    assert.deepEqual(await fixture.geocode('İZMİR'), { lat: 38.42, lon: 27.14 });
+    assert.deepEqual(await fixture.geocode('Bilinmeyen'), { lat: 39.93, lon: 32.86 });
+    assert.equal(await fixture.reverseGeocode(38.35, 38.31), 'Yeşilyurt, Malatya');
+});
+
+test('dosya: kayıtlı hava hastalık risk motorunu besler (Smith periyodu)', async () => {
+    useFixtureFile(FIXTURE_FILE);
+    const f = await fixture.forecast(38.35, 38.31, { days: 4, pastDays: 0 });
+    const [r] = evaluateDiseaseRisks(f.hourly, ['patates']);
+    assert.equal(r.kuralId, 'patates-mildiyosu-smith');
+    assert.equal(r.seviye, 'yuksek');
+});
+
+test('dosyasız: üretilen veri deterministik ve istenen gün sayısında', async () => {
+    useFixtureFile(null);
+    assert.equal(fixture.load(), null);
+    const a = fixture.synthHourly(39.93, '2026-03-01', 3);
+    assert.equal(a.length, 72);
+    assert.equal(a[0].time, '2026-03-01T00:00');
+    assert.equal(a[71].time, '2026-03-03T23:00');
+    assert.deepEqual(fixture.synthHourly(39.93, '2026-03-01', 3), a);
+    assert.ok(a.every(h => Number.isFinite(h.temp) && h.rh >= 0 && h.rh <= 100 && h.precip >= 0));
+
+    const f = await fixture.forecast(39.93, 32.86, { days: 2, pastDays: 1 });
+    assert.equal(f.hourly.length, 72);
+    assert.equal(f.daily.length, 3);
+});
+
+test('dosyasız: arşiv her gün için tek satır döner', async () => {
+    useFixtureFile(null);
+    const rows = await fixture.archive(39.93, 32.86, '2026-01-30', '2026-02-02');
+    assert.deepEqual(rows.map(r => r.date), ['2026-01-30', '2026-01-31', '2026-02-01', '2026-02-02']);
+    assert.deepEqual(Object.keys(rows[0]).sort(), ['date', 'high', 'low', 'precipitation']);
+    assert.deepEqual(await fixture.geocode('Ankara'), { lat: 39.93, lon: 32.86 });
+});